@@ -69,9 +69,10 @@ export class VectorBackend {
      * @param {string} searchText
      * @param {number} topK
      * @param {object} settings
+     * @param {number[]|null} [queryVector] - Precomputed query embedding (skip server-side embedding)
      * @returns {Promise<object[]>}
      */
-    async queryCollection(collectionId, searchText, topK, settings) {
+    async queryCollection(collectionId, searchText, topK, settings, queryVector = null) {
         throw new Error('Backend must implement queryCollection()');
     }
 
@@ -82,9 +83,10 @@ export class VectorBackend {
      * @param {number} topK
      * @param {number} threshold
      * @param {object} settings
+     * @param {number[]|null} [queryVector] - Precomputed query embedding (skip server-side embedding)
      * @returns {Promise<object[]>}
      */
-    async queryMultipleCollections(collectionIds, searchText, topK, threshold, settings) {
+    async queryMultipleCollections(collectionIds, searchText, topK, threshold, settings, queryVector = null) {
         throw new Error('Backend must implement queryMultipleCollections()');
     }
 
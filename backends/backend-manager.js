@@ -15,6 +15,7 @@ import { StandardBackend } from './standard.js';
 import { LanceDBBackend } from './lancedb.js';
 import { QdrantBackend } from './qdrant.js';
 import { MilvusBackend } from './milvus.js';
+import { IndexedDBBackend } from './indexeddb.js';
 
 // Backend registry - add new backends here
 const BACKENDS = {
@@ -22,6 +23,7 @@ const BACKENDS = {
     lancedb: LanceDBBackend,
     qdrant: QdrantBackend,
     milvus: MilvusBackend,
+    indexeddb: IndexedDBBackend,
 };
 
 // Backend name aliases (server uses 'vectra', we use 'standard')
@@ -0,0 +1,483 @@
+/**
+ * ============================================================================
+ * INDEXEDDB BACKEND (browser-local)
+ * ============================================================================
+ * Stores vectors, text and metadata in the browser's IndexedDB and searches
+ * them in the browser - no server endpoints, no plugin.
+ *
+ * For hosted/shared SillyTavern instances where server plugins can't be
+ * installed. Supports the extended API (listChunks, getChunk, chunk editing,
+ * getStats) that the Standard backend only offers with the plugin.
+ *
+ * Search is brute-force cosine (Cosine.batchSimilarity) over an in-memory
+ * copy of each collection. With indexeddb_hnsw on, collections of
+ * INDEXEDDB_HNSW_MIN_VECTORS or more use an in-memory HNSW graph instead.
+ *
+ * VectHare must supply the vectors: client-side embedding sources (WebLLM,
+ * KoboldCpp, BananaBread) work anywhere; server-side sources still need the
+ * Similharity plugin to produce embeddings.
+ *
+ * Collections are kept per embedding source + model, like the plugin backends.
+ *
+ * @author VectHare
+ * @version 2.0.0-alpha
+ * ============================================================================
+ */
+
+import { VectorBackend } from './backend-interface.js';
+import { getModelField } from '../core/providers.js';
+import { Cosine } from '../utils/vector-distance.js';
+import { HNSWIndex } from '../utils/hnsw.js';
+import { openDatabase, requestToPromise, transactionDone } from '../utils/indexeddb.js';
+import { INDEXEDDB_BACKEND_DB_NAME, INDEXEDDB_HNSW_MIN_VECTORS } from '../core/constants.js';
+
+const STORE_NAME = 'chunks';
+
+/** Item fields stored as chunk metadata (same set the LanceDB backend passes through) */
+const METADATA_FIELDS = [
+    'importance', 'keywords', 'customWeights', 'disabledKeywords', 'chunkGroup',
+    'conditions', 'summary', 'isSummaryChunk', 'parentHash',
+];
+
+/** @type {Promise<IDBDatabase>|null} */
+let dbPromise = null;
+
+/**
+ * Get the model value from settings based on provider
+ */
+function getModelFromSettings(settings) {
+    const modelField = getModelField(settings.source);
+    return modelField ? settings[modelField] || '' : '';
+}
+
+/**
+ * Key of a collection in the store (collections are per source + model)
+ */
+function getCollectionKey(collectionId, settings) {
+    return `${settings.source || 'transformers'}|${getModelFromSettings(settings)}|${collectionId}`;
+}
+
+/**
+ * Opens the vector database (once)
+ * @returns {Promise<IDBDatabase>}
+ */
+function getDatabase() {
+    if (dbPromise) {
+        return dbPromise;
+    }
+
+    dbPromise = openDatabase(INDEXEDDB_BACKEND_DB_NAME, db => {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        store.createIndex('collection', 'collection');
+    });
+
+    // Allow a retry after a failed open (e.g. private browsing toggled)
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+}
+
+/**
+ * Formats a stored record the way plugin backends return chunks
+ * @param {object} record Stored record
+ * @param {boolean} includeVector Whether to include the vector
+ * @returns {object}
+ */
+function toChunk(record, includeVector = false) {
+    const chunk = {
+        hash: record.hash,
+        text: record.text,
+        index: record.index,
+        metadata: { ...record.metadata },
+    };
+    if (includeVector) {
+        chunk.vector = Array.from(record.vector);
+    }
+    return chunk;
+}
+
+export class IndexedDBBackend extends VectorBackend {
+    constructor() {
+        super();
+        // collectionKey -> { records, vectors, hnsw }
+        this.collectionCache = new Map();
+    }
+
+    async initialize(settings) {
+        await getDatabase();
+        console.log('VectHare: Using IndexedDB backend (browser-local, no server needed)');
+    }
+
+    async healthCheck() {
+        try {
+            await getDatabase();
+            return true;
+        } catch (error) {
+            console.error('[IndexedDB] Health check failed:', error);
+            return false;
+        }
+    }
+
+    // ========================================================================
+    // IN-MEMORY COLLECTION CACHE
+    // ========================================================================
+
+    /**
+     * Loads a collection's records (cached; inserts append, other writes invalidate)
+     * @param {string} collectionKey
+     * @returns {Promise<{records: object[], vectors: Float32Array[], hnsw: HNSWIndex|null}>}
+     */
+    async loadCollection(collectionKey) {
+        const cached = this.collectionCache.get(collectionKey);
+        if (cached) {
+            return cached;
+        }
+
+        const db = await getDatabase();
+        const records = await requestToPromise(
+            db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).index('collection').getAll(collectionKey),
+        );
+
+        const entry = { records, vectors: records.map(r => r.vector), hnsw: null };
+        this.collectionCache.set(collectionKey, entry);
+        return entry;
+    }
+
+    /**
+     * Adds newly inserted records to a cached collection (and its HNSW graph,
+     * if built) so an insert doesn't force a full reload and index rebuild.
+     * Overwritten hashes still drop the cache - the HNSW graph is append-only.
+     * @param {string} collectionKey
+     * @param {object[]} records Records just written to the store
+     */
+    appendToCache(collectionKey, records) {
+        const cached = this.collectionCache.get(collectionKey);
+        if (!cached) {
+            return;
+        }
+
+        const hashes = new Set(cached.records.map(r => r.hash));
+        for (const record of records) {
+            if (hashes.has(record.hash)) {
+                this.collectionCache.delete(collectionKey);
+                return;
+            }
+            hashes.add(record.hash);
+        }
+
+        for (const record of records) {
+            cached.records.push(record);
+            cached.vectors.push(record.vector);
+            cached.hnsw?.add(record.vector);
+        }
+    }
+
+    /**
+     * Scores a collection against a query vector
+     * @param {string} collectionKey
+     * @param {number[]} queryVector
+     * @param {number} topK
+     * @param {number} threshold
+     * @param {object} settings
+     * @returns {Promise<{hashes: number[], metadata: object[]}>}
+     */
+    async searchCollection(collectionKey, queryVector, topK, threshold, settings) {
+        if (!Array.isArray(queryVector) || queryVector.length === 0) {
+            throw new Error('[IndexedDB] Search needs a query vector - the selected embedding source could not produce one');
+        }
+
+        const collection = await this.loadCollection(collectionKey);
+        if (collection.records.length === 0) {
+            return { hashes: [], metadata: [] };
+        }
+
+        const dimensions = collection.vectors[0].length;
+        if (queryVector.length !== dimensions) {
+            throw new Error(`[IndexedDB] Query vector has ${queryVector.length} dimensions but the collection has ${dimensions} - was it vectorized with a different model?`);
+        }
+
+        let ranked;
+        if (settings.indexeddb_hnsw && collection.records.length >= INDEXEDDB_HNSW_MIN_VECTORS) {
+            if (!collection.hnsw) {
+                const start = performance.now();
+                collection.hnsw = new HNSWIndex();
+                collection.vectors.forEach(vector => collection.hnsw.add(vector));
+                console.log(`VectHare IndexedDB: Built HNSW index for ${collection.records.length} vectors in ${Math.round(performance.now() - start)}ms`);
+            }
+            ranked = collection.hnsw.search(queryVector, topK);
+        } else {
+            ranked = Cosine.batchSimilarity(queryVector, collection.vectors)
+                .map((similarity, index) => ({ index, similarity }))
+                .sort((a, b) => b.similarity - a.similarity)
+                .slice(0, topK);
+        }
+
+        const results = ranked
+            .filter(r => r.similarity >= threshold)
+            .map(r => {
+                const record = collection.records[r.index];
+                return {
+                    hash: record.hash,
+                    text: record.text,
+                    score: r.similarity,
+                    index: record.index,
+                    ...record.metadata,
+                };
+            });
+
+        return { hashes: results.map(r => r.hash), metadata: results };
+    }
+
+    // ========================================================================
+    // CORE API
+    // ========================================================================
+
+    async getSavedHashes(collectionId, settings) {
+        const collection = await this.loadCollection(getCollectionKey(collectionId, settings));
+        return collection.records.map(r => r.hash);
+    }
+
+    async insertVectorItems(collectionId, items, settings) {
+        if (items.length === 0) return;
+
+        const missing = items.filter(item => !Array.isArray(item.vector) || item.vector.length === 0);
+        if (missing.length > 0) {
+            throw new Error(
+                `[IndexedDB] ${missing.length} of ${items.length} items have no vector. ` +
+                'Use a browser-side embedding source (WebLLM, KoboldCpp, BananaBread), or install the Similharity plugin to embed with server-side sources.',
+            );
+        }
+
+        const collectionKey = getCollectionKey(collectionId, settings);
+        const db = await getDatabase();
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+
+        const records = [];
+        for (const item of items) {
+            const record = {
+                key: `${collectionKey}|${item.hash}`,
+                collection: collectionKey,
+                collectionId,
+                source: settings.source || 'transformers',
+                model: getModelFromSettings(settings),
+                hash: item.hash,
+                text: item.text,
+                index: item.index,
+                vector: Float32Array.from(item.vector),
+                metadata: {
+                    ...item.metadata,
+                    // Pass through VectHare-specific fields (without clobbering ones only set in item.metadata)
+                    ...Object.fromEntries(METADATA_FIELDS.filter(field => item[field] !== undefined).map(field => [field, item[field]])),
+                },
+            };
+            store.put(record);
+            records.push(record);
+        }
+
+        await transactionDone(transaction);
+        this.appendToCache(collectionKey, records);
+
+        console.log(`VectHare IndexedDB: Inserted ${items.length} vectors into ${collectionId}`);
+    }
+
+    async deleteVectorItems(collectionId, hashes, settings) {
+        const collectionKey = getCollectionKey(collectionId, settings);
+        const db = await getDatabase();
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+
+        for (const hash of hashes) {
+            store.delete(`${collectionKey}|${hash}`);
+        }
+
+        await transactionDone(transaction);
+        this.collectionCache.delete(collectionKey);
+    }
+
+    async queryCollection(collectionId, searchText, topK, settings, queryVector = null) {
+        return this.searchCollection(getCollectionKey(collectionId, settings), queryVector, topK, 0.0, settings);
+    }
+
+    async queryMultipleCollections(collectionIds, searchText, topK, threshold, settings, queryVector = null) {
+        const results = {};
+
+        for (const collectionId of collectionIds) {
+            try {
+                results[collectionId] = await this.searchCollection(getCollectionKey(collectionId, settings), queryVector, topK, threshold, settings);
+            } catch (error) {
+                console.error(`Failed to query collection ${collectionId}:`, error);
+                results[collectionId] = { hashes: [], metadata: [] };
+            }
+        }
+
+        return results;
+    }
+
+    async purgeVectorIndex(collectionId, settings) {
+        const collectionKey = getCollectionKey(collectionId, settings);
+        const db = await getDatabase();
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        const index = transaction.objectStore(STORE_NAME).index('collection');
+
+        const keys = await requestToPromise(index.getAllKeys(collectionKey));
+        const store = transaction.objectStore(STORE_NAME);
+        keys.forEach(key => store.delete(key));
+
+        await transactionDone(transaction);
+        this.collectionCache.delete(collectionKey);
+    }
+
+    async purgeFileVectorIndex(collectionId, settings) {
+        return this.purgeVectorIndex(collectionId, settings);
+    }
+
+    async purgeAllVectorIndexes(settings) {
+        const db = await getDatabase();
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        transaction.objectStore(STORE_NAME).clear();
+        await transactionDone(transaction);
+        this.collectionCache.clear();
+    }
+
+    // ========================================================================
+    // EXTENDED API METHODS (for UI components)
+    // ========================================================================
+
+    /**
+     * Get a single chunk by hash
+     */
+    async getChunk(collectionId, hash, settings) {
+        const db = await getDatabase();
+        const record = await requestToPromise(
+            db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(`${getCollectionKey(collectionId, settings)}|${hash}`),
+        );
+        return record ? toChunk(record) : null;
+    }
+
+    /**
+     * List chunks with pagination
+     */
+    async listChunks(collectionId, settings, options = {}) {
+        const collection = await this.loadCollection(getCollectionKey(collectionId, settings));
+        const offset = options.offset || 0;
+        const limit = options.limit || 100;
+
+        return {
+            success: true,
+            items: collection.records
+                .slice(offset, offset + limit)
+                .map(record => toChunk(record, options.includeVectors)),
+            total: collection.records.length,
+            offset,
+            limit,
+        };
+    }
+
+    /**
+     * Update chunk text (re-embeds through the current embedding source)
+     */
+    async updateChunkText(collectionId, hash, newText, settings) {
+        const collectionKey = getCollectionKey(collectionId, settings);
+        const db = await getDatabase();
+        const record = await requestToPromise(
+            db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(`${collectionKey}|${hash}`),
+        );
+        if (!record) {
+            throw new Error(`[IndexedDB] Chunk ${hash} not found in ${collectionId}`);
+        }
+
+        // Lazy import to avoid circular dependency (core-vector-api -> backend-manager -> here)
+        const { resolveEmbeddings } = await import('../core/core-vector-api.js');
+        const embeddings = await resolveEmbeddings([newText], settings);
+        const vector = embeddings?.[newText];
+        if (!vector) {
+            throw new Error('[IndexedDB] Could not embed the new text with the selected embedding source');
+        }
+
+        record.text = newText;
+        record.vector = Float32Array.from(vector);
+
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        transaction.objectStore(STORE_NAME).put(record);
+        await transactionDone(transaction);
+        this.collectionCache.delete(collectionKey);
+
+        return { success: true, chunk: toChunk(record) };
+    }
+
+    /**
+     * Update chunk metadata (no re-embedding)
+     */
+    async updateChunkMetadata(collectionId, hash, metadata, settings) {
+        const collectionKey = getCollectionKey(collectionId, settings);
+        const db = await getDatabase();
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+
+        const record = await requestToPromise(store.get(`${collectionKey}|${hash}`));
+        if (!record) {
+            throw new Error(`[IndexedDB] Chunk ${hash} not found in ${collectionId}`);
+        }
+
+        record.metadata = { ...record.metadata, ...metadata };
+        store.put(record);
+        await transactionDone(transaction);
+        this.collectionCache.delete(collectionKey);
+
+        return { success: true, chunk: toChunk(record) };
+    }
+
+    /**
+     * Get collection statistics
+     */
+    async getStats(collectionId, settings) {
+        const collection = await this.loadCollection(getCollectionKey(collectionId, settings));
+        const dimensions = collection.vectors[0]?.length || 0;
+
+        return {
+            count: collection.records.length,
+            dimensions,
+            sizeBytes: collection.records.length * dimensions * Float32Array.BYTES_PER_ELEMENT,
+            source: settings.source || 'transformers',
+            model: getModelFromSettings(settings),
+            hnsw: Boolean(settings.indexeddb_hnsw && collection.records.length >= INDEXEDDB_HNSW_MIN_VECTORS),
+            backend: 'indexeddb',
+        };
+    }
+
+    /**
+     * Discover all collections stored in this browser
+     * @returns {Promise<{id: string, source: string, model: string, chunkCount: number, backend: string}[]>}
+     */
+    async discoverCollections() {
+        const db = await getDatabase();
+        const index = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).index('collection');
+        const collections = [];
+
+        await new Promise((resolve, reject) => {
+            const cursorRequest = index.openCursor(null, 'nextunique');
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+                const record = cursor.value;
+                collections.push({ key: cursor.key, id: record.collectionId, source: record.source, model: record.model });
+                cursor.continue();
+            };
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+        });
+
+        const countIndex = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).index('collection');
+        const counts = await Promise.all(collections.map(c => requestToPromise(countIndex.count(c.key))));
+
+        return collections.map((c, i) => ({
+            id: c.id,
+            source: c.source,
+            model: c.model,
+            chunkCount: counts[i],
+            backend: 'indexeddb',
+        }));
+    }
+}
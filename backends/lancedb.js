@@ -142,7 +142,7 @@ export class LanceDBBackend extends VectorBackend {
         }
     }
 
-    async queryCollection(collectionId, searchText, topK, settings) {
+    async queryCollection(collectionId, searchText, topK, settings, queryVector = null) {
         const response = await fetch('/api/plugins/similharity/chunks/query', {
             method: 'POST',
             headers: getRequestHeaders(),
@@ -154,6 +154,8 @@ export class LanceDBBackend extends VectorBackend {
                 threshold: 0.0,
                 source: settings.source || 'transformers',
                 model: getModelFromSettings(settings),
+                // Precomputed query embedding (client-side sources / embedding cache)
+                queryVector: queryVector || undefined,
             }),
         });
 
@@ -176,7 +178,7 @@ export class LanceDBBackend extends VectorBackend {
         return { hashes, metadata };
     }
 
-    async queryMultipleCollections(collectionIds, searchText, topK, threshold, settings) {
+    async queryMultipleCollections(collectionIds, searchText, topK, threshold, settings, queryVector = null) {
         // Query each collection separately
         const results = {};
 
@@ -193,6 +195,8 @@ export class LanceDBBackend extends VectorBackend {
                         threshold: threshold,
                         source: settings.source || 'transformers',
                 model: getModelFromSettings(settings),
+                        // Precomputed query embedding (client-side sources / embedding cache)
+                        queryVector: queryVector || undefined,
                     }),
                 });
 
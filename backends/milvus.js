@@ -246,7 +246,7 @@ export class MilvusBackend extends VectorBackend {
         }
     }
 
-    async queryCollection(collectionId, searchText, topK, settings) {
+    async queryCollection(collectionId, searchText, topK, settings, queryVector = null) {
         const { type, sourceId } = this._parseCollectionId(collectionId);
 
         const response = await fetch('/api/plugins/similharity/chunks/query', {
@@ -260,6 +260,8 @@ export class MilvusBackend extends VectorBackend {
                 threshold: 0.0,
                 source: settings.source || 'transformers',
                 model: getModelFromSettings(settings),
+                // Precomputed query embedding (client-side sources / embedding cache)
+                queryVector: queryVector || undefined,
                 filters: { type, sourceId },
             }),
         });
@@ -283,7 +285,7 @@ export class MilvusBackend extends VectorBackend {
         return { hashes, metadata };
     }
 
-    async queryMultipleCollections(collectionIds, searchText, topK, threshold, settings) {
+    async queryMultipleCollections(collectionIds, searchText, topK, threshold, settings, queryVector = null) {
         const results = {};
 
         for (const collectionId of collectionIds) {
@@ -301,6 +303,8 @@ export class MilvusBackend extends VectorBackend {
                         threshold: threshold,
                         source: settings.source || 'transformers',
                         model: getModelFromSettings(settings),
+                        // Precomputed query embedding (client-side sources / embedding cache)
+                        queryVector: queryVector || undefined,
                         filters: { type, sourceId },
                     }),
                 });
@@ -204,7 +204,7 @@ export class QdrantBackend extends VectorBackend {
         }
     }
 
-    async queryCollection(collectionId, searchText, topK, settings) {
+    async queryCollection(collectionId, searchText, topK, settings, queryVector = null) {
         const { type, sourceId } = this._parseCollectionId(collectionId);
 
         const response = await fetch('/api/plugins/similharity/chunks/query', {
@@ -218,6 +218,8 @@ export class QdrantBackend extends VectorBackend {
                 threshold: 0.0,
                 source: settings.source || 'transformers',
                 model: getModelFromSettings(settings),
+                // Precomputed query embedding (client-side sources / embedding cache)
+                queryVector: queryVector || undefined,
                 filters: { type, sourceId },
             }),
         });
@@ -241,7 +243,7 @@ export class QdrantBackend extends VectorBackend {
         return { hashes, metadata };
     }
 
-    async queryMultipleCollections(collectionIds, searchText, topK, threshold, settings) {
+    async queryMultipleCollections(collectionIds, searchText, topK, threshold, settings, queryVector = null) {
         const results = {};
 
         for (const collectionId of collectionIds) {
@@ -259,6 +261,8 @@ export class QdrantBackend extends VectorBackend {
                         threshold: threshold,
                         source: settings.source || 'transformers',
                 model: getModelFromSettings(settings),
+                        // Precomputed query embedding (client-side sources / embedding cache)
+                        queryVector: queryVector || undefined,
                         filters: { type, sourceId },
                     }),
                 });
@@ -0,0 +1,234 @@
+/**
+ * ============================================================================
+ * VECTHARE ACTIVATION HISTORY
+ * ============================================================================
+ * Records which chunks were actually injected, per chat. The history lives in
+ * chat metadata, so it survives reloads and follows the chat (branches and
+ * copies included) instead of being shared by every chat in the session.
+ *
+ * It backs the frequency condition and two World Info style timed effects,
+ * set per chunk in the chunk visualizer:
+ *   - sticky:   once injected, keep injecting for N messages even when the
+ *               chunk is not retrieved again
+ *   - cooldown: once injected (or once sticky ends), skip it for N messages
+ *
+ * Positions are chat lengths at generation time. A swipe, regenerate or
+ * continue at the same length replaces the previous attempt instead of
+ * counting twice.
+ *
+ * @author Coneja Chibi | VectHare
+ * @version 2.0.0-alpha
+ * ============================================================================
+ */
+
+import { chat_metadata } from '../../../../../script.js';
+import { saveMetadataDebounced } from '../../../../extensions.js';
+import { getChunkMetadata } from './collection-metadata.js';
+import {
+    ACTIVATION_HISTORY_KEY,
+    ACTIVATION_LOG_PER_CHUNK,
+    ACTIVATION_GENERATION_LIMIT,
+} from './constants.js';
+
+/**
+ * @typedef {object} ChunkActivation
+ * @property {number} count Total injections in this chat
+ * @property {number} firstActivation Chat length at the first injection
+ * @property {number} lastActivation Chat length at the latest injection
+ * @property {Array<{message: number, type: string, at: number}>} recent Latest injections, oldest first
+ * @property {number|null} stickyUntil Injected regardless of retrieval while chat length is below this
+ * @property {number|null} cooldownUntil Skipped while chat length is below this (after sticky ends)
+ * @property {object|null} snapshot Text and metadata needed to re-inject the chunk while sticky
+ */
+
+/**
+ * Gets the current chat's history, creating it if needed
+ * @returns {{chunks: Object<string, ChunkActivation>, generations: Array<{message: number, type: string, at: number, hashes: string[], undo?: object}>}}
+ */
+function getStore() {
+    if (!chat_metadata[ACTIVATION_HISTORY_KEY]) {
+        chat_metadata[ACTIVATION_HISTORY_KEY] = { chunks: {}, generations: [] };
+    }
+    return chat_metadata[ACTIVATION_HISTORY_KEY];
+}
+
+/**
+ * Gets activation records for every chunk injected in the current chat.
+ * Shaped for the frequency condition (context.activationHistory).
+ * @param {number} [messageCount] Chat length about to be generated for. When the
+ *   latest generation ran at this length it is a retry, and that attempt is left out.
+ * @returns {Object<string, ChunkActivation>}
+ */
+export function getChunkActivations(messageCount) {
+    const store = chat_metadata?.[ACTIVATION_HISTORY_KEY];
+    if (!store) {
+        return {};
+    }
+
+    const latest = store.generations[store.generations.length - 1];
+    if (messageCount === undefined || latest?.message !== messageCount || !latest.undo) {
+        return store.chunks;
+    }
+
+    const chunks = { ...store.chunks };
+    for (const [hash, entry] of Object.entries(latest.undo)) {
+        if (entry) {
+            chunks[hash] = entry;
+        } else {
+            delete chunks[hash];
+        }
+    }
+    return chunks;
+}
+
+/**
+ * Gets the activation record of one chunk in the current chat
+ * @param {string|number} hash Chunk hash
+ * @returns {ChunkActivation|null}
+ */
+export function getChunkActivation(hash) {
+    return getChunkActivations()[String(hash)] || null;
+}
+
+/**
+ * Gets the injection log of the current chat, newest first
+ * @returns {Array<{message: number, type: string, at: number, hashes: string[]}>}
+ */
+export function getGenerationLog() {
+    const generations = chat_metadata?.[ACTIVATION_HISTORY_KEY]?.generations || [];
+    return generations.map(({ undo, ...generation }) => generation).reverse();
+}
+
+/**
+ * Reports the timed effect currently applying to a chunk
+ * @param {string|number} hash Chunk hash
+ * @param {number} messageCount Current chat length
+ * @returns {{state: 'sticky'|'cooldown', until: number}|null}
+ */
+export function getTimedState(hash, messageCount) {
+    const entry = getChunkActivations(messageCount)[String(hash)];
+    if (!entry) {
+        return null;
+    }
+    if (entry.stickyUntil > messageCount) {
+        return { state: 'sticky', until: entry.stickyUntil };
+    }
+    if (entry.cooldownUntil > messageCount) {
+        return { state: 'cooldown', until: entry.cooldownUntil };
+    }
+    return null;
+}
+
+/**
+ * Gets chunks that must be injected because they are still sticky
+ * @param {number} messageCount Current chat length
+ * @returns {object[]} Chunks rebuilt from their snapshots, with stickyUntil set
+ */
+export function getStickyChunks(messageCount) {
+    return Object.entries(getChunkActivations(messageCount))
+        .filter(([, entry]) => entry.stickyUntil > messageCount && entry.snapshot)
+        .map(([hash, entry]) => ({
+            ...entry.snapshot,
+            hash: entry.snapshot.hash ?? hash,
+            stickyUntil: entry.stickyUntil,
+        }));
+}
+
+/**
+ * Records the chunks injected for one generation and starts their timed effects
+ * @param {object[]} chunks Chunks that made it into the prompt
+ * @param {number} messageCount Chat length the generation ran at
+ * @param {string} [type] Generation type
+ */
+export function recordInjection(chunks, messageCount, type = 'normal') {
+    const store = getStore();
+
+    // A retry of the same message replaces the attempt before it
+    const previous = store.generations[store.generations.length - 1];
+    if (previous && previous.message === messageCount) {
+        for (const [hash, entry] of Object.entries(previous.undo || {})) {
+            if (entry) {
+                store.chunks[hash] = entry;
+            } else {
+                delete store.chunks[hash];
+            }
+        }
+        store.generations.pop();
+    }
+
+    const undo = {};
+    const now = Date.now();
+
+    for (const chunk of chunks) {
+        const hash = String(chunk.hash);
+        const existing = store.chunks[hash];
+        undo[hash] = existing ? structuredClone(existing) : null;
+
+        const entry = existing || {
+            count: 0,
+            firstActivation: messageCount,
+            lastActivation: null,
+            recent: [],
+            stickyUntil: null,
+            cooldownUntil: null,
+            snapshot: null,
+        };
+
+        entry.count++;
+        entry.lastActivation = messageCount;
+        entry.recent.push({ message: messageCount, type, at: now });
+        if (entry.recent.length > ACTIVATION_LOG_PER_CHUNK) {
+            entry.recent.splice(0, entry.recent.length - ACTIVATION_LOG_PER_CHUNK);
+        }
+
+        // Sticky is not renewed while it is running, same as World Info
+        const meta = getChunkMetadata(hash) || {};
+        const sticky = parseInt(meta.sticky) || 0;
+        const cooldown = parseInt(meta.cooldown) || 0;
+        if (sticky > 0 && !(entry.stickyUntil > messageCount)) {
+            entry.stickyUntil = messageCount + sticky;
+            entry.snapshot = {
+                hash: chunk.hash,
+                text: chunk.text,
+                score: chunk.score,
+                collectionId: chunk.collectionId,
+                metadata: chunk.metadata || {},
+            };
+        }
+        if (cooldown > 0) {
+            entry.cooldownUntil = Math.max(entry.stickyUntil || 0, messageCount) + cooldown;
+        }
+
+        store.chunks[hash] = entry;
+    }
+
+    // Snapshots are only kept while they can still be used
+    for (const entry of Object.values(store.chunks)) {
+        if (entry.snapshot && !(entry.stickyUntil > messageCount)) {
+            entry.snapshot = null;
+        }
+    }
+
+    // Only the latest generation can be replaced, so only it keeps an undo record
+    if (previous) {
+        delete previous.undo;
+    }
+    store.generations.push({ message: messageCount, type, at: now, hashes: chunks.map(c => String(c.hash)), undo });
+    if (store.generations.length > ACTIVATION_GENERATION_LIMIT) {
+        store.generations.splice(0, store.generations.length - ACTIVATION_GENERATION_LIMIT);
+    }
+
+    saveMetadataDebounced();
+}
+
+/**
+ * Forgets a chunk's history in the current chat, ending any sticky or cooldown
+ * @param {string|number} hash Chunk hash
+ */
+export function clearChunkActivation(hash) {
+    const store = getStore();
+    if (store.chunks[String(hash)]) {
+        delete store.chunks[String(hash)];
+        saveMetadataDebounced();
+    }
+}
@@ -13,8 +13,10 @@ import { getCurrentChatId, is_send_press, setExtensionPrompt, substituteParams,
 import { getContext } from '../../../../extensions.js';
 import { getStringHash as calculateHash, waitUntilCondition, onlyUnique } from '../../../../utils.js';
 import { isUnitStrategy } from './chunking.js';
-import { extractChatKeywords } from './keyword-boost.js';
+import { extractChatKeywords, getOverfetchAmount } from './keyword-boost.js';
+import { resolveHybridSettings, getLexicalIndex, fuseResults, tokenizeForLexicalSearch } from './hybrid-search.js';
 import { cleanText } from './text-cleaning.js';
+import { detectLanguage } from './language.js';
 import {
     getSavedHashes,
     insertVectorItems,
@@ -22,20 +24,30 @@ import {
     queryActiveCollections,
     deleteVectorItems,
     purgeVectorIndex,
+    getChunkVectors,
 } from './core-vector-api.js';
 import { isBackendAvailable } from '../backends/backend-manager.js';
-import { applyDecayToResults, applySceneAwareDecay } from './temporal-decay.js';
+import { applyDecayToResults, applySceneAwareDecay, applyNostalgiaToResults, parseSendDate } from './temporal-decay.js';
 import { isChunkDisabledByScene } from './scenes.js';
 import { registerCollection, getCollectionRegistry } from './collection-loader.js';
 import { isCollectionEnabled, filterActiveCollections } from './collection-metadata.js';
 import { progressTracker } from '../ui/progress-tracker.js';
+import { registerJobRunner, submitJob, resumeJob, getJobs } from './job-queue.js';
 import { buildSearchContext, filterChunksByConditions, processChunkLinks } from './conditional-activation.js';
-import { getChunkMetadata, getCollectionMeta } from './collection-metadata.js';
+import { getChunkActivations, getTimedState, getStickyChunks, recordInjection } from './activation-history.js';
+import { getChunkMetadata, getCollectionMeta, hasCustomDecaySettings, getCollectionDecaySettings } from './collection-metadata.js';
 import { processChunkGroups, mergeVirtualLinks } from './chunk-groups.js';
+import { selectByMMR } from './diversity.js';
+import { detectConflicts, resolveConflicts, formatTemporalLabel } from './contradictions.js';
+import { getConsolidationNode, getConsolidatedParent } from './consolidation.js';
+import { queueGraphExtraction, injectKnowledgeFacts, toGraphMessage } from './knowledge-graph.js';
+import { Cosine } from '../utils/vector-distance.js';
+import { resolveGroupTokenBudget, fitChunksToBudget } from './token-budget.js';
+import { getActiveReranker, rerankChunks } from './rerankers.js';
+import { buildQueryPlan, fuseQueryResults } from './query-builder.js';
 import { createDebugData, setLastSearchDebug, addTrace, recordChunkFate } from '../ui/search-debug.js';
 import { Queue, LRUCache } from '../utils/data-structures.js';
-import { getRequestHeaders } from '../../../../../script.js';
-import { EXTENSION_PROMPT_TAG, HASH_CACHE_SIZE } from './constants.js';
+import { EXTENSION_PROMPT_TAG, HASH_CACHE_SIZE, DEFAULT_MMR_LAMBDA, DEFAULT_MMR_CANDIDATE_MULTIPLIER, CONSOLIDATION_REQUERY_ATTEMPTS } from './constants.js';
 // Import from collection-ids.js - single source of truth for collection ID operations
 import {
     getChatUUID,
@@ -103,7 +115,7 @@ function getStringHash(str) {
  * @param {object} message Chat message object
  * @returns {string} Message text without attachment prefix
  */
-function getTextWithoutAttachments(message) {
+export function getTextWithoutAttachments(message) {
     const fileLength = message?.extra?.fileLength || 0;
     return String(message?.mes || '').substring(fileLength).trim();
 }
@@ -156,17 +168,20 @@ function groupMessagesByStrategy(messages, strategy, batchSize = 4) {
                     return `[${role}]: ${m.text}`;
                 }).join('\n\n');
 
+                const language = detectLanguage(combinedText);
                 grouped.push({
                     text: combinedText,
                     hash: getStringHash(combinedText),
                     index: messages[i].index,
-                    keywords: extractChatKeywords(combinedText),
+                    keywords: extractChatKeywords(combinedText, { language }),
                     metadata: {
                         strategy: 'conversation_turns',
                         messageIds: pair.map(m => m.index),
                         messageHashes: pair.map(m => m.hash), // Store individual hashes for injection lookup
                         startIndex: messages[i].index,
-                        endIndex: pair[pair.length - 1].index
+                        endIndex: pair[pair.length - 1].index,
+                        sendDate: pair[pair.length - 1].sendDate,
+                        language
                     }
                 });
             }
@@ -184,18 +199,21 @@ function groupMessagesByStrategy(messages, strategy, batchSize = 4) {
                     return `[${role}]: ${m.text}`;
                 }).join('\n\n');
 
+                const language = detectLanguage(combinedText);
                 grouped.push({
                     text: combinedText,
                     hash: getStringHash(combinedText),
                     index: batch[0].index,
-                    keywords: extractChatKeywords(combinedText),
+                    keywords: extractChatKeywords(combinedText, { language }),
                     metadata: {
                         strategy: 'message_batch',
                         batchSize: batch.length,
                         messageIds: batch.map(m => m.index),
                         messageHashes: batch.map(m => m.hash), // Store individual hashes for injection lookup
                         startIndex: batch[0].index,
-                        endIndex: batch[batch.length - 1].index
+                        endIndex: batch[batch.length - 1].index,
+                        sendDate: batch[batch.length - 1].sendDate,
+                        language
                     }
                 });
             }
@@ -205,18 +223,23 @@ function groupMessagesByStrategy(messages, strategy, batchSize = 4) {
         case 'per_message':
         default:
             // Current behavior - each message is its own item
-            return messages.map(m => ({
-                text: m.text,
-                hash: m.hash,
-                index: m.index,
-                is_user: m.is_user,
-                keywords: extractChatKeywords(m.text),
-                metadata: {
-                    strategy: 'per_message',
-                    messageId: m.index,
-                    messageHashes: [m.hash] // Consistent with grouped strategies
-                }
-            }));
+            return messages.map(m => {
+                const language = detectLanguage(m.text);
+                return {
+                    text: m.text,
+                    hash: m.hash,
+                    index: m.index,
+                    is_user: m.is_user,
+                    keywords: extractChatKeywords(m.text, { language }),
+                    metadata: {
+                        strategy: 'per_message',
+                        messageId: m.index,
+                        messageHashes: [m.hash], // Consistent with grouped strategies
+                        sendDate: m.sendDate,
+                        language
+                    }
+                };
+            });
     }
 }
 
@@ -273,94 +296,16 @@ async function applyChunkConditions(chunks, chat, settings) {
         isGroupChat: settings.isGroupChat || false,
         currentCharacter: settings.currentCharacter || null,
         activeLorebookEntries: settings.activeLorebookEntries || [],
-        activationHistory: window.VectHare_ActivationHistory || {}
+        activationHistory: getChunkActivations(chat.length)
     });
 
     // Filter chunks by their conditions
     const conditionFilteredChunks = filterChunksByConditions(chunksWithConditions, context);
 
-    // Track activation for frequency conditions
-    conditionFilteredChunks.forEach(chunk => {
-        if (chunk.conditions?.enabled) {
-            trackChunkActivation(chunk.hash, chat.length);
-        }
-    });
-
     console.log(`VectHare: Chunk conditions filtered ${filtered.length} → ${conditionFilteredChunks.length}`);
     return conditionFilteredChunks;
 }
 
-/**
- * Tracks chunk activation for frequency/cooldown conditions
- * @param {number} hash Chunk hash
- * @param {number} messageCount Current message count
- */
-function trackChunkActivation(hash, messageCount) {
-    if (!window.VectHare_ActivationHistory) {
-        window.VectHare_ActivationHistory = {};
-    }
-
-    const history = window.VectHare_ActivationHistory[hash] || { count: 0, lastActivation: null };
-    window.VectHare_ActivationHistory[hash] = {
-        count: history.count + 1,
-        lastActivation: messageCount
-    };
-}
-
-/**
- * Rerank chunks using BananaBread's reranking endpoint
- * @param {string} query The search query
- * @param {Array} chunks Array of chunks with text
- * @param {object} settings VectHare settings
- * @returns {Promise<Array>} Chunks with updated scores from reranker
- */
-async function rerankWithBananaBread(query, chunks, settings) {
-    if (!chunks.length) return chunks;
-
-    const apiUrl = settings.use_alt_endpoint ? settings.alt_endpoint_url : 'http://localhost:8008';
-    const documents = chunks.map(c => c.text);
-
-    try {
-        const response = await fetch('/api/plugins/similharity/rerank', {
-            method: 'POST',
-            headers: getRequestHeaders(),
-            body: JSON.stringify({
-                apiUrl,
-                apiKey: settings.bananabread_api_key || '', // Include API key for authentication
-                query,
-                documents,
-                top_k: chunks.length
-            }),
-        });
-
-        if (!response.ok) {
-            console.warn('VectHare: Reranking failed, using original scores');
-            return chunks;
-        }
-
-        const data = await response.json();
-        if (!data.results || !Array.isArray(data.results)) {
-            return chunks;
-        }
-
-        // Apply rerank scores - results are sorted by score desc
-        // Each result has { index, score } where index refers to original position
-        const rerankedChunks = data.results.map(r => {
-            const chunk = { ...chunks[r.index] };
-            chunk.rerankScore = r.score;
-            chunk.originalScore = chunk.score;
-            chunk.score = r.score; // Replace score with rerank score
-            return chunk;
-        });
-
-        console.log(`VectHare: Reranked ${rerankedChunks.length} chunks with BananaBread`);
-        return rerankedChunks;
-    } catch (error) {
-        console.warn('VectHare: Reranking error:', error.message);
-        return chunks;
-    }
-}
-
 /**
  * Synchronizes chat with vector index using simple FIFO queue
  *
@@ -372,9 +317,10 @@ async function rerankWithBananaBread(query, chunks, settings) {
  *
  * @param {object} settings VectHare settings
  * @param {number} batchSize Number of messages to process per call
+ * @param {Set<number>|null} skipHashes Items to leave out of the queue (e.g. a job's failed items)
  * @returns {Promise<object>} Progress info
  */
-export async function synchronizeChat(settings, batchSize = 5) {
+export async function synchronizeChat(settings, batchSize = 5, skipHashes = null) {
     // Build proper collection ID using chat UUID first
     const collectionId = getChatCollectionId();
     if (!collectionId) {
@@ -428,7 +374,9 @@ export async function synchronizeChat(settings, batchSize = 5) {
                 text,
                 hash: getStringHash(substituteParams(getTextWithoutAttachments(msg))),
                 index: context.chat.indexOf(msg),
-                is_user: msg.is_user
+                is_user: msg.is_user,
+                name: msg.name,
+                sendDate: parseSendDate(msg.send_date) // Wall-clock decay
             });
         }
 
@@ -438,7 +386,7 @@ export async function synchronizeChat(settings, batchSize = 5) {
         // Filter out already vectorized items (by their grouped hash)
         const queue = new Queue();
         for (const item of groupedItems) {
-            if (!existingHashes.has(item.hash)) {
+            if (!existingHashes.has(item.hash) && !skipHashes?.has(item.hash)) {
                 queue.enqueue(item);
             }
         }
@@ -451,6 +399,8 @@ export async function synchronizeChat(settings, batchSize = 5) {
         let itemsProcessed = 0;
         let chunksCreated = 0;
         let itemsFailed = 0;
+        const failedItems = [];
+        const insertedItems = [];
 
         while (!queue.isEmpty() && itemsProcessed < batchSize) {
             const item = queue.dequeue();
@@ -463,6 +413,7 @@ export async function synchronizeChat(settings, batchSize = 5) {
                 if (chunks.length > 0) {
                     await insertVectorItems(collectionId, chunks, settings);
                     chunksCreated += chunks.length;
+                    insertedItems.push(item);
 
                     // Register on first successful insert (prevents ghost collections)
                     if (!isRegistered) {
@@ -475,6 +426,7 @@ export async function synchronizeChat(settings, batchSize = 5) {
                 // Log error but continue processing other items
                 console.warn(`VectHare: Failed to process item (hash: ${item.hash}, index: ${item.index}):`, itemError.message);
                 itemsFailed++;
+                failedItems.push({ hash: item.hash, index: item.index, error: itemError.message });
                 // Don't rethrow - continue with next item
             }
 
@@ -485,6 +437,16 @@ export async function synchronizeChat(settings, batchSize = 5) {
 
         progressTracker.updateCurrentItem(null);
 
+        // Knowledge graph: extract from what was just vectorized (runs in the background)
+        if (settings.graph_enabled && insertedItems.length > 0) {
+            const graphMessages = insertedItems
+                .flatMap(item => item.metadata?.messageIds || [item.metadata?.messageId ?? item.index])
+                .filter(onlyUnique)
+                .filter(index => context.chat[index] && !context.chat[index].is_system)
+                .map(index => toGraphMessage(context.chat[index], index));
+            queueGraphExtraction(collectionId, graphMessages, settings);
+        }
+
         if (itemsFailed > 0) {
             console.warn(`VectHare: Sync completed with ${itemsFailed} failed items out of ${itemsProcessed}`);
         }
@@ -493,7 +455,8 @@ export async function synchronizeChat(settings, batchSize = 5) {
             remaining: queue.size,
             messagesProcessed: itemsProcessed,
             chunksCreated,
-            itemsFailed
+            itemsFailed,
+            failedItems
         };
     } catch (error) {
         console.error('VectHare: Sync failed', error);
@@ -549,98 +512,51 @@ function gatherCollectionsToQuery(settings) {
     return collectionsToQuery;
 }
 
-/**
- * Stage 2: Build the search query from recent messages
- * @param {object[]} chat Current chat messages
- * @param {object} settings VectHare settings
- * @returns {string} Query text
- */
-function buildSearchQuery(chat, settings) {
-    const recentMessages = chat
-        .filter(x => !x.is_system)
-        .reverse()
-        .slice(0, settings.query)
-        .map(x => substituteParams(x.mes));
-
-    return recentMessages.join('\n').trim();
-}
-
 /**
  * Stage 3: Query all active collections and merge results
+ * Plans with several queries (weighted, multi-query) search each collection
+ * once per query and fuse the lists with RRF.
  * @param {string[]} activeCollections Collections that passed activation filters
- * @param {string} queryText Search query
+ * @param {import('./query-builder.js').QueryPlan} queryPlan Search queries
  * @param {object} settings VectHare settings
  * @param {object[]} chat Current chat messages
  * @param {object} debugData Debug tracking object
  * @returns {Promise<object[]>} Array of chunk objects with scores
  */
-async function queryAndMergeCollections(activeCollections, queryText, settings, chat, debugData) {
+async function queryAndMergeCollections(activeCollections, queryPlan, settings, chat, debugData) {
     let chunksForVisualizer = [];
     const effectiveTopK = settings.top_k ?? settings.insert;
+    // MMR needs a wider candidate pool to choose from; the diversity stage trims back to top-K
+    const candidatePool = settings.mmr_enabled
+        ? effectiveTopK * (settings.mmr_candidate_multiplier || DEFAULT_MMR_CANDIDATE_MULTIPLIER)
+        : effectiveTopK;
+    const { queries } = queryPlan;
 
     for (const collectionId of activeCollections) {
         try {
-            const queryResults = await queryCollection(collectionId, queryText, effectiveTopK, settings);
-
-            // TRACE: Vector query results for this collection
-            addTrace(debugData, 'vector_search', `Query completed for ${collectionId}`, {
-                hashesReturned: queryResults.hashes.length,
-                hashes: queryResults.hashes.slice(0, 5),
-                scoreBreakdown: queryResults.metadata.slice(0, 5).map(m => ({
-                    finalScore: m.score?.toFixed(3),
-                    originalScore: m.originalScore?.toFixed(3),
-                    keywordBoost: m.keywordBoost?.toFixed(2) || '1.00',
-                    matchedKeywords: m.matchedKeywords || [],
-                    keywordBoosted: m.keywordBoosted || false
-                }))
-            });
-
-            console.log(`VectHare: Retrieved ${queryResults.hashes.length} chunks from ${collectionId}`);
-
-            // Build chunks with text for visualizer
-            const collectionChunks = queryResults.metadata.map((meta, idx) => {
-                const hash = queryResults.hashes[idx];
+            let collectionChunks;
 
-                // Prefer text from metadata (stored in vector DB)
-                let text = meta.text;
-                let textSource = 'metadata';
-
-                // Fallback: try to find in chat messages if not in metadata
-                if (!text) {
-                    const chatMessage = chat.find(msg =>
-                        msg.mes && getStringHash(substituteParams(getTextWithoutAttachments(msg))) === hash
-                    );
-                    text = chatMessage ? substituteParams(chatMessage.mes) : '(text not found)';
-                    textSource = chatMessage ? 'chat_lookup' : 'not_found';
+            if (queries.length === 1) {
+                collectionChunks = await retrieveFromCollection(collectionId, queries[0], candidatePool, settings, chat, debugData);
+            } else {
+                const resultLists = [];
+                for (const query of queries) {
+                    resultLists.push(await retrieveFromCollection(collectionId, query, candidatePool, settings, chat, debugData));
                 }
-
-                // TRACE: Record initial chunk state
-                recordChunkFate(debugData, hash, 'vector_search', 'passed', null, {
-                    finalScore: meta.score || 1.0,
-                    originalScore: meta.originalScore,
-                    keywordBoost: meta.keywordBoost,
-                    matchedKeywords: meta.matchedKeywords,
-                    textSource,
-                    textLength: text?.length || 0,
-                    collectionId
+                collectionChunks = fuseQueryResults(resultLists, queries).slice(0, candidatePool);
+
+                // TRACE: Multi-query fusion for this collection
+                addTrace(debugData, 'query', `Fused ${queries.length} queries for ${collectionId}`, {
+                    perQuery: queries.map((q, i) => ({ query: q.label, weight: q.weight.toFixed(2), hits: resultLists[i].length })),
+                    fusedCount: collectionChunks.length,
+                    topHits: collectionChunks.slice(0, 5).map(c => ({
+                        hash: c.hash,
+                        score: c.score.toFixed(3),
+                        fusion: c.fusionScore.toFixed(3),
+                        foundBy: c.queryHits.map(h => `${h.query} #${h.rank}`)
+                    }))
                 });
-
-                return {
-                    hash: hash,
-                    metadata: meta,
-                    score: meta.score || 1.0,
-                    originalScore: meta.originalScore,
-                    keywordBoost: meta.keywordBoost,
-                    matchedKeywords: meta.matchedKeywords,
-                    matchedKeywordsWithWeights: meta.matchedKeywordsWithWeights,
-                    keywordBoosted: meta.keywordBoosted,
-                    similarity: meta.score || 1.0,
-                    text: text,
-                    index: meta.messageId || meta.index || 0,
-                    collectionId: collectionId,
-                    decayApplied: false
-                };
-            });
+            }
 
             chunksForVisualizer.push(...collectionChunks);
         } catch (error) {
@@ -651,13 +567,262 @@ async function queryAndMergeCollections(activeCollections, queryText, settings,
         }
     }
 
-    // Sort merged results by score (descending) and limit to topK
+    // Sort merged results by score (descending) and limit to topK (or the MMR candidate pool)
     chunksForVisualizer.sort((a, b) => b.score - a.score);
-    chunksForVisualizer = chunksForVisualizer.slice(0, effectiveTopK);
+    chunksForVisualizer = chunksForVisualizer.slice(0, candidatePool);
 
     return chunksForVisualizer;
 }
 
+/**
+ * Stage 3 (per query): Vector search one collection, then fuse lexical hits
+ * @param {string} collectionId Collection to search
+ * @param {{label: string, text: string}} query Query from the query plan
+ * @param {number} candidatePool Number of results to keep
+ * @param {object} settings VectHare settings
+ * @param {object[]} chat Current chat messages
+ * @param {object} debugData Debug tracking object
+ * @returns {Promise<object[]>} Chunks sorted by score
+ */
+async function retrieveFromCollection(collectionId, query, candidatePool, settings, chat, debugData) {
+    const queryText = query.text;
+    let queryResults = await queryCollection(collectionId, queryText, candidatePool, settings);
+    if (queryResults.queryVector) {
+        query.vector = queryResults.queryVector;
+    }
+    queryResults = await excludeConsolidatedChildren(collectionId, queryText, queryResults, candidatePool, settings, debugData);
+
+    // TRACE: Vector query results for this collection
+    addTrace(debugData, 'vector_search', `Query completed for ${collectionId}`, {
+        query: query.label,
+        hashesReturned: queryResults.hashes.length,
+        hashes: queryResults.hashes.slice(0, 5),
+        scoreBreakdown: queryResults.metadata.slice(0, 5).map(m => ({
+            finalScore: m.score?.toFixed(3),
+            originalScore: m.originalScore?.toFixed(3),
+            keywordBoost: m.keywordBoost?.toFixed(2) || '1.00',
+            matchedKeywords: m.matchedKeywords || [],
+            keywordBoosted: m.keywordBoosted || false
+        }))
+    });
+
+    console.log(`VectHare: Retrieved ${queryResults.hashes.length} chunks from ${collectionId} (${query.label})`);
+
+    // Build chunks with text for visualizer
+    const collectionChunks = queryResults.metadata.map((meta, idx) => {
+        const hash = queryResults.hashes[idx];
+
+        // Prefer text from metadata (stored in vector DB)
+        let text = meta.text;
+        let textSource = 'metadata';
+
+        // Fallback: try to find in chat messages if not in metadata
+        if (!text) {
+            const chatMessage = chat.find(msg =>
+                msg.mes && getStringHash(substituteParams(getTextWithoutAttachments(msg))) === hash
+            );
+            text = chatMessage ? substituteParams(chatMessage.mes) : '(text not found)';
+            textSource = chatMessage ? 'chat_lookup' : 'not_found';
+        }
+
+        // TRACE: Record initial chunk state
+        recordChunkFate(debugData, hash, 'vector_search', 'passed', null, {
+            finalScore: meta.score || 1.0,
+            originalScore: meta.originalScore,
+            keywordBoost: meta.keywordBoost,
+            matchedKeywords: meta.matchedKeywords,
+            textSource,
+            textLength: text?.length || 0,
+            collectionId,
+            query: query.label
+        });
+
+        return {
+            hash: hash,
+            metadata: meta,
+            score: meta.score || 1.0,
+            originalScore: meta.originalScore,
+            keywordBoost: meta.keywordBoost,
+            matchedKeywords: meta.matchedKeywords,
+            matchedKeywordsWithWeights: meta.matchedKeywordsWithWeights,
+            keywordBoosted: meta.keywordBoosted,
+            similarity: meta.score || 1.0,
+            text: text,
+            index: meta.messageId || meta.index || 0,
+            collectionId: collectionId,
+            decayApplied: false
+        };
+    });
+
+    // Hybrid search: fuse BM25 lexical hits into this collection's results
+    return fuseLexicalResults(collectionId, collectionChunks, queryText, settings, candidatePool, debugData);
+}
+
+/**
+ * Stage 3 (consolidation): Drop chunks rolled up into a live consolidation node
+ * from a vector query. They're only reached through their node, so when they
+ * take top-K slots the collection is queried again, wider, to fill them.
+ *
+ * @param {string} collectionId Collection that was queried
+ * @param {string} queryText Search query
+ * @param {{hashes: number[], metadata: object[], queryVector: number[]|null}} queryResults Results from queryCollection
+ * @param {number} candidatePool Number of results to keep
+ * @param {object} settings VectHare settings
+ * @param {object} debugData Debug tracking object
+ * @returns {Promise<{hashes: number[], metadata: object[], queryVector: number[]|null}>} Results without hidden children
+ */
+async function excludeConsolidatedChildren(collectionId, queryText, queryResults, candidatePool, settings, debugData) {
+    if (settings.consolidation_hide_children === false || !queryResults.hashes.some(hash => getConsolidatedParent(hash) !== null)) {
+        return queryResults;
+    }
+
+    let index;
+    try {
+        index = await getLexicalIndex(collectionId, settings);
+    } catch (error) {
+        console.warn(`VectHare: Could not check consolidated chunks in ${collectionId}:`, error.message);
+        return queryResults;
+    }
+    const isHidden = hash => {
+        const parent = getConsolidatedParent(hash);
+        return parent !== null && !!index.getChunk(parent);
+    };
+
+    let results = queryResults;
+    let fetched = candidatePool;
+    for (let attempt = 0; attempt < CONSOLIDATION_REQUERY_ATTEMPTS; attempt++) {
+        const visible = results.hashes.filter(hash => !isHidden(hash)).length;
+        // Stop once the pool is full or the collection has nothing more to give
+        if (visible >= candidatePool || results.hashes.length < fetched) {
+            break;
+        }
+        fetched += candidatePool - visible;
+        results = await queryCollection(collectionId, queryText, fetched, settings);
+    }
+
+    const kept = { hashes: [], metadata: [], queryVector: results.queryVector };
+    let hidden = 0;
+    results.hashes.forEach((hash, idx) => {
+        if (isHidden(hash)) {
+            hidden++;
+            recordChunkFate(debugData, hash, 'consolidation', 'dropped',
+                `Consolidated into #${getConsolidatedParent(hash)} - only reached through its summary`,
+                { parentHash: getConsolidatedParent(hash) });
+        } else if (kept.hashes.length < candidatePool) {
+            kept.hashes.push(hash);
+            kept.metadata.push(results.metadata[idx]);
+        }
+    });
+
+    addTrace(debugData, 'consolidation', `Excluded rolled-up chunks from ${collectionId}`, {
+        fetched,
+        hidden,
+        kept: kept.hashes.length
+    });
+
+    return kept;
+}
+
+/**
+ * Stage 4 (hybrid): Fuse BM25 lexical results into a collection's vector results
+ * Catches exact-term matches (names, spells, invented words) that embeddings miss.
+ * The fused score only orders the list: `score` stays the vector similarity
+ * (0 for lexical-only hits), so the threshold and the cross-collection sort
+ * keep comparing similarities. Lexical hits can optionally bypass the threshold.
+ *
+ * @param {string} collectionId Collection that was queried
+ * @param {object[]} vectorChunks Chunks from the vector query (sorted by score)
+ * @param {string} queryText Search query
+ * @param {object} settings VectHare settings
+ * @param {number} topK Number of results to keep for this collection
+ * @param {object} debugData Debug tracking object
+ * @returns {Promise<object[]>} Fused chunks sorted by fusedScore, or vectorChunks unchanged if hybrid is off
+ */
+async function fuseLexicalResults(collectionId, vectorChunks, queryText, settings, topK, debugData) {
+    const hybrid = resolveHybridSettings(collectionId, settings);
+    if (!hybrid.enabled) {
+        return vectorChunks;
+    }
+
+    let lexicalResults;
+    try {
+        const index = await getLexicalIndex(collectionId, settings);
+        lexicalResults = index.search(queryText, getOverfetchAmount(topK));
+    } catch (error) {
+        console.warn(`VectHare: Lexical search failed for ${collectionId}, using vector results only:`, error.message);
+        addTrace(debugData, 'lexical_search', `Lexical search failed for ${collectionId}`, {
+            error: error.message
+        });
+        return vectorChunks;
+    }
+
+    const fused = fuseResults(vectorChunks, lexicalResults, hybrid).slice(0, topK);
+    const vectorByHash = new Map(vectorChunks.map(chunk => [String(chunk.hash), chunk]));
+    const lexicalByHash = new Map(lexicalResults.map(result => [String(result.hash), result]));
+
+    const merged = fused.map(entry => {
+        const lexicalMatch = entry.lexicalRank !== null;
+        const hybridFields = {
+            fusedScore: entry.fusedScore,
+            vectorScore: entry.vectorScore,
+            lexicalScore: entry.lexicalScore,
+            lexicalMatch,
+            matchedTerms: entry.matchedTerms,
+            fusionMethod: hybrid.fusionMethod,
+            thresholdExempt: lexicalMatch && hybrid.bypassThreshold
+        };
+
+        const vectorChunk = vectorByHash.get(entry.key);
+        if (vectorChunk) {
+            return { ...vectorChunk, ...hybridFields };
+        }
+
+        // Lexical-only hit - the vector query never returned it
+        const lexicalChunk = lexicalByHash.get(entry.key).chunk;
+        const meta = lexicalChunk.metadata || {};
+
+        recordChunkFate(debugData, lexicalChunk.hash, 'lexical_search', 'passed', 'Lexical-only match', {
+            lexicalScore: entry.lexicalScore,
+            lexicalRank: entry.lexicalRank,
+            matchedTerms: entry.matchedTerms,
+            fusedScore: entry.fusedScore,
+            collectionId
+        });
+
+        return {
+            hash: lexicalChunk.hash,
+            metadata: meta,
+            score: 0,
+            originalScore: 0,
+            keywordBoost: 1,
+            matchedKeywords: [],
+            matchedKeywordsWithWeights: [],
+            keywordBoosted: false,
+            similarity: 0,
+            text: lexicalChunk.text,
+            index: meta.messageId ?? (lexicalChunk.index >= 0 ? lexicalChunk.index : 0),
+            collectionId: collectionId,
+            decayApplied: false,
+            ...hybridFields
+        };
+    });
+
+    addTrace(debugData, 'lexical_search', `Hybrid fusion completed for ${collectionId}`, {
+        fusionMethod: hybrid.fusionMethod,
+        vectorWeight: hybrid.fusionMethod === 'weighted' ? hybrid.vectorWeight : undefined,
+        vectorHits: vectorChunks.length,
+        lexicalHits: lexicalResults.length,
+        lexicalOnly: merged.filter(c => c.lexicalMatch && c.vectorScore === null).length,
+        topTerms: lexicalResults.slice(0, 5).map(r => ({
+            hash: r.hash,
+            bm25: r.score.toFixed(3),
+            terms: r.matchedTerms
+        }))
+    });
+
+    return merged;
+}
+
 /**
  * Stage 3.5: Expand summary chunks to their parent chunks (dual-vector system)
  * When a summary chunk matches a query, we want to inject the full parent text instead.
@@ -742,7 +907,8 @@ async function expandSummaryChunks(chunks, activeCollections, settings, debugDat
                                 ...parentData,
                                 expandedFromSummary: true,
                                 originalSummaryHash: summaryChunk.hash,
-                                originalSummaryScore: summaryChunk.score
+                                originalSummaryScore: summaryChunk.score,
+                                originalSummaryText: summaryChunk.text
                             },
                             // Keep summary's score since that's what matched the query
                             score: summaryChunk.score,
@@ -800,6 +966,232 @@ async function expandSummaryChunks(chunks, activeCollections, settings, debugDat
     return expandedChunks;
 }
 
+/**
+ * Ranks chunks by how well they match the query: cosine similarity when every
+ * candidate has a stored vector, query-term overlap otherwise
+ * @param {object[]} candidates Chunk metadata (with hash and text)
+ * @param {string} collectionId Collection the candidates live in
+ * @param {string} queryText Search query
+ * @param {number[]|null} queryVector Query embedding, if available
+ * @param {object} settings VectHare settings
+ * @returns {Promise<Array<{meta: object, similarity: number}>>} Best match first
+ */
+async function rankByQuery(candidates, collectionId, queryText, queryVector, settings) {
+    let vectors = new Map();
+    if (queryVector) {
+        try {
+            vectors = await getChunkVectors(collectionId, candidates.map(meta => meta.hash), settings);
+        } catch (error) {
+            console.warn('VectHare: Could not load child vectors, ranking by term overlap:', error.message);
+        }
+    }
+
+    const useVectors = queryVector && candidates.every(meta => vectors.has(String(meta.hash)));
+    const queryTokens = new Set(tokenizeForLexicalSearch(queryText));
+
+    return candidates.map(meta => {
+        if (useVectors) {
+            return { meta, similarity: Cosine.similarity(queryVector, vectors.get(String(meta.hash))) };
+        }
+        const tokens = new Set(tokenizeForLexicalSearch(meta.text || ''));
+        const shared = [...queryTokens].filter(token => tokens.has(token)).length;
+        return { meta, similarity: queryTokens.size > 0 ? shared / queryTokens.size : 0 };
+    }).sort((a, b) => b.similarity - a.similarity);
+}
+
+/**
+ * Walks down from a consolidation node to the raw chunks that best match the
+ * query, following the top `count` children at each tier
+ * @param {object} node Matched node chunk
+ * @param {import('./hybrid-search.js').BM25Index} index Lexical index of the node's collection
+ * @param {string} queryText Search query
+ * @param {number[]|null} queryVector Query embedding, if available
+ * @param {number} count Children to follow per tier
+ * @param {object} settings VectHare settings
+ * @returns {Promise<Array<{meta: object, similarity: number}>>}
+ */
+async function pickConsolidatedLeaves(node, index, queryText, queryVector, count, settings) {
+    let frontier = [{ meta: { ...node.metadata, hash: node.hash }, similarity: node.score }];
+    const leaves = [];
+    const seen = new Set([String(node.hash)]);
+
+    while (frontier.length > 0) {
+        const candidates = [];
+        for (const entry of frontier) {
+            const info = getConsolidationNode(entry.meta);
+            if (!info) {
+                leaves.push(entry);
+                continue;
+            }
+            for (const childHash of info.childHashes) {
+                const child = index.getChunk(childHash);
+                if (child && !seen.has(String(childHash))) {
+                    seen.add(String(childHash));
+                    candidates.push({ ...child.metadata, hash: child.hash, text: child.text });
+                }
+            }
+        }
+
+        if (candidates.length === 0) {
+            break;
+        }
+        frontier = (await rankByQuery(candidates, node.collectionId, queryText, queryVector, settings)).slice(0, count);
+    }
+
+    return leaves;
+}
+
+/**
+ * Stage 4.6: Consolidated memory (see core/consolidation.js)
+ * Raw chunks that were rolled up into a batch/chapter/arc summary are hidden
+ * from direct retrieval (vector hits already are, in excludeConsolidatedChildren;
+ * this catches lexical and expanded ones). When a summary node matches, retrieval descends from
+ * it to the raw chunks that best match the query; they inherit the node's
+ * score, like expanded summaries do. The node itself stays in the results.
+ * Children are looked up in the cached lexical index and ranked with the
+ * query's retrieval embedding, so descent adds no listing or embedding calls.
+ *
+ * @param {object[]} chunks Chunks after summary expansion
+ * @param {{text: string, vector?: number[]}} query Query from the query plan (vector when retrieval embedded it)
+ * @param {object} settings VectHare settings
+ * @param {object} debugData Debug tracking object
+ * @returns {Promise<object[]>} Chunks with children hidden and descended chunks added
+ */
+async function descendConsolidatedChunks(chunks, query, settings, debugData) {
+    const hideChildren = settings.consolidation_hide_children !== false;
+    const descendCount = Math.max(0, Number(settings.consolidation_descend_count) || 0);
+
+    const nodes = chunks.filter(chunk => getConsolidationNode({ ...chunk.metadata, hash: chunk.hash }));
+    const children = hideChildren ? chunks.filter(chunk => getConsolidatedParent(chunk.hash) !== null) : [];
+    if (nodes.length === 0 && children.length === 0) {
+        return chunks;
+    }
+
+    // Cached lexical indexes: the children's text, and whether a child's node still exists
+    const indexes = new Map();
+    for (const collectionId of new Set([...nodes, ...children].map(chunk => chunk.collectionId))) {
+        try {
+            indexes.set(collectionId, await getLexicalIndex(collectionId, settings));
+        } catch (error) {
+            console.warn(`VectHare: Failed to load consolidated chunks from ${collectionId}:`, error.message);
+            indexes.set(collectionId, null);
+        }
+    }
+
+    let hidden = 0;
+    const result = chunks.filter(chunk => {
+        const parent = hideChildren ? getConsolidatedParent(chunk.hash) : null;
+        if (parent === null || !indexes.get(chunk.collectionId)?.getChunk(parent)) {
+            return true;
+        }
+        hidden++;
+        recordChunkFate(debugData, chunk.hash, 'consolidation', 'dropped',
+            `Consolidated into #${parent} - only reached through its summary`, { parentHash: parent });
+        return false;
+    });
+
+    let descended = 0;
+    if (descendCount > 0 && nodes.length > 0) {
+        // Without a browser-side query vector (server-side embedding), rank by term overlap
+        const queryVector = query.vector || null;
+
+        const present = new Set(result.map(chunk => String(chunk.hash)));
+        for (const node of nodes) {
+            const index = indexes.get(node.collectionId);
+            if (!index) {
+                continue;
+            }
+
+            const tier = getConsolidationNode({ ...node.metadata, hash: node.hash }).tier;
+            const leaves = await pickConsolidatedLeaves(node, index, query.text, queryVector, descendCount, settings);
+            for (const { meta, similarity } of leaves) {
+                if (present.has(String(meta.hash))) {
+                    continue;
+                }
+                present.add(String(meta.hash));
+
+                result.push({
+                    ...node,
+                    hash: meta.hash,
+                    text: meta.text,
+                    index: meta.index,
+                    metadata: { ...meta, descendedFrom: node.hash },
+                    score: node.score,
+                    originalScore: node.originalScore,
+                    descendedFrom: node.hash,
+                });
+                descended++;
+
+                recordChunkFate(debugData, meta.hash, 'consolidation', 'passed',
+                    `Descended from ${tier} summary #${node.hash}`, {
+                        nodeHash: node.hash,
+                        tier,
+                        similarity: similarity?.toFixed(3),
+                        inheritedScore: node.score?.toFixed(3)
+                    });
+            }
+        }
+    }
+
+    addTrace(debugData, 'consolidation', 'Consolidated memory applied', {
+        nodesMatched: nodes.length,
+        childrenHidden: hidden,
+        childrenDescended: descended,
+        finalCount: result.length
+    });
+
+    return result;
+}
+
+/**
+ * Stage 5 (rerank): Re-score chunks with the selected reranker
+ * Traces latency and each chunk's score/rank change.
+ *
+ * @param {object[]} chunks Chunks to rerank
+ * @param {string} queryText Search query
+ * @param {object} settings VectHare settings
+ * @param {object} debugData Debug tracking object
+ * @returns {Promise<object[]>} Reranked chunks (unchanged if the reranker failed)
+ */
+async function applyRerankStage(chunks, queryText, settings, debugData) {
+    addTrace(debugData, 'rerank', 'Starting reranking', {
+        reranker: getActiveReranker(settings),
+        chunks: chunks.length,
+        query: queryText.substring(0, 100)
+    });
+
+    const { chunks: reranked, report } = await rerankChunks(queryText, chunks, settings);
+
+    if (report.error) {
+        addTrace(debugData, 'rerank', `${report.name} failed - keeping original scores`, {
+            error: report.error,
+            latencyMs: report.latencyMs
+        });
+        return chunks;
+    }
+
+    for (const d of report.deltas.filter(d => d.scored)) {
+        recordChunkFate(debugData, d.hash, 'rerank', 'passed',
+            `Rescored by ${report.name}: ${d.before.toFixed(3)} → ${d.after.toFixed(3)} (rank ${d.rankBefore} → ${d.rankAfter})`,
+            { before: d.before, after: d.after, delta: d.delta }
+        );
+    }
+
+    addTrace(debugData, 'rerank', `Reranking complete (${report.name})`, {
+        latencyMs: report.latencyMs,
+        rerankedCount: report.deltas.filter(d => d.scored).length,
+        scoreDeltas: report.deltas.slice(0, 10).map(d => ({
+            hash: String(d.hash).substring(0, 8),
+            before: d.before?.toFixed(3),
+            after: d.after?.toFixed(3),
+            delta: (d.delta >= 0 ? '+' : '') + d.delta.toFixed(3),
+            rank: `${d.rankBefore} → ${d.rankAfter}`
+        }))
+    });
+
+    return reranked;
+}
+
 /**
  * Stage 4: Apply threshold filter to chunks
  * @param {object[]} chunks Chunks to filter
@@ -810,8 +1202,13 @@ async function expandSummaryChunks(chunks, activeCollections, settings, debugDat
 function applyThresholdFilter(chunks, threshold, debugData) {
     const beforeCount = chunks.length;
     const filtered = chunks.filter(chunk => {
-        const passes = chunk.score >= threshold;
-        if (!passes) {
+        const passes = chunk.score >= threshold || chunk.thresholdExempt === true;
+        if (passes && chunk.score < threshold) {
+            recordChunkFate(debugData, chunk.hash, 'threshold', 'passed',
+                `Lexical match on [${(chunk.matchedTerms || []).join(', ')}] bypasses threshold ${threshold}`,
+                { score: chunk.score, threshold, lexicalBypass: true }
+            );
+        } else if (!passes) {
             recordChunkFate(debugData, chunk.hash, 'threshold', 'dropped',
                 `Score ${chunk.score.toFixed(3)} < threshold ${threshold}`,
                 { score: chunk.score, threshold }
@@ -834,6 +1231,20 @@ function applyThresholdFilter(chunks, threshold, debugData) {
     return filtered;
 }
 
+/**
+ * Resolves the temporal weighting for a chunk: its collection's own settings
+ * when it has any, otherwise the global temporal_decay settings
+ * @param {object} chunk Chunk with collectionId
+ * @param {object} settings VectHare settings
+ * @returns {object|null} Decay settings
+ */
+function resolveChunkDecaySettings(chunk, settings) {
+    if (chunk.collectionId && hasCustomDecaySettings(chunk.collectionId)) {
+        return getCollectionDecaySettings(chunk.collectionId);
+    }
+    return settings.temporal_decay || null;
+}
+
 /**
  * Stage 5: Apply temporal decay to chunks
  * @param {object[]} chunks Chunks to process
@@ -844,7 +1255,18 @@ function applyThresholdFilter(chunks, threshold, debugData) {
  * @returns {object[]} Chunks with decay applied
  */
 function applyTemporalDecayStage(chunks, chat, settings, threshold, debugData) {
-    if (!settings.temporal_decay || !settings.temporal_decay.enabled) {
+    // Group chunks by collection, since each collection can weight differently
+    const groups = new Map();
+    for (const chunk of chunks) {
+        const key = chunk.collectionId || '';
+        if (!groups.has(key)) {
+            groups.set(key, { decaySettings: resolveChunkDecaySettings(chunk, settings), chunks: [] });
+        }
+        groups.get(key).chunks.push(chunk);
+    }
+    const activeGroups = [...groups.values()].filter(group => group.decaySettings?.enabled);
+
+    if (activeGroups.length === 0) {
         addTrace(debugData, 'decay', 'Temporal decay skipped (disabled)', { enabled: false });
         chunks.forEach(chunk => {
             recordChunkFate(debugData, chunk.hash, 'decay', 'passed', 'Decay disabled', {
@@ -854,75 +1276,93 @@ function applyTemporalDecayStage(chunks, chat, settings, threshold, debugData) {
         return chunks;
     }
 
+    // Search debug shows one decay summary; report the weighting actually used
+    if (!settings.temporal_decay?.enabled) {
+        debugData.settings.temporal_decay = activeGroups[0].decaySettings;
+    }
+
     const beforeCount = chunks.length;
     addTrace(debugData, 'decay', 'Starting temporal decay', {
         enabled: true,
-        sceneAware: settings.temporal_decay.sceneAware,
-        halfLife: settings.temporal_decay.halfLife || settings.temporal_decay.half_life,
-        strength: settings.temporal_decay.strength || settings.temporal_decay.rate
+        collections: activeGroups.map(group => ({
+            collectionId: group.chunks[0].collectionId,
+            type: group.decaySettings.type || 'decay',
+            mode: group.decaySettings.mode,
+            halfLife: group.decaySettings.halfLife,
+            sceneAware: group.decaySettings.sceneAware,
+            reinforcement: group.decaySettings.reinforcement || 'off',
+            clock: group.decaySettings.clock || 'messages'
+        }))
     });
 
     const currentMessageId = chat.length - 1;
-    const chunksWithScores = chunks.map(chunk => ({
-        hash: chunk.hash,
-        metadata: chunk.metadata,
-        score: chunk.score
-    }));
-
-    let decayedChunks;
-    let decayType = 'standard';
-
-    // Use scene-aware decay if enabled and scenes exist
-    if (settings.temporal_decay.sceneAware) {
-        const sceneChunks = chunks.filter(c => c.metadata?.isScene === true);
-        const scenes = sceneChunks.map(c => ({
-            start: c.metadata.sceneStart,
-            end: c.metadata.sceneEnd,
-            hash: c.hash,
+    const recallContext = { chat, activations: getChunkActivations(chat.length), now: Date.now() };
+    const decayedChunks = [];
+
+    for (const group of activeGroups) {
+        const decaySettings = group.decaySettings;
+        const chunksWithScores = group.chunks.map(chunk => ({
+            hash: chunk.hash,
+            metadata: chunk.metadata,
+            score: chunk.score
         }));
 
-        if (scenes.length > 0) {
-            decayedChunks = applySceneAwareDecay(chunksWithScores, currentMessageId, scenes, settings.temporal_decay);
-            decayType = 'scene_aware';
-            console.log('VectHare: Applied scene-aware temporal decay to search results');
+        let groupResults;
+        let decayType = 'standard';
+
+        if (decaySettings.type === 'nostalgia') {
+            groupResults = applyNostalgiaToResults(chunksWithScores, currentMessageId, decaySettings);
+            decayType = 'nostalgia';
+        } else if (decaySettings.sceneAware) {
+            // Use scene-aware decay if enabled and scenes exist
+            const sceneChunks = chunks.filter(c => c.metadata?.isScene === true);
+            const scenes = sceneChunks.map(c => ({
+                start: c.metadata.sceneStart,
+                end: c.metadata.sceneEnd,
+                hash: c.hash,
+            }));
+
+            if (scenes.length > 0) {
+                groupResults = applySceneAwareDecay(chunksWithScores, currentMessageId, scenes, decaySettings, recallContext);
+                decayType = 'scene_aware';
+            } else {
+                groupResults = applyDecayToResults(chunksWithScores, currentMessageId, decaySettings, recallContext);
+                decayType = 'standard_no_scenes';
+            }
         } else {
-            decayedChunks = applyDecayToResults(chunksWithScores, currentMessageId, settings.temporal_decay);
-            decayType = 'standard_no_scenes';
-            console.log('VectHare: Applied temporal decay to search results (no scenes marked)');
+            groupResults = applyDecayToResults(chunksWithScores, currentMessageId, decaySettings, recallContext);
         }
-    } else {
-        decayedChunks = applyDecayToResults(chunksWithScores, currentMessageId, settings.temporal_decay);
-        console.log('VectHare: Applied temporal decay to search results');
+
+        groupResults.forEach(result => decayedChunks.push({ ...result, decayType }));
     }
+    console.log(`VectHare: Applied temporal weighting to search results (${activeGroups.length} collection${activeGroups.length === 1 ? '' : 's'})`);
 
     decayedChunks.sort((a, b) => b.score - a.score);
 
     // Map decay results back to chunks and record fate
     let result = chunks.map(chunk => {
         const decayedChunk = decayedChunks.find(dc => dc.hash === chunk.hash);
-        if (decayedChunk && (decayedChunk.decayApplied || decayedChunk.sceneAwareDecay)) {
+        if (decayedChunk && (decayedChunk.decayApplied || decayedChunk.sceneAwareDecay || decayedChunk.nostalgiaApplied)) {
             const decayMultiplier = decayedChunk.score / (decayedChunk.originalScore || 1);
             const newScore = decayedChunk.score;
-            const stillAboveThreshold = newScore >= threshold;
+            const stillAboveThreshold = newScore >= threshold || chunk.thresholdExempt === true;
+            const fateData = {
+                originalScore: decayedChunk.originalScore,
+                decayedScore: newScore,
+                decayMultiplier,
+                messageAge: decayedChunk.messageAge ?? decayedChunk.effectiveAge,
+                decayType: decayedChunk.decayType,
+                ...(decayedChunk.recalls ? { recalls: decayedChunk.recalls, effectiveAge: decayedChunk.effectiveAge } : {}),
+                ...(decayedChunk.halfLifeScale && decayedChunk.halfLifeScale !== 1 ? { halfLifeScale: decayedChunk.halfLifeScale } : {}),
+                ...(Number.isFinite(decayedChunk.ageHours) ? { ageHours: Math.round(decayedChunk.ageHours * 10) / 10 } : {})
+            };
 
             if (stillAboveThreshold) {
-                recordChunkFate(debugData, chunk.hash, 'decay', 'passed', null, {
-                    originalScore: decayedChunk.originalScore,
-                    decayedScore: newScore,
-                    decayMultiplier,
-                    messageAge: decayedChunk.messageAge || decayedChunk.effectiveAge,
-                    decayType
-                });
+                recordChunkFate(debugData, chunk.hash, 'decay', 'passed', null, fateData);
             } else {
                 recordChunkFate(debugData, chunk.hash, 'decay', 'dropped',
                     `Decayed score ${newScore.toFixed(3)} < threshold ${threshold}`,
-                    {
-                        originalScore: decayedChunk.originalScore,
-                        decayedScore: newScore,
-                        decayMultiplier,
-                        messageAge: decayedChunk.messageAge || decayedChunk.effectiveAge,
-                        decayType
-                    }
+                    fateData
                 );
             }
 
@@ -930,10 +1370,11 @@ function applyTemporalDecayStage(chunks, chat, settings, threshold, debugData) {
                 ...chunk,
                 score: newScore,
                 originalScore: decayedChunk.originalScore,
-                messageAge: decayedChunk.messageAge || decayedChunk.effectiveAge,
+                messageAge: decayedChunk.messageAge ?? decayedChunk.effectiveAge,
                 decayApplied: true,
                 sceneAwareDecay: decayedChunk.sceneAwareDecay || false,
-                decayMultiplier
+                decayMultiplier,
+                recalls: decayedChunk.recalls || 0
             };
         }
 
@@ -943,11 +1384,10 @@ function applyTemporalDecayStage(chunks, chat, settings, threshold, debugData) {
         return chunk;
     });
 
-    // Re-filter by threshold after decay
-    result = result.filter(c => c.score >= threshold);
+    // Re-filter by threshold after decay (lexical matches may be exempt)
+    result = result.filter(c => c.score >= threshold || c.thresholdExempt === true);
 
     addTrace(debugData, 'decay', 'Temporal decay completed', {
-        decayType,
         before: beforeCount,
         after: result.length,
         dropped: beforeCount - result.length
@@ -1005,6 +1445,56 @@ async function applyConditionsStage(chunks, chat, settings, debugData) {
     return filtered;
 }
 
+/**
+ * Stage 8.1: World Info style timed effects from the chat's activation history
+ * - Drops chunks still on cooldown from an earlier injection
+ * - Adds chunks that are still sticky, even when they weren't retrieved this time
+ * @param {object[]} chunks Chunks that passed conditions
+ * @param {object[]} chat Current chat messages
+ * @param {object} debugData Debug tracking object
+ * @returns {object[]} Chunks after timed effects
+ */
+function applyTimedEffectsStage(chunks, chat, debugData) {
+    const messageCount = chat.length;
+    const kept = [];
+    let onCooldown = 0;
+
+    for (const chunk of chunks) {
+        const timed = getTimedState(chunk.hash, messageCount);
+        if (timed?.state === 'cooldown') {
+            onCooldown++;
+            recordChunkFate(debugData, chunk.hash, 'timed', 'dropped', `On cooldown until message #${timed.until}`, {
+                score: chunk.score
+            });
+            continue;
+        }
+        if (timed?.state === 'sticky') {
+            chunk.stickyUntil = timed.until;
+        }
+        kept.push(chunk);
+    }
+
+    const keptHashes = new Set(kept.map(c => String(c.hash)));
+    const stickyAdded = getStickyChunks(messageCount).filter(chunk => !keptHashes.has(String(chunk.hash)));
+    for (const chunk of stickyAdded) {
+        recordChunkFate(debugData, chunk.hash, 'timed', 'passed', `Sticky until message #${chunk.stickyUntil}`, {
+            score: chunk.score,
+            collectionId: chunk.collectionId
+        });
+        kept.push(chunk);
+    }
+
+    if (onCooldown > 0 || stickyAdded.length > 0) {
+        addTrace(debugData, 'timed', 'Applied sticky/cooldown', {
+            onCooldown,
+            stickyAdded: stickyAdded.map(c => c.hash)
+        });
+        console.log(`VectHare: Timed effects - ${onCooldown} on cooldown, ${stickyAdded.length} sticky added`);
+    }
+
+    return kept;
+}
+
 /**
  * Stage 6.5: Process chunk groups and links
  * - Applies exclusive group filtering (only highest-scoring member passes)
@@ -1158,6 +1648,158 @@ async function applyGroupsAndLinksStage(chunks, activeCollections, settings, deb
     return processedChunks;
 }
 
+/**
+ * Looks up stored vectors for retrieved chunks. Query results don't carry
+ * vectors, so they are fetched per collection.
+ * @param {object[]} chunks Chunks with hash and collectionId
+ * @param {object} settings VectHare settings
+ * @returns {Promise<Map<string, number[]>>} hash (string) -> embedding vector
+ */
+async function lookupChunkVectors(chunks, settings) {
+    const vectors = new Map();
+    const hashesByCollection = new Map();
+    for (const chunk of chunks) {
+        if (!hashesByCollection.has(chunk.collectionId)) {
+            hashesByCollection.set(chunk.collectionId, []);
+        }
+        hashesByCollection.get(chunk.collectionId).push(chunk.hash);
+    }
+    for (const [collectionId, hashes] of hashesByCollection) {
+        const collectionVectors = await getChunkVectors(collectionId, hashes, settings);
+        for (const [hash, vector] of collectionVectors) {
+            vectors.set(hash, vector);
+        }
+    }
+    return vectors;
+}
+
+/**
+ * Stage 8.75: Diversity re-selection (MMR)
+ * Picks the final top-K from the candidate pool, penalizing chunks that are
+ * near-duplicates of ones already picked. Chunks forced in by mandatory groups
+ * are always kept.
+ *
+ * @param {object[]} chunks Candidate chunks (after groups/links)
+ * @param {object} settings VectHare settings
+ * @param {number} topK Number of chunks to keep
+ * @param {object} debugData Debug tracking object
+ * @returns {Promise<object[]>} Selected chunks
+ */
+async function applyDiversityStage(chunks, settings, topK, debugData) {
+    const lambda = settings.mmr_lambda ?? DEFAULT_MMR_LAMBDA;
+
+    if (chunks.length <= topK) {
+        addTrace(debugData, 'diversity', 'Skipped - candidate pool already within top-K', {
+            candidates: chunks.length,
+            topK
+        });
+        return chunks;
+    }
+
+    const vectors = await lookupChunkVectors(chunks, settings);
+
+    const { selected, dropped, vectorsUsed } = selectByMMR(chunks, vectors, {
+        lambda,
+        k: topK,
+        isPinned: chunk => !!chunk.forcedByGroup || !!chunk.stickyUntil,
+    });
+
+    for (const entry of dropped) {
+        const reason = entry.redundant && entry.similarTo !== null
+            ? `Redundant with #${String(entry.similarTo).substring(0, 8)} (similarity ${entry.maxSimilarity.toFixed(3)})`
+            : 'Below MMR cutoff - a more diverse chunk was preferred';
+        recordChunkFate(debugData, entry.chunk.hash, 'diversity', 'dropped', reason, {
+            score: entry.chunk.score,
+            mmrScore: entry.mmrScore,
+            maxSimilarity: entry.maxSimilarity,
+            similarTo: entry.similarTo,
+            redundant: entry.redundant
+        });
+    }
+    for (const chunk of selected) {
+        recordChunkFate(debugData, chunk.hash, 'diversity', 'passed',
+            chunk.forcedByGroup ? 'Kept - forced by mandatory group' : 'Selected by MMR',
+            { score: chunk.score }
+        );
+    }
+
+    addTrace(debugData, 'diversity', 'MMR re-selection complete', {
+        lambda,
+        candidates: chunks.length,
+        selected: selected.length,
+        droppedRedundant: dropped.filter(d => d.redundant).length,
+        droppedBelowCutoff: dropped.filter(d => !d.redundant).length,
+        vectorsFound: vectorsUsed
+    });
+
+    if (vectorsUsed === 0) {
+        console.warn('VectHare: No stored vectors found for MMR - selection fell back to relevance order');
+    }
+
+    return selected;
+}
+
+/**
+ * Stage 8.9: Contradiction detection (see core/contradictions.js)
+ * Flags chunks that say similar things from far-apart points in the chat and
+ * either drops the older one of a confirmed conflict or labels both as
+ * earlier/later.
+ *
+ * @param {object[]} chunks Selected chunks
+ * @param {object} settings VectHare settings
+ * @param {object} debugData Debug tracking object
+ * @returns {Promise<object[]>} Chunks left after resolution
+ */
+async function applyConflictStage(chunks, settings, debugData) {
+    const mode = settings.conflict_detection;
+    const vectors = await lookupChunkVectors(chunks, settings);
+    const pairs = await detectConflicts(chunks, vectors, settings);
+    const { kept, dropped } = resolveConflicts(chunks, pairs, mode, {
+        isPinned: chunk => !!chunk.forcedByGroup || !!chunk.stickyUntil,
+    });
+
+    for (const { chunk, pair } of dropped) {
+        recordChunkFate(debugData, chunk.hash, 'conflicts', 'dropped',
+            `Superseded by #${String(pair.newer.hash).substring(0, 8)} from message #${pair.newerMessage} (model confirmed conflict)`,
+            { score: chunk.score, similarity: pair.similarity, distance: pair.distance }
+        );
+    }
+    for (const chunk of kept) {
+        if (chunk.temporalLabel) {
+            recordChunkFate(debugData, chunk.hash, 'conflicts', 'passed',
+                `Labeled "${chunk.temporalLabel.label}" - conflicts with another retrieved chunk`,
+                { score: chunk.score }
+            );
+        }
+    }
+
+    debugData.conflicts = pairs.map(pair => ({
+        olderHash: pair.older.hash,
+        newerHash: pair.newer.hash,
+        olderMessage: pair.olderMessage,
+        newerMessage: pair.newerMessage,
+        olderText: pair.older.text,
+        newerText: pair.newer.text,
+        similarity: pair.similarity,
+        distance: pair.distance,
+        verdict: pair.verdict,
+        reason: pair.reason,
+        action: pair.action
+    }));
+
+    addTrace(debugData, 'conflicts', 'Contradiction check complete', {
+        mode,
+        llmCheck: !!settings.conflict_llm_check,
+        vectorsFound: vectors.size,
+        flagged: pairs.length,
+        confirmed: pairs.filter(p => p.verdict === 'conflict').length,
+        clearedByModel: pairs.filter(p => p.verdict === 'consistent').length,
+        droppedOlder: dropped.length
+    });
+
+    return kept;
+}
+
 /**
  * Stage 7: Deduplicate chunks already in chat context
  * @param {object[]} chunks Chunks to deduplicate
@@ -1244,7 +1886,9 @@ function buildNestedInjectionText(chunks, settings) {
             const chunkMeta = getChunkMetadata(chunk.hash) || {};
             const chunkContext = chunkMeta.context ? substituteParams(chunkMeta.context) : '';
             const chunkXmlTag = chunkMeta.xmlTag || '';
-            const text = chunk.text || '(text not available)';
+            const text = chunk.temporalLabel
+                ? `${formatTemporalLabel(chunk.temporalLabel)}\n${chunk.text || '(text not available)'}`
+                : chunk.text || '(text not available)';
 
             // Build chunk with optional wrapping
             let chunkBlock = '';
@@ -1313,17 +1957,57 @@ function resolveChunkInjectionPosition(chunk, settings) {
     return { position, depth };
 }
 
+/**
+ * Fits one position group into its token budget, recording what was cut
+ * @param {{position: number, depth: number, chunks: object[]}} group Position group
+ * @param {function(object[]): string} renderText Builds the injection text for the group
+ * @param {object} settings VectHare settings
+ * @param {object} debugData Debug tracking object
+ * @returns {Promise<{chunks: object[], tokens: number, budget: number}>} Chunks that fit and their token count
+ */
+async function applyTokenBudget(group, renderText, settings, debugData) {
+    const budget = resolveGroupTokenBudget(group.chunks, settings);
+    const strategy = settings.token_budget_strategy || 'drop_lowest';
+    const fitted = await fitChunksToBudget(group.chunks, budget, strategy, renderText);
+
+    if (fitted.dropped.length > 0 || fitted.adjusted.length > 0) {
+        addTrace(debugData, 'budget', `Position ${group.position}:${group.depth} over token budget`, {
+            budget,
+            strategy,
+            tokensAfter: fitted.tokens,
+            dropped: fitted.dropped.map(c => String(c.hash).substring(0, 8)),
+            adjusted: fitted.adjusted.map(c => ({ hash: String(c.hash).substring(0, 8), action: c.budgetAction }))
+        });
+    }
+
+    for (const chunk of fitted.dropped) {
+        recordChunkFate(debugData, chunk.hash, 'budget', 'dropped',
+            `Over ${budget}-token budget for this position (${strategy})`,
+            { score: chunk.score, budget }
+        );
+    }
+    for (const chunk of fitted.adjusted) {
+        recordChunkFate(debugData, chunk.hash, 'budget', 'passed',
+            chunk.budgetAction === 'summarized' ? 'Replaced with stored summary to fit token budget' : 'Truncated at sentence boundary to fit token budget',
+            { originalLength: chunk.originalText.length, newLength: chunk.text.length, budget }
+        );
+    }
+
+    return { chunks: fitted.chunks, tokens: fitted.tokens, budget };
+}
+
 /**
  * Stage 8: Format and inject chunks into prompt
  * Supports per-chunk/per-collection injection positions via cascade resolution.
- * Groups chunks by their resolved position+depth and creates separate injections.
+ * Groups chunks by their resolved position+depth and creates separate injections,
+ * each fitted into its token budget.
  *
  * @param {object[]} chunksToInject Chunks to inject
  * @param {object} settings VectHare settings
  * @param {object} debugData Debug tracking object
- * @returns {{verified: boolean, text: string}} Injection result
+ * @returns {Promise<{verified: boolean, text: string, tokens: number, budget: number, injected: object[]}>} Injection result
  */
-function injectChunksIntoPrompt(chunksToInject, settings, debugData) {
+async function injectChunksIntoPrompt(chunksToInject, settings, debugData) {
     // Control print: Log chunks being injected
     console.log(`[VectHare Injection Control] Starting injection of ${chunksToInject.length} chunks`);
     chunksToInject.forEach((chunk, idx) => {
@@ -1346,7 +2030,9 @@ function injectChunksIntoPrompt(chunksToInject, settings, debugData) {
     // If all chunks go to the same position, use the simple single-injection path
     if (positionGroups.size === 1) {
         const [_, group] = [...positionGroups.entries()][0];
-        const insertedText = buildNestedInjectionText(group.chunks, settings);
+        const fitted = await applyTokenBudget(group, chunks => buildNestedInjectionText(chunks, settings), settings, debugData);
+        group.chunks = fitted.chunks;
+        const insertedText = group.chunks.length > 0 ? buildNestedInjectionText(group.chunks, settings) : '';
 
         console.log(`[VectHare Injection Control] Single position injection: position="${group.position}", depth=${group.depth}, chunks=${group.chunks.length}, textLength=${insertedText.length}`);
 
@@ -1374,7 +2060,13 @@ function injectChunksIntoPrompt(chunksToInject, settings, debugData) {
             });
         });
 
-        return { verified: injectionVerified, text: insertedText };
+        return {
+            verified: injectionVerified,
+            text: insertedText,
+            tokens: fitted.tokens,
+            budget: fitted.budget,
+            injected: group.chunks
+        };
     }
 
     // Multiple injection positions - create separate extension prompts for each
@@ -1385,12 +2077,20 @@ function injectChunksIntoPrompt(chunksToInject, settings, debugData) {
 
     let allVerified = true;
     const allTexts = [];
+    const allInjected = [];
+    let totalTokens = 0;
+    let totalBudget = 0;
     let groupIndex = 0;
 
     for (const [key, group] of positionGroups) {
         // Build text for this position group (no global wrapper - that goes on outermost only)
         const groupSettings = { ...settings, rag_context: '', rag_xml_tag: '' };
-        const groupText = buildNestedInjectionText(group.chunks, groupSettings);
+        const fitted = await applyTokenBudget(group, chunks => buildNestedInjectionText(chunks, groupSettings), settings, debugData);
+        group.chunks = fitted.chunks;
+        totalTokens += fitted.tokens;
+        totalBudget += fitted.budget;
+        allInjected.push(...group.chunks);
+        const groupText = group.chunks.length > 0 ? buildNestedInjectionText(group.chunks, groupSettings) : '';
 
         console.log(`[VectHare Injection Control] Position group ${groupIndex + 1}/${positionGroups.size}: key="${key}", chunks=${group.chunks.length}, textLength=${groupText.length}`);
         group.chunks.forEach((chunk, idx) => {
@@ -1435,7 +2135,10 @@ function injectChunksIntoPrompt(chunksToInject, settings, debugData) {
 
     return {
         verified: allVerified,
-        text: allTexts.join('\n\n---\n\n') // Combine for debug output
+        text: allTexts.join('\n\n---\n\n'), // Combine for debug output
+        tokens: totalTokens,
+        budget: totalBudget,
+        injected: allInjected
     };
 }
 
@@ -1475,6 +2178,14 @@ export async function rearrangeChat(chat, settings, type) {
             return;
         }
 
+        // === STAGE 0: Knowledge graph facts (own prompt block, independent of vector results) ===
+        try {
+            const chatCollectionId = getChatCollectionId();
+            await injectKnowledgeFacts(chat, chatCollectionId && isCollectionEnabled(chatCollectionId) ? chatCollectionId : null, settings);
+        } catch (error) {
+            console.warn('VectHare: Knowledge graph injection failed:', error.message);
+        }
+
         if (chat.length < settings.protect) {
             console.debug(`VectHare: Not enough messages (${chat.length} < ${settings.protect})`);
             return;
@@ -1488,13 +2199,6 @@ export async function rearrangeChat(chat, settings, type) {
         }
         console.log(`VectHare: Will query ${collectionsToQuery.length} collections:`, collectionsToQuery);
 
-        // === STAGE 2: Build search query ===
-        const queryText = buildSearchQuery(chat, settings);
-        if (queryText.length === 0) {
-            console.debug('VectHare: No text to query');
-            return;
-        }
-
         // === STAGE 3: Filter by activation conditions ===
         const searchContext = buildSearchContext(chat, settings.query || 10, [], {
             generationType: type || 'normal',
@@ -1512,9 +2216,19 @@ export async function rearrangeChat(chat, settings, type) {
         }
         console.log(`VectHare: ${activeCollections.length} collections passed activation filters:`, activeCollections);
 
+        // === STAGE 2: Build search queries ===
+        // Runs after activation filtering so LLM query modes only cost a call when something gets searched
+        const queryPlan = await buildQueryPlan(chat, settings);
+        const queryText = queryPlan.text;
+        if (queryPlan.queries.every(q => !q.text)) {
+            console.debug('VectHare: No text to query');
+            return;
+        }
+
         // === INITIALIZE DEBUG DATA ===
         const debugData = createDebugData();
         debugData.query = queryText;
+        debugData.queryPlan = queryPlan;
         debugData.collectionId = activeCollections.join(', ');
         debugData.collectionsQueried = activeCollections;
         const effectiveTopK = settings.top_k ?? settings.insert;
@@ -1522,6 +2236,8 @@ export async function rearrangeChat(chat, settings, type) {
             threshold: settings.score_threshold,
             topK: effectiveTopK,
             temporal_decay: settings.temporal_decay,
+            mmr: settings.mmr_enabled ? { lambda: settings.mmr_lambda ?? DEFAULT_MMR_LAMBDA } : null,
+            conflicts: settings.conflict_detection && settings.conflict_detection !== 'off' ? settings.conflict_detection : null,
             protect: settings.protect,
             chatLength: chat.length
         };
@@ -1529,13 +2245,20 @@ export async function rearrangeChat(chat, settings, type) {
         addTrace(debugData, 'init', 'Pipeline started', {
             collectionsQueried: activeCollections,
             queryLength: queryText.length,
+            queryMode: queryPlan.mode,
             threshold: settings.score_threshold,
             topK: effectiveTopK,
             protect: settings.protect
         });
 
         // === STAGE 4: Query all collections and merge results ===
-        let chunks = await queryAndMergeCollections(activeCollections, queryText, settings, chat, debugData);
+        addTrace(debugData, 'query', `Built ${queryPlan.queries.length} quer${queryPlan.queries.length === 1 ? 'y' : 'ies'} (${queryPlan.mode})`, {
+            requestedMode: queryPlan.requestedMode,
+            fallbackReason: queryPlan.error,
+            queries: queryPlan.queries.map(q => ({ label: q.label, weight: q.weight.toFixed(2), text: q.text.substring(0, 100) }))
+        });
+
+        let chunks = await queryAndMergeCollections(activeCollections, queryPlan, settings, chat, debugData);
         console.log(`VectHare: Retrieved ${chunks.length} total chunks from ${activeCollections.length} collections`);
 
         debugData.stages.initial = [...chunks];
@@ -1551,15 +2274,19 @@ export async function rearrangeChat(chat, settings, type) {
             debugData.stats.summariesExpanded = expandedCount;
         }
 
-        // === STAGE 5: BananaBread reranking (optional) ===
-        if (settings.source === 'bananabread' && settings.bananabread_rerank && chunks.length > 0) {
-            addTrace(debugData, 'rerank', 'Starting BananaBread reranking', {
-                chunks: chunks.length,
-                query: queryText.substring(0, 100)
-            });
-            chunks = await rerankWithBananaBread(queryText, chunks, settings);
+        // === STAGE 4.6: Consolidated memory - hide rolled-up chunks, descend from matched summaries ===
+        // Descent ranks with the plan's main query, reusing its retrieval embedding
+        const descentQuery = queryPlan.queries.find(q => q.text === queryText) || queryPlan.queries[0];
+        chunks = await descendConsolidatedChunks(chunks, descentQuery, settings, debugData);
+        if (chunks.some(c => c.descendedFrom)) {
+            debugData.stages.afterConsolidation = [...chunks];
+            debugData.stats.consolidationDescended = chunks.filter(c => c.descendedFrom).length;
+        }
+
+        // === STAGE 5: Reranking (optional) ===
+        if (getActiveReranker(settings) && chunks.length > 0) {
+            chunks = await applyRerankStage(chunks, queryText, settings, debugData);
             debugData.stages.afterRerank = [...chunks];
-            addTrace(debugData, 'rerank', 'Reranking complete', { rerankedCount: chunks.length });
         }
 
         // === STAGE 6: Threshold filter ===
@@ -1577,11 +2304,28 @@ export async function rearrangeChat(chat, settings, type) {
         debugData.stages.afterConditions = [...chunks];
         debugData.stats.afterConditions = chunks.length;
 
+        // === STAGE 8.1: Sticky / cooldown ===
+        chunks = applyTimedEffectsStage(chunks, chat, debugData);
+        debugData.stats.stickyChunks = chunks.filter(c => c.stickyUntil).length;
+
         // === STAGE 8.5: Chunk Groups and Links ===
         chunks = await applyGroupsAndLinksStage(chunks, activeCollections, settings, debugData);
         debugData.stages.afterGroups = [...chunks];
         debugData.stats.afterGroups = chunks.length;
 
+        // === STAGE 8.75: Diversity (MMR) ===
+        if (settings.mmr_enabled) {
+            chunks = await applyDiversityStage(chunks, settings, effectiveTopK, debugData);
+            debugData.stages.afterDiversity = [...chunks];
+            debugData.stats.afterDiversity = chunks.length;
+        }
+
+        // === STAGE 8.9: Contradictions between retrieved chunks ===
+        if (settings.conflict_detection && settings.conflict_detection !== 'off' && chunks.length > 1) {
+            chunks = await applyConflictStage(chunks, settings, debugData);
+            debugData.stats.conflictsFlagged = debugData.conflicts.length;
+        }
+
         // Store for legacy visualizer
         window.VectHare_LastSearch = {
             chunks: chunks,
@@ -1599,6 +2343,7 @@ export async function rearrangeChat(chat, settings, type) {
             debugData.stages.injected = [];
             debugData.stats.actuallyInjected = 0;
             debugData.stats.skippedDuplicates = skippedDuplicates.length;
+            recordInjection([], chat.length, type || 'normal');
             addTrace(debugData, 'injection', 'PIPELINE COMPLETE - NO INJECTION NEEDED', {
                 reason: 'All chunks already in current context',
                 skippedCount: skippedDuplicates.length
@@ -1607,34 +2352,42 @@ export async function rearrangeChat(chat, settings, type) {
             return;
         }
 
-        // === STAGE 10: Inject into prompt ===
-        const injection = injectChunksIntoPrompt(chunksToInject, settings, debugData);
+        // === STAGE 10: Inject into prompt (fitted to token budgets) ===
+        const injection = await injectChunksIntoPrompt(chunksToInject, settings, debugData);
+        const injectedChunks = injection.injected;
+        recordInjection(injectedChunks, chat.length, type || 'normal');
 
         // Finalize debug data
-        debugData.stages.injected = chunksToInject;
-        debugData.stats.actuallyInjected = chunksToInject.length;
+        debugData.stages.injected = injectedChunks;
+        debugData.stats.actuallyInjected = injectedChunks.length;
         debugData.stats.skippedDuplicates = skippedDuplicates.length;
+        debugData.stats.droppedByBudget = chunksToInject.length - injectedChunks.length;
+        debugData.stats.tokensBudget = injection.budget;
+        debugData.stats.tokensUsed = injection.tokens;
         debugData.injection = {
             verified: injection.verified,
             text: injection.text,
             position: settings.position,
             depth: settings.depth,
             promptTag: EXTENSION_PROMPT_TAG,
-            charCount: injection.text.length
+            charCount: injection.text.length,
+            tokenCount: injection.tokens,
+            tokenBudget: injection.budget
         };
 
         addTrace(debugData, 'final', 'PIPELINE COMPLETE - SUCCESS', {
-            injectedCount: chunksToInject.length,
+            injectedCount: injectedChunks.length,
             skippedDuplicates: skippedDuplicates.length,
-            injectedHashes: chunksToInject.map(c => c.hash),
-            totalTokens: injection.text.length,
+            injectedHashes: injectedChunks.map(c => c.hash),
+            totalTokens: injection.tokens,
+            totalChars: injection.text.length,
             position: settings.position,
             depth: settings.depth,
             verified: injection.verified
         });
 
         setLastSearchDebug(debugData);
-        console.log(`VectHare: ✅ Injected ${chunksToInject.length} chunks (${skippedDuplicates.length} skipped - already in context)`);
+        console.log(`VectHare: ✅ Injected ${injectedChunks.length} chunks, ${injection.tokens} tokens (${skippedDuplicates.length} skipped - already in context, ${debugData.stats.droppedByBudget} over budget)`);
 
     } catch (error) {
         toastr.error(`Generation interceptor aborted: ${error.message}`, 'VectHare');
@@ -1643,7 +2396,80 @@ export async function rearrangeChat(chat, settings, type) {
 }
 
 /**
- * Vectorizes entire chat
+ * Job runner for chat vectorization (see core/job-queue.js).
+ * The vector DB is the checkpoint: each synchronizeChat call only picks up
+ * items that aren't stored yet, so resuming continues where the last batch
+ * left off. Items that keep failing are skipped and listed on the job.
+ * @param {object} job Chat job (params: chatId, batchSize)
+ * @param {object} context Job runner context
+ */
+async function runChatVectorizationJob(job, context) {
+    const { chatId, batchSize } = job.params;
+    const attempts = { ...(job.state.attempts || {}) };
+    for (const hash of job.state.retryHashes || []) {
+        delete attempts[hash];
+    }
+    const skipHashes = new Set(job.failedItems.map(item => item.hash));
+    let processed = job.processed;
+    let backoff = job.retry.delay;
+
+    while (!context.shouldStop()) {
+        if (chatId !== getCurrentChatId()) {
+            context.pause('Open this chat to resume');
+            break;
+        }
+
+        const result = await context.retry(() => synchronizeChat(context.settings, batchSize, skipHashes));
+
+        if (result.remaining === -1) {
+            context.pause(is_send_press ? 'Message generation in progress' : 'Blocked or disabled');
+            break;
+        }
+
+        // Failed items stay out of the DB, so the next batch picks them up again until they run out of attempts
+        const exhausted = [];
+        let retrying = 0;
+        for (const item of result.failedItems || []) {
+            attempts[item.hash] = (attempts[item.hash] || 0) + 1;
+            if (attempts[item.hash] >= job.retry.maxAttempts || !context.isRetryable(new Error(item.error))) {
+                exhausted.push({ hash: item.hash, label: `Message #${item.index}`, error: item.error, attempts: attempts[item.hash] });
+                skipHashes.add(item.hash);
+            } else {
+                retrying++;
+            }
+        }
+        context.recordFailure(exhausted);
+
+        processed += result.messagesProcessed - retrying;
+        const finished = result.remaining <= 0 && retrying === 0;
+
+        await context.checkpoint({
+            processed,
+            chunks: job.chunks + result.chunksCreated,
+            total: processed + result.remaining + retrying,
+            state: { attempts, retryHashes: null },
+        }, finished ? 'Finalizing...' : `Processing... ${result.remaining + retrying} remaining`);
+
+        console.log(`VectHare: Chat job batch done, ${finished ? 'complete' : `${result.remaining + retrying} remaining`} (${result.chunksCreated} chunks this batch)`);
+
+        if (finished) {
+            break;
+        }
+
+        if (retrying > 0) {
+            await new Promise(resolve => setTimeout(resolve, backoff));
+            backoff = Math.min(backoff * job.retry.backoffFactor, job.retry.maxDelay);
+        } else {
+            backoff = job.retry.delay;
+        }
+    }
+}
+
+registerJobRunner('chat', runChatVectorizationJob);
+
+/**
+ * Vectorizes entire chat as a background job.
+ * An unfinished job for the same chat is resumed instead of starting over.
  * @param {object} settings VectHare settings
  * @param {number} batchSize Batch size
  */
@@ -1659,6 +2485,14 @@ export async function vectorizeAll(settings, batchSize) {
             return;
         }
 
+        const existing = getJobs().find(job => job.type === 'chat' && job.params.chatId === chatId
+            && ['queued', 'running', 'paused', 'failed'].includes(job.status));
+        if (existing && ['queued', 'running'].includes(existing.status)) {
+            toastr.info('This chat is already being vectorized', 'VectHare');
+            progressTracker.showJobs();
+            return;
+        }
+
         // Pre-flight check: verify backend is available before starting
         const backendName = settings.vector_backend || 'standard';
         const backendAvailable = await isBackendAvailable(backendName, settings);
@@ -1675,58 +2509,31 @@ export async function vectorizeAll(settings, batchSize) {
         const context = getContext();
         const totalMessages = context.chat ? context.chat.filter(x => !x.is_system).length : 0;
 
-        // Show progress panel
-        progressTracker.show('Vectorizing Chat', totalMessages, 'Messages');
-
-        let finished = false;
-        let iteration = 0;
-        let processedCount = 0;
-        let totalChunks = 0;
-
-        while (!finished) {
-            if (is_send_press) {
-                toastr.info('Message generation is in progress.', 'Vectorization aborted');
-                progressTracker.complete(false, 'Aborted - message generation in progress');
-                throw new Error('Message generation in progress');
-            }
-
-            const result = await synchronizeChat(settings, batchSize);
-
-            // Handle disabled/blocked state
-            if (result.remaining === -1) {
-                console.log('VectHare: Vectorization blocked or disabled');
-                progressTracker.complete(false, 'Blocked or disabled');
-                return;
-            }
-
-            finished = result.remaining <= 0;
-            iteration++;
-
-            // Update progress with actual counts
-            processedCount += result.messagesProcessed;
-            totalChunks += result.chunksCreated;
-
-            progressTracker.updateProgress(
-                processedCount,
-                result.remaining > 0 ? `Processing... ${result.remaining} messages remaining` : 'Finalizing...'
-            );
-            progressTracker.updateChunks(totalChunks);
-
-            console.log(`VectHare: Vectorization iteration ${iteration}, ${result.remaining > 0 ? result.remaining + ' remaining' : 'complete'} (${result.chunksCreated} chunks this batch)`);
+        const job = existing
+            ? await resumeJob(existing.id)
+            : await submitJob({
+                type: 'chat',
+                label: `Chat: ${context.name2 || chatId}`,
+                total: totalMessages,
+                itemLabel: 'Messages',
+                params: { chatId, batchSize },
+            });
 
-            if (chatId !== getCurrentChatId()) {
-                progressTracker.complete(false, 'Chat changed during vectorization');
-                throw new Error('Chat changed');
+        if (job.status === 'completed') {
+            const failed = job.failedItems.length;
+            if (failed > 0) {
+                toastr.warning(`Chat vectorized, ${failed} item(s) failed - retry them from the jobs panel`, 'VectHare');
+            } else {
+                toastr.success('Chat vectorized successfully', 'VectHare');
             }
+            console.log(`VectHare: ✅ Vectorization complete (${job.processed} items, ${job.chunks} chunks)`);
+        } else if (job.status === 'paused') {
+            toastr.info(`Vectorization paused${job.note ? `: ${job.note}` : ''}. Resume it from the jobs panel.`, 'VectHare');
+        } else if (job.status === 'failed') {
+            toastr.error(`Vectorization failed: ${job.note}`, 'VectHare');
         }
-
-        progressTracker.complete(true, `Vectorized ${processedCount} messages (${totalChunks} chunks)`);
-        toastr.success('Chat vectorized successfully', 'VectHare');
-        console.log(`VectHare: ✅ Vectorization complete after ${iteration} iterations`);
     } catch (error) {
         console.error('VectHare: Failed to vectorize all', error);
-        progressTracker.addError(error.message);
-        progressTracker.complete(false, 'Vectorization failed');
         toastr.error(`Vectorization failed: ${error.message}`, 'VectHare');
     }
 }
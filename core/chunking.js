@@ -15,18 +15,33 @@
  * - paragraph: Split on double newlines
  * - section: Split on markdown headers
  * - sentence: Group sentences to target size
+ * - semantic: Cut where the topic shifts (embeds sentences, async)
  *
  * CONTENT STRATEGIES:
  * - per_entry: Each lorebook entry = one chunk
  * - per_field: Each character field = one chunk
  * - combined: Merge then chunk with adaptive
  *
+ * Sentence splitting is language-aware: 。！？ end a sentence with or without a
+ * following space, and Japanese/Chinese pieces are rejoined without spaces.
+ *
  * @author Coneja Chibi
  * @version 3.0.0
  * ============================================================================
  */
 
-import { DEFAULT_CHUNK_SIZE, DEFAULT_CHUNK_OVERLAP } from './constants.js';
+import { extension_settings } from '../../../../extensions.js';
+import { embedTexts } from './core-vector-api.js';
+import { Cosine } from '../utils/vector-distance.js';
+import { detectLanguage, getJoiner, segmentSentences } from './language.js';
+import {
+    DEFAULT_CHUNK_SIZE,
+    DEFAULT_CHUNK_OVERLAP,
+    SEMANTIC_BREAKPOINT_PERCENTILE,
+    SEMANTIC_MIN_CHUNK_RATIO,
+    SEMANTIC_SENTENCE_WINDOW,
+    SEMANTIC_MAX_WINDOWS,
+} from './constants.js';
 
 /**
  * Main entry point - chunks text using specified strategy
@@ -35,7 +50,9 @@ import { DEFAULT_CHUNK_SIZE, DEFAULT_CHUNK_OVERLAP } from './constants.js';
  * @param {string} options.strategy - Strategy ID
  * @param {number} options.chunkSize - Target chunk size in characters (for text strategies)
  * @param {number} options.batchSize - Messages per batch (for message_batch strategy)
- * @returns {Array<{text: string, metadata: object}>} Array of chunks
+ * @param {number} options.breakpointPercentile - Topic-cut percentile (for semantic strategy)
+ * @param {object} options.settings - VectHare settings used to embed (for semantic strategy, defaults to global)
+ * @returns {Promise<Array<{text: string, metadata: object}>>} Array of chunks
  */
 export async function chunkText(text, options = {}) {
     const {
@@ -43,6 +60,8 @@ export async function chunkText(text, options = {}) {
         chunkSize = DEFAULT_CHUNK_SIZE,
         chunkOverlap = DEFAULT_CHUNK_OVERLAP,
         batchSize = 4,
+        breakpointPercentile = SEMANTIC_BREAKPOINT_PERCENTILE,
+        settings = extension_settings.vecthare,
     } = options;
 
     if (!text) {
@@ -57,7 +76,7 @@ export async function chunkText(text, options = {}) {
 
     // Select strategy
     const strategyFn = STRATEGIES[strategy] || STRATEGIES.adaptive;
-    const chunks = strategyFn(text, { chunkSize, chunkOverlap, batchSize });
+    const chunks = await strategyFn(text, { chunkSize, chunkOverlap, batchSize, breakpointPercentile, settings });
 
     // Add metadata to each chunk
     return chunks.map((chunk, index) => ({
@@ -264,17 +283,16 @@ const STRATEGIES = {
             return [String(text)];
         }
 
-        const sentences = text
-            .split(/(?<=[.!?])\s+/)
-            .filter(s => s.trim())
-            .map(s => s.trim());
+        const language = detectLanguage(text);
+        const joiner = getJoiner(language);
+        const sentences = segmentSentences(text, language);
 
         const chunks = [];
         let currentChunk = '';
 
         for (const sentence of sentences) {
-            if (currentChunk.length + sentence.length + 1 <= options.chunkSize) {
-                currentChunk += (currentChunk ? ' ' : '') + sentence;
+            if (currentChunk.length + sentence.length + joiner.length <= options.chunkSize) {
+                currentChunk += (currentChunk ? joiner : '') + sentence;
             } else {
                 if (currentChunk) chunks.push(currentChunk);
                 currentChunk = sentence;
@@ -285,6 +303,17 @@ const STRATEGIES = {
         return chunks;
     },
 
+    /**
+     * Semantic - cut where adjacent sentences stop being about the same thing
+     * Async: embeds every sentence with the configured provider
+     */
+    semantic: async (text, options) => {
+        if (typeof text !== 'string') {
+            return [String(text)];
+        }
+        return semanticChunk(text, options);
+    },
+
     // =========================================================================
     // CONTENT STRATEGIES (lorebook, character, etc.)
     // =========================================================================
@@ -429,27 +458,42 @@ function adaptiveChunk(text, options) {
     return chunks.length > 0 ? chunks : [text];
 }
 
+/**
+ * Cuts unspaced text (a long Japanese/Chinese sentence) into maxSize-character pieces
+ */
+function sliceToSize(text, maxSize) {
+    const chars = Array.from(text);
+    const pieces = [];
+    for (let i = 0; i < chars.length; i += maxSize) {
+        pieces.push(chars.slice(i, i + maxSize).join(''));
+    }
+    return pieces;
+}
+
 /**
  * Splits a large paragraph at sentence boundaries, then words if needed
+ * (Japanese/Chinese have no spaces, so their sentences are cut by length)
  */
 function splitLargeParagraph(text, maxSize) {
-    const sentences = text.split(/(?<=[.!?])\s+/);
+    const language = detectLanguage(text);
+    const joiner = getJoiner(language);
+    const sentences = segmentSentences(text, language);
     const chunks = [];
     let currentChunk = '';
 
     for (const sentence of sentences) {
-        if (currentChunk.length + sentence.length + 1 <= maxSize) {
-            currentChunk += (currentChunk ? ' ' : '') + sentence;
+        if (currentChunk.length + sentence.length + joiner.length <= maxSize) {
+            currentChunk += (currentChunk ? joiner : '') + sentence;
         } else {
             if (currentChunk) chunks.push(currentChunk);
 
             if (sentence.length > maxSize) {
                 // Split by words
-                const words = sentence.split(/\s+/);
+                const words = joiner ? sentence.split(/\s+/) : sliceToSize(sentence, maxSize);
                 let wordChunk = '';
                 for (const word of words) {
-                    if (wordChunk.length + word.length + 1 <= maxSize) {
-                        wordChunk += (wordChunk ? ' ' : '') + word;
+                    if (wordChunk.length + word.length + joiner.length <= maxSize) {
+                        wordChunk += (wordChunk ? joiner : '') + word;
                     } else {
                         if (wordChunk) chunks.push(wordChunk);
                         wordChunk = word;
@@ -466,6 +510,121 @@ function splitLargeParagraph(text, maxSize) {
     return chunks;
 }
 
+/**
+ * Splits text into sentences, remembering which ones start a paragraph
+ * @returns {Array<{text: string, paragraphStart: boolean}>}
+ */
+function splitSentences(text, language = detectLanguage(text)) {
+    const sentences = [];
+    for (const paragraph of text.split(/\n\s*\n+/)) {
+        const parts = segmentSentences(paragraph, language);
+        parts.forEach((part, i) => sentences.push({ text: part, paragraphStart: i === 0 }));
+    }
+    return sentences;
+}
+
+/**
+ * Value at a percentile (0-100) of a list of numbers, linearly interpolated
+ */
+export function percentile(values, p) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const pos = (sorted.length - 1) * Math.min(Math.max(p, 0), 100) / 100;
+    const lower = Math.floor(pos);
+    const upper = Math.ceil(pos);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
+
+/**
+ * Semantic chunking - embeds sentences (with SEMANTIC_SENTENCE_WINDOW neighbours
+ * for context) and cuts where adjacent-sentence similarity drops into the lowest
+ * breakpointPercentile. Cuts are skipped while the chunk is under the minimum
+ * size and forced before it would exceed chunkSize.
+ *
+ * At most SEMANTIC_MAX_WINDOWS texts are embedded: longer texts are compared in
+ * groups of consecutive sentences, and topic cuts fall only between groups.
+ *
+ * Falls back to adaptive chunking when the provider can't embed in the browser.
+ */
+async function semanticChunk(text, options) {
+    const maxSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    const minSize = Math.round(maxSize * SEMANTIC_MIN_CHUNK_RATIO);
+
+    if (text.trim().length <= maxSize) {
+        return text.trim() ? [text.trim()] : [];
+    }
+
+    const language = detectLanguage(text);
+    const joiner = getJoiner(language);
+
+    // Oversized sentences are pre-split so every unit fits in a chunk
+    const sentences = splitSentences(text, language).flatMap(sentence => sentence.text.length > maxSize
+        ? splitLargeParagraph(sentence.text, maxSize).map((part, i) => ({ text: part, paragraphStart: sentence.paragraphStart && i === 0 }))
+        : [sentence]);
+
+    if (sentences.length < 3) {
+        return adaptiveChunk(text, options);
+    }
+
+    // Units of `stride` sentences keep the number of embeddings bounded (1 sentence each for most texts)
+    const stride = Math.ceil(sentences.length / SEMANTIC_MAX_WINDOWS);
+    const units = [];
+    for (let i = 0; i < sentences.length; i += stride) {
+        units.push(sentences.slice(i, i + stride).map(s => s.text).join(joiner));
+    }
+
+    const windows = units.map((_, i) => units
+        .slice(Math.max(0, i - SEMANTIC_SENTENCE_WINDOW), i + SEMANTIC_SENTENCE_WINDOW + 1)
+        .join(joiner));
+
+    let embeddings;
+    try {
+        embeddings = await embedTexts(windows, options.settings || extension_settings.vecthare);
+    } catch (error) {
+        console.warn('VectHare: Semantic chunking could not embed sentences, falling back to adaptive:', error.message);
+        return adaptiveChunk(text, options);
+    }
+
+    const vectors = windows.map(w => embeddings?.[w]);
+    if (vectors.some(v => !v)) {
+        console.warn('VectHare: Semantic chunking got incomplete embeddings, falling back to adaptive');
+        return adaptiveChunk(text, options);
+    }
+
+    // similarities[i] compares unit i with unit i + 1
+    const similarities = vectors.slice(0, -1).map((v, i) => Cosine.similarity(v, vectors[i + 1]));
+    const threshold = percentile(similarities, options.breakpointPercentile ?? SEMANTIC_BREAKPOINT_PERCENTILE);
+
+    const chunks = [];
+    let current = sentences[0].text;
+
+    for (let i = 1; i < sentences.length; i++) {
+        const sentence = sentences[i];
+        const separator = sentence.paragraphStart ? '\n\n' : joiner;
+        const topicShift = i % stride === 0
+            && similarities[i / stride - 1] <= threshold
+            && current.length >= minSize;
+        const wouldOverflow = current.length + separator.length + sentence.text.length > maxSize;
+
+        if (topicShift || wouldOverflow) {
+            chunks.push(current);
+            current = sentence.text;
+        } else {
+            current += separator + sentence.text;
+        }
+    }
+
+    // A short tail joins the previous chunk when it fits
+    const last = chunks[chunks.length - 1];
+    if (last && current.length < minSize && last.length + joiner.length + current.length <= maxSize) {
+        chunks[chunks.length - 1] = `${last}${joiner}${current}`;
+    } else {
+        chunks.push(current);
+    }
+
+    console.log(`VectHare: Semantic chunking cut ${sentences.length} sentences (${units.length} embedded units) into ${chunks.length} chunks (similarity threshold ${threshold.toFixed(3)})`);
+    return chunks;
+}
+
 /**
  * Get available strategies
  */
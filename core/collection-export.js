@@ -12,6 +12,10 @@
  * On import, if user's settings match the export's source/model, vectors are
  * imported directly. Otherwise, user is warned to switch settings.
  *
+ * Migration moves a collection between backends (e.g. Standard -> LanceDB)
+ * page by page, reusing the stored vectors and keeping hashes, so per-chunk
+ * and collection metadata (locks, groups, conditions) stay attached.
+ *
  * @author Coneja Chibi
  * @version 1.0.0
  * ============================================================================
@@ -33,6 +37,8 @@ import {
 } from './collection-loader.js';
 import { progressTracker } from '../ui/progress-tracker.js';
 import { getStringHash } from '../../../../utils.js';
+import { getBackend } from '../backends/backend-manager.js';
+import { getModelField } from './providers.js';
 
 // ============================================================================
 // CONSTANTS
@@ -47,6 +53,9 @@ export const EXPORT_FILE_EXTENSION = '.vecthare.json';
 /** Maximum chunks to export at once (for progress updates) */
 const EXPORT_BATCH_SIZE = 100;
 
+/** Chunks moved per page during migration (bounds memory for big collections) */
+const MIGRATION_BATCH_SIZE = 200;
+
 // ============================================================================
 // EXPORT FUNCTIONS
 // ============================================================================
@@ -55,10 +64,23 @@ const EXPORT_BATCH_SIZE = 100;
  * Fetches chunks with vectors from the backend
  * @param {string} collectionId - Collection to fetch from
  * @param {object} settings - VectHare settings
+ * @param {object} [options] - Paging options
+ * @param {number} [options.offset=0] - Index of the first chunk to return
+ * @param {number} [options.limit=50000] - Max chunks to return (default is high enough to get all)
+ * @param {boolean} [options.includeVectors=true] - Include the embedding vectors
  * @returns {Promise<Array>} Chunks with vectors
  */
-async function fetchChunksWithVectors(collectionId, settings) {
+async function fetchChunksWithVectors(collectionId, settings, options = {}) {
+    const { offset = 0, limit = 50000, includeVectors = true } = options;
     const backendName = settings.vector_backend || 'standard';
+
+    // Browser-local backend lists its own chunks - no plugin involved
+    if (backendName === 'indexeddb') {
+        const backend = await getBackend(settings);
+        const data = await backend.listChunks(collectionId, settings, { offset, limit, includeVectors });
+        return data.items;
+    }
+
     const response = await fetch('/api/plugins/similharity/chunks/list', {
         method: 'POST',
         headers: getRequestHeaders(),
@@ -67,8 +89,9 @@ async function fetchChunksWithVectors(collectionId, settings) {
             collectionId: collectionId,
             source: settings.source || 'transformers',
             model: settings.model || '',
-            limit: 50000, // High limit to get all chunks
-            includeVectors: true, // Include the actual embedding vectors
+            offset,
+            limit,
+            includeVectors, // Include the actual embedding vectors
         }),
     });
 
@@ -475,6 +498,13 @@ export function validateImportData(data, currentSettings = {}) {
  */
 async function insertChunksWithVectors(collectionId, chunks, settings) {
     const backendName = settings.vector_backend || 'standard';
+
+    // Browser-local backend stores the vectors as given (items already have them, so nothing is embedded)
+    if (backendName === 'indexeddb') {
+        await insertVectorItems(collectionId, chunks, settings);
+        return { success: true };
+    }
+
     const response = await fetch('/api/plugins/similharity/chunks/insert', {
         method: 'POST',
         headers: getRequestHeaders(),
@@ -810,6 +840,185 @@ async function importCollectionSilent(exportData, settings, options = {}) {
     };
 }
 
+// ============================================================================
+// MIGRATION FUNCTIONS
+// ============================================================================
+
+/**
+ * Lists every hash stored for a collection on one backend (paged, without vectors)
+ * @param {string} collectionId - Collection to list
+ * @param {object} settings - Settings addressing the backend
+ * @returns {Promise<string[]>} Hashes as strings (backends disagree on number vs string)
+ */
+async function listAllHashes(collectionId, settings) {
+    const hashes = [];
+    for (let offset = 0; ; offset += MIGRATION_BATCH_SIZE) {
+        let page;
+        try {
+            page = await fetchChunksWithVectors(collectionId, settings, { offset, limit: MIGRATION_BATCH_SIZE, includeVectors: false });
+        } catch (error) {
+            // A collection that doesn't exist yet on the target can't be listed
+            if (offset === 0) return [];
+            throw error;
+        }
+        hashes.push(...page.map(item => String(item.hash ?? item.metadata?.hash)));
+        if (page.length < MIGRATION_BATCH_SIZE) {
+            return hashes;
+        }
+    }
+}
+
+/**
+ * Moves a collection from its current backend to another one.
+ *
+ * Chunks are read page by page with their vectors and written to the target
+ * under the same hashes, so nothing is re-embedded unless the source returned
+ * a chunk without a vector. Chunks already in the target are skipped, which
+ * makes an interrupted migration safe to re-run. Collection metadata (locks,
+ * groups, conditions, triggers) is keyed by collection ID and stays as is.
+ * Retrieval always goes through the global vector_backend setting, so the
+ * migrated copy is only searched once that is switched to the target.
+ *
+ * @param {string} collectionId - Collection to migrate
+ * @param {object} collectionInfo - Where it lives now: { backend, source, model, registryKey, chunkCount }
+ * @param {string} targetBackend - Backend to move it to ('standard', 'lancedb', 'qdrant', ...)
+ * @param {object} settings - VectHare settings
+ * @param {object} options - Migration options
+ * @param {boolean} options.dryRun - Only count what would be moved, write nothing
+ * @param {boolean} options.deleteSource - Purge the source vectors once every hash is verified in the target
+ * @returns {Promise<{ success: boolean, dryRun: boolean, collectionId: string, from: string, to: string, total: number, migrated: number, reembedded: number, skipped: number, verified: boolean|null, targetCount: number|null, missingHashes: string[], sourceDeleted: boolean }>}
+ */
+export async function migrateCollection(collectionId, collectionInfo, targetBackend, settings, options = {}) {
+    const sourceBackend = collectionInfo.backend || settings.vector_backend || 'standard';
+    if (sourceBackend === targetBackend) {
+        throw new Error(`Collection is already stored in ${targetBackend}`);
+    }
+
+    const sourceSettings = {
+        ...settings,
+        vector_backend: sourceBackend,
+        source: collectionInfo.source || settings.source,
+        model: collectionInfo.model || settings.model,
+    };
+
+    // Browser-local collections are keyed by the provider's own model setting
+    const modelField = getModelField(sourceSettings.source);
+    if (sourceBackend === 'indexeddb' && modelField && collectionInfo.model) {
+        sourceSettings[modelField] = collectionInfo.model;
+    }
+
+    // Same source + model: vectors are valid on any backend, only the storage changes
+    const targetSettings = { ...sourceSettings, vector_backend: targetBackend };
+
+    const report = {
+        success: false,
+        dryRun: !!options.dryRun,
+        collectionId,
+        from: sourceBackend,
+        to: targetBackend,
+        total: 0,
+        migrated: 0,
+        reembedded: 0,
+        skipped: 0,
+        verified: null,
+        targetCount: null,
+        missingHashes: [],
+        sourceDeleted: false,
+    };
+
+    progressTracker.show(options.dryRun ? 'Migration Dry Run' : 'Migrating Collection', collectionInfo.chunkCount || 0, 'Chunks');
+    progressTracker.updateCurrentItem(`${collectionId} (${sourceBackend} → ${targetBackend})`);
+
+    try {
+        const existingHashes = new Set(await listAllHashes(collectionId, targetSettings));
+        const sourceHashes = [];
+
+        for (let offset = 0; ; offset += MIGRATION_BATCH_SIZE) {
+            const page = await fetchChunksWithVectors(collectionId, sourceSettings, { offset, limit: MIGRATION_BATCH_SIZE });
+
+            const chunks = page.map(item => {
+                const meta = item.metadata || {};
+                return {
+                    hash: item.hash ?? meta.hash,
+                    text: item.text || meta.text || '',
+                    index: item.index ?? meta.index,
+                    vector: item.vector || meta.vector || null,
+                    metadata: meta,
+                };
+            });
+
+            sourceHashes.push(...chunks.map(c => String(c.hash)));
+            const pending = chunks.filter(c => !existingHashes.has(String(c.hash)));
+            const withVectors = pending.filter(c => Array.isArray(c.vector) && c.vector.length > 0);
+            const withoutVectors = pending.filter(c => !withVectors.includes(c));
+
+            if (!options.dryRun) {
+                if (withVectors.length > 0) {
+                    await insertChunksWithVectors(collectionId, withVectors, targetSettings);
+                }
+                if (withoutVectors.length > 0) {
+                    // Backends read VectHare fields from the item itself when embedding
+                    await insertVectorItems(collectionId, withoutVectors.map(({ vector, ...chunk }) => ({ ...chunk.metadata, ...chunk })), targetSettings);
+                }
+            }
+
+            report.total += chunks.length;
+            report.skipped += chunks.length - pending.length;
+            report.migrated += withVectors.length;
+            report.reembedded += withoutVectors.length;
+
+            progressTracker.updateProgress(report.total, `${options.dryRun ? 'Checked' : 'Moved'} ${report.total} chunks...`);
+            progressTracker.updateChunks(report.migrated + report.reembedded);
+
+            if (page.length < MIGRATION_BATCH_SIZE) {
+                break;
+            }
+        }
+
+        if (report.total === 0) {
+            throw new Error(`No chunks found in ${collectionId} on ${sourceBackend}`);
+        }
+
+        if (options.dryRun) {
+            report.success = true;
+            progressTracker.complete(true, `Dry run: ${report.migrated + report.reembedded} to move, ${report.skipped} already in ${targetBackend}`);
+            return report;
+        }
+
+        // Verify: every source hash must now be listed by the target
+        const targetHashes = new Set(await listAllHashes(collectionId, targetSettings));
+        report.targetCount = targetHashes.size;
+        report.missingHashes = sourceHashes.filter(hash => !targetHashes.has(hash));
+        report.verified = report.missingHashes.length === 0;
+
+        if (!report.verified) {
+            progressTracker.addError(`${report.missingHashes.length} chunks missing in ${targetBackend} after migration`);
+        } else if (options.deleteSource) {
+            // Vectors only - deleteCollection() would also drop the metadata the target still uses
+            report.sourceDeleted = await purgeVectorIndex(collectionId, sourceSettings);
+            if (!report.sourceDeleted) {
+                progressTracker.addError(`Could not delete source vectors from ${sourceBackend}`);
+            }
+        }
+
+        registerCollection(collectionInfo.registryKey || collectionId);
+        saveSettingsDebounced();
+
+        report.success = report.verified;
+        progressTracker.complete(report.verified, report.verified
+            ? `Migrated ${report.total} chunks to ${targetBackend}`
+            : `Migration incomplete: ${report.missingHashes.length} chunks missing`);
+
+        console.log(`VectHare Migration: ${collectionId} ${sourceBackend} → ${targetBackend}`, report);
+        return report;
+
+    } catch (error) {
+        progressTracker.addError(error.message);
+        progressTracker.complete(false, 'Migration failed');
+        throw error;
+    }
+}
+
 // ============================================================================
 // HELPERS
 // ============================================================================
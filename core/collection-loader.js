@@ -25,6 +25,7 @@ import {
     getCollectionMeta,
 } from './collection-metadata.js';
 import { purgeVectorIndex } from './core-vector-api.js';
+import { initializeBackend } from '../backends/backend-manager.js';
 // Import from collection-ids.js - single source of truth for collection ID operations
 import {
     getChatUUID,
@@ -300,6 +301,9 @@ async function checkPluginAvailable() {
 // Cache for plugin collection data
 let pluginCollectionData = null;
 
+// Collections stored in this browser by the IndexedDB backend, keyed "source:collectionId"
+let localCollectionData = {};
+
 /**
  * Discovers existing collections using server plugin (scans file system)
  * @param {object} settings VectHare settings
@@ -356,8 +360,8 @@ async function discoverViaPlugin(settings) {
             const currentRegistry = getCollectionRegistry();
             const pluginKeySet = new Set(uniqueKeys);
 
-            // Remove entries that no longer exist on disk
-            const staleEntries = currentRegistry.filter(key => !pluginKeySet.has(key));
+            // Remove entries that no longer exist on disk (browser-local collections aren't on disk)
+            const staleEntries = currentRegistry.filter(key => !pluginKeySet.has(key) && !localCollectionData[key]);
             if (staleEntries.length > 0) {
                 console.log(`VectHare: Removing ${staleEntries.length} stale registry entries not found on disk`);
                 for (const staleKey of staleEntries) {
@@ -422,6 +426,12 @@ async function discoverViaFallback(settings) {
         if (probed.has(registryKey)) continue;
         probed.add(registryKey);
 
+        // Browser-local collections were already verified by discoverViaIndexedDB
+        if (localCollectionData[registryKey]) {
+            discovered.push(registryKey);
+            continue;
+        }
+
         // Parse the registry key to get the actual collection ID
         const parsed = parseRegistryKey(registryKey);
         const collectionId = parsed.collectionId;
@@ -503,21 +513,62 @@ async function discoverViaFallback(settings) {
     return discovered;
 }
 
+/**
+ * Discovers collections stored in this browser by the IndexedDB backend.
+ * Only runs while that backend is selected, so other users never get an empty database created.
+ * @param {object} settings VectHare settings
+ * @returns {Promise<string[]>} Array of discovered registry keys
+ */
+async function discoverViaIndexedDB(settings) {
+    localCollectionData = {};
+    if (settings.vector_backend !== 'indexeddb') {
+        return [];
+    }
+
+    try {
+        const backend = await initializeBackend('indexeddb', settings);
+        const collections = await backend.discoverCollections();
+
+        for (const collection of collections) {
+            const cacheKey = `${collection.source}:${collection.id}`;
+            localCollectionData[cacheKey] = {
+                chunkCount: collection.chunkCount,
+                source: collection.source,
+                backend: 'indexeddb',
+                model: collection.model || '',
+                models: [],
+            };
+            registerCollection(cacheKey);
+        }
+
+        console.log(`VectHare: Found ${collections.length} collections in browser storage`);
+        return Object.keys(localCollectionData);
+    } catch (error) {
+        console.error('VectHare: IndexedDB discovery failed:', error);
+        return [];
+    }
+}
+
 /**
  * Discovers existing collections (uses plugin if available, fallback otherwise)
+ * Browser-local (IndexedDB) collections are discovered first and merged in.
  * @param {object} settings VectHare settings
  * @returns {Promise<string[]>} Array of discovered collection IDs
  */
 export async function discoverExistingCollections(settings) {
+    const localKeys = await discoverViaIndexedDB(settings);
     const hasPlugin = await checkPluginAvailable();
 
+    let discovered;
     if (hasPlugin) {
         console.log('VectHare: Using plugin for collection discovery');
-        return await discoverViaPlugin(settings);
+        discovered = await discoverViaPlugin(settings);
     } else {
         console.log('VectHare: Plugin not available, using fallback discovery');
-        return await discoverViaFallback(settings);
+        discovered = await discoverViaFallback(settings);
     }
+
+    return [...new Set([...discovered, ...localKeys])];
 }
 
 /**
@@ -557,10 +608,11 @@ export async function doesChatHaveVectors(settings, overrideChatId, overrideUUID
                        matchesPatterns(collectionId, searchPatterns);
 
         if (matches) {
-            // Get chunk count from plugin cache if available
+            // Get chunk count from plugin (or browser-local) cache if available
             let chunkCount = 0;
-            if (pluginCollectionData && pluginCollectionData[registryKey]) {
-                chunkCount = pluginCollectionData[registryKey].chunkCount || 0;
+            const cached = pluginCollectionData?.[registryKey] || localCollectionData[registryKey];
+            if (cached) {
+                chunkCount = cached.chunkCount || 0;
             }
 
             matchingCollections.push({
@@ -577,11 +629,12 @@ export async function doesChatHaveVectors(settings, overrideChatId, overrideUUID
         // Sort by chunk count descending
         matchingCollections.sort((a, b) => b.chunkCount - a.chunkCount);
 
-        // Add source info from plugin cache
+        // Add source info from plugin (or browser-local) cache
         for (const match of matchingCollections) {
-            if (pluginCollectionData && pluginCollectionData[match.registryKey]) {
-                match.source = pluginCollectionData[match.registryKey].source;
-                match.backend = pluginCollectionData[match.registryKey].backend;
+            const cached = pluginCollectionData?.[match.registryKey] || localCollectionData[match.registryKey];
+            if (cached) {
+                match.source = cached.source;
+                match.backend = cached.backend;
             }
         }
 
@@ -674,7 +727,14 @@ export async function loadAllCollections(settings, autoDiscover = true) {
             // If plugin is available, use chunk count, source, and backend from plugin cache
             // Cache key is "source:collectionId"
             const cacheKey = registryKey;
-            if (hasPlugin && pluginCollectionData && pluginCollectionData[cacheKey]) {
+            if (localCollectionData[cacheKey]) {
+                const localData = localCollectionData[cacheKey];
+                source = localData.source;
+                backend = localData.backend;
+                model = localData.model;
+                chunkCount = localData.chunkCount || 0;
+                console.log(`VectHare:   Browser-local collection with ${chunkCount} chunks (source: ${source}, model: ${model || 'default'})`);
+            } else if (hasPlugin && pluginCollectionData && pluginCollectionData[cacheKey]) {
                 console.log(`VectHare:   Using plugin mode - getting data from cache`);
                 const cacheData = pluginCollectionData[cacheKey];
                 source = cacheData.source;
@@ -778,7 +838,8 @@ export { setCollectionEnabled, isCollectionEnabled } from './collection-metadata
  */
 export async function loadCollectionChunks(collectionId, settings) {
     const context = getContext();
-    const hashes = await getSavedHashes(collectionId, settings);
+    const saved = await getSavedHashes(collectionId, settings, true);
+    const hashes = Array.isArray(saved) ? saved : saved.hashes;
 
     if (hashes.length === 0) {
         return [];
@@ -787,8 +848,33 @@ export async function loadCollectionChunks(collectionId, settings) {
     const chunks = [];
     const metadata = parseCollectionId(collectionId);
 
-    // For chat collections, we can get text from chat messages
-    if (metadata.type === 'chat' && context.chatId === metadata.rawId) {
+    // Stored chunk text (from the similharity plugin) - keyed by hash when available
+    const storedByHash = new Map();
+    if (!Array.isArray(saved) && Array.isArray(saved.metadata)) {
+        saved.metadata.forEach((meta, idx) => {
+            if (!meta?.text) return;
+            storedByHash.set(String(meta.hash ?? hashes[idx]), meta);
+        });
+    }
+
+    if (storedByHash.size > 0) {
+        // Text is stored in the vector backend - works for every collection type
+        for (const hash of hashes) {
+            const meta = storedByHash.get(String(hash));
+            if (!meta) continue;
+
+            chunks.push({
+                text: meta.text,
+                hash: hash,
+                index: meta.messageId ?? meta.index ?? -1,
+                metadata: {
+                    ...meta,
+                    source: meta.source || metadata.type
+                }
+            });
+        }
+    } else if (metadata.type === 'chat' && context.chatId === metadata.rawId) {
+        // For chat collections, we can get text from chat messages
         const chat = context.chat;
 
         for (const hash of hashes) {
@@ -812,8 +898,7 @@ export async function loadCollectionChunks(collectionId, settings) {
             }
         }
     } else {
-        // For other collection types or inactive chats, text is stored in the vector backend
-        // and retrieved via the chunks visualizer's query functionality
+        // Plugin unavailable and collection isn't the active chat - no text to show
         console.warn(`VectHare: Cannot load chunk text for non-active collection: ${collectionId}`);
 
         // Return minimal data
@@ -823,7 +908,8 @@ export async function loadCollectionChunks(collectionId, settings) {
                 hash: hash,
                 index: -1,
                 metadata: {
-                    source: metadata.type
+                    source: metadata.type,
+                    textUnavailable: true
                 }
             });
         }
@@ -73,6 +73,11 @@ const defaultCollectionMeta = {
         minRelevance: 0.3,        // Never decay below this (0-1) - decay mode only
         maxBoost: 2.0,            // Maximum boost multiplier (1-5) - nostalgia mode only
         sceneAware: false,        // Reset decay at scene boundaries
+        reinforcement: 'off',     // 'off', 'reset' or 'strengthen' - recalled chunks fade slower (decay only)
+        reinforcementGrowth: 1.5, // Half-life multiplier per recall ('strengthen')
+        clock: 'messages',        // 'messages', 'time' (since send date) or 'both' (decay only)
+        timeHalfLife: 3,          // Wall-clock half-life, in timeUnit
+        timeUnit: 'days',         // 'hours' or 'days'
     },
 
     // =========================================================================
@@ -86,6 +91,37 @@ const defaultCollectionMeta = {
     //   - Mandatory: At least one member MUST be included
     groups: [],  // Array of ChunkGroup objects (see core/chunk-groups.js)
 
+    // =========================================================================
+    // HYBRID SEARCH (Per-Collection)
+    // =========================================================================
+    // BM25 lexical search fused with vector results (see core/hybrid-search.js).
+    // null = use the global setting.
+    hybridSearch: {
+        enabled: null,        // true/false to override global hybrid_search_enabled
+        fusionMethod: null,   // 'rrf' or 'weighted'
+        vectorWeight: null,   // 0-1, weighted fusion only
+    },
+
+    // =========================================================================
+    // TOKEN BUDGET (Per-Collection)
+    // =========================================================================
+    // Max tokens injected at this collection's position (see core/token-budget.js).
+    // null = use the global token_budget; 0 = unlimited.
+    tokenBudget: null,
+
+    // =========================================================================
+    // LOREBOOK SYNC (Per-Collection, per_entry lorebook collections only)
+    // =========================================================================
+    // Keeps the collection in step with its World Info book (see core/lorebook-sync.js).
+    lorebookSync: {
+        enabled: false,         // Re-embed changed entries whenever the book is saved
+        pushKeywords: false,    // Write chunk keyword edits back into the entry's keys
+        lorebook: null,         // Book name; null = the collection's sourceName
+        backendSettings: null,  // Backend/source the collection lives on, if not the global one
+        outOfSync: 0,           // Entries that differ from the book at the last check
+        checkedAt: null,        // ISO timestamp of the last check or sync
+    },
+
     // =========================================================================
     // PROMPT CONTEXT (Per-Collection)
     // =========================================================================
@@ -117,6 +153,11 @@ export function getDefaultDecayForType(collectionType) {
         minRelevance: 0.3,
         maxBoost: 2.0,
         sceneAware: false,
+        reinforcement: 'off',
+        reinforcementGrowth: 1.5,
+        clock: 'messages',
+        timeHalfLife: 3,
+        timeUnit: 'days',
     };
 
     // Chat collections get scene-awareness by default (if decay is enabled)
@@ -328,6 +369,7 @@ export function isCollectionAutoSyncEnabled(collectionId) {
 // - parentHash: string      - Parent chunk for summaries
 // - context: string         - Prompt context text (supports {{user}}/{{char}})
 // - xmlTag: string          - XML tag to wrap this chunk
+// - tokenBudget: number     - Token budget override for this chunk's position
 // ============================================================================
 
 /**
@@ -850,14 +892,10 @@ async function evaluateAdvancedConditions(meta, context, collectionId) {
 
     const evaluate = await getConditionEvaluator();
 
-    const results = rules.map(rule => {
-        const result = evaluate(rule, context);
-        console.log(`VectHare: Collection ${collectionId} condition ${rule.type}: ${result}`);
-        return result;
-    });
-
-    const logic = meta.conditions.logic || 'AND';
-    return logic === 'AND' ? results.every(r => r) : results.some(r => r);
+    // The top level is a group like any nested one: { type: 'group', logic, negate, rules }
+    const result = evaluate({ ...meta.conditions, type: 'group' }, context);
+    console.log(`VectHare: Collection ${collectionId} conditions (${meta.conditions.logic || 'AND'}, ${rules.length} top-level): ${result}`);
+    return result;
 }
 
 /**
@@ -1102,11 +1140,18 @@ export function getCollectionDecaySettings(collectionId) {
     if (meta.temporalDecay) {
         return {
             enabled: meta.temporalDecay.enabled ?? false,
+            type: meta.temporalDecay.type || 'decay',
             mode: meta.temporalDecay.mode || 'exponential',
             halfLife: meta.temporalDecay.halfLife || 50,
             linearRate: meta.temporalDecay.linearRate || 0.01,
             minRelevance: meta.temporalDecay.minRelevance || 0.3,
+            maxBoost: meta.temporalDecay.maxBoost || 2.0,
             sceneAware: meta.temporalDecay.sceneAware ?? false,
+            reinforcement: meta.temporalDecay.reinforcement || 'off',
+            reinforcementGrowth: meta.temporalDecay.reinforcementGrowth || 1.5,
+            clock: meta.temporalDecay.clock || 'messages',
+            timeHalfLife: meta.temporalDecay.timeHalfLife || 3,
+            timeUnit: meta.temporalDecay.timeUnit || 'days',
         };
     }
 
@@ -1152,14 +1197,21 @@ export function getCollectionDecaySummary(collectionId) {
 
     let description = 'Disabled';
     if (settings.enabled) {
-        if (settings.mode === 'exponential') {
-            description = `Exponential (half-life: ${settings.halfLife} msgs)`;
+        const clock = settings.type === 'nostalgia' ? 'messages' : settings.clock;
+        const timeHalfLife = `${settings.timeHalfLife} ${settings.timeUnit}`;
+        if (clock === 'time') {
+            description = `${settings.mode === 'exponential' ? 'Exponential' : 'Linear'} (half-life: ${timeHalfLife})`;
+        } else if (settings.mode === 'exponential') {
+            description = `Exponential (half-life: ${settings.halfLife} msgs${clock === 'both' ? ` and ${timeHalfLife}` : ''})`;
         } else {
-            description = `Linear (${(settings.linearRate * 100).toFixed(1)}% per msg)`;
+            description = `Linear (${(settings.linearRate * 100).toFixed(1)}% per msg${clock === 'both' ? `, half by ${timeHalfLife}` : ''})`;
         }
         if (settings.sceneAware) {
             description += ', scene-aware';
         }
+        if (settings.type !== 'nostalgia' && settings.reinforcement && settings.reinforcement !== 'off') {
+            description += settings.reinforcement === 'reset' ? ', recall resets age' : ', recall strengthens';
+        }
     }
 
     return {
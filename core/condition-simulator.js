@@ -0,0 +1,355 @@
+/**
+ * ============================================================================
+ * VECTHARE CONDITION SIMULATOR
+ * ============================================================================
+ * Runs every chunk and collection condition against a made-up chat state
+ * (a "scenario") and explains, rule by rule, why each one passed or failed.
+ *
+ * Scenarios are saved in settings together with the outcome they produced
+ * when saved, so the diagnostics suite can re-run them as regression tests
+ * after conditions are edited.
+ *
+ * @author Coneja Chibi | VectHare
+ * @version 2.0.0-alpha
+ * ============================================================================
+ */
+
+import { extension_settings } from '../../../../extensions.js';
+import { saveSettingsDebounced } from '../../../../../script.js';
+import {
+    buildSearchContext,
+    evaluateConditionRule,
+    isConditionGroup,
+    matchesEmotionPatterns,
+    readConditionVariable,
+} from './conditional-activation.js';
+import { getAllCollectionMeta, getAllChunkMetadata } from './collection-metadata.js';
+
+/**
+ * @typedef {object} ConditionScenario
+ * @property {string} id
+ * @property {string} name
+ * @property {Array<{name: string, is_user: boolean, mes: string}>} messages Oldest first
+ * @property {string} generationType
+ * @property {number} swipeCount
+ * @property {boolean} isGroupChat
+ * @property {string} currentCharacter
+ * @property {string} detectedEmotion Stands in for the Character Expressions sprite ('' = none)
+ * @property {string[]} activeLorebookEntries Keys or UIDs of active World Info entries
+ * @property {{local: object, global: object}} variables
+ * @property {string} time HH:MM used for timeOfDay rules ('' = SCENARIO_DEFAULT_TIME)
+ * @property {number} chunkScore Similarity assumed for chunk-only rules
+ * @property {Object<string, boolean>} expected Target key -> outcome when the scenario was saved
+ */
+
+/** Time a scenario without one is evaluated at, so timeOfDay rules don't follow the clock */
+export const SCENARIO_DEFAULT_TIME = '12:00';
+
+/**
+ * Creates an empty scenario
+ * @returns {ConditionScenario}
+ */
+export function createScenario() {
+    return {
+        id: `scenario_${Date.now()}`,
+        name: '',
+        messages: [],
+        generationType: 'normal',
+        swipeCount: 0,
+        isGroupChat: false,
+        currentCharacter: '',
+        detectedEmotion: '',
+        activeLorebookEntries: [],
+        variables: { local: {}, global: {} },
+        time: '',
+        chunkScore: 0.5,
+        expected: {},
+    };
+}
+
+/**
+ * Builds the search context a scenario stands for
+ * @param {ConditionScenario} scenario
+ * @returns {object} Context as produced by buildSearchContext
+ */
+export function buildScenarioContext(scenario) {
+    const context = buildSearchContext(scenario.messages || [], Math.max(10, scenario.messages?.length || 0), [], {
+        generationType: scenario.generationType || 'normal',
+        isGroupChat: !!scenario.isGroupChat,
+        currentCharacter: scenario.currentCharacter || null,
+        activeLorebookEntries: (scenario.activeLorebookEntries || []).map(key => ({ key, uid: key })),
+        // '' (not null) so "no sprite" is pinned instead of reading the live expressions extension
+        detectedEmotion: scenario.detectedEmotion || '',
+        variables: {
+            local: scenario.variables?.local || {},
+            global: scenario.variables?.global || {},
+        },
+        currentChunkScore: scenario.chunkScore ?? 0.5,
+    });
+
+    context.swipeCount = scenario.swipeCount || 0;
+    const [hours, minutes] = (scenario.time || SCENARIO_DEFAULT_TIME).split(':').map(n => parseInt(n));
+    context.timestamp = new Date();
+    context.timestamp.setHours(hours || 0, minutes || 0, 0, 0);
+
+    return context;
+}
+
+// ============================================================================
+// EXPLANATION
+// ============================================================================
+
+const OPERATOR_SYMBOLS = { eq: '=', gte: '≥', lte: '≤', gt: '>', lt: '<', between: 'between', equals: '=', notEquals: '≠', contains: 'contains', exists: 'is set' };
+
+/**
+ * Describes what a rule wants and what the context actually had
+ * @param {object} rule Leaf condition rule
+ * @param {object} context Search context
+ * @returns {{expects: string, observed: string, nondeterministic?: boolean}}
+ */
+function describeRule(rule, context) {
+    const settings = rule.settings || {};
+    const list = values => (values || []).filter(Boolean).join(', ') || '(none)';
+
+    switch (rule.type) {
+        case 'pattern':
+        case 'keyword': {
+            const patterns = settings.patterns || settings.values || [];
+            const matched = patterns.filter(pattern => evaluateConditionRule({
+                type: 'pattern',
+                settings: { ...settings, patterns: [pattern], matchMode: 'any' },
+            }, context));
+            return {
+                expects: `${settings.matchMode === 'all' ? 'all' : 'any'} of [${list(patterns)}] in ${settings.scanDepth || 10} messages`,
+                observed: matched.length > 0 ? `matched ${matched.join(', ')}` : 'no pattern matched',
+            };
+        }
+        case 'speaker':
+            return settings.matchType === 'all'
+                ? { expects: `all of [${list(settings.values)}] spoke recently`, observed: `speakers: ${list([...new Set(context.messageSpeakers)])}` }
+                : { expects: `last speaker is one of [${list(settings.values)}]`, observed: `last speaker: ${context.lastSpeaker}` };
+        case 'characterPresent':
+            return { expects: `${settings.matchType === 'all' ? 'all' : 'any'} of [${list(settings.values)}] present`, observed: `speakers: ${list([...new Set(context.messageSpeakers)])}` };
+        case 'messageCount':
+            return { expects: `messages ${OPERATOR_SYMBOLS[settings.operator || 'gte']} ${settings.count || 0}`, observed: `${context.messageCount} messages` };
+        case 'swipeCount':
+            return { expects: `swipes ${OPERATOR_SYMBOLS[settings.operator || 'gte']} ${settings.count || 0}`, observed: `${context.swipeCount} swipes` };
+        case 'emotion': {
+            const patternHits = (settings.values || []).filter(emotion => matchesEmotionPatterns(emotion, context.recentMessages.join(' ')));
+            return {
+                expects: `emotion in [${list(settings.values)}] (${settings.detectionMethod || 'auto'})`,
+                observed: `sprite: ${context.detectedEmotion || 'none'}; text cues: ${list(patternHits)}`,
+            };
+        }
+        case 'generationType':
+            return { expects: `generation type in [${list(settings.values)}]`, observed: context.generationType };
+        case 'isGroupChat':
+            return { expects: settings.isGroup === false ? '1-on-1 chat' : 'group chat', observed: context.isGroupChat ? 'group chat' : '1-on-1 chat' };
+        case 'lorebookActive':
+            return { expects: `${settings.matchType === 'all' ? 'all' : 'any'} of [${list(settings.values)}] active`, observed: `active: ${list(context.activeLorebookEntries.map(e => e.key))}` };
+        case 'timeOfDay': {
+            const now = context.timestamp || new Date();
+            return {
+                expects: `between ${settings.startTime || '00:00'} and ${settings.endTime || '23:59'}`,
+                observed: `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`,
+            };
+        }
+        case 'randomChance':
+            return { expects: `${settings.probability ?? 50}% chance`, observed: 'random roll - differs every run', nondeterministic: true };
+        case 'variable': {
+            const value = readConditionVariable(settings.name, settings.scope || 'any', context);
+            return {
+                expects: `${settings.name} ${OPERATOR_SYMBOLS[settings.operator || 'equals']}${settings.operator === 'exists' ? '' : ` ${settings.value ?? ''}`}`,
+                observed: value === undefined ? `${settings.name} is not set` : `${settings.name} = ${typeof value === 'object' ? JSON.stringify(value) : value}`,
+            };
+        }
+        case 'scoreThreshold':
+            return { expects: `score ≥ ${settings.threshold || 0.5}`, observed: `assumed score ${context.currentChunkScore}` };
+        case 'recency':
+            return { expects: `${OPERATOR_SYMBOLS[settings.operator || 'gte']} ${settings.messagesAgo || 50} messages old`, observed: `${context.messageCount - (context.currentChunkMessageIndex || 0)} messages old` };
+        case 'frequency': {
+            const history = context.activationHistory?.[context.currentChunkHash] || { count: 0 };
+            return { expects: `at most ${settings.maxActivations || 1} activations`, observed: `${history.count} so far` };
+        }
+        default:
+            return { expects: `unknown type "${rule.type}"`, observed: '' };
+    }
+}
+
+/**
+ * Evaluates a conditions tree and records the outcome of every node
+ * @param {object} node Rule, group, or the top-level conditions object
+ * @param {object} context Search context
+ * @returns {{type: string, negate: boolean, passed: boolean, expects?: string, observed?: string, logic?: string, children?: object[], nondeterministic: boolean}}
+ */
+export function explainConditionTree(node, context) {
+    const negate = !!node.negate;
+
+    if (isConditionGroup(node) || !node.type) {
+        const logic = node.logic || node.mode || 'AND';
+        const children = (node.rules || []).map(rule => explainConditionTree(rule, context));
+        const raw = children.length === 0
+            ? true
+            : logic === 'OR' ? children.some(c => c.passed) : children.every(c => c.passed);
+        return {
+            type: 'group',
+            logic,
+            negate,
+            passed: negate ? !raw : raw,
+            children,
+            nondeterministic: children.some(c => c.nondeterministic),
+        };
+    }
+
+    const raw = evaluateConditionRule({ ...node, negate: false }, context);
+    const { expects, observed, nondeterministic = false } = describeRule(node, context);
+    return {
+        type: node.type,
+        negate,
+        passed: negate ? !raw : raw,
+        expects,
+        observed,
+        nondeterministic,
+    };
+}
+
+// ============================================================================
+// SIMULATION
+// ============================================================================
+
+/**
+ * Gets every chunk and collection that has enabled conditions
+ * @returns {Array<{key: string, kind: 'collection'|'chunk', id: string, label: string, conditions: object, notes: string[]}>}
+ */
+export function getConditionTargets() {
+    const targets = [];
+
+    for (const [collectionId, meta] of Object.entries(getAllCollectionMeta())) {
+        if (!meta?.conditions?.enabled || !meta.conditions.rules?.length) {
+            continue;
+        }
+
+        const notes = [];
+        if (meta.enabled === false) notes.push('collection is disabled');
+        if (meta.alwaysActive) notes.push('always active - conditions are not consulted');
+        if (meta.triggers?.length) notes.push('triggers are checked first; conditions only decide when no trigger matches');
+
+        targets.push({
+            key: `collection:${collectionId}`,
+            kind: 'collection',
+            id: collectionId,
+            label: meta.displayName || collectionId,
+            conditions: meta.conditions,
+            notes,
+        });
+    }
+
+    for (const [hash, meta] of Object.entries(getAllChunkMetadata())) {
+        if (!meta?.conditions?.enabled || !meta.conditions.rules?.length) {
+            continue;
+        }
+        targets.push({
+            key: `chunk:${hash}`,
+            kind: 'chunk',
+            id: hash,
+            label: meta.name || meta.title || `Chunk #${String(hash).substring(0, 10)}`,
+            conditions: meta.conditions,
+            notes: [],
+        });
+    }
+
+    return targets;
+}
+
+/**
+ * Runs a scenario against every chunk and collection with conditions
+ * @param {ConditionScenario} scenario
+ * @param {object[]} [targets] Targets to check (default: all of getConditionTargets)
+ * @returns {Array<{key: string, kind: string, id: string, label: string, notes: string[], passed: boolean, tree: object, expected: boolean|undefined}>}
+ */
+export function simulateScenario(scenario, targets = getConditionTargets()) {
+    const baseContext = buildScenarioContext(scenario);
+
+    return targets.map(target => {
+        const context = target.kind === 'chunk'
+            ? { ...baseContext, currentChunkHash: target.id }
+            : baseContext;
+        const tree = explainConditionTree(target.conditions, context);
+        return {
+            ...target,
+            passed: tree.passed,
+            tree,
+            expected: scenario.expected?.[target.key],
+        };
+    });
+}
+
+/**
+ * Compares a scenario's current outcome with the one stored when it was saved.
+ * Targets with random rules, and targets added since, are reported as skipped.
+ * @param {ConditionScenario} scenario
+ * @returns {{passed: object[], failed: object[], skipped: object[], missing: string[]}}
+ */
+export function checkScenarioExpectations(scenario) {
+    const results = simulateScenario(scenario);
+    const passed = [];
+    const failed = [];
+    const skipped = [];
+
+    for (const result of results) {
+        if (result.expected === undefined || result.tree.nondeterministic) {
+            skipped.push(result);
+        } else if (result.passed === result.expected) {
+            passed.push(result);
+        } else {
+            failed.push(result);
+        }
+    }
+
+    const seen = new Set(results.map(r => r.key));
+    const missing = Object.keys(scenario.expected || {}).filter(key => !seen.has(key));
+
+    return { passed, failed, skipped, missing };
+}
+
+// ============================================================================
+// SAVED SCENARIOS
+// ============================================================================
+
+/**
+ * Gets saved scenarios
+ * @returns {ConditionScenario[]}
+ */
+export function getSavedScenarios() {
+    return extension_settings.vecthare?.condition_scenarios || [];
+}
+
+/**
+ * Saves a scenario, recording the current outcome of every target as expected
+ * @param {ConditionScenario} scenario
+ * @returns {ConditionScenario} The stored scenario
+ */
+export function saveScenario(scenario) {
+    const expected = {};
+    for (const result of simulateScenario(scenario)) {
+        if (!result.tree.nondeterministic) {
+            expected[result.key] = result.passed;
+        }
+    }
+
+    const stored = { ...scenario, expected, savedAt: Date.now() };
+    const scenarios = getSavedScenarios().filter(s => s.id !== scenario.id);
+    scenarios.push(stored);
+    extension_settings.vecthare.condition_scenarios = scenarios;
+    saveSettingsDebounced();
+    return stored;
+}
+
+/**
+ * Deletes a saved scenario
+ * @param {string} scenarioId
+ */
+export function deleteScenario(scenarioId) {
+    extension_settings.vecthare.condition_scenarios = getSavedScenarios().filter(s => s.id !== scenarioId);
+    saveSettingsDebounced();
+}
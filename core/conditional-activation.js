@@ -10,6 +10,9 @@
  * ============================================================================
  */
 
+import { chat_metadata } from '../../../../../script.js';
+import { extension_settings } from '../../../../extensions.js';
+
 // ============================================================================
 // EXPRESSIONS EXTENSION INTEGRATION
 // ============================================================================
@@ -181,7 +184,7 @@ export function matchesEmotionPatterns(emotionName, text) {
 }
 
 // ============================================================================
-// COLLECTION & CHUNK CONDITION EVALUATORS (11 types)
+// COLLECTION & CHUNK CONDITION EVALUATORS (12 types)
 // ============================================================================
 // These can be used at both collection-level and chunk-level.
 // Collection-level: Determines if a collection should be queried
@@ -497,7 +500,7 @@ function evaluateTimeOfDayCondition(rule, context) {
         const startTime = settings.startTime || '00:00';
         const endTime = settings.endTime || '23:59';
 
-        const now = new Date();
+        const now = context.timestamp || new Date();
         const currentTime = now.getHours() * 60 + now.getMinutes();
         const [startH, startM] = startTime.split(':').map(n => parseInt(n));
         const [endH, endM] = endTime.split(':').map(n => parseInt(n));
@@ -547,7 +550,13 @@ function evaluateEmotionCondition(rule, context) {
     // =========================================================================
     // CHARACTER EXPRESSIONS EXTENSION CHECK
     // =========================================================================
-    if (detectionMethod !== 'patterns' && expressionsExtension && context.currentCharacter) {
+    if (detectionMethod !== 'patterns' && typeof context.detectedEmotion === 'string') {
+        // Supplied by the caller (condition simulator) in place of the live sprite; '' = no sprite
+        if (context.detectedEmotion) {
+            const matchedEmotion = context.detectedEmotion.toLowerCase();
+            expressionsResult = targetEmotions.some(target => target.toLowerCase() === matchedEmotion);
+        }
+    } else if (detectionMethod !== 'patterns' && expressionsExtension && context.currentCharacter) {
         try {
             const detectedEmotion = expressionsExtension.lastExpression?.[context.currentCharacter];
             if (detectedEmotion) {
@@ -766,6 +775,106 @@ function evaluateIsGroupChatCondition(rule, context) {
     return isGroup === expectGroupChat;
 }
 
+/**
+ * Valid operators for variable conditions
+ */
+export const VARIABLE_OPERATORS = ['equals', 'notEquals', 'contains', 'gt', 'gte', 'lt', 'lte', 'exists'];
+
+/**
+ * Looks up a SillyTavern variable (the same stores /setvar and /setglobalvar write to).
+ * context.variables ({ local, global }) overrides the live stores - used by tests
+ * and the condition simulator.
+ * @param {string} name Variable name
+ * @param {string} scope 'local' (chat), 'global', or 'any' (chat first, then global)
+ * @param {object} context Search context
+ * @returns {*} Variable value, or undefined if not set
+ */
+export function readConditionVariable(name, scope, context) {
+    const local = context.variables?.local ?? chat_metadata?.variables ?? {};
+    const global = context.variables?.global ?? extension_settings?.variables?.global ?? {};
+
+    if (scope === 'local') {
+        return local[name];
+    }
+    if (scope === 'global') {
+        return global[name];
+    }
+    return local[name] !== undefined ? local[name] : global[name];
+}
+
+/**
+ * Evaluates a chat/global variable condition
+ * @param {object} rule Condition rule
+ * @param {object} context Search context
+ * @returns {boolean} Whether condition is met
+ */
+function evaluateVariableCondition(rule, context) {
+    const settings = rule.settings || {};
+    const name = String(settings.name || '').trim();
+    if (!name) {
+        return false;
+    }
+
+    const operator = settings.operator || 'equals';
+    const current = readConditionVariable(name, settings.scope || 'any', context);
+    const isSet = current !== undefined && current !== null && current !== '';
+
+    if (operator === 'exists') {
+        return isSet;
+    }
+    if (!isSet) {
+        return false;
+    }
+
+    const caseSensitive = settings.caseSensitive || false;
+    const normalize = value => caseSensitive ? String(value) : String(value).toLowerCase();
+    const target = settings.value ?? '';
+
+    switch (operator) {
+        case 'equals':
+            return normalize(current) === normalize(target);
+
+        case 'notEquals':
+            return normalize(current) !== normalize(target);
+
+        case 'contains': {
+            // Lists set with /setvar are stored as JSON arrays - match whole items there
+            if (typeof current === 'string' && current.trim().startsWith('[')) {
+                try {
+                    const list = JSON.parse(current);
+                    if (Array.isArray(list)) {
+                        return list.some(item => normalize(item) === normalize(target));
+                    }
+                } catch {
+                    // Not JSON after all - fall through to substring match
+                }
+            }
+            if (Array.isArray(current)) {
+                return current.some(item => normalize(item) === normalize(target));
+            }
+            return normalize(current).includes(normalize(target));
+        }
+
+        case 'gt':
+        case 'gte':
+        case 'lt':
+        case 'lte': {
+            const a = Number(current);
+            const b = Number(target);
+            if (isNaN(a) || isNaN(b)) {
+                return false;
+            }
+            if (operator === 'gt') return a > b;
+            if (operator === 'gte') return a >= b;
+            if (operator === 'lt') return a < b;
+            return a <= b;
+        }
+
+        default:
+            return false;
+    }
+}
+
 // ============================================================================
 // MAIN EVALUATION FUNCTIONS
 // ============================================================================
@@ -781,7 +890,7 @@ export function evaluateConditionRule(rule, context) {
 
     switch (rule.type) {
         // =================================================================
-        // COLLECTION & CHUNK CONDITIONS (11 types)
+        // COLLECTION & CHUNK CONDITIONS (12 types)
         // =================================================================
         case 'pattern':
             result = evaluatePatternCondition(rule, context);
@@ -831,6 +940,10 @@ export function evaluateConditionRule(rule, context) {
             result = evaluateIsGroupChatCondition(rule, context);
             break;
 
+        case 'variable':
+            result = evaluateVariableCondition(rule, context);
+            break;
+
         // =================================================================
         // CHUNK-ONLY CONDITIONS (4 types)
         // Note: Links are processed separately via processChunkLinks()
@@ -847,6 +960,10 @@ export function evaluateConditionRule(rule, context) {
             result = evaluateFrequencyCondition(rule, context);
             break;
 
+        // Nested group - its own logic over its own rules
+        case 'group':
+            result = evaluateConditionGroup(rule, context);
+            break;
 
         default:
             console.warn(`VectHare Conditions: Unknown condition type: ${rule.type}`);
@@ -857,6 +974,43 @@ export function evaluateConditionRule(rule, context) {
     return rule.negate ? !result : result;
 }
 
+/**
+ * Maximum nesting of condition groups (the top-level conditions object is depth 0)
+ */
+export const MAX_CONDITION_DEPTH = 4;
+
+/**
+ * Checks whether a rules-list entry is a nested group rather than a leaf rule
+ * @param {object} rule Entry from a rules list
+ * @returns {boolean}
+ */
+export function isConditionGroup(rule) {
+    return rule?.type === 'group';
+}
+
+/**
+ * Evaluates a group of rules with its AND/OR logic.
+ * Groups nest: an entry of `rules` can itself be { type: 'group', logic, negate, rules },
+ * so (A OR B) AND NOT C is { logic: 'AND', rules: [{ type: 'group', logic: 'OR', rules: [A, B] }, { ...C, negate: true }] }.
+ * The top-level conditions object is a group too; its `negate` (if any) is applied here,
+ * nested groups get theirs from evaluateConditionRule.
+ * @param {object} group Group or conditions object with `logic` and `rules`
+ * @param {object} context Search context
+ * @returns {boolean} Whether the group is satisfied (an empty group is)
+ */
+export function evaluateConditionGroup(group, context) {
+    const rules = group.rules || [];
+    if (rules.length === 0) {
+        return true;
+    }
+
+    // Use 'logic' field, fallback to 'mode' for compatibility
+    const logic = group.logic || group.mode || 'AND';
+    return logic === 'OR'
+        ? rules.some(rule => evaluateConditionRule(rule, context))
+        : rules.every(rule => evaluateConditionRule(rule, context));
+}
+
 /**
  * Evaluates all conditions for a chunk
  * @param {object} chunk Chunk with conditions
@@ -874,16 +1028,17 @@ export function evaluateConditions(chunk, context) {
         return true; // Enabled but no rules = active
     }
 
-    // Evaluate each rule
-    const results = rules.map(rule => evaluateConditionRule(rule, context));
+    const result = evaluateConditionGroup(chunk.conditions, context);
+    return chunk.conditions.negate ? !result : result;
+}
 
-    // Apply AND/OR logic (use 'logic' field, fallback to 'mode' for compatibility)
-    const logic = chunk.conditions.logic || chunk.conditions.mode || 'AND';
-    if (logic === 'AND') {
-        return results.every(r => r);
-    } else {
-        return results.some(r => r);
-    }
+/**
+ * Lists the leaf rules of a conditions tree, depth-first
+ * @param {object} group Group or conditions object
+ * @returns {object[]} Leaf rules (groups themselves are not included)
+ */
+export function flattenConditionRules(group) {
+    return (group?.rules || []).flatMap(rule => isConditionGroup(rule) ? flattenConditionRules(rule) : [rule]);
 }
 
 /**
@@ -948,6 +1103,8 @@ export function buildSearchContext(chat, contextWindow = 10, activeChunks = [],
         activeLorebookEntries: metadata.activeLorebookEntries || [], // Active lorebook entries
         isGroupChat: metadata.isGroupChat || false,                  // Whether this is a group chat
         currentCharacter: metadata.currentCharacter || null,         // Current character name (for expressions extension)
+        detectedEmotion: metadata.detectedEmotion ?? null,           // Overrides the expressions extension (simulator; '' = no sprite)
+        variables: metadata.variables || null,                       // { local, global } - overrides live variables (simulator)
 
         // Context for chunk-only conditionals (set per-chunk during evaluation)
         currentChunkScore: metadata.currentChunkScore || 0,          // For similarity condition
@@ -1119,6 +1276,20 @@ export function validateConditionRule(rule) {
             }
             break;
 
+        case 'variable': {
+            const varSettings = rule.settings || {};
+            const varOperator = varSettings.operator || 'equals';
+            if (!varSettings.name || String(varSettings.name).trim() === '') {
+                errors.push('Variable name cannot be empty');
+            }
+            if (!VARIABLE_OPERATORS.includes(varOperator)) {
+                errors.push(`Invalid variable operator: "${varOperator}". Valid operators: ${VARIABLE_OPERATORS.join(', ')}`);
+            } else if (['gt', 'gte', 'lt', 'lte'].includes(varOperator) && (varSettings.value === undefined || varSettings.value === '' || isNaN(Number(varSettings.value)))) {
+                errors.push('Numeric comparisons need a number to compare against');
+            }
+            break;
+        }
+
         // =================================================================
         // CHUNK-ONLY CONDITIONS VALIDATION
         // =================================================================
@@ -1162,7 +1333,42 @@ export function validateConditionRule(rule) {
 }
 
 /**
- * Validates all conditions for a chunk
+ * Validates the rules of a group, recursing into nested groups
+ * @param {object} group Group or conditions object
+ * @param {string} prefix Label prefix for error messages ('' at the top level, '2.' inside rule 2)
+ * @param {number} depth Nesting depth of this group
+ * @param {string[]} errors Collected error messages
+ */
+function validateConditionGroup(group, prefix, depth, errors) {
+    if (group.logic && !['AND', 'OR'].includes(group.logic)) {
+        errors.push(`${prefix ? `Group ${prefix.slice(0, -1)}: ` : ''}Logic must be AND or OR`);
+    }
+
+    (group.rules || []).forEach((rule, idx) => {
+        const label = `${prefix}${idx + 1}`;
+
+        if (!isConditionGroup(rule)) {
+            const validation = validateConditionRule(rule);
+            if (!validation.valid) {
+                errors.push(`Rule ${label}: ${validation.errors.join(', ')}`);
+            }
+            return;
+        }
+
+        if (depth + 1 > MAX_CONDITION_DEPTH) {
+            errors.push(`Group ${label}: Groups can be nested at most ${MAX_CONDITION_DEPTH} levels deep`);
+            return;
+        }
+        if (!rule.rules || rule.rules.length === 0) {
+            errors.push(`Group ${label}: Group is empty`);
+            return;
+        }
+        validateConditionGroup(rule, `${label}.`, depth + 1, errors);
+    });
+}
+
+/**
+ * Validates all conditions for a chunk or collection, including nested groups
  * @param {object} conditions Chunk conditions object
  * @returns {object} Validation result { valid: boolean, errors: string[] }
  */
@@ -1180,12 +1386,7 @@ export function validateConditions(conditions) {
             errors.push('At least one condition rule is required when conditions are enabled');
         }
 
-        rules.forEach((rule, idx) => {
-            const validation = validateConditionRule(rule);
-            if (!validation.valid) {
-                errors.push(`Rule ${idx + 1}: ${validation.errors.join(', ')}`);
-            }
-        });
+        validateConditionGroup(conditions, '', 0, errors);
     }
 
     return {
@@ -1198,6 +1399,17 @@ export function validateConditions(conditions) {
 // STATISTICS FUNCTIONS
 // ============================================================================
 
+/**
+ * Counts the nested groups below a group
+ * @param {object} group Group or conditions object
+ * @returns {number}
+ */
+function countConditionGroups(group) {
+    return (group?.rules || [])
+        .filter(isConditionGroup)
+        .reduce((count, rule) => count + 1 + countConditionGroups(rule), 0);
+}
+
 /**
  * Gets statistics about condition usage in a chunk collection
  * @param {Array} chunks Array of chunks
@@ -1209,7 +1421,10 @@ export function getConditionStats(chunks) {
         withConditions: 0,
         conditionsEnabled: 0,
         byType: {},
-        byMode: { AND: 0, OR: 0 }
+        byMode: { AND: 0, OR: 0 },
+        withNestedGroups: 0,
+        nestedGroups: 0,
+        negatedRules: 0
     };
 
     chunks.forEach(chunk => {
@@ -1222,8 +1437,17 @@ export function getConditionStats(chunks) {
                 const mode = chunk.conditions.logic || chunk.conditions.mode || 'AND';
                 stats.byMode[mode] = (stats.byMode[mode] || 0) + 1;
 
-                chunk.conditions.rules.forEach(rule => {
+                const groups = countConditionGroups(chunk.conditions);
+                if (groups > 0) {
+                    stats.withNestedGroups++;
+                    stats.nestedGroups += groups;
+                }
+
+                flattenConditionRules(chunk.conditions).forEach(rule => {
                     stats.byType[rule.type] = (stats.byType[rule.type] || 0) + 1;
+                    if (rule.negate) {
+                        stats.negatedRules++;
+                    }
                 });
             }
         }
@@ -1240,6 +1464,9 @@ export default {
     // Core evaluation
     evaluateConditionRule,
     evaluateConditions,
+    evaluateConditionGroup,
+    isConditionGroup,
+    flattenConditionRules,
     filterChunksByConditions,
     buildSearchContext,
     buildChunkContext,
@@ -1260,5 +1487,7 @@ export default {
     // Constants
     EMOTION_KEYWORDS,
     VALID_EMOTIONS,
-    VALID_GENERATION_TYPES
+    VALID_GENERATION_TYPES,
+    VARIABLE_OPERATORS,
+    MAX_CONDITION_DEPTH
 };
@@ -0,0 +1,418 @@
+/**
+ * ============================================================================
+ * VECTHARE MEMORY CONSOLIDATION
+ * ============================================================================
+ * Rolls old chat chunks up into a hierarchy of generated summaries:
+ *
+ *   batch   - a summary of N aged raw chunks
+ *   chapter - a summary of M batches
+ *   arc     - a summary of K chapters
+ *
+ * Each summary is stored in the chat collection as a consolidated node that
+ * lists its children. The children stay in the index, but once rolled up they
+ * are only reached through their node: when retrieval matches a node it
+ * descends to the children that best match the query (see
+ * descendConsolidatedChunks in chat-vectorization.js).
+ *
+ * "Aged" uses the same message-age math as temporal decay. Temporally blind
+ * chunks, scenes, scene-covered chunks and summary chunks are never rolled up.
+ *
+ * Local chunk metadata carries the links (vector metadata has a copy):
+ *   node:  consolidation: { tier, childHashes, startIndex, endIndex, createdAt }
+ *   child: consolidatedInto: nodeHash
+ * A link whose node is no longer in the collection is ignored, so a purged
+ * and re-vectorized chat simply consolidates again.
+ *
+ * Nodes carry no messageId, so decay and nostalgia leave them alone.
+ *
+ * @author Coneja Chibi | VectHare
+ * @version 2.0.0-alpha
+ * ============================================================================
+ */
+
+import { getContext } from '../../../../extensions.js';
+import { getStringHash } from '../../../../utils.js';
+import { getSavedHashes, insertVectorItems } from './core-vector-api.js';
+import { getChunkMetadata, saveChunkMetadata, isChunkTemporallyBlind } from './collection-metadata.js';
+import { getChunkMessageId, getChunkMessageAge } from './temporal-decay.js';
+import { getCurrentCollectionId } from './scenes.js';
+import { generateSummaryWithPrompt, getBackendSettings } from './summarization.js';
+import { registerJobRunner, submitJob, getJobs } from './job-queue.js';
+
+// ============================================================================
+// TIERS
+// ============================================================================
+
+/**
+ * Consolidation tiers, lowest first. Each tier groups `sizeSetting` items of
+ * the tier below (raw chunks for batches).
+ */
+export const CONSOLIDATION_TIERS = {
+    batch: {
+        id: 'batch',
+        label: 'Batch',
+        sizeSetting: 'consolidation_batch_size',
+        childTier: null,
+        prompt: 'Summarize this stretch of a roleplay chat in 3-5 sentences. Keep names, places, decisions and facts that were established; skip small talk.',
+    },
+    chapter: {
+        id: 'chapter',
+        label: 'Chapter',
+        sizeSetting: 'consolidation_chapter_size',
+        childTier: 'batch',
+        prompt: 'These are summaries of consecutive parts of a roleplay, in order. Merge them into one chapter summary of 4-6 sentences: the main events, who was involved, and what changed.',
+    },
+    arc: {
+        id: 'arc',
+        label: 'Arc',
+        sizeSetting: 'consolidation_arc_size',
+        childTier: 'chapter',
+        prompt: 'These are chapter summaries of a roleplay, in order. Summarize the whole story arc in 4-6 sentences: how it began, the turning points, and how things stand at the end.',
+    },
+};
+
+const TIER_ORDER = ['batch', 'chapter', 'arc'];
+
+// ============================================================================
+// LINKS
+// ============================================================================
+
+/**
+ * Gets a chunk's consolidated-node info
+ * @param {object} meta Chunk metadata (with hash) from getSavedHashes
+ * @returns {{tier: string, childHashes: Array<number|string>, startIndex: number, endIndex: number}|null}
+ */
+export function getConsolidationNode(meta) {
+    const stored = getChunkMetadata(meta.hash)?.consolidation;
+    if (stored) {
+        return stored;
+    }
+    if (meta.isConsolidated && Array.isArray(meta.childHashes)) {
+        return {
+            tier: meta.consolidationTier,
+            childHashes: meta.childHashes,
+            startIndex: meta.startIndex,
+            endIndex: meta.endIndex,
+        };
+    }
+    return null;
+}
+
+/**
+ * Gets the node a chunk was rolled up into
+ * @param {number|string} hash Chunk hash
+ * @returns {number|string|null} Node hash (check it still exists before trusting it)
+ */
+export function getConsolidatedParent(hash) {
+    return getChunkMetadata(hash)?.consolidatedInto ?? null;
+}
+
+/**
+ * Whether a chunk has been rolled up into a node that is still in the collection
+ * @param {number|string} hash Chunk hash
+ * @param {Map<string, object>} lookup Collection chunks by hash
+ * @returns {boolean}
+ */
+function hasLiveParent(hash, lookup) {
+    const parent = getConsolidatedParent(hash);
+    return parent !== null && lookup.has(String(parent));
+}
+
+// ============================================================================
+// PLANNING
+// ============================================================================
+
+/**
+ * Whether a raw chunk is old enough and eligible to go into a batch
+ * @param {object} meta Chunk metadata from getSavedHashes
+ * @param {Map<string, object>} lookup Collection chunks by hash
+ * @param {object} settings VectHare settings
+ * @param {number} currentMessageId Current message ID in chat
+ * @returns {boolean}
+ */
+function isAgedRawChunk(meta, lookup, settings, currentMessageId) {
+    if (meta.isSummaryChunk || meta.isSummary || meta.isSummaryVector || meta.isScene || getConsolidationNode(meta)) {
+        return false;
+    }
+    if (hasLiveParent(meta.hash, lookup) || isChunkTemporallyBlind(meta.hash)) {
+        return false;
+    }
+    if (getChunkMetadata(meta.hash)?.disabledByScene != null) {
+        return false; // The scene stands in for it
+    }
+
+    const age = getChunkMessageAge(meta, currentMessageId);
+    return age !== null && age >= (settings.consolidation_min_age || 0);
+}
+
+/**
+ * Gets the items a tier groups, oldest first
+ * @param {string} tier CONSOLIDATION_TIERS id
+ * @param {Map<string, object>} lookup Collection chunks by hash
+ * @param {object} settings VectHare settings
+ * @param {number} currentMessageId Current message ID in chat
+ * @returns {object[]}
+ */
+function getTierInputs(tier, lookup, settings, currentMessageId) {
+    const { childTier } = CONSOLIDATION_TIERS[tier];
+    const items = [...lookup.values()].filter(meta => {
+        if (childTier === null) {
+            return isAgedRawChunk(meta, lookup, settings, currentMessageId);
+        }
+        return getConsolidationNode(meta)?.tier === childTier && !hasLiveParent(meta.hash, lookup);
+    });
+
+    return items
+        .map(meta => ({ meta, position: getGroupRange([meta]).endIndex }))
+        .sort((a, b) => a.position - b.position || (a.meta.index ?? 0) - (b.meta.index ?? 0))
+        .map(entry => entry.meta);
+}
+
+/**
+ * Splits a tier's inputs into full groups. A partial group waits for more
+ * items to age in.
+ * @param {string} tier CONSOLIDATION_TIERS id
+ * @param {Map<string, object>} lookup Collection chunks by hash
+ * @param {object} settings VectHare settings
+ * @param {number} currentMessageId Current message ID in chat
+ * @returns {object[][]}
+ */
+function planTier(tier, lookup, settings, currentMessageId) {
+    const size = Math.max(2, Number(settings[CONSOLIDATION_TIERS[tier].sizeSetting]) || 2);
+    const inputs = getTierInputs(tier, lookup, settings, currentMessageId);
+    const groups = [];
+    for (let i = 0; i + size <= inputs.length; i += size) {
+        groups.push(inputs.slice(i, i + size));
+    }
+    return groups;
+}
+
+/**
+ * Counts the nodes a consolidation run would create
+ * @param {Map<string, object>} lookup Collection chunks by hash
+ * @param {object} settings VectHare settings
+ * @param {number} currentMessageId Current message ID in chat
+ * @returns {number}
+ */
+function estimateNodeCount(lookup, settings, currentMessageId) {
+    let total = 0;
+    let created = 0;
+    for (const tier of TIER_ORDER) {
+        const size = Math.max(2, Number(settings[CONSOLIDATION_TIERS[tier].sizeSetting]) || 2);
+        const waiting = getTierInputs(tier, lookup, settings, currentMessageId).length + created;
+        created = Math.floor(waiting / size);
+        total += created;
+    }
+    return total;
+}
+
+/**
+ * Gets the message range a group of chunks or nodes covers
+ * @param {object[]} group Chunk metadata
+ * @returns {{startIndex: number, endIndex: number}}
+ */
+function getGroupRange(group) {
+    const starts = [];
+    const ends = [];
+    for (const meta of group) {
+        const node = getConsolidationNode(meta);
+        const end = node ? node.endIndex : getChunkMessageId(meta);
+        const start = node ? node.startIndex : (meta.startIndex ?? (meta.messageIds?.length ? Math.min(...meta.messageIds) : end));
+        starts.push(start ?? 0);
+        ends.push(end ?? 0);
+    }
+    return { startIndex: Math.min(...starts), endIndex: Math.max(...ends) };
+}
+
+// ============================================================================
+// JOBS
+// ============================================================================
+
+/**
+ * Builds a hash -> chunk metadata lookup
+ * @param {object[]} chunks Chunk metadata from getSavedHashes
+ * @returns {Map<string, object>}
+ */
+function buildLookup(chunks) {
+    return new Map(chunks.map(meta => [String(meta.hash), meta]));
+}
+
+/**
+ * Whether a consolidation job for a collection is waiting or running
+ * @param {string} collectionId
+ * @returns {boolean}
+ */
+function hasActiveConsolidationJob(collectionId) {
+    return getJobs().some(job => job.type === 'consolidation'
+        && job.params.collectionId === collectionId
+        && (job.status === 'queued' || job.status === 'running'));
+}
+
+/**
+ * Stores a generated summary as a consolidated node and links its children to it
+ * @param {string} collectionId
+ * @param {string} tier CONSOLIDATION_TIERS id
+ * @param {object[]} group Children (chunk metadata)
+ * @param {string} summary Generated summary text
+ * @param {object} settings VectHare settings
+ * @returns {Promise<object>} The node, shaped like getSavedHashes metadata
+ */
+async function storeNode(collectionId, tier, group, summary, settings) {
+    const hash = getStringHash(summary);
+    const childHashes = group.map(meta => meta.hash);
+    const { startIndex, endIndex } = getGroupRange(group);
+    const index = group[0].index ?? 0;
+
+    const metadata = {
+        source: 'chat',
+        contentType: 'consolidated',
+        isConsolidated: true,
+        consolidationTier: tier,
+        childHashes,
+        startIndex,
+        endIndex,
+    };
+
+    await insertVectorItems(collectionId, [{ hash, text: summary, index, keywords: [], metadata }], settings);
+
+    saveChunkMetadata(hash, {
+        ...(getChunkMetadata(hash) || {}),
+        consolidation: { tier, childHashes, startIndex, endIndex, createdAt: Date.now() },
+    });
+    for (const childHash of childHashes) {
+        saveChunkMetadata(childHash, { ...(getChunkMetadata(childHash) || {}), consolidatedInto: hash });
+    }
+
+    return { ...metadata, hash, text: summary, index };
+}
+
+/**
+ * Job runner for consolidation. Plans from the collection each time it runs,
+ * so resuming or retrying just picks up whatever is still unconsolidated.
+ * A tier with a failed group stops the run, so a chapter never skips over a
+ * missing batch.
+ * @param {object} job Consolidation job (params: collectionId, backendSettings, currentMessageId)
+ * @param {object} context Job runner context
+ */
+async function runConsolidationJob(job, context) {
+    const { collectionId, backendSettings, currentMessageId } = job.params;
+    const settings = { ...context.settings, ...backendSettings };
+
+    const data = await getSavedHashes(collectionId, settings, true);
+    if (!data?.metadata) {
+        throw new Error('Could not read chunk metadata for this collection');
+    }
+    const lookup = buildLookup(data.metadata);
+
+    let processed = job.processed;
+    let created = job.chunks;
+    await context.checkpoint({ total: processed + estimateNodeCount(lookup, settings, currentMessageId) });
+
+    for (const tier of TIER_ORDER) {
+        const config = CONSOLIDATION_TIERS[tier];
+        let failed = false;
+
+        for (const group of planTier(tier, lookup, settings, currentMessageId)) {
+            if (context.shouldStop()) {
+                return;
+            }
+
+            const { startIndex, endIndex } = getGroupRange(group);
+            try {
+                const text = group.map(meta => meta.text || '').filter(Boolean).join('\n\n');
+                const summary = await context.retry(() => generateSummaryWithPrompt(text, config.prompt, settings));
+                const node = await context.retry(() => storeNode(collectionId, tier, group, summary, settings));
+                lookup.set(String(node.hash), node);
+                created++;
+            } catch (error) {
+                failed = true;
+                context.recordFailure([{
+                    hash: group[0].hash,
+                    label: `${config.label}: messages ${startIndex}-${endIndex}`,
+                    error: error.message,
+                    attempts: context.isRetryable(error) ? job.retry.maxAttempts : 1,
+                }]);
+            }
+
+            processed++;
+            await context.checkpoint(
+                { processed, chunks: created, state: { tier } },
+                `Consolidating ${config.label.toLowerCase()}s... messages ${startIndex}-${endIndex}`,
+            );
+        }
+
+        if (failed) {
+            console.warn(`VectHare Consolidation: ${config.label} tier had failures - higher tiers wait for the next run`);
+            break;
+        }
+    }
+}
+
+registerJobRunner('consolidation', runConsolidationJob);
+
+/**
+ * Rolls a chat collection's aged chunks up into batch, chapter and arc summaries
+ * in a background job
+ * @param {string} collectionId Chat collection
+ * @param {object} settings VectHare settings (collection-specific backend settings are fine)
+ * @param {object} options
+ * @param {number} options.currentMessageId Current message ID in the chat (ages are measured from it)
+ * @param {string} [options.label] Name shown in the jobs panel
+ * @returns {Promise<{success: boolean, status: string, jobId: string|null, created: number, failedCount: number}>}
+ */
+export async function consolidateCollection(collectionId, settings, { currentMessageId, label } = {}) {
+    const data = await getSavedHashes(collectionId, settings, true);
+    if (!data?.metadata) {
+        throw new Error('Could not read chunk metadata for this collection (needs the Similharity plugin or the browser backend)');
+    }
+
+    const total = estimateNodeCount(buildLookup(data.metadata), settings, currentMessageId);
+    if (total === 0) {
+        return { success: true, status: 'completed', jobId: null, created: 0, failedCount: 0 };
+    }
+
+    const job = await submitJob({
+        type: 'consolidation',
+        label: `Consolidation: ${label || collectionId}`,
+        total,
+        itemLabel: 'Summaries',
+        params: {
+            collectionId,
+            backendSettings: getBackendSettings(settings),
+            currentMessageId,
+        },
+        retry: { maxAttempts: 2 },
+    });
+
+    if (job.status === 'failed') {
+        throw new Error(job.note || 'Consolidation failed');
+    }
+
+    return {
+        success: job.status === 'completed',
+        status: job.status,
+        jobId: job.id,
+        created: job.chunks,
+        failedCount: job.failedItems.length,
+    };
+}
+
+/**
+ * Consolidates the open chat. Does nothing while a consolidation job for it is
+ * still waiting or running.
+ * @param {object} settings VectHare settings
+ * @returns {Promise<{success: boolean, status: string, jobId: string|null, created: number, failedCount: number}|null>}
+ *          null when there is no chat or a job is already busy with it
+ */
+export async function consolidateChat(settings) {
+    const collectionId = getCurrentCollectionId();
+    const messages = getContext()?.chat;
+    if (!collectionId || !Array.isArray(messages) || hasActiveConsolidationJob(collectionId)) {
+        return null;
+    }
+
+    return consolidateCollection(collectionId, settings, {
+        currentMessageId: messages.length - 1,
+        label: getContext().name2 || collectionId,
+    });
+}
@@ -68,6 +68,54 @@ export const DEFAULT_CHUNK_OVERLAP = 50;
 /** Characters to search back when finding sentence boundaries */
 export const SENTENCE_SEARCH_WINDOW = 50;
 
+/** Semantic chunking: cut where adjacent-sentence similarity falls in this lowest percentile */
+export const SEMANTIC_BREAKPOINT_PERCENTILE = 20;
+
+/** Semantic chunking: smallest chunk, as a fraction of the chunk size, before a topic cut is allowed */
+export const SEMANTIC_MIN_CHUNK_RATIO = 0.25;
+
+/** Semantic chunking: neighbouring sentences embedded with each sentence (smooths noisy one-liners) */
+export const SEMANTIC_SENTENCE_WINDOW = 1;
+
+/** Semantic chunking: most embeddings per text - longer texts are compared in groups of sentences */
+export const SEMANTIC_MAX_WINDOWS = 200;
+
+// =============================================================================
+// SCENE DETECTION DEFAULTS
+// =============================================================================
+
+/** Scene detection: message pairs whose similarity falls in this lowest percentile count as topic drift */
+export const SCENE_DETECT_DRIFT_PERCENTILE = 10;
+
+/** Scene detection: shortest scene proposed, in messages */
+export const SCENE_DETECT_MIN_MESSAGES = 4;
+
+/** Scene detection: messages on each side of a boundary compared for a speaker change */
+export const SCENE_DETECT_SPEAKER_WINDOW = 4;
+
+/** Scene detection: combined signal score a boundary needs to be proposed (0-1) */
+export const SCENE_DETECT_MIN_SCORE = 0.4;
+
+// =============================================================================
+// SUMMARIZATION DEFAULTS
+// =============================================================================
+
+/** Longest text sent to the model for one summary, in characters (the rest is cut) */
+export const SUMMARY_MAX_INPUT_CHARS = 12000;
+
+// =============================================================================
+// KNOWLEDGE GRAPH DEFAULTS
+// =============================================================================
+
+/** IndexedDB database holding per-chat knowledge graphs */
+export const KNOWLEDGE_GRAPH_DB_NAME = 'VectHare_KnowledgeGraph';
+
+/** Message text sent to the model per extraction call, in characters */
+export const GRAPH_EXTRACTION_BATCH_CHARS = 6000;
+
+/** Reply length for one extraction call (JSON needs more room than a summary) */
+export const GRAPH_EXTRACTION_MAX_TOKENS = 800;
+
 // =============================================================================
 // TEMPORAL WEIGHTING DEFAULTS
 // =============================================================================
@@ -84,6 +132,24 @@ export const DEFAULT_DECAY_STRENGTH = 0.5;
 /** Default max boost for nostalgia mode (1.2 = 20% boost for old chunks) */
 export const DEFAULT_NOSTALGIA_MAX_BOOST = 1.2;
 
+/** Default half-life for nostalgia (messages until 50% of max boost) */
+export const DEFAULT_NOSTALGIA_HALF_LIFE = 50;
+
+/** Half-life multiplier per recall in 'strengthen' reinforcement (1.5 = +50% each time) */
+export const DEFAULT_REINFORCEMENT_GROWTH = 1.5;
+
+/** Cap on how far recalls and importance can stretch a half-life */
+export const REINFORCEMENT_MAX_SCALE = 10;
+
+/** Default wall-clock half-life, in DEFAULT_DECAY_TIME_UNIT */
+export const DEFAULT_DECAY_TIME_HALF_LIFE = 3;
+
+/** Default unit for the wall-clock half-life ('hours' or 'days') */
+export const DEFAULT_DECAY_TIME_UNIT = 'days';
+
+/** Hours per wall-clock decay unit */
+export const DECAY_TIME_UNIT_HOURS = { hours: 1, days: 24 };
+
 // =============================================================================
 // CONDITIONAL ACTIVATION DEFAULTS
 // =============================================================================
@@ -106,3 +172,135 @@ export const DEFAULT_QUERY_COUNT = 5;
 
 /** Default number of messages to protect from vectorization */
 export const DEFAULT_PROTECT_COUNT = 5;
+
+// =============================================================================
+// HYBRID SEARCH DEFAULTS
+// =============================================================================
+
+/** BM25 term-frequency saturation (k1) */
+export const DEFAULT_BM25_K1 = 1.2;
+
+/** BM25 document-length normalization (b) */
+export const DEFAULT_BM25_B = 0.75;
+
+/** Reciprocal rank fusion constant - higher values flatten rank differences */
+export const DEFAULT_RRF_K = 60;
+
+/** Weight of the vector score in weighted fusion (lexical gets the remainder) */
+export const DEFAULT_HYBRID_VECTOR_WEIGHT = 0.6;
+
+/** Maximum lexical indexes kept in memory (one per collection) */
+export const LEXICAL_INDEX_CACHE_SIZE = 20;
+
+/** Age after which a lexical index is rebuilt from the backend (5 minutes) */
+export const LEXICAL_INDEX_TTL_MS = 300000;
+
+// =============================================================================
+// KEYWORD LEARNING DEFAULTS
+// =============================================================================
+
+/** Words in more than this share of a collection's chunks are never suggested */
+export const CORPUS_KEYWORD_MAX_DOC_SHARE = 0.5;
+
+/** Times a word must occur in a chunk to be suggested for it */
+export const CORPUS_KEYWORD_MIN_COUNT = 2;
+
+/** Suggestions kept per chunk (highest TF-IDF first) */
+export const CORPUS_KEYWORDS_PER_CHUNK = 5;
+
+/** Chunks needed before document frequencies mean anything */
+export const CORPUS_MIN_DOCUMENTS = 3;
+
+/** Proposed weight for the most widespread word that still qualifies */
+export const CORPUS_KEYWORD_MIN_WEIGHT = 1.2;
+
+/** Proposed weight for a word found in a single chunk */
+export const CORPUS_KEYWORD_MAX_WEIGHT = 2.5;
+
+// =============================================================================
+// DIVERSITY (MMR) DEFAULTS
+// =============================================================================
+
+/** Default MMR lambda - 1.0 = pure relevance, 0.0 = pure diversity */
+export const DEFAULT_MMR_LAMBDA = 0.7;
+
+/** Candidates fetched per injected chunk when MMR is on (gives MMR room to choose) */
+export const DEFAULT_MMR_CANDIDATE_MULTIPLIER = 3;
+
+/** Collections whose stored vectors are kept in memory (listed once, then kept current by inserts/deletes) */
+export const CHUNK_VECTOR_CACHE_COLLECTIONS = 4;
+
+// =============================================================================
+// CONSOLIDATION
+// =============================================================================
+
+/** Wider re-queries when rolled-up chunks take top-K slots (they're only reached through their node) */
+export const CONSOLIDATION_REQUERY_ATTEMPTS = 2;
+
+// =============================================================================
+// CONTRADICTION DETECTION DEFAULTS
+// =============================================================================
+
+/** Cosine similarity at or above which two distant chunks are flagged */
+export const DEFAULT_CONFLICT_SIMILARITY = 0.85;
+
+/** Minimum gap between two flagged chunks, in messages */
+export const DEFAULT_CONFLICT_MIN_DISTANCE = 20;
+
+/** Flagged pairs sent to the model per search (most similar first) */
+export const CONFLICT_MAX_LLM_CHECKS = 5;
+
+/** Passage length sent to the model per side of a pair, in characters */
+export const CONFLICT_CHECK_MAX_CHARS = 1500;
+
+/** Model verdicts remembered per session, so a pair isn't re-checked every turn */
+export const CONFLICT_VERDICT_CACHE_SIZE = 500;
+
+// =============================================================================
+// ACTIVATION HISTORY
+// =============================================================================
+
+/** Chat metadata key holding the per-chat activation history */
+export const ACTIVATION_HISTORY_KEY = 'vecthare_activations';
+
+/** Injections remembered per chunk (older ones still count toward the total) */
+export const ACTIVATION_LOG_PER_CHUNK = 20;
+
+/** Generations remembered in the per-chat injection log */
+export const ACTIVATION_GENERATION_LIMIT = 50;
+
+// =============================================================================
+// EMBEDDING CACHE
+// =============================================================================
+
+/** IndexedDB database holding cached embeddings */
+export const EMBEDDING_CACHE_DB_NAME = 'VectHare_EmbeddingCache';
+
+/** Embeddings kept in memory (hot tier in front of IndexedDB) */
+export const EMBEDDING_CACHE_MEMORY_SIZE = 2000;
+
+/** Embeddings kept in IndexedDB before the oldest are pruned */
+export const EMBEDDING_CACHE_MAX_ENTRIES = 50000;
+
+// =============================================================================
+// VECTORIZATION JOBS
+// =============================================================================
+
+/** IndexedDB database holding vectorization jobs (survives page reloads) */
+export const JOB_QUEUE_DB_NAME = 'VectHare_Jobs';
+
+/** Chunks inserted per checkpoint in content jobs */
+export const JOB_CHECKPOINT_BATCH_SIZE = 10;
+
+/** Finished (completed/cancelled) jobs kept for the jobs panel */
+export const JOB_HISTORY_LIMIT = 20;
+
+// =============================================================================
+// INDEXEDDB BACKEND
+// =============================================================================
+
+/** IndexedDB database holding browser-local collections */
+export const INDEXEDDB_BACKEND_DB_NAME = 'VectHare_Vectors';
+
+/** Collections smaller than this are always searched brute-force, even with HNSW on */
+export const INDEXEDDB_HNSW_MIN_VECTORS = 1000;
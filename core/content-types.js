@@ -143,6 +143,16 @@ export const CHUNKING_STRATEGIES = {
         bestFor: ['document', 'youtube'],
         defaultSize: 400,
     },
+    semantic: {
+        id: 'semantic',
+        name: 'Semantic (Topic Shifts)',
+        description: 'Embeds each sentence and cuts where the topic changes, up to the max size. Best for long documents that mix topics. Uses your embedding provider (sentences embedded in batches, cached). Texts over 200 sentences are compared in groups of sentences, so topic cuts fall between groups.',
+        needsSize: true,
+        needsOverlap: false,
+        needsBatchSize: false,
+        bestFor: ['document', 'url', 'wiki'],
+        defaultSize: 600,
+    },
 };
 
 /**
@@ -291,7 +301,7 @@ export const CONTENT_TYPES = {
             sectionHeaders: true,
         },
 
-        chunkingStrategies: ['adaptive', 'section', 'paragraph'],
+        chunkingStrategies: ['adaptive', 'section', 'paragraph', 'semantic'],
         defaultStrategy: 'adaptive',
 
         defaults: {
@@ -318,7 +328,7 @@ export const CONTENT_TYPES = {
             sectionHeaders: true,
         },
 
-        chunkingStrategies: ['adaptive', 'section', 'paragraph', 'sentence', 'dialogue'],
+        chunkingStrategies: ['adaptive', 'section', 'paragraph', 'sentence', 'dialogue', 'semantic'],
         defaultStrategy: 'adaptive',
 
         defaults: {
@@ -350,7 +360,7 @@ export const CONTENT_TYPES = {
             bulkScrape: true,
         },
 
-        chunkingStrategies: ['per_page', 'section', 'adaptive'],
+        chunkingStrategies: ['per_page', 'section', 'adaptive', 'semantic'],
         defaultStrategy: 'per_page',
 
         defaults: {
@@ -25,17 +25,23 @@ import {
 } from './collection-ids.js';
 import { extractLorebookKeywords, extractTextKeywords, extractChatKeywords, EXTRACTION_LEVELS, DEFAULT_EXTRACTION_LEVEL, DEFAULT_BASE_WEIGHT } from './keyword-boost.js';
 import { cleanText, cleanMessages } from './text-cleaning.js';
+import { detectLanguage } from './language.js';
 import { progressTracker } from '../ui/progress-tracker.js';
+import { registerJobRunner, submitJob } from './job-queue.js';
+import { JOB_CHECKPOINT_BATCH_SIZE } from './constants.js';
 import { extension_settings, getContext } from '../../../../extensions.js';
 import { getStringHash } from '../../../../utils.js';
 
 /**
- * Main entry point for content vectorization
+ * Main entry point for content vectorization.
+ * Loading and chunking run up front; embedding runs as a resumable job
+ * (see core/job-queue.js) that checkpoints every JOB_CHECKPOINT_BATCH_SIZE chunks.
  * @param {object} params - Vectorization parameters
  * @param {string} params.contentType - Content type ID
  * @param {object} params.source - Source data
  * @param {object} params.settings - Type-specific settings
- * @returns {Promise<{success: boolean, chunkCount: number, collectionId: string}>}
+ * @returns {Promise<{success: boolean, status: string, jobId: string, chunkCount: number, failedCount: number, collectionId: string}>}
+ *   status is the job status - 'paused' or 'cancelled' jobs return early with the chunks stored so far
  */
 export async function vectorizeContent({ contentType, source, settings }) {
     const type = getContentType(contentType);
@@ -44,9 +50,12 @@ export async function vectorizeContent({ contentType, source, settings }) {
     }
 
     const sourceName = source.name || source.filename || source.id || contentType;
-    progressTracker.show(`Vectorizing ${type.label || contentType}`, 4, 'Steps');
+    progressTracker.show(`Vectorizing ${type.label || contentType}`, 3, 'Steps');
     progressTracker.updateCurrentItem(sourceName);
 
+    let collectionId;
+    let hashedChunks;
+
     try {
         // Step 1: Resolve source
         progressTracker.updateProgress(1, 'Loading content...');
@@ -75,52 +84,123 @@ export async function vectorizeContent({ contentType, source, settings }) {
 
         // Step 3: Enrich and hash
         progressTracker.updateProgress(3, 'Processing chunks...');
-        const collectionId = generateCollectionId(contentType, source, settings);
+        collectionId = generateCollectionId(contentType, source, settings);
         const enrichedChunks = enrichChunks(chunks, contentType, source, settings, preparedContent);
-        const hashedChunks = enrichedChunks.map(chunk => ({
+        hashedChunks = enrichedChunks.map(chunk => ({
             ...chunk,
             hash: getStringHash(chunk.text),
         }));
+    } catch (error) {
+        progressTracker.addError(error.message);
+        progressTracker.complete(false, 'Vectorization failed');
+        throw error;
+    }
 
-        // Step 4: Insert into vector store
-        progressTracker.updateProgress(4, 'Embedding chunks...');
-        const vecthareSettings = extension_settings.vecthare;
-        await insertVectorItems(collectionId, hashedChunks, vecthareSettings);
-
-        // Save collection metadata
-        setCollectionMeta(collectionId, {
-            contentType,
-            sourceName,
-            scope: settings.scope || 'global',
-            chunkCount: hashedChunks.length,
-            createdAt: new Date().toISOString(),
-            settings: {
-                strategy: settings.strategy,
-                chunkSize: settings.chunkSize,
+    // Step 4: Embed and insert as a background job
+    const job = await submitJob({
+        type: 'content',
+        label: `${type.label || contentType}: ${sourceName}`,
+        total: hashedChunks.length,
+        itemLabel: 'Chunks',
+        params: {
+            collectionId,
+            meta: {
+                contentType,
+                sourceName,
+                scope: settings.scope || 'global',
+                createdAt: new Date().toISOString(),
+                settings: {
+                    strategy: settings.strategy,
+                    chunkSize: settings.chunkSize,
+                    keywordLevel: settings.keywordLevel,
+                    keywordBaseWeight: settings.keywordBaseWeight,
+                },
+                temporalDecay: hasFeature(contentType, 'temporalDecay')
+                    ? (settings.temporalDecay || getDefaultDecayForType(contentType))
+                    : { enabled: false },
             },
-            temporalDecay: hasFeature(contentType, 'temporalDecay')
-                ? (settings.temporalDecay || getDefaultDecayForType(contentType))
-                : { enabled: false },
-        });
+        },
+        payload: { chunks: hashedChunks },
+    });
 
-        // Register collection in the registry so it's discoverable
-        registerCollection(collectionId);
-        console.log(`VectHare: Registered collection ${collectionId}`);
+    if (job.status === 'failed') {
+        throw new Error(job.note || 'Vectorization failed');
+    }
 
-        progressTracker.complete(true, `Vectorized ${hashedChunks.length} chunks`);
+    return {
+        success: job.status === 'completed',
+        status: job.status,
+        jobId: job.id,
+        chunkCount: job.chunks,
+        failedCount: job.failedItems.length,
+        collectionId,
+    };
+}
 
-        return {
-            success: true,
-            chunkCount: hashedChunks.length,
-            collectionId,
-        };
-    } catch (error) {
-        progressTracker.addError(error.message);
-        progressTracker.complete(false, 'Vectorization failed');
-        throw error;
+/**
+ * Job runner for content vectorization.
+ * state.cursor is the index of the next chunk to insert; a batch that still
+ * fails after the job's retries is recorded as failed and skipped.
+ * @param {object} job Content job (params: collectionId, meta)
+ * @param {object} context Job runner context
+ */
+async function runContentVectorizationJob(job, context) {
+    const payload = await context.getPayload();
+    if (!payload?.chunks) {
+        throw new Error('Prepared chunks for this job are missing - vectorize the content again');
+    }
+
+    const { collectionId, meta } = job.params;
+    const retryHashes = job.state.retryHashes ? new Set(job.state.retryHashes) : null;
+    const chunks = retryHashes ? payload.chunks.filter(chunk => retryHashes.has(chunk.hash)) : payload.chunks;
+
+    let cursor = job.state.cursor || 0;
+    let processed = job.processed;
+    let inserted = job.chunks;
+
+    while (cursor < chunks.length && !context.shouldStop()) {
+        // Copies - insertVectorItems attaches vectors, which shouldn't stay in the payload
+        const batch = chunks.slice(cursor, cursor + JOB_CHECKPOINT_BATCH_SIZE).map(chunk => ({ ...chunk }));
+
+        try {
+            await context.retry(() => insertVectorItems(collectionId, batch, extension_settings.vecthare));
+            inserted += batch.length;
+        } catch (error) {
+            const attempts = context.isRetryable(error) ? job.retry.maxAttempts : 1;
+            context.recordFailure(batch.map(chunk => ({
+                hash: chunk.hash,
+                label: chunk.text.length > 60 ? `${chunk.text.substring(0, 60)}...` : chunk.text,
+                error: error.message,
+                attempts,
+            })));
+        }
+
+        cursor += batch.length;
+        processed += batch.length;
+        await context.checkpoint(
+            { processed, chunks: inserted, state: { cursor } },
+            cursor < chunks.length ? `Embedding chunks... ${chunks.length - cursor} remaining` : 'Finalizing...',
+        );
+    }
+
+    if (cursor < chunks.length) {
+        return;
+    }
+
+    if (inserted === 0) {
+        throw new Error('No chunks could be vectorized');
     }
+
+    // Save collection metadata
+    setCollectionMeta(collectionId, { ...meta, chunkCount: inserted });
+
+    // Register collection in the registry so it's discoverable
+    registerCollection(collectionId);
+    console.log(`VectHare: Registered collection ${collectionId}`);
 }
 
+registerJobRunner('content', runContentVectorizationJob);
+
 /**
  * Resolves and prepares content for preview or chunking
  * Exported for use by the preview functionality
@@ -137,6 +217,27 @@ export async function resolveAndPrepareContent(contentType, source, settings) {
     return prepared;
 }
 
+/**
+ * Builds the chunks a per_entry lorebook collection holds for the given entries,
+ * exactly as vectorizeContent would (cleaned, keyword-enriched and hashed).
+ * Exported for lorebook sync, which compares them with what is stored.
+ * @param {object[]} entries - World Info entries
+ * @param {string} lorebookName - Book name (stored as sourceName)
+ * @param {object} settings - Keyword options (keywordLevel, keywordBaseWeight)
+ * @returns {Promise<object[]>} Chunks ready for insertVectorItems
+ */
+export async function prepareLorebookEntryChunks(entries, lorebookName, settings) {
+    const chunkSettings = { ...settings, strategy: 'per_entry' };
+    const preparedContent = prepareLorebookContent({ entries }, chunkSettings);
+    if (preparedContent.type === 'empty') {
+        return [];
+    }
+
+    const chunks = await chunkText(preparedContent.text, { strategy: 'per_entry' });
+    return enrichChunks(chunks, 'lorebook', { name: lorebookName }, chunkSettings, preparedContent)
+        .map(chunk => ({ ...chunk, hash: getStringHash(chunk.text) }));
+}
+
 /**
  * Resolves source data to actual content
  */
@@ -655,9 +756,11 @@ function enrichChunks(chunks, contentType, source, settings, preparedContent) {
 
     return chunks.map((chunk, index) => {
         const chunkText = typeof chunk === 'string' ? chunk : chunk.text;
+        const language = detectLanguage(chunkText);
         let keywords = []; // Will hold {text, weight} objects
         let entryName = null;
         let entryUid = null;
+        let entryKeys = null;
 
         // For lorebooks with per_entry, get keywords from the entry
         if (contentType === 'lorebook' && preparedContent.entries?.[index]) {
@@ -668,12 +771,14 @@ function enrichChunks(chunks, contentType, source, settings, preparedContent) {
             // Get explicit trigger keys (these are manually set, so use base weight)
             const triggerKeys = extractLorebookKeywords(entry);
             keywords = triggerKeys.map(k => ({ text: k, weight: keywordBaseWeight }));
+            entryKeys = triggerKeys;
 
             // Also get auto-extracted keywords with frequency-based weights
             if (keywordLevel !== 'off') {
                 const autoKeywords = extractTextKeywords(entry.content || chunkText, {
                     level: keywordLevel,
                     baseWeight: keywordBaseWeight,
+                    language,
                 });
                 keywords = keywords.concat(autoKeywords);
             }
@@ -682,6 +787,7 @@ function enrichChunks(chunks, contentType, source, settings, preparedContent) {
             if (keywordLevel !== 'off') {
                 keywords = extractChatKeywords(chunkText, {
                     baseWeight: keywordBaseWeight,
+                    language,
                 });
             }
         } else {
@@ -690,6 +796,7 @@ function enrichChunks(chunks, contentType, source, settings, preparedContent) {
                 keywords = extractTextKeywords(chunkText, {
                     level: keywordLevel,
                     baseWeight: keywordBaseWeight,
+                    language,
                 });
             }
         }
@@ -729,6 +836,8 @@ function enrichChunks(chunks, contentType, source, settings, preparedContent) {
                 sourceName: source.name || source.filename || 'Unknown',
                 entryName,
                 entryUid,
+                ...(entryKeys ? { entryKeys } : {}),
+                language,
                 keywordLevel,
                 keywordBaseWeight,
                 ...(chunk.metadata || {}),
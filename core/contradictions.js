@@ -0,0 +1,243 @@
+/**
+ * ============================================================================
+ * VECTHARE CONTRADICTION DETECTION
+ * ============================================================================
+ * Finds retrieved chunks that describe the same thing at very different points
+ * in the chat - "Mira is alive" at message 12 and "Mira's funeral" at message
+ * 250. Both match the same query, and without help the model can't tell which
+ * one is current.
+ *
+ * A pair is flagged when the two chunks are highly similar but far apart in
+ * the chat. Optionally the Summaries model is asked whether the pair actually
+ * conflicts. Flagged pairs are then resolved one of two ways:
+ *   - prefer_newer: the older chunk is dropped once the model confirms the
+ *     conflict; unconfirmed pairs are labeled instead
+ *   - label: both are injected, prefixed with "Earlier"/"Later" markers
+ *
+ * @author Coneja Chibi | VectHare
+ * @version 2.0.0-alpha
+ * ============================================================================
+ */
+
+import { Cosine } from '../utils/vector-distance.js';
+import { LRUCache } from '../utils/data-structures.js';
+import { getChunkMessageId } from './temporal-decay.js';
+import { generateWithSummaryModel } from './summarization.js';
+import {
+    DEFAULT_CONFLICT_SIMILARITY,
+    DEFAULT_CONFLICT_MIN_DISTANCE,
+    CONFLICT_MAX_LLM_CHECKS,
+    CONFLICT_CHECK_MAX_CHARS,
+    CONFLICT_VERDICT_CACHE_SIZE,
+} from './constants.js';
+
+/** "olderHash:newerHash" -> {verdict, reason} from the model */
+const verdictCache = new LRUCache(CONFLICT_VERDICT_CACHE_SIZE);
+
+const CHECK_SYSTEM_PROMPT = 'You compare two passages from the same story and decide whether they state incompatible facts. Reply with CONFLICT or CONSISTENT on the first line, then one short sentence explaining why.';
+
+/**
+ * Finds chunk pairs that are near-duplicates in meaning but far apart in the chat.
+ * Only chunks from the same collection with a known message position are compared.
+ * @param {object[]} chunks Retrieved chunks
+ * @param {Map<string, number[]>} vectors hash (string) -> embedding vector
+ * @param {object} options
+ * @param {number} [options.minSimilarity] Cosine similarity at or above which a pair is flagged
+ * @param {number} [options.minDistance] Minimum gap between the two chunks, in messages
+ * @returns {Array<{older: object, newer: object, olderMessage: number, newerMessage: number, similarity: number, distance: number}>} Pairs, most similar first
+ */
+export function findConflictCandidates(chunks, vectors, { minSimilarity = DEFAULT_CONFLICT_SIMILARITY, minDistance = DEFAULT_CONFLICT_MIN_DISTANCE } = {}) {
+    const positioned = chunks
+        .map(chunk => ({
+            chunk,
+            messageId: getChunkMessageId(chunk.metadata),
+            vector: vectors.get(String(chunk.hash)),
+        }))
+        .filter(entry => Number.isFinite(entry.messageId) && Array.isArray(entry.vector) && entry.vector.length > 0);
+
+    const pairs = [];
+    for (let i = 0; i < positioned.length; i++) {
+        for (let j = i + 1; j < positioned.length; j++) {
+            const a = positioned[i];
+            const b = positioned[j];
+            if (a.chunk.collectionId !== b.chunk.collectionId || a.vector.length !== b.vector.length) {
+                continue;
+            }
+
+            const distance = Math.abs(a.messageId - b.messageId);
+            if (distance < minDistance) {
+                continue;
+            }
+
+            const similarity = Cosine.similarity(a.vector, b.vector);
+            if (similarity < minSimilarity) {
+                continue;
+            }
+
+            const [older, newer] = a.messageId < b.messageId ? [a, b] : [b, a];
+            pairs.push({
+                older: older.chunk,
+                newer: newer.chunk,
+                olderMessage: older.messageId,
+                newerMessage: newer.messageId,
+                similarity,
+                distance,
+            });
+        }
+    }
+
+    return pairs.sort((a, b) => b.similarity - a.similarity);
+}
+
+/**
+ * Asks the Summaries model whether two passages state incompatible facts
+ * @param {object} pair Pair from findConflictCandidates
+ * @param {object} settings VectHare settings
+ * @returns {Promise<{verdict: 'conflict'|'consistent', reason: string}>}
+ */
+async function checkPairWithModel(pair, settings) {
+    const clip = text => {
+        const value = String(text || '');
+        return value.length > CONFLICT_CHECK_MAX_CHARS ? `${value.substring(0, CONFLICT_CHECK_MAX_CHARS)}...` : value;
+    };
+
+    const prompt = [
+        'Do these two passages state facts that cannot both be true now (for example a status, relationship or location that changed)?',
+        '',
+        `Passage A (earlier, message #${pair.olderMessage}):`,
+        '"""',
+        clip(pair.older.text),
+        '"""',
+        '',
+        `Passage B (later, message #${pair.newerMessage}):`,
+        '"""',
+        clip(pair.newer.text),
+        '"""',
+    ].join('\n');
+
+    const reply = String(await generateWithSummaryModel(prompt, settings, { systemPrompt: CHECK_SYSTEM_PROMPT, maxTokens: 80 }) || '').trim();
+    if (!reply) {
+        throw new Error('Model returned an empty reply');
+    }
+
+    const [firstLine, ...rest] = reply.split('\n');
+    const match = firstLine.match(/^\W*(conflict|consistent)\W*/i);
+    if (!match) {
+        throw new Error(`Unrecognized reply: ${firstLine.substring(0, 60)}`);
+    }
+
+    const reason = (rest.join(' ').trim() || firstLine.substring(match[0].length)).trim();
+    return { verdict: match[1].toLowerCase(), reason };
+}
+
+/**
+ * Flags conflicting chunk pairs and, when enabled, confirms them with the model.
+ * Verdicts are cached by the pair's hashes, so only new pairs cost a call; the
+ * CONFLICT_MAX_LLM_CHECKS most similar of those are checked in parallel. The
+ * rest (and any that fail) stay 'unverified': they are labeled, never dropped.
+ * @param {object[]} chunks Retrieved chunks
+ * @param {Map<string, number[]>} vectors hash (string) -> embedding vector
+ * @param {object} settings VectHare settings
+ * @returns {Promise<object[]>} Pairs with verdict ('conflict' | 'consistent' | 'unverified') and reason
+ */
+export async function detectConflicts(chunks, vectors, settings) {
+    const pairs = findConflictCandidates(chunks, vectors, {
+        minSimilarity: settings.conflict_similarity ?? DEFAULT_CONFLICT_SIMILARITY,
+        minDistance: settings.conflict_min_distance ?? DEFAULT_CONFLICT_MIN_DISTANCE,
+    });
+
+    const toCheck = [];
+    for (const pair of pairs) {
+        pair.verdict = 'unverified';
+        pair.reason = `Similarity ${pair.similarity.toFixed(3)} across ${pair.distance} messages`;
+
+        if (!settings.conflict_llm_check) {
+            continue;
+        }
+
+        const cached = verdictCache.get(`${pair.older.hash}:${pair.newer.hash}`);
+        if (cached) {
+            Object.assign(pair, cached);
+        } else if (toCheck.length < CONFLICT_MAX_LLM_CHECKS) {
+            toCheck.push(pair);
+        }
+    }
+
+    await Promise.all(toCheck.map(async pair => {
+        try {
+            const result = await checkPairWithModel(pair, settings);
+            verdictCache.set(`${pair.older.hash}:${pair.newer.hash}`, result);
+            Object.assign(pair, result);
+        } catch (error) {
+            console.warn('VectHare: Conflict check failed, keeping pair flagged:', error);
+            pair.reason = `Model check failed (${error.message}) - ${pair.reason}`;
+        }
+    }));
+
+    return pairs;
+}
+
+/**
+ * Applies the configured resolution to flagged pairs.
+ * prefer_newer drops the older chunk of a confirmed 'conflict' pair unless
+ * isPinned says it must stay; unverified and pinned pairs fall back to labels.
+ * Each pair gets an `action`.
+ * @param {object[]} chunks Retrieved chunks
+ * @param {object[]} pairs Pairs from detectConflicts
+ * @param {'label'|'prefer_newer'} mode Resolution mode
+ * @param {object} [options]
+ * @param {function(object): boolean} [options.isPinned] Chunks that may never be dropped
+ * @returns {{kept: object[], dropped: Array<{chunk: object, pair: object}>}}
+ */
+export function resolveConflicts(chunks, pairs, mode, { isPinned = () => false } = {}) {
+    const droppedHashes = new Map();
+
+    for (const pair of pairs) {
+        if (pair.verdict === 'consistent') {
+            pair.action = 'ignored';
+            continue;
+        }
+
+        // One side already dropped by a stronger pair - nothing left to reconcile
+        if (droppedHashes.has(pair.older.hash) || droppedHashes.has(pair.newer.hash)) {
+            pair.action = 'resolved';
+            continue;
+        }
+
+        if (mode === 'prefer_newer' && pair.verdict === 'conflict' && !isPinned(pair.older)) {
+            droppedHashes.set(pair.older.hash, pair);
+            pair.action = 'dropped_older';
+            continue;
+        }
+
+        // A chunk caught in several pairs keeps the label from its most similar one
+        if (!pair.older.temporalLabel) {
+            pair.older.temporalLabel = { label: 'Earlier', messageId: pair.olderMessage };
+        }
+        if (!pair.newer.temporalLabel) {
+            pair.newer.temporalLabel = { label: 'Later', messageId: pair.newerMessage };
+        }
+        pair.action = 'labeled';
+    }
+
+    const kept = [];
+    const dropped = [];
+    for (const chunk of chunks) {
+        if (droppedHashes.has(chunk.hash)) {
+            dropped.push({ chunk, pair: droppedHashes.get(chunk.hash) });
+        } else {
+            kept.push(chunk);
+        }
+    }
+
+    return { kept, dropped };
+}
+
+/**
+ * Formats the marker placed in front of a labeled chunk
+ * @param {{label: string, messageId: number}} temporalLabel
+ * @returns {string}
+ */
+export function formatTemporalLabel(temporalLabel) {
+    return `[${temporalLabel.label} - message #${temporalLabel.messageId}]`;
+}
@@ -8,6 +8,8 @@
  * Functions:
  * - getVectorsRequestBody() - Builds request body for embedding providers
  * - getAdditionalArgs() - Special handling for WebLLM/KoboldCpp
+ * - resolveEmbeddings() - Cache-first embedding for sources VectHare embeds itself
+ * - embedTexts() - Embeddings in the browser for analysis (chunking, scenes, ...)
  * - throwIfSourceInvalid() - Validates provider configuration
  * - getSavedHashes() - GET existing hashes from a collection
  * - insertVectorItems() - POST embeddings to backend
@@ -39,8 +41,11 @@ import {
     getUrlProviders
 } from './providers.js';
 import { applyKeywordBoosts, getOverfetchAmount } from './keyword-boost.js';
+import { invalidateLexicalIndex } from './hybrid-search.js';
+import { lookupEmbeddings, storeEmbeddings } from './embedding-cache.js';
 import AsyncUtils from '../utils/async-utils.js';
 import StringUtils from '../utils/string-utils.js';
+import { LRUCache } from '../utils/data-structures.js';
 import {
     RATE_LIMIT_CALLS,
     RATE_LIMIT_WINDOW_MS,
@@ -48,7 +53,9 @@ import {
     RETRY_MAX_ATTEMPTS,
     RETRY_INITIAL_DELAY_MS,
     RETRY_MAX_DELAY_MS,
-    RETRY_BACKOFF_MULTIPLIER
+    RETRY_BACKOFF_MULTIPLIER,
+    CHUNK_VECTOR_CACHE_COLLECTIONS,
+    VECTOR_LIST_LIMIT
 } from './constants.js';
 
 // Get shared WebLLM provider singleton (lazy-initialized)
@@ -119,7 +126,7 @@ function chunkArray(array, size) {
 }
 
 // Retry configuration for transient failures (matches AsyncUtils.retry signature)
-const RETRY_CONFIG = {
+export const RETRY_CONFIG = {
     maxAttempts: RETRY_MAX_ATTEMPTS,
     delay: RETRY_INITIAL_DELAY_MS,
     maxDelay: RETRY_MAX_DELAY_MS,
@@ -455,6 +462,130 @@ async function createBananaBreadEmbeddings(items, settings) {
     }, settings);
 }
 
+// Sources whose embeddings are generated in the browser (ST's server can't produce them)
+export const CLIENT_SIDE_EMBEDDING_SOURCES = ['webllm', 'koboldcpp', 'bananabread'];
+
+/**
+ * Whether VectHare supplies the vectors itself (and can therefore cache them).
+ * Client-side sources always do. Server-side sources do on every backend that
+ * accepts precomputed vectors: the browser-local one and the plugin backends.
+ * The standard backend's /api/vector endpoints only take vectors for
+ * WebLLM/KoboldCpp and re-embed everything else, so it keeps embedding there.
+ * @param {object} settings VectHare settings object
+ * @returns {boolean}
+ */
+function suppliesOwnVectors(settings) {
+    if (CLIENT_SIDE_EMBEDDING_SOURCES.includes(settings.source)) {
+        return true;
+    }
+    const backend = settings.vector_backend || extension_settings.vecthare?.vector_backend || 'standard';
+    return backend !== 'standard';
+}
+
+/**
+ * Items per rate-limited call when inserting or embedding.
+ * Ollama and Transformers work best with batch size of 1 (like Stock ST).
+ * @param {string} source Embedding source
+ * @returns {number}
+ */
+function getEmbeddingBatchSize(source) {
+    const smallBatchProviders = ['transformers', 'ollama'];
+    return smallBatchProviders.includes(source) ? 1 : 10;
+}
+
+/**
+ * Creates embeddings for server-side sources through the Similharity plugin.
+ * Texts go in batches - one rate-limited call per batch, like inserts - and
+ * a batch's requests are sent together.
+ * @param {string[]} items Items to embed
+ * @param {object} settings VectHare settings object
+ * @param {object} [options]
+ * @param {boolean} [options.rateLimit=true] False for query embeddings, which shouldn't wait behind inserts
+ * @returns {Promise<Record<string, number[]>>} Calculated embeddings keyed by item text
+ */
+async function createPluginEmbeddings(items, settings, { rateLimit = true } = {}) {
+    const modelField = getModelField(settings.source);
+    const embeddings = /** @type {Record<string, number[]>} */ ({});
+
+    const embedOne = text => AsyncUtils.retry(async () => {
+        const response = await fetch('/api/plugins/similharity/get-embedding', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify(getVectorsRequestBody({
+                text,
+                source: settings.source,
+                model: modelField ? settings[modelField] : undefined,
+            }, settings)),
+        });
+
+        if (!response.ok) {
+            throw new Error(`Failed to get ${settings.source} embedding: ${response.status} ${response.statusText}`);
+        }
+        const data = await response.json();
+        if (!Array.isArray(data?.embedding) || data.embedding.length === 0) {
+            throw new Error(`Similharity returned an empty ${settings.source} embedding`);
+        }
+        embeddings[text] = data.embedding;
+    }, RETRY_CONFIG);
+
+    for (const batch of chunkArray(items, getEmbeddingBatchSize(settings.source))) {
+        const embedBatch = () => Promise.all(batch.map(embedOne));
+        if (rateLimit) {
+            await dynamicRateLimiter.execute(embedBatch, settings);
+        } else {
+            await embedBatch();
+        }
+    }
+
+    return embeddings;
+}
+
+/**
+ * Gets embeddings for texts, serving repeats from the embedding cache.
+ * Only texts missing from the cache are sent to the provider.
+ * @param {string[]} texts Texts to embed
+ * @param {object} settings VectHare settings object
+ * @param {object} [options] See embedTexts
+ * @returns {Promise<Record<string, number[]>|null>} Embeddings keyed by text, or null when
+ *   the backend embeds server-side (nothing to supply or cache)
+ */
+export async function resolveEmbeddings(texts, settings, options = {}) {
+    if (!suppliesOwnVectors(settings)) {
+        return null;
+    }
+    return embedTexts(texts, settings, options);
+}
+
+/**
+ * Embeds texts with the configured provider whatever the backend is, for
+ * analysis that needs vectors in the browser (e.g. semantic chunking).
+ * Server-side providers go through the Similharity plugin, in rate-limited batches.
+ * @param {string[]} texts Texts to embed
+ * @param {object} settings VectHare settings object
+ * @param {object} [options]
+ * @param {boolean} [options.rateLimit=true] False for query embeddings, which shouldn't wait behind inserts
+ * @returns {Promise<Record<string, number[]>>} Embeddings keyed by text
+ */
+export async function embedTexts(texts, settings, options = {}) {
+    const unique = [...new Set(texts)];
+    const cached = await lookupEmbeddings(unique, settings);
+    const missing = unique.filter(text => !cached.has(text));
+    const embeddings = Object.fromEntries(cached);
+
+    if (missing.length > 0) {
+        const fresh = CLIENT_SIDE_EMBEDDING_SOURCES.includes(settings.source)
+            ? (await getAdditionalArgs(missing, settings)).embeddings || {}
+            : await createPluginEmbeddings(missing, settings, options);
+        await storeEmbeddings(fresh, settings);
+        Object.assign(embeddings, fresh);
+    }
+
+    if (cached.size > 0) {
+        console.log(`VectHare: Embedding cache served ${cached.size}/${unique.length} texts`);
+    }
+    return embeddings;
+}
+
 /**
  * Throws an error if the source is invalid (missing API key or URL, or missing module)
  * @param {object} settings VectHare settings object
@@ -520,6 +651,25 @@ export function throwIfSourceInvalid(settings) {
     }
 }
 
+/**
+ * Lists every chunk of a browser-local collection, page by page
+ * @param {object} backend Backend instance with listChunks()
+ * @param {string} collectionId Collection ID
+ * @param {object} settings VectHare settings object
+ * @param {object} [options] Extra listChunks options (e.g. includeVectors)
+ * @returns {Promise<object[]>} All chunks
+ */
+async function listAllChunks(backend, collectionId, settings, options = {}) {
+    const items = [];
+    for (let offset = 0; ; offset += VECTOR_LIST_LIMIT) {
+        const page = await backend.listChunks(collectionId, settings, { ...options, offset, limit: VECTOR_LIST_LIMIT });
+        items.push(...(page?.items || []));
+        if (!page?.items?.length || items.length >= (page.total ?? 0)) {
+            return items;
+        }
+    }
+}
+
 /**
  * Gets the saved hashes for a collection
  * @param {string} collectionId Collection ID
@@ -535,9 +685,19 @@ export async function getSavedHashes(collectionId, settings, includeMetadata = f
         return hashes;
     }
 
-    // Use unified chunks API to get full metadata (works with all backends)
+    const backendName = settings.vector_backend || 'standard';
+
+    // Browser-local backend lists its own chunks - no plugin involved, and no cap
+    if (backendName === 'indexeddb') {
+        const items = await listAllChunks(backend, collectionId, settings);
+        return {
+            hashes: hashes,
+            metadata: items.map(item => ({ ...item.metadata, hash: item.hash, text: item.text, index: item.index })),
+        };
+    }
+
+    // Use unified chunks API to get full metadata (works with all plugin backends)
     try {
-        const backendName = settings.vector_backend || 'standard';
         const response = await fetch('/api/plugins/similharity/chunks/list', {
             method: 'POST',
             headers: getRequestHeaders(),
@@ -555,7 +715,10 @@ export async function getSavedHashes(collectionId, settings, includeMetadata = f
             if (data.success && data.items) {
                 return {
                     hashes: hashes,
-                    metadata: data.items.map(item => item.metadata || item)
+                    // Keep hash/text alongside the stored metadata - callers look chunks up by hash
+                    metadata: data.items.map(item => item.metadata
+                        ? { ...item.metadata, hash: item.hash ?? item.metadata.hash, text: item.text || item.metadata.text }
+                        : item)
                 };
             }
         }
@@ -570,7 +733,7 @@ export async function getSavedHashes(collectionId, settings, includeMetadata = f
 /**
  * Inserts vector items into a collection
  * Handles batching and rate limiting.
- * For client-side embedding sources (webllm, koboldcpp, bananabread), generates embeddings first.
+ * When VectHare supplies vectors (client-side sources, non-standard backends), embeds first via the embedding cache.
  * @param {string} collectionId - The collection to insert into
  * @param {{ hash: number, text: string }[]} items - The items to insert
  * @param {object} settings VectHare settings object
@@ -579,37 +742,30 @@ export async function getSavedHashes(collectionId, settings, includeMetadata = f
 export async function insertVectorItems(collectionId, items, settings) {
     const backend = await getBackend(settings);
 
-    // Sources that require client-side embedding generation
-    const clientSideEmbeddingSources = ['webllm', 'koboldcpp', 'bananabread'];
-
-    // If source requires client-side embeddings, generate them and attach to items
-    if (clientSideEmbeddingSources.includes(settings.source)) {
-        console.log(`VectHare: Generating client-side embeddings for ${settings.source}...`);
-        // Extract text strings - getAdditionalArgs expects string[], not objects
-        const textStrings = items.map(item => item.text || item);
-        const additionalArgs = await getAdditionalArgs(textStrings, settings);
-
-        // additionalArgs.embeddings is a Record<string, number[]> where keys are original text
-        // We need to match by text content, not array index
-        if (additionalArgs.embeddings && Object.keys(additionalArgs.embeddings).length === items.length) {
-            // Attach embeddings to items as .vector property
-            for (let i = 0; i < items.length; i++) {
-                const text = items[i].text || items[i];
-                items[i].vector = additionalArgs.embeddings[text];
-            }
-            console.log(`VectHare: Attached ${items.length} embeddings to items`);
-        } else {
-            const gotCount = additionalArgs.embeddings ? Object.keys(additionalArgs.embeddings).length : 0;
-            throw new Error(`VectHare: Failed to generate embeddings for ${settings.source} - got ${gotCount} embeddings for ${items.length} items`);
+    // If VectHare supplies the vectors (client-side source or non-standard backend), embed - cache first - and attach them
+    const needVectors = items.filter(item => !item.vector);
+    const embeddings = needVectors.length > 0
+        ? await resolveEmbeddings(needVectors.map(item => item.text), settings)
+        : null;
+
+    if (embeddings) {
+        const missing = needVectors.filter(item => !embeddings[item.text]);
+        if (missing.length > 0) {
+            throw new Error(`VectHare: Failed to generate embeddings for ${settings.source} - missing ${missing.length} of ${needVectors.length} items`);
+        }
+        for (const item of needVectors) {
+            item.vector = embeddings[item.text];
         }
+        console.log(`VectHare: Attached ${needVectors.length} embeddings to items`);
     }
 
+    // Plugin-embedded vectors were already rate limited per batch
+    const alreadyRateLimited = embeddings && !CLIENT_SIDE_EMBEDDING_SOURCES.includes(settings.source);
+
     // If rate limiting is enabled, batch execution
-    if (settings.rate_limit_calls > 0) {
+    if (settings.rate_limit_calls > 0 && !alreadyRateLimited) {
         // Batch size depends on provider - some need smaller batches
-        // Ollama and Transformers work best with batch size of 1 (like Stock ST)
-        const smallBatchProviders = ['transformers', 'ollama'];
-        const BATCH_SIZE = smallBatchProviders.includes(settings.source) ? 1 : 10;
+        const BATCH_SIZE = getEmbeddingBatchSize(settings.source);
         const batches = chunkArray(items, BATCH_SIZE);
 
         console.log(`VectHare: Processing ${items.length} items in ${batches.length} batches with rate limit (Max ${settings.rate_limit_calls} calls / ${settings.rate_limit_interval}s)`);
@@ -623,9 +779,14 @@ export async function insertVectorItems(collectionId, items, settings) {
             
             // Optional: UI update for progress could go here if we passed a callback
         }
+        invalidateLexicalIndex(collectionId);
+        trackInsertedVectors(collectionId, items, settings);
     } else {
         // No rate limit - execute all at once (backend handles it)
-        return await backend.insertVectorItems(collectionId, items, settings);
+        const result = await backend.insertVectorItems(collectionId, items, settings);
+        invalidateLexicalIndex(collectionId);
+        trackInsertedVectors(collectionId, items, settings);
+        return result;
     }
 }
 
@@ -638,34 +799,31 @@ export async function insertVectorItems(collectionId, items, settings) {
  */
 export async function deleteVectorItems(collectionId, hashes, settings) {
     const backend = await getBackend(settings);
-    return await backend.deleteVectorItems(collectionId, hashes, settings);
+    const result = await backend.deleteVectorItems(collectionId, hashes, settings);
+    invalidateLexicalIndex(collectionId);
+    forgetChunkVectors(collectionId, hashes);
+    return result;
 }
 
 /**
  * Queries a single collection for similar vectors
  * Applies keyword boost system: overfetch → boost → trim
- * For client-side embedding sources (webllm, koboldcpp, bananabread), generates query embedding first.
+ * When VectHare supplies vectors (client-side sources, non-standard backends), embeds the query via the embedding cache.
  * @param {string} collectionId - The collection to query
  * @param {string} searchText - The text to query
  * @param {number} topK - The number of results to return
  * @param {object} settings VectHare settings object
- * @returns {Promise<{ hashes: number[], metadata: object[]}>} - Hashes and metadata of the results
+ * @returns {Promise<{ hashes: number[], metadata: object[], queryVector: number[]|null }>} - Hashes and metadata of the results, plus the query embedding when VectHare made one
  */
 export async function queryCollection(collectionId, searchText, topK, settings) {
     const backend = await getBackend(settings);
 
-    // Sources that require client-side embedding generation
-    const clientSideEmbeddingSources = ['webllm', 'koboldcpp', 'bananabread'];
+    // If VectHare supplies the vectors, embed the query (cache first)
     let queryVector = null;
-
-    // If source requires client-side embeddings, generate query vector
-    if (clientSideEmbeddingSources.includes(settings.source)) {
-        const queryItem = [searchText];
-        const additionalArgs = await getAdditionalArgs(queryItem, settings);
-        // additionalArgs.embeddings is a Record<string, number[]> where keys are original text
-        if (additionalArgs.embeddings && additionalArgs.embeddings[searchText]) {
-            queryVector = additionalArgs.embeddings[searchText];
-        } else {
+    const embeddings = await resolveEmbeddings([searchText], settings, { rateLimit: false });
+    if (embeddings) {
+        queryVector = embeddings[searchText];
+        if (!queryVector) {
             throw new Error(`VectHare: Failed to generate query embedding for ${settings.source}`);
         }
     }
@@ -696,10 +854,147 @@ export async function queryCollection(collectionId, searchText, topK, settings)
             matchedKeywords: r.matchedKeywords,
             matchedKeywordsWithWeights: r.matchedKeywordsWithWeights,
             keywordBoosted: r.keywordBoosted
-        }))
+        })),
+        queryVector
     };
 }
 
+// Stored chunk vectors per collection, keyed by source:model:collection (query results
+// don't carry vectors). An entry is filled by one listing, then kept current:
+// { vectors: Map<hash, number[]>, pending: Set<hash> } - pending chunks were inserted
+// since without a vector VectHare knows, and are the only ones worth listing again for.
+const chunkVectorCache = new LRUCache(CHUNK_VECTOR_CACHE_COLLECTIONS);
+
+/**
+ * Cache key for a collection's vectors under the current embedding source/model
+ * @param {string} collectionId
+ * @param {object} settings VectHare settings
+ * @returns {string}
+ */
+function getChunkVectorKey(collectionId, settings) {
+    const modelField = getModelField(settings.source);
+    return `${settings.source}:${modelField ? settings[modelField] || '' : ''}:${collectionId}`;
+}
+
+/**
+ * Lists every stored vector of a collection
+ * @param {string} collectionId
+ * @param {object} settings VectHare settings
+ * @returns {Promise<Map<string, number[]>|null>} hash (as string) -> vector, or null if the backend can't list
+ */
+async function listChunkVectors(collectionId, settings) {
+    const backend = await getBackend(settings);
+    if (typeof backend.listChunks !== 'function') {
+        return null;
+    }
+
+    const items = (settings.vector_backend || 'standard') === 'indexeddb'
+        ? await listAllChunks(backend, collectionId, settings, { includeVectors: true })
+        : (await backend.listChunks(collectionId, settings, { includeVectors: true, limit: 50000 }))?.items;
+
+    const vectors = new Map();
+    for (const item of items || []) {
+        const vector = item.vector || item.metadata?.vector;
+        if (Array.isArray(vector) && vector.length > 0) {
+            vectors.set(String(item.hash ?? item.metadata?.hash), vector);
+        }
+    }
+    return vectors;
+}
+
+/**
+ * Gets the stored embedding vectors for specific chunks of a collection.
+ * The collection is listed once; after that only a request for a chunk
+ * inserted without a known vector lists it again.
+ * @param {string} collectionId - Collection the chunks belong to
+ * @param {Array<number|string>} hashes - Chunk hashes to look up
+ * @param {object} settings - VectHare settings
+ * @returns {Promise<Map<string, number[]>>} hash (as string) -> vector; chunks without a stored vector are absent
+ */
+export async function getChunkVectors(collectionId, hashes, settings) {
+    const key = getChunkVectorKey(collectionId, settings);
+    const wanted = hashes.map(String);
+    let entry = chunkVectorCache.get(key);
+
+    // A chunk missing from a listed collection has no stored vector - no need to ask again
+    if (!entry || wanted.some(hash => entry.pending.has(hash))) {
+        try {
+            const listed = await listChunkVectors(collectionId, settings);
+            if (listed) {
+                entry = { vectors: listed, pending: new Set() };
+                chunkVectorCache.set(key, entry);
+            }
+        } catch (error) {
+            console.warn(`VectHare: Could not load chunk vectors for ${collectionId}:`, error.message);
+        }
+    }
+
+    const vectors = new Map();
+    for (const hash of wanted) {
+        const vector = entry?.vectors.get(hash);
+        if (vector) {
+            vectors.set(hash, vector);
+        }
+    }
+    return vectors;
+}
+
+/**
+ * Keeps a listed collection's vectors current after an insert or re-embed.
+ * Items carrying a vector are added; the rest are marked pending.
+ * @param {string} collectionId
+ * @param {Array<{hash: number|string, vector?: number[]}>} items Inserted items
+ * @param {object} settings VectHare settings
+ */
+function trackInsertedVectors(collectionId, items, settings) {
+    const entry = chunkVectorCache.get(getChunkVectorKey(collectionId, settings));
+    if (!entry) {
+        return;
+    }
+    for (const item of items) {
+        const hash = String(item.hash);
+        if (Array.isArray(item.vector) && item.vector.length > 0) {
+            entry.vectors.set(hash, item.vector);
+            entry.pending.delete(hash);
+        } else {
+            entry.vectors.delete(hash);
+            entry.pending.add(hash);
+        }
+    }
+}
+
+/**
+ * Drops deleted chunks from every cached listing of a collection
+ * @param {string} collectionId
+ * @param {Array<number|string>} hashes Deleted chunk hashes
+ */
+function forgetChunkVectors(collectionId, hashes) {
+    for (const key of chunkVectorCache.keys()) {
+        if (!key.endsWith(`:${collectionId}`)) continue;
+        const entry = chunkVectorCache.get(key);
+        for (const hash of hashes) {
+            entry.vectors.delete(String(hash));
+            entry.pending.delete(String(hash));
+        }
+    }
+}
+
+/**
+ * Drops cached chunk vectors for a collection (or all collections)
+ * @param {string} [collectionId] - Collection to drop; omit to clear everything
+ */
+function invalidateChunkVectors(collectionId) {
+    if (!collectionId) {
+        chunkVectorCache.clear();
+        return;
+    }
+    for (const key of chunkVectorCache.keys()) {
+        if (key.endsWith(`:${collectionId}`)) {
+            chunkVectorCache.delete(key);
+        }
+    }
+}
+
 /**
  * Queries multiple collections for a given text.
  * For client-side embedding sources, generates query embedding once and reuses for all collections.
@@ -713,18 +1008,12 @@ export async function queryCollection(collectionId, searchText, topK, settings)
 export async function queryMultipleCollections(collectionIds, searchText, topK, threshold, settings) {
     const backend = await getBackend(settings);
 
-    // Sources that require client-side embedding generation
-    const clientSideEmbeddingSources = ['webllm', 'koboldcpp', 'bananabread'];
-    let queryVector = null;
-
     // Generate query vector once for all collections (efficiency)
-    if (clientSideEmbeddingSources.includes(settings.source)) {
-        // getAdditionalArgs expects string[], not objects
-        const additionalArgs = await getAdditionalArgs([searchText], settings);
-        // additionalArgs.embeddings is a Record<string, number[]> where keys are original text
-        if (additionalArgs.embeddings && additionalArgs.embeddings[searchText]) {
-            queryVector = additionalArgs.embeddings[searchText];
-        } else {
+    let queryVector = null;
+    const embeddings = await resolveEmbeddings([searchText], settings, { rateLimit: false });
+    if (embeddings) {
+        queryVector = embeddings[searchText];
+        if (!queryVector) {
             throw new Error(`VectHare: Failed to generate query embedding for ${settings.source}`);
         }
     }
@@ -771,6 +1060,8 @@ export async function purgeVectorIndex(collectionId, settings) {
     try {
         const backend = await getBackend(settings);
         await backend.purgeVectorIndex(collectionId, settings);
+        invalidateLexicalIndex(collectionId);
+        invalidateChunkVectors(collectionId);
         console.log(`VectHare: Purged vector index for collection ${collectionId}`);
         return true;
     } catch (error) {
@@ -790,6 +1081,8 @@ export async function purgeFileVectorIndex(collectionId, settings) {
         console.log(`VectHare: Purging file vector index for collection ${collectionId}`);
         const backend = await getBackend(settings);
         await backend.purgeFileVectorIndex(collectionId, settings);
+        invalidateLexicalIndex(collectionId);
+        invalidateChunkVectors(collectionId);
         console.log(`VectHare: Purged vector index for collection ${collectionId}`);
     } catch (error) {
         console.error('VectHare: Failed to purge file', error);
@@ -805,6 +1098,8 @@ export async function purgeAllVectorIndexes(settings) {
     try {
         const backend = await getBackend(settings);
         await backend.purgeAllVectorIndexes(settings);
+        invalidateLexicalIndex();
+        invalidateChunkVectors();
         console.log('VectHare: Purged all vector indexes');
         toastr.success('All vector indexes purged', 'Purge successful');
     } catch (error) {
@@ -822,7 +1117,10 @@ export async function purgeAllVectorIndexes(settings) {
  */
 export async function updateChunkText(collectionId, hash, newText, settings) {
     const backend = await getBackend(settings);
-    return await backend.updateChunkText(collectionId, hash, newText, settings);
+    const result = await backend.updateChunkText(collectionId, hash, newText, settings);
+    invalidateLexicalIndex(collectionId);
+    trackInsertedVectors(collectionId, [{ hash }], settings);
+    return result;
 }
 
 /**
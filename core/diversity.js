@@ -0,0 +1,151 @@
+/**
+ * ============================================================================
+ * VECTHARE DIVERSITY (MMR)
+ * ============================================================================
+ * Maximal Marginal Relevance re-selection for retrieved chunks.
+ *
+ * When a chat keeps circling one theme, plain top-K returns several
+ * near-identical chunks about the same event. MMR picks chunks one at a time,
+ * trading relevance against similarity to what was already picked:
+ *
+ *   mmr(d) = λ × relevance(d) − (1 − λ) × max sim(d, selected)
+ *
+ * λ = 1 is pure relevance (no diversity), λ = 0 is pure diversity.
+ *
+ * @author Coneja Chibi | VectHare
+ * @version 2.0.0-alpha
+ * ============================================================================
+ */
+
+import { Cosine } from '../utils/vector-distance.js';
+
+/**
+ * Builds a pairwise similarity lookup for candidates that have vectors.
+ * Vectors whose dimension differs from the majority (e.g. collections embedded
+ * with another model) are left out and treated as dissimilar to everything.
+ * @param {object[]} candidates Candidate chunks
+ * @param {Map<string, number[]>} vectors hash (string) -> embedding vector
+ * @returns {{rowOf: Map<number, number>, matrix: number[][]}} candidate index -> matrix row, similarity matrix
+ */
+function buildSimilarityMatrix(candidates, vectors) {
+    const dimensionCounts = new Map();
+    for (const chunk of candidates) {
+        const vec = vectors.get(String(chunk.hash));
+        if (Array.isArray(vec) && vec.length > 0) {
+            dimensionCounts.set(vec.length, (dimensionCounts.get(vec.length) || 0) + 1);
+        }
+    }
+
+    let dimension = 0;
+    let best = 0;
+    for (const [dim, count] of dimensionCounts) {
+        if (count > best) {
+            dimension = dim;
+            best = count;
+        }
+    }
+
+    const rowOf = new Map();
+    const rows = [];
+    candidates.forEach((chunk, idx) => {
+        const vec = vectors.get(String(chunk.hash));
+        if (Array.isArray(vec) && vec.length === dimension) {
+            rowOf.set(idx, rows.length);
+            rows.push(vec);
+        }
+    });
+
+    const matrix = rows.length > 1 ? Cosine.pairwiseSimilarity(rows, rows) : [];
+    return { rowOf, matrix };
+}
+
+/**
+ * Re-selects chunks with Maximal Marginal Relevance
+ * @param {object[]} candidates Candidate chunks (need hash and score)
+ * @param {Map<string, number[]>} vectors hash (string) -> embedding vector
+ * @param {object} options
+ * @param {number} options.lambda Relevance/diversity trade-off (0-1)
+ * @param {number} options.k Number of chunks to select
+ * @param {function(object): boolean} [options.isPinned] Chunks that must be kept (selected first)
+ * @returns {{selected: object[], dropped: Array<{chunk: object, mmrScore: number, maxSimilarity: number, similarTo: (string|number|null), redundant: boolean}>, vectorsUsed: number}}
+ */
+export function selectByMMR(candidates, vectors, options) {
+    const lambda = Math.min(1, Math.max(0, options.lambda));
+    const k = Math.max(0, options.k);
+    const isPinned = options.isPinned || (() => false);
+
+    const { rowOf, matrix } = buildSimilarityMatrix(candidates, vectors);
+    const similarity = (a, b) => {
+        const rowA = rowOf.get(a);
+        const rowB = rowOf.get(b);
+        if (rowA === undefined || rowB === undefined) return 0;
+        return matrix[rowA][rowB];
+    };
+
+    // Normalize relevance to 0-1 so λ means the same regardless of boosts
+    const maxScore = Math.max(...candidates.map(c => c.score || 0), 0);
+    const relevance = candidates.map(c => (maxScore > 0 ? (c.score || 0) / maxScore : 0));
+
+    // Pure relevance top-K - used to tell "redundant" drops from "just low-scoring" ones
+    const relevanceTopK = new Set(
+        candidates.map((_, idx) => idx)
+            .sort((a, b) => relevance[b] - relevance[a])
+            .slice(0, k),
+    );
+
+    const selected = [];
+    const remaining = new Set(candidates.map((_, idx) => idx));
+
+    const mostSimilarSelected = (idx) => {
+        let maxSimilarity = 0;
+        let similarTo = null;
+        for (const sel of selected) {
+            const sim = similarity(idx, sel);
+            if (sim > maxSimilarity) {
+                maxSimilarity = sim;
+                similarTo = sel;
+            }
+        }
+        return { maxSimilarity, similarTo };
+    };
+
+    // Pinned chunks (e.g. force-included by a mandatory group) always go first
+    for (const idx of [...remaining]) {
+        if (isPinned(candidates[idx])) {
+            selected.push(idx);
+            remaining.delete(idx);
+        }
+    }
+
+    while (selected.length < k && remaining.size > 0) {
+        let bestIdx = -1;
+        let bestScore = -Infinity;
+        for (const idx of remaining) {
+            const { maxSimilarity } = mostSimilarSelected(idx);
+            const mmrScore = lambda * relevance[idx] - (1 - lambda) * maxSimilarity;
+            if (mmrScore > bestScore) {
+                bestScore = mmrScore;
+                bestIdx = idx;
+            }
+        }
+        selected.push(bestIdx);
+        remaining.delete(bestIdx);
+    }
+
+    const dropped = [...remaining].map(idx => {
+        const { maxSimilarity, similarTo } = mostSimilarSelected(idx);
+        return {
+            chunk: candidates[idx],
+            mmrScore: lambda * relevance[idx] - (1 - lambda) * maxSimilarity,
+            maxSimilarity,
+            similarTo: similarTo !== null ? candidates[similarTo].hash : null,
+            redundant: relevanceTopK.has(idx),
+        };
+    });
+
+    return {
+        selected: selected.map(idx => candidates[idx]),
+        dropped,
+        vectorsUsed: rowOf.size,
+    };
+}
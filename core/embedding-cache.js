@@ -0,0 +1,298 @@
+/**
+ * ============================================================================
+ * VECTHARE EMBEDDING CACHE
+ * ============================================================================
+ * Two-tier cache for embedding vectors so identical text is never embedded
+ * twice with the same model:
+ *
+ *   memory (LRU)  →  IndexedDB  →  provider
+ *
+ * Keys are provider + model + hash of the normalized text (whitespace
+ * collapsed), so re-vectorizing a chat, re-importing a collection or
+ * re-running the same query reuses vectors instead of paying for them again.
+ * Entries keep the normalized text and a hit must match it, so two texts
+ * whose hashes collide never share a vector.
+ *
+ * If IndexedDB is unavailable (private browsing, quota) the cache runs
+ * memory-only.
+ *
+ * @author Coneja Chibi | VectHare
+ * @version 2.0.0-alpha
+ * ============================================================================
+ */
+
+import { getStringHash } from '../../../../utils.js';
+import { LRUCache } from '../utils/data-structures.js';
+import { openDatabase, requestToPromise, transactionDone } from '../utils/indexeddb.js';
+import { getModelField } from './providers.js';
+import {
+    EMBEDDING_CACHE_DB_NAME,
+    EMBEDDING_CACHE_MEMORY_SIZE,
+    EMBEDDING_CACHE_MAX_ENTRIES
+} from './constants.js';
+
+const STORE_NAME = 'embeddings';
+
+/** Writes between prune passes (counting the store on every write is wasteful) */
+const PRUNE_INTERVAL = 500;
+
+const memoryCache = new LRUCache(EMBEDDING_CACHE_MEMORY_SIZE);
+
+/** @type {Promise<IDBDatabase|null>|null} */
+let dbPromise = null;
+let writesSincePrune = 0;
+
+// Session statistics (reset on page load or clear)
+const stats = {
+    memoryHits: 0,
+    diskHits: 0,
+    misses: 0,
+    stored: 0,
+};
+
+// ============================================================================
+// INDEXEDDB HELPERS
+// ============================================================================
+
+/**
+ * Opens the cache database (once). Resolves to null if IndexedDB can't be used.
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function getDatabase() {
+    if (dbPromise) {
+        return dbPromise;
+    }
+
+    dbPromise = openDatabase(EMBEDDING_CACHE_DB_NAME, db => {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        store.createIndex('created', 'created');
+    }).catch(error => {
+        console.warn('VectHare: Embedding cache running memory-only:', error?.message || error);
+        return null;
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Deletes the oldest entries once the store grows past EMBEDDING_CACHE_MAX_ENTRIES
+ * @param {IDBDatabase} db
+ */
+async function pruneDatabase(db) {
+    const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    const count = await requestToPromise(store.count());
+    let excess = count - EMBEDDING_CACHE_MAX_ENTRIES;
+    if (excess <= 0) {
+        return;
+    }
+
+    await new Promise((resolve, reject) => {
+        const cursorRequest = store.index('created').openCursor();
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor || excess <= 0) {
+                resolve();
+                return;
+            }
+            cursor.delete();
+            excess--;
+            cursor.continue();
+        };
+        cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+
+    console.log(`VectHare: Pruned embedding cache to ${EMBEDDING_CACHE_MAX_ENTRIES} entries`);
+}
+
+// ============================================================================
+// KEYS
+// ============================================================================
+
+/**
+ * Identifies the embedding model for cache keys. Sources without a model
+ * setting are keyed by endpoint so two servers don't share vectors.
+ * @param {object} settings VectHare settings
+ * @returns {string}
+ */
+function getModelId(settings) {
+    const modelField = getModelField(settings.source);
+    const model = modelField ? settings[modelField] : '';
+    if (model) {
+        return model;
+    }
+    return settings.use_alt_endpoint ? settings.alt_endpoint_url || '' : '';
+}
+
+/**
+ * Normalizes text for caching (whitespace collapsed)
+ * @param {string} text Text that gets embedded
+ * @returns {string}
+ */
+function normalizeText(text) {
+    return String(text).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Builds the cache key for a text under the current provider/model
+ * @param {string} text Text that gets embedded
+ * @param {object} settings VectHare settings
+ * @returns {string}
+ */
+export function getEmbeddingCacheKey(text, settings) {
+    const normalized = normalizeText(text);
+    return `${settings.source}:${getModelId(settings)}:${getStringHash(normalized)}:${normalized.length}`;
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Whether the cache is switched on
+ * @param {object} settings VectHare settings
+ * @returns {boolean}
+ */
+export function isEmbeddingCacheEnabled(settings) {
+    return settings.embedding_cache_enabled !== false;
+}
+
+/**
+ * Looks up cached embeddings for texts (memory first, then IndexedDB)
+ * @param {string[]} texts Texts to look up
+ * @param {object} settings VectHare settings
+ * @returns {Promise<Map<string, number[]>>} text -> vector for every hit
+ */
+export async function lookupEmbeddings(texts, settings) {
+    const found = new Map();
+    if (!isEmbeddingCacheEnabled(settings) || texts.length === 0) {
+        return found;
+    }
+
+    const diskLookups = [];
+    for (const text of new Set(texts)) {
+        const key = getEmbeddingCacheKey(text, settings);
+        const normalized = normalizeText(text);
+        const cached = memoryCache.get(key);
+        if (cached?.text === normalized) {
+            found.set(text, cached.vector);
+            stats.memoryHits++;
+        } else {
+            diskLookups.push({ text, key, normalized });
+        }
+    }
+
+    const db = diskLookups.length > 0 ? await getDatabase() : null;
+    if (db) {
+        try {
+            const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+            const records = await Promise.all(diskLookups.map(({ key }) => requestToPromise(store.get(key))));
+            records.forEach((record, i) => {
+                const { text, key, normalized } = diskLookups[i];
+                // Entries without matching text are hash collisions (or predate text checks)
+                if (!record?.vector || record.text !== normalized) return;
+                const vector = Array.from(record.vector);
+                memoryCache.set(key, { text: normalized, vector });
+                found.set(text, vector);
+                stats.diskHits++;
+            });
+        } catch (error) {
+            console.warn('VectHare: Embedding cache read failed:', error?.message || error);
+        }
+    }
+
+    stats.misses += diskLookups.filter(({ text }) => !found.has(text)).length;
+    return found;
+}
+
+/**
+ * Stores freshly computed embeddings in both tiers
+ * @param {Record<string, number[]>|Map<string, number[]>} embeddings text -> vector
+ * @param {object} settings VectHare settings
+ * @returns {Promise<void>}
+ */
+export async function storeEmbeddings(embeddings, settings) {
+    if (!isEmbeddingCacheEnabled(settings)) {
+        return;
+    }
+
+    const entries = (embeddings instanceof Map ? [...embeddings] : Object.entries(embeddings || {}))
+        .filter(([, vector]) => Array.isArray(vector) && vector.length > 0);
+    if (entries.length === 0) {
+        return;
+    }
+
+    const now = Date.now();
+    const records = entries.map(([text, vector]) => {
+        const key = getEmbeddingCacheKey(text, settings);
+        const normalized = normalizeText(text);
+        memoryCache.set(key, { text: normalized, vector });
+        return { key, text: normalized, vector: Float32Array.from(vector), source: settings.source, model: getModelId(settings), created: now };
+    });
+    stats.stored += records.length;
+
+    const db = await getDatabase();
+    if (!db) {
+        return;
+    }
+
+    try {
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        records.forEach(record => store.put(record));
+        await transactionDone(transaction);
+
+        writesSincePrune += records.length;
+        if (writesSincePrune >= PRUNE_INTERVAL) {
+            writesSincePrune = 0;
+            await pruneDatabase(db);
+        }
+    } catch (error) {
+        console.warn('VectHare: Embedding cache write failed:', error?.message || error);
+    }
+}
+
+/**
+ * Gets cache statistics for diagnostics
+ * @returns {Promise<{persistent: boolean, memoryEntries: number, diskEntries: number, memoryHits: number, diskHits: number, misses: number, stored: number, hitRate: number|null}>}
+ *   hitRate is null until the first lookup
+ */
+export async function getEmbeddingCacheStats() {
+    const db = await getDatabase();
+    let diskEntries = 0;
+    if (db) {
+        try {
+            diskEntries = await requestToPromise(db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).count());
+        } catch (error) {
+            console.warn('VectHare: Could not count embedding cache entries:', error?.message || error);
+        }
+    }
+
+    const hits = stats.memoryHits + stats.diskHits;
+    const lookups = hits + stats.misses;
+
+    return {
+        persistent: db !== null,
+        memoryEntries: memoryCache.size,
+        diskEntries,
+        ...stats,
+        hitRate: lookups > 0 ? hits / lookups : null,
+    };
+}
+
+/**
+ * Empties both cache tiers and resets the statistics
+ * @returns {Promise<void>}
+ */
+export async function clearEmbeddingCache() {
+    memoryCache.clear();
+    Object.keys(stats).forEach(key => { stats[key] = 0; });
+    writesSincePrune = 0;
+
+    const db = await getDatabase();
+    if (db) {
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        await requestToPromise(transaction.objectStore(STORE_NAME).clear());
+    }
+
+    console.log('VectHare: Embedding cache cleared');
+}
@@ -0,0 +1,379 @@
+/**
+ * ============================================================================
+ * VECTHARE HYBRID SEARCH
+ * ============================================================================
+ * Lexical (BM25) retrieval that runs alongside the vector query.
+ *
+ * Embeddings are bad at names, spell names and made-up words - "Vaelthir"
+ * and "Vaelthyr" look almost identical to a vector model. BM25 scores exact
+ * term overlap, so those chunks surface even when their vector score is low.
+ * The two ranked lists are merged per collection with reciprocal rank fusion
+ * (RRF) or a weighted score blend.
+ *
+ * Indexes are built per collection from loadCollectionChunks(), cached in an
+ * LRU, and invalidated whenever the collection is written to.
+ *
+ * @author Coneja Chibi | VectHare
+ * @version 2.0.0-alpha
+ * ============================================================================
+ */
+
+import { LRUCache } from '../utils/data-structures.js';
+import { getCollectionMeta } from './collection-metadata.js';
+import { containsCJK, tokenizeWithBigrams } from './language.js';
+import {
+    DEFAULT_BM25_K1,
+    DEFAULT_BM25_B,
+    DEFAULT_RRF_K,
+    DEFAULT_HYBRID_VECTOR_WEIGHT,
+    LEXICAL_INDEX_CACHE_SIZE,
+    LEXICAL_INDEX_TTL_MS,
+} from './constants.js';
+
+// ============================================================================
+// FUSION METHODS
+// ============================================================================
+
+/**
+ * Supported ways of merging vector and lexical result lists
+ */
+export const FUSION_METHODS = {
+    rrf: {
+        name: 'Reciprocal Rank Fusion',
+        description: 'Merges by rank position. Robust, ignores raw score scales. A chunk ranked first in both lists scores 1.0.',
+    },
+    weighted: {
+        name: 'Weighted Score',
+        description: 'Blends vector similarity with normalized BM25 score using the vector weight.',
+    },
+};
+
+// ============================================================================
+// TOKENIZATION
+// ============================================================================
+
+/**
+ * Function words that carry no lexical signal.
+ * Kept deliberately short - BM25's IDF already down-weights common terms,
+ * and anything rarer (names, invented words) must never be dropped here.
+ */
+const LEXICAL_STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from',
+    'had', 'has', 'have', 'he', 'her', 'his', 'i', 'if', 'in', 'into', 'is',
+    'it', 'its', 'me', 'my', 'of', 'on', 'or', 'she', 'so', 'that', 'the',
+    'their', 'them', 'then', 'there', 'they', 'this', 'to', 'was', 'we',
+    'were', 'what', 'when', 'which', 'who', 'will', 'with', 'you', 'your',
+]);
+
+/**
+ * Splits text into lowercase lexical terms.
+ * Letters and digits from any script are kept; apostrophes and hyphens inside
+ * a word are preserved so names like "Kal-Thas" stay a single term.
+ * Japanese, Chinese and Korean runs become overlapping character bigrams, so
+ * a query term matches inside unspaced text.
+ * @param {string} text Text to tokenize
+ * @returns {string[]} Terms in order of appearance (duplicates kept)
+ */
+export function tokenizeForLexicalSearch(text) {
+    if (!text || typeof text !== 'string') return [];
+
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || [];
+    return words.flatMap(word => {
+        if (containsCJK(word)) return tokenizeWithBigrams(word);
+        return word.length > 1 && !LEXICAL_STOP_WORDS.has(word) ? [word] : [];
+    });
+}
+
+// ============================================================================
+// BM25 INDEX
+// ============================================================================
+
+/**
+ * In-memory Okapi BM25 index over chunk text
+ */
+export class BM25Index {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.k1] Term-frequency saturation
+     * @param {number} [options.b] Document-length normalization (0 = off, 1 = full)
+     */
+    constructor(options = {}) {
+        this.k1 = options.k1 ?? DEFAULT_BM25_K1;
+        this.b = options.b ?? DEFAULT_BM25_B;
+        this.documents = new Map();  // key -> { chunk, length, termFreqs }
+        this.postings = new Map();   // term -> Set<key>
+        this.totalLength = 0;
+    }
+
+    /**
+     * Number of indexed documents
+     * @returns {number}
+     */
+    get size() {
+        return this.documents.size;
+    }
+
+    /**
+     * Average document length in terms
+     * @returns {number}
+     */
+    get averageLength() {
+        return this.documents.size > 0 ? this.totalLength / this.documents.size : 0;
+    }
+
+    /**
+     * Adds a chunk to the index (replaces any existing entry with the same hash)
+     * @param {object} chunk Chunk with hash and text
+     */
+    addDocument(chunk) {
+        if (!chunk || chunk.hash === undefined || !chunk.text) return;
+
+        const key = String(chunk.hash);
+        if (this.documents.has(key)) {
+            this.removeDocument(key);
+        }
+
+        const terms = tokenizeForLexicalSearch(chunk.text);
+        const termFreqs = new Map();
+        for (const term of terms) {
+            termFreqs.set(term, (termFreqs.get(term) || 0) + 1);
+        }
+
+        for (const term of termFreqs.keys()) {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Set());
+            }
+            this.postings.get(term).add(key);
+        }
+
+        this.documents.set(key, { chunk, length: terms.length, termFreqs });
+        this.totalLength += terms.length;
+    }
+
+    /**
+     * Looks up an indexed chunk by hash
+     * @param {string|number} hash Chunk hash
+     * @returns {object|null} Chunk as added, or null if not indexed
+     */
+    getChunk(hash) {
+        return this.documents.get(String(hash))?.chunk ?? null;
+    }
+
+    /**
+     * Removes a chunk from the index
+     * @param {string|number} hash Chunk hash
+     */
+    removeDocument(hash) {
+        const key = String(hash);
+        const doc = this.documents.get(key);
+        if (!doc) return;
+
+        for (const term of doc.termFreqs.keys()) {
+            const posting = this.postings.get(term);
+            if (!posting) continue;
+            posting.delete(key);
+            if (posting.size === 0) {
+                this.postings.delete(term);
+            }
+        }
+
+        this.totalLength -= doc.length;
+        this.documents.delete(key);
+    }
+
+    /**
+     * Inverse document frequency (BM25+ style, never negative)
+     * @param {string} term Lexical term
+     * @returns {number}
+     */
+    idf(term) {
+        const docFreq = this.postings.get(term)?.size || 0;
+        const total = this.documents.size;
+        return Math.log(1 + (total - docFreq + 0.5) / (docFreq + 0.5));
+    }
+
+    /**
+     * Scores all documents sharing at least one term with the query
+     * @param {string} query Query text
+     * @param {number} limit Maximum results to return
+     * @returns {Array<{hash: string|number, score: number, matchedTerms: string[], chunk: object}>} Sorted by score desc
+     */
+    search(query, limit = 10) {
+        const queryTerms = [...new Set(tokenizeForLexicalSearch(query))];
+        if (queryTerms.length === 0 || this.documents.size === 0) return [];
+
+        const avgLength = this.averageLength || 1;
+        const scores = new Map(); // key -> { score, matchedTerms }
+
+        for (const term of queryTerms) {
+            const posting = this.postings.get(term);
+            if (!posting) continue;
+
+            const idf = this.idf(term);
+            for (const key of posting) {
+                const doc = this.documents.get(key);
+                const tf = doc.termFreqs.get(term);
+                const norm = this.k1 * (1 - this.b + this.b * (doc.length / avgLength));
+                const termScore = idf * (tf * (this.k1 + 1)) / (tf + norm);
+
+                const entry = scores.get(key) || { score: 0, matchedTerms: [] };
+                entry.score += termScore;
+                entry.matchedTerms.push(term);
+                scores.set(key, entry);
+            }
+        }
+
+        return [...scores.entries()]
+            .map(([key, entry]) => {
+                const chunk = this.documents.get(key).chunk;
+                return { hash: chunk.hash, score: entry.score, matchedTerms: entry.matchedTerms, chunk };
+            })
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
+
+// ============================================================================
+// INDEX CACHE
+// ============================================================================
+
+/** collectionId -> { index: BM25Index, builtAt: number } */
+const lexicalIndexCache = new LRUCache(LEXICAL_INDEX_CACHE_SIZE);
+
+/**
+ * Gets the lexical index for a collection, building it if missing or stale
+ * @param {string} collectionId Collection identifier
+ * @param {object} settings VectHare settings
+ * @returns {Promise<BM25Index>}
+ */
+export async function getLexicalIndex(collectionId, settings) {
+    const cached = lexicalIndexCache.get(collectionId);
+    if (cached && Date.now() - cached.builtAt < LEXICAL_INDEX_TTL_MS) {
+        return cached.index;
+    }
+
+    // Lazy import to avoid circular dependency (collection-loader -> core-vector-api -> here)
+    const { loadCollectionChunks } = await import('./collection-loader.js');
+    const chunks = await loadCollectionChunks(collectionId, settings);
+
+    const index = new BM25Index({
+        k1: settings.hybrid_bm25_k1,
+        b: settings.hybrid_bm25_b,
+    });
+    for (const chunk of chunks) {
+        if (chunk.metadata?.textUnavailable) continue;
+        index.addDocument(chunk);
+    }
+
+    lexicalIndexCache.set(collectionId, { index, builtAt: Date.now() });
+    console.log(`VectHare: Built lexical index for ${collectionId} (${index.size} chunks, ${index.postings.size} terms)`);
+
+    return index;
+}
+
+/**
+ * Drops cached lexical indexes so they are rebuilt on next query
+ * @param {string} [collectionId] Collection to invalidate (omit to clear all)
+ */
+export function invalidateLexicalIndex(collectionId) {
+    if (collectionId) {
+        lexicalIndexCache.delete(collectionId);
+    } else {
+        lexicalIndexCache.clear();
+    }
+}
+
+// ============================================================================
+// SETTINGS RESOLUTION
+// ============================================================================
+
+/**
+ * Resolves hybrid search settings for a collection
+ * Cascade: collection override (hybridSearch in collection meta) → global settings
+ * @param {string} collectionId Collection identifier
+ * @param {object} settings VectHare settings
+ * @returns {{enabled: boolean, fusionMethod: string, vectorWeight: number, rrfK: number, bypassThreshold: boolean}}
+ */
+export function resolveHybridSettings(collectionId, settings) {
+    const overrides = getCollectionMeta(collectionId).hybridSearch || {};
+
+    const fusionMethod = overrides.fusionMethod ?? settings.hybrid_fusion_method;
+    const vectorWeight = overrides.vectorWeight ?? settings.hybrid_vector_weight ?? DEFAULT_HYBRID_VECTOR_WEIGHT;
+
+    return {
+        enabled: overrides.enabled ?? settings.hybrid_search_enabled ?? false,
+        fusionMethod: fusionMethod in FUSION_METHODS ? fusionMethod : 'rrf',
+        vectorWeight: Math.min(1, Math.max(0, vectorWeight)),
+        rrfK: settings.hybrid_rrf_k ?? DEFAULT_RRF_K,
+        bypassThreshold: settings.hybrid_bypass_threshold ?? true,
+    };
+}
+
+// ============================================================================
+// FUSION
+// ============================================================================
+
+/**
+ * Merges vector and lexical result lists into one ranked list
+ *
+ * RRF: score = Σ 1/(k + rank), normalized so rank 1 in both lists = 1.0
+ * Weighted: score = w × vectorScore + (1 - w) × (bm25 / maxBm25)
+ *
+ * @param {Array<{hash: string|number, score: number}>} vectorResults Vector hits, sorted by score desc
+ * @param {Array<{hash: string|number, score: number, matchedTerms: string[]}>} lexicalResults BM25 hits, sorted by score desc
+ * @param {object} options Resolved hybrid settings (see resolveHybridSettings)
+ * @returns {Array<object>} Fused entries sorted by fusedScore desc
+ */
+export function fuseResults(vectorResults, lexicalResults, options) {
+    const entries = new Map();
+    const getEntry = (hash) => {
+        const key = String(hash);
+        if (!entries.has(key)) {
+            entries.set(key, {
+                key,
+                hash,
+                vectorRank: null,
+                vectorScore: null,
+                lexicalRank: null,
+                lexicalScore: null,
+                matchedTerms: [],
+                fusedScore: 0,
+            });
+        }
+        return entries.get(key);
+    };
+
+    vectorResults.forEach((result, idx) => {
+        const entry = getEntry(result.hash);
+        entry.vectorRank = idx + 1;
+        entry.vectorScore = result.score;
+    });
+
+    lexicalResults.forEach((result, idx) => {
+        const entry = getEntry(result.hash);
+        entry.lexicalRank = idx + 1;
+        entry.lexicalScore = result.score;
+        entry.matchedTerms = result.matchedTerms || [];
+    });
+
+    if (options.fusionMethod === 'weighted') {
+        const maxLexical = lexicalResults.length > 0 ? lexicalResults[0].score : 0;
+        const w = options.vectorWeight;
+        for (const entry of entries.values()) {
+            const vector = entry.vectorScore ?? 0;
+            const lexical = maxLexical > 0 ? (entry.lexicalScore ?? 0) / maxLexical : 0;
+            entry.fusedScore = w * vector + (1 - w) * lexical;
+        }
+    } else {
+        const k = options.rrfK;
+        const best = 2 / (k + 1);
+        for (const entry of entries.values()) {
+            let rrf = 0;
+            if (entry.vectorRank !== null) rrf += 1 / (k + entry.vectorRank);
+            if (entry.lexicalRank !== null) rrf += 1 / (k + entry.lexicalRank);
+            entry.fusedScore = rrf / best;
+        }
+    }
+
+    return [...entries.values()].sort((a, b) => b.fusedScore - a.fusedScore);
+}
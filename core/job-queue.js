@@ -0,0 +1,611 @@
+/**
+ * ============================================================================
+ * VECTHARE JOB QUEUE
+ * ============================================================================
+ * Persistent background queue for long vectorization runs.
+ *
+ * Jobs run one at a time and checkpoint after every batch, so a reload or a
+ * provider outage halfway through a 5,000-message chat resumes from the last
+ * batch instead of starting over. Jobs live in IndexedDB:
+ *
+ *   jobs      - Small job records (status, progress, checkpoint, failures)
+ *   payloads  - Large inputs written once per job (e.g. prepared chunks)
+ *
+ * Each job type has a runner (registerJobRunner). A runner processes batches,
+ * calls context.checkpoint() after each one and returns early when
+ * context.shouldStop() says the job was paused or cancelled. Runner progress
+ * lives in job.state (state.cursor by convention); "retry failed items" sets
+ * state.retryHashes and resets the cursor.
+ *
+ * Jobs that were running when the page unloaded come back paused.
+ *
+ * @author Coneja Chibi | VectHare
+ * @version 2.0.0-alpha
+ * ============================================================================
+ */
+
+import AsyncUtils from '../utils/async-utils.js';
+import { openDatabase, requestToPromise, transactionDone } from '../utils/indexeddb.js';
+import { RETRY_CONFIG } from './core-vector-api.js';
+import { progressTracker } from '../ui/progress-tracker.js';
+import { JOB_QUEUE_DB_NAME, JOB_HISTORY_LIMIT } from './constants.js';
+
+const JOBS_STORE = 'jobs';
+const PAYLOADS_STORE = 'payloads';
+
+/** Statuses a job can't leave on its own */
+const FINISHED_STATUSES = ['completed', 'cancelled'];
+
+/** @type {Map<string, function(object, object): Promise<void>>} */
+const runners = new Map();
+
+/** @type {object[]} All known jobs, oldest first */
+let jobs = [];
+
+/** @type {Promise<IDBDatabase|null>|null} */
+let dbPromise = null;
+
+/** @type {string|null} */
+let activeJobId = null;
+
+/** Pause/cancel requests for running jobs: jobId -> 'paused' | 'cancelled' */
+const stopRequests = new Map();
+
+/** Callers waiting for a job to stop running: jobId -> resolve[] */
+const waiters = new Map();
+
+let queueSettings = null;
+
+// ============================================================================
+// PERSISTENCE
+// ============================================================================
+
+/**
+ * Opens the jobs database (once). Resolves to null if IndexedDB can't be used.
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function getDatabase() {
+    if (dbPromise) {
+        return dbPromise;
+    }
+
+    dbPromise = openDatabase(JOB_QUEUE_DB_NAME, db => {
+        db.createObjectStore(JOBS_STORE, { keyPath: 'id' });
+        db.createObjectStore(PAYLOADS_STORE);
+    }).catch(error => {
+        console.warn('VectHare: Job queue running memory-only (jobs will not survive reloads):', error?.message || error);
+        return null;
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Writes to one store and waits for the transaction to commit
+ * @param {string} storeName Store to write to
+ * @param {function(IDBObjectStore): void} write Performs the writes
+ * @returns {Promise<void>}
+ */
+async function writeStore(storeName, write) {
+    const db = await getDatabase();
+    if (!db) {
+        return;
+    }
+
+    try {
+        const transaction = db.transaction(storeName, 'readwrite');
+        write(transaction.objectStore(storeName));
+        await transactionDone(transaction);
+    } catch (error) {
+        console.warn(`VectHare: Job queue write to "${storeName}" failed:`, error?.message || error);
+    }
+}
+
+/**
+ * Persists a job record
+ * @param {object} job
+ * @returns {Promise<void>}
+ */
+function saveJob(job) {
+    job.updatedAt = Date.now();
+    return writeStore(JOBS_STORE, store => store.put(job));
+}
+
+/** Payloads of jobs created this session (memory-only fallback and fast path) */
+const payloadMemory = new Map();
+
+/**
+ * Deletes a job's payload (finished jobs with nothing left to retry don't need their inputs)
+ * @param {string} jobId
+ * @returns {Promise<void>}
+ */
+async function deletePayload(jobId) {
+    payloadMemory.delete(jobId);
+    await writeStore(PAYLOADS_STORE, store => store.delete(jobId));
+}
+
+/**
+ * Deletes a job record and its payload
+ * @param {string} jobId
+ * @returns {Promise<void>}
+ */
+async function deleteJobRecords(jobId) {
+    await writeStore(JOBS_STORE, store => store.delete(jobId));
+    await deletePayload(jobId);
+}
+
+/**
+ * Loads a job's payload
+ * @param {string} jobId
+ * @returns {Promise<any>} Payload, or null if it's gone
+ */
+async function loadPayload(jobId) {
+    if (payloadMemory.has(jobId)) {
+        return payloadMemory.get(jobId);
+    }
+
+    const db = await getDatabase();
+    if (!db) {
+        return null;
+    }
+
+    const payload = await requestToPromise(db.transaction(PAYLOADS_STORE, 'readonly').objectStore(PAYLOADS_STORE).get(jobId));
+    payloadMemory.set(jobId, payload ?? null);
+    return payload ?? null;
+}
+
+/**
+ * Removes the oldest finished jobs beyond JOB_HISTORY_LIMIT
+ * @returns {Promise<void>}
+ */
+async function pruneHistory() {
+    const finished = jobs.filter(job => FINISHED_STATUSES.includes(job.status));
+    const excess = finished.slice(0, Math.max(0, finished.length - JOB_HISTORY_LIMIT));
+    for (const job of excess) {
+        jobs = jobs.filter(j => j !== job);
+        await deleteJobRecords(job.id);
+    }
+}
+
+// ============================================================================
+// EXECUTION
+// ============================================================================
+
+/**
+ * Estimates time remaining from the current run's throughput
+ * @param {object} job
+ * @returns {number|null} Milliseconds remaining, or null if unknown
+ */
+function estimateJobEta(job) {
+    if (job.status !== 'running' || !job.runStartedAt) {
+        return null;
+    }
+
+    const done = job.processed - (job.runStartProcessed || 0);
+    const elapsed = Date.now() - job.runStartedAt;
+    if (done <= 0 || elapsed <= 0) {
+        return null;
+    }
+
+    return Math.max(0, job.total - job.processed) * (elapsed / done);
+}
+
+/**
+ * Pushes the current job list to the jobs panel
+ */
+function renderJobs() {
+    progressTracker.updateJobs(jobs.map(job => ({ ...job, eta: estimateJobEta(job) })));
+}
+
+/**
+ * Resolves everyone waiting on a job
+ * @param {object} job
+ */
+function notifyWaiters(job) {
+    const pending = waiters.get(job.id) || [];
+    waiters.delete(job.id);
+    pending.forEach(resolve => resolve(job));
+}
+
+/**
+ * Returns a promise that resolves when the job stops running
+ * @param {object} job
+ * @returns {Promise<object>}
+ */
+function waitForJob(job) {
+    return new Promise(resolve => {
+        if (!waiters.has(job.id)) {
+            waiters.set(job.id, []);
+        }
+        waiters.get(job.id).push(resolve);
+    });
+}
+
+/**
+ * Builds the context a runner uses to report progress and check for pause/cancel
+ * @param {object} job
+ * @returns {object}
+ */
+function createRunnerContext(job) {
+    return {
+        settings: queueSettings,
+
+        /** @returns {boolean} True once the job was asked to pause or cancel */
+        shouldStop: () => stopRequests.has(job.id),
+
+        /** Asks the job to pause itself (e.g. its chat isn't open), with a reason shown in the panel */
+        pause: (note) => {
+            stopRequests.set(job.id, 'paused');
+            job.note = note;
+        },
+
+        /** @returns {Promise<any>} The job's payload */
+        getPayload: () => loadPayload(job.id),
+
+        /**
+         * Saves progress after a batch
+         * @param {{processed?: number, chunks?: number, total?: number, state?: object}} patch
+         * @param {string} [status] Status line for the progress panel
+         */
+        checkpoint: async (patch, status = '') => {
+            if (patch.state) {
+                job.state = { ...job.state, ...patch.state };
+            }
+            ['processed', 'chunks', 'total'].forEach(key => {
+                if (patch[key] !== undefined) job[key] = patch[key];
+            });
+            await saveJob(job);
+
+            if (patch.total !== undefined) {
+                progressTracker.stats.totalItems = job.total;
+            }
+            progressTracker.updateProgress(job.processed, status);
+            progressTracker.updateChunks(job.chunks);
+            renderJobs();
+        },
+
+        /**
+         * Records items that exhausted their retries (saved with the next checkpoint)
+         * @param {{hash: number|string, label: string, error: string, attempts: number}[]} items
+         */
+        recordFailure: (items) => {
+            for (const item of items) {
+                job.failedItems = job.failedItems.filter(f => f.hash !== item.hash);
+                job.failedItems.push({ hash: item.hash, label: item.label, error: item.error, attempts: item.attempts });
+                progressTracker.addError(`${item.label}: ${item.error}`);
+            }
+        },
+
+        /**
+         * Runs fn under the job's retry policy (RETRY_CONFIG with per-job overrides)
+         * @param {function(): Promise<any>} fn
+         * @returns {Promise<any>}
+         */
+        retry: (fn) => AsyncUtils.retry(fn, {
+            ...RETRY_CONFIG,
+            ...job.retry,
+            onRetry: (attempt, error) => {
+                console.warn(`VectHare: Job "${job.label}" retrying batch (attempt ${attempt + 1}/${job.retry.maxAttempts}):`, error.message);
+                progressTracker.updateCurrentItem(`Retrying (${attempt + 1}/${job.retry.maxAttempts}): ${error.message}`);
+            },
+        }),
+
+        /** @returns {boolean} Whether an error is worth retrying under the job's policy */
+        isRetryable: (error) => RETRY_CONFIG.shouldRetry(error),
+    };
+}
+
+/**
+ * Runs one job until it completes, pauses, is cancelled or fails
+ * @param {object} job
+ * @returns {Promise<void>}
+ */
+async function runJob(job) {
+    const runner = runners.get(job.type);
+
+    job.status = 'running';
+    job.note = null;
+    job.startedAt = job.startedAt || Date.now();
+    job.runStartedAt = Date.now();
+    job.runStartProcessed = job.processed;
+    await saveJob(job);
+    renderJobs();
+
+    progressTracker.show(job.label, job.total, job.itemLabel || 'Items', job.processed);
+    progressTracker.updateChunks(job.chunks);
+
+    try {
+        if (!runner) {
+            throw new Error(`No runner registered for job type "${job.type}"`);
+        }
+
+        await runner(job, createRunnerContext(job));
+
+        const stop = stopRequests.get(job.id);
+        if (stop === 'cancelled') {
+            job.status = 'cancelled';
+        } else if (stop === 'paused') {
+            job.status = 'paused';
+        } else {
+            job.status = 'completed';
+            job.finishedAt = Date.now();
+        }
+    } catch (error) {
+        console.error(`VectHare: Job "${job.label}" failed:`, error);
+        job.status = 'failed';
+        job.note = error.message;
+        progressTracker.addError(error.message);
+    } finally {
+        stopRequests.delete(job.id);
+    }
+
+    await saveJob(job);
+
+    const failed = job.failedItems.length;
+    switch (job.status) {
+        case 'completed':
+            progressTracker.complete(true, `${job.label}: ${job.processed} ${(job.itemLabel || 'items').toLowerCase()}, ${job.chunks} chunks${failed ? `, ${failed} failed` : ''}`);
+            break;
+        case 'paused':
+            progressTracker.complete(false, `Paused${job.note ? ` - ${job.note}` : ''}`);
+            break;
+        case 'cancelled':
+            progressTracker.complete(false, 'Cancelled');
+            break;
+        default:
+            progressTracker.complete(false, `Failed - ${job.note}`);
+    }
+
+    // Keep the payload while failed items can still be retried from it
+    if (FINISHED_STATUSES.includes(job.status) && failed === 0) {
+        await deletePayload(job.id);
+    }
+    await pruneHistory();
+    renderJobs();
+}
+
+/**
+ * Starts the next queued job if nothing is running
+ */
+async function processQueue() {
+    if (activeJobId) {
+        return;
+    }
+
+    const next = jobs.find(job => job.status === 'queued');
+    if (!next) {
+        return;
+    }
+
+    activeJobId = next.id;
+    try {
+        await runJob(next);
+    } finally {
+        activeJobId = null;
+        notifyWaiters(next);
+    }
+
+    processQueue();
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Registers the function that processes jobs of a type
+ * @param {string} type Job type (e.g. 'chat', 'content')
+ * @param {function(object, object): Promise<void>} runner Called with (job, context)
+ */
+export function registerJobRunner(type, runner) {
+    runners.set(type, runner);
+}
+
+/**
+ * Loads persisted jobs. Jobs that were running or queued when the page
+ * unloaded come back paused so nothing restarts without the user asking.
+ * @param {object} settings VectHare settings (passed to runners)
+ * @returns {Promise<number>} Number of interrupted jobs
+ */
+export async function initializeJobQueue(settings) {
+    queueSettings = settings;
+
+    progressTracker.setJobActions({
+        pause: pauseJob,
+        resume: resumeJob,
+        cancel: cancelJob,
+        retryFailed: retryFailedItems,
+        remove: removeJob,
+    });
+
+    const db = await getDatabase();
+    if (!db) {
+        return 0;
+    }
+
+    try {
+        const stored = await requestToPromise(db.transaction(JOBS_STORE, 'readonly').objectStore(JOBS_STORE).getAll());
+        jobs = stored.sort((a, b) => a.createdAt - b.createdAt);
+    } catch (error) {
+        console.warn('VectHare: Could not load vectorization jobs:', error?.message || error);
+        return 0;
+    }
+
+    const interrupted = jobs.filter(job => job.status === 'running' || job.status === 'queued');
+    for (const job of interrupted) {
+        job.status = 'paused';
+        job.note = 'Interrupted by page reload';
+        await saveJob(job);
+    }
+
+    renderJobs();
+    if (interrupted.length > 0) {
+        progressTracker.showJobs();
+    }
+    return interrupted.length;
+}
+
+/**
+ * Creates a job and queues it
+ * @param {object} options
+ * @param {string} options.type Job type with a registered runner
+ * @param {string} options.label Shown in the jobs panel
+ * @param {number} options.total Total items
+ * @param {string} [options.itemLabel] What the items are (e.g. 'Messages')
+ * @param {object} [options.params] Small runner inputs stored on the job
+ * @param {any} [options.payload] Large runner inputs, stored separately
+ * @param {object} [options.retry] Overrides for RETRY_CONFIG (maxAttempts, delay, maxDelay, backoffFactor)
+ * @returns {Promise<object>} The job, once it stops running
+ */
+export async function submitJob({ type, label, total, itemLabel = 'Items', params = {}, payload = null, retry = {} }) {
+    const job = {
+        id: `${type}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        type,
+        label,
+        itemLabel,
+        status: 'queued',
+        note: null,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        startedAt: null,
+        finishedAt: null,
+        total,
+        processed: 0,
+        chunks: 0,
+        params,
+        state: {},
+        failedItems: [],
+        retry: {
+            maxAttempts: retry.maxAttempts ?? RETRY_CONFIG.maxAttempts,
+            delay: retry.delay ?? RETRY_CONFIG.delay,
+            maxDelay: retry.maxDelay ?? RETRY_CONFIG.maxDelay,
+            backoffFactor: retry.backoffFactor ?? RETRY_CONFIG.backoffFactor,
+        },
+    };
+
+    if (payload !== null) {
+        payloadMemory.set(job.id, payload);
+        await writeStore(PAYLOADS_STORE, store => store.put(payload, job.id));
+    }
+
+    jobs.push(job);
+    await saveJob(job);
+    renderJobs();
+
+    const done = waitForJob(job);
+    processQueue();
+    return done;
+}
+
+/**
+ * Gets all jobs (oldest first)
+ * @returns {object[]}
+ */
+export function getJobs() {
+    return [...jobs];
+}
+
+/**
+ * Gets a job by ID
+ * @param {string} jobId
+ * @returns {object|null}
+ */
+export function getJob(jobId) {
+    return jobs.find(job => job.id === jobId) || null;
+}
+
+/**
+ * Pauses a job. A running job stops after its current batch.
+ * @param {string} jobId
+ */
+export async function pauseJob(jobId) {
+    const job = getJob(jobId);
+    if (!job) return;
+
+    if (job.status === 'running') {
+        stopRequests.set(jobId, 'paused');
+        job.note = 'Paused by user';
+    } else if (job.status === 'queued') {
+        job.status = 'paused';
+        job.note = 'Paused by user';
+        await saveJob(job);
+        notifyWaiters(job);
+    }
+    renderJobs();
+}
+
+/**
+ * Resumes a paused or failed job from its last checkpoint
+ * @param {string} jobId
+ * @returns {Promise<object|null>} The job, once it stops running again
+ */
+export async function resumeJob(jobId) {
+    const job = getJob(jobId);
+    if (!job || !['paused', 'failed'].includes(job.status)) {
+        return job;
+    }
+
+    job.status = 'queued';
+    job.note = null;
+    await saveJob(job);
+    renderJobs();
+
+    const done = waitForJob(job);
+    processQueue();
+    return done;
+}
+
+/**
+ * Cancels a job. Items already vectorized stay in the collection.
+ * @param {string} jobId
+ */
+export async function cancelJob(jobId) {
+    const job = getJob(jobId);
+    if (!job || FINISHED_STATUSES.includes(job.status)) return;
+
+    if (job.status === 'running') {
+        stopRequests.set(jobId, 'cancelled');
+    } else {
+        job.status = 'cancelled';
+        job.finishedAt = Date.now();
+        if (job.failedItems.length === 0) {
+            await deletePayload(jobId);
+        }
+        await saveJob(job);
+        notifyWaiters(job);
+    }
+    renderJobs();
+}
+
+/**
+ * Clears a job's failed items and queues it again so they are retried
+ * @param {string} jobId
+ * @returns {Promise<object|null>} The job, once it stops running again
+ */
+export async function retryFailedItems(jobId) {
+    const job = getJob(jobId);
+    if (!job || job.status === 'running' || job.failedItems.length === 0) {
+        return job;
+    }
+
+    // Runners see retryHashes and make a fresh pass (cursor 0) over just those items
+    job.state = { ...job.state, retryHashes: job.failedItems.map(f => f.hash), cursor: 0 };
+    job.processed = Math.max(0, job.processed - job.failedItems.length);
+    job.failedItems = [];
+    job.status = 'paused';
+    return resumeJob(jobId);
+}
+
+/**
+ * Removes a job that isn't running
+ * @param {string} jobId
+ */
+export async function removeJob(jobId) {
+    const job = getJob(jobId);
+    if (!job || job.status === 'running') return;
+
+    jobs = jobs.filter(j => j !== job);
+    await deleteJobRecords(jobId);
+    notifyWaiters(job);
+    renderJobs();
+}
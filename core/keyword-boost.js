@@ -20,10 +20,26 @@
  *   The boost above 1.0 is added together:
  *     - "magic" (1.5x) + "divine" (2.0x) = 1 + 0.5 + 1.0 = 2.5x total boost
  *
+ * LANGUAGES:
+ *   Japanese, Chinese and Korean text is split with the language-aware
+ *   segmenter (see language.js) and filtered with that language's stop words.
+ *   Chat extraction ranks repeated words there, since there are no capitals
+ *   to spot names by.
+ *
+ * MATCHING:
+ *   Whole words, with per-keyword exact/stem/fuzzy/regex modes
+ *   (see keyword-matcher.js). Keywords edited in the chunk visualizer
+ *   override the ones stored with the vector.
+ *
  * @version 4.0.0
  * ============================================================================
  */
 
+import { getChunkMetadata } from './collection-metadata.js';
+import { createKeywordMatcher, resolveMatchMode } from './keyword-matcher.js';
+import { getStopWords } from './keyword-learner.js';
+import { detectLanguage, isCJKLanguage, segmentWords, stripParticles } from './language.js';
+
 /** Extraction level configurations */
 export const EXTRACTION_LEVELS = {
     off: {
@@ -124,6 +140,26 @@ const KEYWORD_STOP_WORDS = new Set([
     'which', 'while', 'where', 'about', 'after', 'before',
 ]);
 
+/**
+ * Splits non-English text into candidate topic words
+ * @param {string} text - Text to split
+ * @param {string} language - Language code from detectLanguage
+ * @returns {string[]} Lowercase words, stop words removed
+ */
+function getTopicWords(text, language) {
+    const cjk = isCJKLanguage(language);
+    const stopWords = getStopWords(language);
+
+    return segmentWords(text, language)
+        .map(word => stripParticles(word.toLowerCase(), language))
+        .filter(word => {
+            if (stopWords.has(word) || !/^\p{L}+$/u.test(word)) return false;
+            if (!cjk) return word.length >= 4;
+            // All-hiragana words are particles and verb endings
+            return [...word].length >= 2 && !(language === 'ja' && /^\p{Script=Hiragana}+$/u.test(word));
+        });
+}
+
 /**
  * Extract keywords from plain text with configurable extraction level
  *
@@ -134,6 +170,7 @@ const KEYWORD_STOP_WORDS = new Set([
  * @param {object} options - Extraction options
  * @param {string} options.level - Extraction level: 'off', 'minimal', 'balanced', 'aggressive'
  * @param {number} options.baseWeight - Base weight for keywords (default 1.5)
+ * @param {string} [options.language] - Language code (detected from the text when omitted)
  * @returns {Array<{text: string, weight: number}>} Array of weighted keywords
  */
 export function extractTextKeywords(text, options = {}) {
@@ -158,7 +195,10 @@ export function extractTextKeywords(text, options = {}) {
         : cleanedText;
 
     // Step 3: Extract and count words
-    const topicWords = scanArea.toLowerCase().match(/\b[a-z]{4,}\b/g) || [];
+    const language = options.language || detectLanguage(scanArea);
+    const topicWords = language === 'en'
+        ? scanArea.toLowerCase().match(/\b[a-z]{4,}\b/g) || []
+        : getTopicWords(scanArea, language);
     const wordCounts = new Map();
 
     for (const word of topicWords) {
@@ -225,14 +265,36 @@ export function extractTextKeywordsSimple(text, options = {}) {
     return extractTextKeywords(text, options).map(kw => kw.text);
 }
 
+/**
+ * Extract keywords from Japanese/Chinese/Korean chat messages.
+ * Katakana words (usually names and loanwords) are always kept; other words
+ * need to repeat within the message.
+ * @param {string} text - Chat message text
+ * @param {string} language - Language code from detectLanguage
+ * @returns {string[]} Keywords, most frequent first
+ */
+function extractCJKChatKeywords(text, language) {
+    const counts = new Map();
+    for (const word of getTopicWords(text, language)) {
+        counts.set(word, (counts.get(word) || 0) + 1);
+    }
+
+    return [...counts]
+        .filter(([word, count]) => count >= 2 || /^\p{Script=Katakana}[\p{Script=Katakana}ー]+$/u.test(word))
+        .sort((a, b) => b[1] - a[1])
+        .map(([word]) => word);
+}
+
 /**
  * Extract keywords from chat messages using proper noun detection
  * Finds capitalized words mid-sentence (names, places, etc.)
+ * Japanese, Chinese and Korean have no capitals, so repeated words are used instead.
  *
  * @param {string} text - Chat message text
  * @param {object} options - Extraction options
  * @param {number} options.baseWeight - Base weight for keywords (default 1.5)
  * @param {number} options.maxKeywords - Maximum keywords to return (default 8)
+ * @param {string} [options.language] - Language code (detected from the text when omitted)
  * @returns {Array<{text: string, weight: number}>} Array of weighted keywords
  */
 export function extractChatKeywords(text, options = {}) {
@@ -244,9 +306,21 @@ export function extractChatKeywords(text, options = {}) {
     const keywords = [];
     const seen = new Set();
 
+    const language = options.language || detectLanguage(text);
+    if (isCJKLanguage(language)) {
+        for (const word of extractCJKChatKeywords(text, language).slice(0, maxKeywords)) {
+            keywords.push({ text: word, weight: baseWeight });
+        }
+        if (keywords.length > 0) {
+            console.log(`[VectHare Keyword Extraction] Extracted chat keywords (${language}): [${keywords.map(k => k.text).join(', ')}] from text: "${text.substring(0, 80)}${text.length > 80 ? '...' : ''}"`);
+        }
+        return keywords;
+    }
+
     // Find capitalized words that aren't at sentence start
     // Looks for capital letter followed by lowercase, not preceded by sentence-ending punctuation
-    const properNounRegex = /(?<![.!?]\s*)(?<=\s|^"|^'|^\*|"|'|\*)\b([A-Z][a-z]{2,})\b/g;
+    // (any alphabet with case - Éowyn and Наташа count too)
+    const properNounRegex = /(?<![.!?]\s*)(?<=\s|^"|^'|^\*|"|'|\*)(\p{Lu}\p{Ll}{2,})(?![\p{L}\p{N}])/gu;
     let match;
 
     while ((match = properNounRegex.exec(text)) !== null) {
@@ -272,34 +346,39 @@ export function extractChatKeywords(text, options = {}) {
 }
 
 /**
- * Normalize a keyword to { text, weight } format
+ * Normalize a keyword to { text, weight, match } format
  * Handles both string and object formats
- * @param {string|object} kw - Keyword (string or { text, weight })
+ * @param {string|object} kw - Keyword (string or { text, weight, match })
  * @param {number} defaultWeight - Default weight for string keywords
- * @returns {{ text: string, weight: number }}
+ * @returns {{ text: string, weight: number, match: string }}
  */
 function normalizeKeyword(kw, defaultWeight = DEFAULT_BASE_WEIGHT) {
     if (typeof kw === 'string') {
-        return { text: kw.toLowerCase(), weight: defaultWeight };
+        return { text: kw.toLowerCase(), weight: defaultWeight, match: resolveMatchMode() };
     }
     if (kw && typeof kw === 'object' && kw.text) {
+        const match = resolveMatchMode(kw.match);
         return {
-            text: kw.text.toLowerCase(),
-            weight: typeof kw.weight === 'number' ? kw.weight : defaultWeight
+            // Regex keywords keep their case - \W and \w mean different things
+            text: match === 'regex' ? kw.text : kw.text.toLowerCase(),
+            weight: typeof kw.weight === 'number' ? kw.weight : defaultWeight,
+            match,
         };
     }
     return null;
 }
 
 /**
- * Check if query contains a keyword
- * @param {string} query - Search query (lowercased)
- * @param {string} keyword - Keyword to check (lowercased)
- * @returns {boolean}
+ * Gets a result's keywords: chunk visualizer edits first, then the ones stored with the vector
+ * @param {object} result - Search result
+ * @returns {Array<string|object>}
  */
-function queryHasKeyword(query, keyword) {
-    if (!query || !keyword) return false;
-    return query.includes(keyword);
+function getResultKeywords(result) {
+    const stored = result.hash !== undefined ? getChunkMetadata(result.hash) : null;
+    if (stored?.keywords !== undefined) {
+        return stored.keywords || [];
+    }
+    return result.keywords || result.metadata?.keywords || [];
 }
 
 /**
@@ -313,17 +392,18 @@ function queryHasKeyword(query, keyword) {
  *
  * @param {Array} results - Search results [{text, score, keywords, ...}]
  * @param {string} query - The search query
- * @returns {Array} Results with boosted scores, sorted by score desc
+ * @returns {Array} Results with boosted scores, sorted by score desc. Each entry of
+ *   matchedKeywordsWithWeights is { text, weight, match, spans: [{ start, end, text }] }
  */
 export function applyKeywordBoost(results, query) {
     if (!results || !Array.isArray(results) || !query) return results;
 
-    const queryLower = query.toLowerCase();
+    const matchKeyword = createKeywordMatcher(query);
 
     console.log(`[VectHare Keyword Boost] Starting keyword boost for query: "${query}"`);
 
     const boosted = results.map(result => {
-        const rawKeywords = result.keywords || result.metadata?.keywords || [];
+        const rawKeywords = getResultKeywords(result);
         const matchedKeywords = [];
         let boostSum = 0;
 
@@ -331,8 +411,10 @@ export function applyKeywordBoost(results, query) {
             const normalized = normalizeKeyword(kw);
             if (!normalized) continue;
 
-            if (queryHasKeyword(queryLower, normalized.text)) {
-                matchedKeywords.push(normalized);
+            const spans = matchKeyword(normalized);
+            if (spans.length > 0) {
+                // Spans index into the query, for highlighting in search debug
+                matchedKeywords.push({ ...normalized, spans });
                 // Additive: add the boost portion (weight - 1.0)
                 boostSum += (normalized.weight - 1.0);
             }
@@ -7,10 +7,29 @@
  *
  * If a word appears X times in an entry, suggest it as a keyword for that entry.
  *
+ * COLLECTION MODE:
+ *   analyzeCollection() looks at every chunk of a collection at once. Words
+ *   found in most chunks (the setting's name, the main character) are skipped,
+ *   and the rest are ranked per chunk by TF-IDF, so each chunk gets the words
+ *   that set it apart. Proposed weights scale with how rare the word is.
+ *
+ * Words are split with the language-aware segmenter, so Japanese, Chinese and
+ * Korean entries get suggestions too. Each language has its own stop words.
+ *
  * @version 1.0.0
  * ============================================================================
  */
 
+import { detectLanguage, isCJKLanguage, segmentWords, stripParticles } from './language.js';
+import {
+    CORPUS_KEYWORD_MAX_DOC_SHARE,
+    CORPUS_KEYWORD_MIN_COUNT,
+    CORPUS_KEYWORDS_PER_CHUNK,
+    CORPUS_MIN_DOCUMENTS,
+    CORPUS_KEYWORD_MIN_WEIGHT,
+    CORPUS_KEYWORD_MAX_WEIGHT,
+} from './constants.js';
+
 // Stop words to ignore
 const STOP_WORDS = new Set([
    "0o", "0s", "3a", "3b", "3d", "6b", "6o", "a", "a1", "a2", "a3", "a4",
@@ -125,25 +144,96 @@ const STOP_WORDS = new Set([
             "zero", "zi", "zz",
 ]);
 
+// Particles, pronouns and function words for the other languages detectLanguage returns
+const STOP_WORDS_BY_LANGUAGE = {
+    en: STOP_WORDS,
+    ja: new Set([
+        "これ", "それ", "あれ", "どれ", "ここ", "そこ", "あそこ", "どこ", "こちら", "そちら",
+        "この", "その", "あの", "どの", "こと", "もの", "ため", "よう", "とき", "ところ",
+        "さん", "くん", "ちゃん", "さま", "様", "私", "僕", "俺", "彼", "彼女", "あなた", "君",
+        "お前", "自分", "我々", "たち", "達", "する", "します", "した", "して", "いる", "います",
+        "いた", "ある", "あります", "あった", "なる", "なった", "できる", "れる", "られる",
+        "です", "でした", "ます", "ました", "ない", "なかった", "まで", "から", "けど", "けれど",
+        "しかし", "そして", "また", "でも", "だけ", "ほど", "など", "なら", "って", "という",
+        "とても", "もう", "まだ", "すぐ", "少し", "全て", "今日", "今", "何", "誰", "時",
+    ]),
+    zh: new Set([
+        "我们", "你们", "他们", "她们", "它们", "自己", "这个", "那个", "这些", "那些", "这里",
+        "那里", "这样", "那样", "什么", "怎么", "为什么", "哪里", "谁", "的", "了", "着", "过",
+        "是", "在", "有", "和", "与", "也", "都", "就", "还", "又", "很", "太", "不", "没", "没有",
+        "但是", "可是", "然后", "因为", "所以", "如果", "虽然", "而且", "或者", "已经", "正在",
+        "一个", "一些", "一下", "一样", "一起", "可以", "能够", "应该", "需要", "知道", "觉得",
+        "时候", "现在", "今天", "东西", "地方", "事情", "起来", "出来", "下来", "上来", "这么",
+        "那么", "我", "你", "他", "她", "它", "您", "這個", "那個", "這些", "這裡", "們", "時候",
+    ]),
+    ko: new Set([
+        "그리고", "그러나", "하지만", "그래서", "그런데", "그러면", "또한", "또는", "및", "이", "그",
+        "저", "이것", "그것", "저것", "여기", "거기", "저기", "나", "너", "우리", "저희", "당신",
+        "그녀", "그들", "자신", "것", "수", "등", "때", "곳", "중", "더", "잘", "안", "못", "다",
+        "좀", "아주", "매우", "너무", "정말", "이제", "지금", "오늘", "있다", "있는", "있었다",
+        "없다", "없는", "하다", "하는", "했다", "한다", "된다", "되는", "이다", "입니다", "합니다",
+        "있습니다", "같은", "같다", "위해", "대한", "통해", "무엇", "어디", "누구", "왜", "어떻게",
+    ]),
+    ru: new Set([
+        "и", "в", "во", "не", "что", "он", "на", "я", "с", "со", "как", "а", "то", "все", "она",
+        "так", "его", "но", "да", "ты", "к", "у", "же", "вы", "за", "бы", "по", "только", "ее", "её",
+        "мне", "было", "вот", "от", "меня", "еще", "ещё", "нет", "о", "из", "ему", "теперь", "когда",
+        "даже", "ну", "вдруг", "ли", "если", "уже", "или", "ни", "быть", "был", "была", "были",
+        "него", "до", "вас", "нибудь", "опять", "уж", "вам", "ведь", "там", "потом", "себя", "себе",
+        "ничего", "может", "они", "тут", "где", "есть", "надо", "ней", "для", "мы", "тебя", "тебе",
+        "их", "чем", "сам", "сама", "сами", "чтоб", "чтобы", "без", "будто", "чего", "раз", "тоже",
+        "под", "будет", "будут", "тогда", "кто", "этот", "этого", "этой", "этом", "этому", "эта",
+        "эти", "этих", "это", "того", "тот", "та", "те", "тех", "потому", "какой", "какая", "какие",
+        "совсем", "ним", "них", "здесь", "один", "одна", "почти", "мой", "моя", "мои", "твой",
+        "твоя", "наш", "наша", "ваш", "ваша", "свой", "своя", "свои", "своей", "своего", "тем",
+        "через", "после", "над", "больше", "всегда", "нельзя", "всех", "всего", "всем", "никогда",
+        "можно", "при", "конечно", "хорошо", "между", "перед", "иногда", "лучше", "чуть", "более",
+        "много", "очень", "сейчас", "снова", "просто", "также", "который", "которая",
+        "которые", "которого", "которой", "которых", "нему", "ними", "куда", "зачем", "почему",
+        "сказал", "сказала", "стал", "стала", "могу", "знаю", "хочу", "нужно", "ничто",
+    ]),
+};
+
 // Minimum word length
 const MIN_WORD_LENGTH = 4;
 
+// Minimum length for a Japanese/Chinese/Korean word (two characters already name most things)
+const MIN_CJK_WORD_LENGTH = 2;
+
 // Default threshold - word must appear this many times to be suggested
 const DEFAULT_THRESHOLD = 3;
 
+/**
+ * Get the stop words for a language
+ * @param {string} language - Language code from detectLanguage
+ * @returns {Set<string>} Stop words (English when the language has no list)
+ */
+export function getStopWords(language) {
+    return STOP_WORDS_BY_LANGUAGE[language] || STOP_WORDS;
+}
+
 /**
  * Check if a word is trackable (not a stop word, long enough, etc.)
  * @param {string} word
+ * @param {string} [language='en'] - Language code from detectLanguage
  * @returns {boolean}
  */
-function isTrackableWord(word) {
+function isTrackableWord(word, language = 'en') {
     if (!word || typeof word !== 'string') return false;
     const normalized = word.toLowerCase().trim();
-    if (normalized.length < MIN_WORD_LENGTH) return false;
-    if (STOP_WORDS.has(normalized)) return false;
+    if (getStopWords(language).has(normalized)) return false;
     if (/\d/.test(normalized)) return false;
-    if (!/^[a-z]+$/i.test(normalized)) return false;
-    return true;
+
+    if (isCJKLanguage(language)) {
+        if ([...normalized].length < MIN_CJK_WORD_LENGTH) return false;
+        // All-hiragana words are grammar (particles, endings), not topics
+        if (language === 'ja' && /^\p{Script=Hiragana}+$/u.test(normalized)) return false;
+        return /^\p{L}+$/u.test(normalized);
+    }
+
+    if (normalized.length < MIN_WORD_LENGTH) return false;
+    if (language === 'en') return /^[a-z]+$/i.test(normalized);
+    return /^\p{L}+$/u.test(normalized);
 }
 
 /**
@@ -154,7 +244,12 @@ function isTrackableWord(word) {
 function countWords(text) {
     if (!text || typeof text !== 'string') return new Map();
 
-    const words = text.split(/[^a-zA-Z]+/).filter(isTrackableWord);
+    const language = detectLanguage(text);
+    const words = language === 'en'
+        ? text.split(/[^a-zA-Z]+/).filter(word => isTrackableWord(word))
+        : segmentWords(text, language)
+            .map(word => stripParticles(word, language))
+            .filter(word => isTrackableWord(word, language));
     const counts = new Map();
 
     for (const word of words) {
@@ -220,3 +315,81 @@ export function analyzeEntry(text) {
         frequencies,
     };
 }
+
+/**
+ * Count in how many texts each word appears
+ * @param {string[]} texts - One text per chunk
+ * @returns {{documents: number, frequencies: Map<string, number>, counts: Array<Map<string, number>>}}
+ *   Document frequency per word, plus each text's own word counts
+ */
+export function buildDocumentFrequencies(texts) {
+    const counts = texts.map(countWords);
+    const frequencies = new Map();
+
+    for (const docCounts of counts) {
+        for (const word of docCounts.keys()) {
+            frequencies.set(word, (frequencies.get(word) || 0) + 1);
+        }
+    }
+
+    return { documents: texts.length, frequencies, counts };
+}
+
+/**
+ * Suggest discriminative keywords for every chunk of a collection (TF-IDF)
+ * @param {Array<{hash: number|string, text: string}>} chunks - All chunks of the collection
+ * @param {object} [options]
+ * @param {number} [options.maxPerChunk] - Suggestions kept per chunk
+ * @param {number} [options.minCount] - Occurrences needed within the chunk
+ * @param {number} [options.maxDocumentShare] - Words in a larger share of chunks are skipped
+ * @returns {{
+ *   documents: number,
+ *   common: Array<{word: string, documentFrequency: number}>,
+ *   suggestions: Map<number|string, Array<{word: string, weight: number, score: number, count: number, documentFrequency: number}>>
+ * }} common lists the skipped widespread words, most widespread first
+ */
+export function analyzeCollection(chunks, options = {}) {
+    const maxPerChunk = options.maxPerChunk ?? CORPUS_KEYWORDS_PER_CHUNK;
+    const minCount = options.minCount ?? CORPUS_KEYWORD_MIN_COUNT;
+    const maxDocumentShare = options.maxDocumentShare ?? CORPUS_KEYWORD_MAX_DOC_SHARE;
+
+    const suggestions = new Map();
+    if (chunks.length < CORPUS_MIN_DOCUMENTS) {
+        return { documents: chunks.length, common: [], suggestions };
+    }
+
+    const { documents, frequencies, counts } = buildDocumentFrequencies(chunks.map(chunk => chunk.text || ''));
+    const maxDocuments = Math.max(1, Math.floor(documents * maxDocumentShare));
+    // A word in a single chunk has the highest IDF; weights scale against it
+    const maxIdf = Math.log(documents);
+
+    const common = [...frequencies]
+        .filter(([, documentFrequency]) => documentFrequency > maxDocuments)
+        .sort((a, b) => b[1] - a[1])
+        .map(([word, documentFrequency]) => ({ word, documentFrequency }));
+
+    chunks.forEach((chunk, i) => {
+        const ranked = [];
+        for (const [word, count] of counts[i]) {
+            const documentFrequency = frequencies.get(word);
+            if (count < minCount || documentFrequency > maxDocuments) continue;
+
+            const idf = Math.log(documents / documentFrequency);
+            const weight = CORPUS_KEYWORD_MIN_WEIGHT + (CORPUS_KEYWORD_MAX_WEIGHT - CORPUS_KEYWORD_MIN_WEIGHT) * (idf / maxIdf);
+            ranked.push({
+                word,
+                weight: Math.round(weight * 10) / 10,
+                score: (1 + Math.log(count)) * idf,
+                count,
+                documentFrequency,
+            });
+        }
+
+        ranked.sort((a, b) => b.score - a.score);
+        if (ranked.length > 0) {
+            suggestions.set(chunk.hash, ranked.slice(0, maxPerChunk));
+        }
+    });
+
+    return { documents, common, suggestions };
+}
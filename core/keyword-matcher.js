@@ -0,0 +1,264 @@
+/**
+ * ============================================================================
+ * VECTHARE KEYWORD MATCHER
+ * ============================================================================
+ * Decides whether a chunk keyword occurs in a query, and where.
+ *
+ * Keywords match whole words only, so "art" no longer fires on "party".
+ * Multi-word keywords ("silver blade") match as a phrase of consecutive words.
+ * Each keyword can pick how loosely it matches:
+ *   - exact: words as written (case-insensitive)
+ *   - stem:  plural and tense endings ignored - "swords" matches "sword" (default)
+ *   - fuzzy: stem, plus a letter or two of typo depending on word length
+ *   - regex: the keyword text is a regular expression
+ *
+ * Japanese, Chinese and Korean keywords match as substrings in every mode but
+ * regex - those languages don't separate words (or, in Korean, attach
+ * particles to them), so word boundaries would never line up.
+ *
+ * Matches come back as spans into the query so the search debug modal can
+ * highlight them.
+ *
+ * @author Coneja Chibi | VectHare
+ * @version 2.0.0-alpha
+ * ============================================================================
+ */
+
+import StringUtils from '../utils/string-utils.js';
+import { containsCJK } from './language.js';
+
+/** Per-keyword match modes */
+export const KEYWORD_MATCH_MODES = {
+    exact: {
+        label: 'Exact',
+        description: 'Whole words as written',
+    },
+    stem: {
+        label: 'Stem',
+        description: 'Whole words, ignoring plural and tense endings ("swords" matches "sword")',
+    },
+    fuzzy: {
+        label: 'Fuzzy',
+        description: 'Like stem, but also tolerates small typos',
+    },
+    regex: {
+        label: 'Regex',
+        description: 'Keyword is a regular expression (case-insensitive unless written as /pattern/flags)',
+    },
+};
+
+/** Mode used by keywords that don't set one */
+export const DEFAULT_KEYWORD_MATCH_MODE = 'stem';
+
+/** Words shorter than this never match fuzzily */
+const FUZZY_MIN_LENGTH = 4;
+
+/** Compiled regex keywords (null = invalid pattern) */
+const regexCache = new Map();
+
+/** Plurals and forms the suffix rules can't recover */
+const IRREGULAR_FORMS = {
+    men: 'man', women: 'woman', children: 'child', people: 'person',
+    mice: 'mouse', feet: 'foot', teeth: 'tooth', geese: 'goose',
+    wolves: 'wolf', knives: 'knife', lives: 'life', wives: 'wife',
+    leaves: 'leaf', elves: 'elf', dwarves: 'dwarf', thieves: 'thief',
+    halves: 'half', shelves: 'shelf', selves: 'self',
+};
+
+/**
+ * Reduces an English word to a light stem, so inflected forms compare equal.
+ * Not a full Porter stemmer - it strips the common plural, -ing, -ed and -ly
+ * endings and is applied the same way to keywords and query words.
+ * @param {string} word Lowercase word
+ * @returns {string} Stem
+ */
+export function stemWord(word) {
+    let stem = word.replace(/['’]s$/, '');
+    if (IRREGULAR_FORMS[stem]) {
+        return IRREGULAR_FORMS[stem];
+    }
+    if (stem.length <= 3) {
+        return stem;
+    }
+
+    if (stem.endsWith('ies') && stem.length > 4) {
+        stem = `${stem.slice(0, -3)}y`;
+    } else if (stem.endsWith('ied') && stem.length > 4) {
+        stem = `${stem.slice(0, -3)}y`;
+    } else if (/(?:ss|ch|sh|x|z)es$/.test(stem)) {
+        stem = stem.slice(0, -2);
+    } else if (stem.endsWith('s') && !/(?:ss|us|is)$/.test(stem)) {
+        stem = stem.slice(0, -1);
+    } else if (stem.endsWith('ing') && /[aeiouy]/.test(stem.slice(0, -3)) && stem.length > 5) {
+        stem = undouble(stem.slice(0, -3));
+    } else if (stem.endsWith('ed') && /[aeiouy]/.test(stem.slice(0, -2)) && stem.length > 4) {
+        stem = undouble(stem.slice(0, -2));
+    } else if (stem.endsWith('ly') && stem.length > 5) {
+        stem = stem.slice(0, -2);
+    }
+
+    // "make"/"making" and "blade"/"blades" meet at "mak"/"blad"
+    if (stem.length > 3 && stem.endsWith('e') && !stem.endsWith('ee')) {
+        stem = stem.slice(0, -1);
+    }
+    return stem;
+}
+
+/**
+ * Drops a doubled final consonant left behind by -ing/-ed ("runn" -> "run")
+ * @param {string} stem
+ * @returns {string}
+ */
+function undouble(stem) {
+    return /([^aeioulsz])\1$/.test(stem) ? stem.slice(0, -1) : stem;
+}
+
+/**
+ * Splits text into lowercase words with their positions.
+ * Letters and digits from any script count; hyphens and underscores separate
+ * words, so "time_god" and "Kal-Thas" match as two-word phrases.
+ * @param {string} text
+ * @returns {Array<{word: string, start: number, end: number}>}
+ */
+function tokenizeWithSpans(text) {
+    const tokens = [];
+    for (const match of text.matchAll(/[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu)) {
+        tokens.push({ word: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+/**
+ * Edits allowed for a fuzzy match on a word of this length
+ * @param {number} length
+ * @returns {number}
+ */
+function getFuzzyDistance(length) {
+    if (length < FUZZY_MIN_LENGTH) return 0;
+    return length < 8 ? 1 : 2;
+}
+
+/**
+ * Compiles a regex keyword. "/pattern/flags" keeps its flags, a bare pattern
+ * is case-insensitive.
+ * @param {string} pattern Keyword text
+ * @returns {RegExp|null} Global regex, or null if the pattern is invalid
+ */
+function compileKeywordRegex(pattern) {
+    if (regexCache.has(pattern)) {
+        return regexCache.get(pattern);
+    }
+
+    let regex = null;
+    try {
+        const literal = pattern.match(/^\/(.+)\/([a-z]*)$/s);
+        regex = literal
+            ? new RegExp(literal[1], literal[2].includes('g') ? literal[2] : `${literal[2]}g`)
+            : new RegExp(pattern, 'gi');
+    } catch (error) {
+        console.warn(`VectHare: Invalid regex keyword "${pattern}": ${error.message}`);
+    }
+
+    regexCache.set(pattern, regex);
+    return regex;
+}
+
+/**
+ * Normalizes a keyword's match mode
+ * @param {string} [mode]
+ * @returns {string} A key of KEYWORD_MATCH_MODES
+ */
+export function resolveMatchMode(mode) {
+    return KEYWORD_MATCH_MODES[mode] ? mode : DEFAULT_KEYWORD_MATCH_MODE;
+}
+
+/**
+ * Prepares a text for repeated keyword lookups (tokenized and stemmed once)
+ * @param {string} text Text to search, usually the query
+ * @returns {function({text: string, match?: string}): Array<{start: number, end: number, text: string}>}
+ *   Returns the spans where a keyword occurs (empty when it doesn't)
+ */
+export function createKeywordMatcher(text) {
+    const source = String(text || '');
+    const tokens = tokenizeWithSpans(source);
+    const stems = tokens.map(token => stemWord(token.word));
+    const lowerSource = source.toLowerCase();
+
+    const toSpan = (start, end) => ({ start, end, text: source.slice(start, end) });
+
+    return keyword => {
+        const keywordText = String(keyword?.text || '').trim();
+        if (!keywordText || !source) {
+            return [];
+        }
+
+        const mode = resolveMatchMode(keyword.match);
+
+        if (mode === 'regex') {
+            const regex = compileKeywordRegex(keywordText);
+            if (!regex) {
+                return [];
+            }
+            regex.lastIndex = 0;
+            const spans = [];
+            for (const match of source.matchAll(regex)) {
+                if (match[0].length > 0) {
+                    spans.push(toSpan(match.index, match.index + match[0].length));
+                }
+            }
+            return spans;
+        }
+
+        if (containsCJK(keywordText)) {
+            const needle = keywordText.toLowerCase();
+            const spans = [];
+            let index = lowerSource.indexOf(needle);
+            while (index !== -1) {
+                spans.push(toSpan(index, index + needle.length));
+                index = lowerSource.indexOf(needle, index + needle.length);
+            }
+            return spans;
+        }
+
+        const words = tokenizeWithSpans(keywordText).map(token => token.word);
+        if (words.length === 0) {
+            return [];
+        }
+        const wordStems = words.map(stemWord);
+
+        const wordMatches = (tokenIndex, wordIndex) => {
+            const token = tokens[tokenIndex].word;
+            if (token === words[wordIndex]) return true;
+            if (mode === 'exact') return false;
+            if (stems[tokenIndex] === wordStems[wordIndex]) return true;
+            if (mode !== 'fuzzy') return false;
+
+            const maxDistance = getFuzzyDistance(Math.min(token.length, words[wordIndex].length));
+            return maxDistance > 0
+                && Math.abs(token.length - words[wordIndex].length) <= maxDistance
+                && StringUtils.levenshtein(token, words[wordIndex], true) <= maxDistance;
+        };
+
+        const spans = [];
+        for (let i = 0; i + words.length <= tokens.length; i++) {
+            let matched = true;
+            for (let j = 0; j < words.length && matched; j++) {
+                matched = wordMatches(i + j, j);
+            }
+            if (matched) {
+                spans.push(toSpan(tokens[i].start, tokens[i + words.length - 1].end));
+            }
+        }
+        return spans;
+    };
+}
+
+/**
+ * Finds where a single keyword occurs in a text
+ * @param {string} text Text to search
+ * @param {{text: string, match?: string}} keyword Keyword and its match mode
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+export function findKeywordMatches(text, keyword) {
+    return createKeywordMatcher(text)(keyword);
+}
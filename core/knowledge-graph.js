@@ -0,0 +1,801 @@
+/**
+ * ============================================================================
+ * VECTHARE KNOWLEDGE GRAPH
+ * ============================================================================
+ * Per-chat store of entities (characters, places, items, groups) and the
+ * facts known about them. Vector search finds "Mira's sword was broken in
+ * chapter 3" only when the query happens to be similar; the graph finds it
+ * whenever Mira is mentioned.
+ *
+ * Extraction runs as messages are vectorized (synchronizeChat) and as a
+ * 'graph' job for backfilling a whole chat. It asks the Summaries model for
+ * JSON; with extraction set to patterns, proper nouns (extractChatKeywords)
+ * are recorded as entities without facts. A failed model call leaves its
+ * messages unprocessed for the job's retry or the next backfill.
+ *
+ * Before each generation the facts about entities named in the recent
+ * messages are injected as their own prompt block.
+ *
+ * Graphs live in IndexedDB, one record per chat collection:
+ *   { collectionId, entities: Entity[], facts: Fact[], processed: string[], updatedAt }
+ * processed holds hashes of message texts already extracted, so edits are
+ * picked up again and nothing is extracted twice.
+ *
+ * @author Coneja Chibi | VectHare
+ * @version 2.0.0-alpha
+ * ============================================================================
+ */
+
+import { setExtensionPrompt, substituteParams } from '../../../../../script.js';
+import { getContext } from '../../../../extensions.js';
+import { getStringHash, escapeRegex } from '../../../../utils.js';
+import { extractChatKeywords } from './keyword-boost.js';
+import { generateWithSummaryModel } from './summarization.js';
+import { registerJobRunner, submitJob, getJobs } from './job-queue.js';
+import { cleanText } from './text-cleaning.js';
+import { openDatabase, requestToPromise } from '../utils/indexeddb.js';
+import {
+    EXTENSION_PROMPT_TAG,
+    KNOWLEDGE_GRAPH_DB_NAME,
+    GRAPH_EXTRACTION_BATCH_CHARS,
+    GRAPH_EXTRACTION_MAX_TOKENS,
+} from './constants.js';
+
+/**
+ * @typedef {object} Entity
+ * @property {string} id
+ * @property {string} name Display name
+ * @property {string} type One of ENTITY_TYPES
+ * @property {string[]} aliases Other names the entity goes by
+ * @property {string} description Short description (optional)
+ * @property {number} mentions Extraction batches that named it
+ * @property {number|null} firstSeen Message ID
+ * @property {number|null} lastSeen Message ID
+ * @property {string} origin 'llm', 'pattern' or 'manual'
+ */
+
+/**
+ * @typedef {object} Fact
+ * @property {string} id
+ * @property {string} subject Entity ID
+ * @property {string} predicate e.g. "owns", "is afraid of"
+ * @property {string} object Free text ("a broken sword") or another entity's name
+ * @property {string|null} objectId Entity ID when the object is a known entity
+ * @property {number|null} messageId Message the fact was stated in
+ * @property {string} origin 'llm' or 'manual'
+ * @property {number} createdAt
+ */
+
+export const ENTITY_TYPES = ['character', 'place', 'item', 'group', 'other'];
+
+/** Prompt tag for the facts block (separate from the chunk injection) */
+export const GRAPH_PROMPT_TAG = `${EXTENSION_PROMPT_TAG}_facts`;
+
+const STORE_NAME = 'graphs';
+
+const EXTRACTION_SYSTEM_PROMPT = 'You extract a knowledge graph from roleplay chat messages. Reply with a single JSON object and nothing else.';
+
+const EXTRACTION_INSTRUCTIONS = `Extract the named entities and the lasting facts about them from the messages below.
+Reply with JSON in exactly this shape:
+{"entities":[{"name":"Mira","type":"character","aliases":["the knight"],"description":"a young knight"}],
+ "facts":[{"subject":"Mira","predicate":"carries","object":"a broken sword","message":42}]}
+- type is one of: ${ENTITY_TYPES.join(', ')}
+- Facts are things that stay true for a while: possessions, relationships, injuries, locations, promises, secrets. Skip moment-to-moment actions.
+- "message" is the [#N] number of the message that states the fact.
+- Return empty lists if nothing qualifies.`;
+
+/** @type {Map<string, object>} collectionId -> graph */
+const graphCache = new Map();
+
+/** @type {Promise<IDBDatabase|null>|null} */
+let dbPromise = null;
+
+/** Sync-time extraction runs one batch at a time, after whatever came before */
+let extractionChain = Promise.resolve();
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Opens the graph database (once). Resolves to null if IndexedDB can't be used.
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function getDatabase() {
+    if (dbPromise) {
+        return dbPromise;
+    }
+
+    dbPromise = openDatabase(KNOWLEDGE_GRAPH_DB_NAME, db => {
+        db.createObjectStore(STORE_NAME, { keyPath: 'collectionId' });
+    }).catch(error => {
+        console.warn('VectHare: Knowledge graph running memory-only (lost on reload):', error?.message || error);
+        return null;
+    });
+
+    return dbPromise;
+}
+
+/**
+ * @param {string} collectionId
+ * @returns {object} An empty graph
+ */
+function createEmptyGraph(collectionId) {
+    return { collectionId, entities: [], facts: [], processed: [], updatedAt: Date.now() };
+}
+
+/**
+ * Loads a chat collection's knowledge graph (empty if there is none yet)
+ * @param {string} collectionId Chat collection
+ * @returns {Promise<object>}
+ */
+export async function loadKnowledgeGraph(collectionId) {
+    if (graphCache.has(collectionId)) {
+        return graphCache.get(collectionId);
+    }
+
+    let graph = null;
+    const db = await getDatabase();
+    if (db) {
+        try {
+            graph = await requestToPromise(db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(collectionId));
+        } catch (error) {
+            console.warn(`VectHare: Could not read knowledge graph for ${collectionId}:`, error.message);
+        }
+    }
+
+    // Another caller may have loaded it while we waited
+    if (graphCache.has(collectionId)) {
+        return graphCache.get(collectionId);
+    }
+
+    graph = { ...createEmptyGraph(collectionId), ...(graph || {}) };
+    graphCache.set(collectionId, graph);
+    return graph;
+}
+
+/**
+ * Saves a knowledge graph
+ * @param {object} graph Graph from loadKnowledgeGraph
+ */
+export async function saveKnowledgeGraph(graph) {
+    graph.updatedAt = Date.now();
+    graphCache.set(graph.collectionId, graph);
+
+    const db = await getDatabase();
+    if (db) {
+        await requestToPromise(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).put(graph));
+    }
+}
+
+/**
+ * Deletes a chat collection's knowledge graph
+ * @param {string} collectionId
+ */
+export async function deleteKnowledgeGraph(collectionId) {
+    graphCache.delete(collectionId);
+    const db = await getDatabase();
+    if (db) {
+        await requestToPromise(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).delete(collectionId));
+    }
+}
+
+// ============================================================================
+// ENTITIES AND FACTS
+// ============================================================================
+
+/**
+ * @param {string} name
+ * @returns {string} Lookup form of a name
+ */
+function normalizeName(name) {
+    return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Finds an entity by name or alias
+ * @param {object} graph
+ * @param {string} name
+ * @returns {Entity|null}
+ */
+export function findEntity(graph, name) {
+    const key = normalizeName(name);
+    if (!key) {
+        return null;
+    }
+    return graph.entities.find(entity => normalizeName(entity.name) === key
+        || entity.aliases.some(alias => normalizeName(alias) === key)) || null;
+}
+
+/**
+ * Adds an entity, or merges the details into the one that already has this name
+ * @param {object} graph
+ * @param {object} data
+ * @param {string} data.name
+ * @param {string} [data.type]
+ * @param {string[]} [data.aliases]
+ * @param {string} [data.description]
+ * @param {number|null} [data.messageId]
+ * @param {string} [data.origin='manual']
+ * @returns {Entity|null} null if the name is empty
+ */
+export function upsertEntity(graph, { name, type, aliases = [], description = '', messageId = null, origin = 'manual' }) {
+    const cleanName = String(name || '').trim();
+    if (!cleanName) {
+        return null;
+    }
+
+    const validType = ENTITY_TYPES.includes(type) ? type : null;
+    let entity = findEntity(graph, cleanName) || aliases.map(alias => findEntity(graph, alias)).find(Boolean);
+
+    if (!entity) {
+        entity = {
+            id: crypto.randomUUID(),
+            name: cleanName,
+            type: validType || 'other',
+            aliases: [],
+            description: '',
+            mentions: 0,
+            firstSeen: messageId,
+            lastSeen: messageId,
+            origin,
+        };
+        graph.entities.push(entity);
+    } else if (validType && entity.type === 'other') {
+        entity.type = validType;
+    }
+
+    for (const alias of [cleanName, ...aliases]) {
+        const cleanAlias = String(alias || '').trim();
+        if (cleanAlias && !findEntity(graph, cleanAlias)) {
+            entity.aliases.push(cleanAlias);
+        }
+    }
+    if (description && !entity.description) {
+        entity.description = String(description).trim();
+    }
+    if (messageId !== null && messageId !== undefined) {
+        entity.firstSeen = entity.firstSeen === null ? messageId : Math.min(entity.firstSeen, messageId);
+        entity.lastSeen = entity.lastSeen === null ? messageId : Math.max(entity.lastSeen, messageId);
+    }
+
+    return entity;
+}
+
+/**
+ * Adds a fact about an entity. A fact with the same subject, predicate and
+ * object is refreshed instead of duplicated.
+ * @param {object} graph
+ * @param {object} data
+ * @param {string} data.subject Entity ID
+ * @param {string} data.predicate
+ * @param {string} data.object
+ * @param {number|null} [data.messageId]
+ * @param {string} [data.origin='manual']
+ * @returns {Fact|null} null if a part is missing
+ */
+export function addFact(graph, { subject, predicate, object, messageId = null, origin = 'manual' }) {
+    const cleanPredicate = String(predicate || '').trim();
+    const cleanObject = String(object || '').trim();
+    if (!subject || !cleanPredicate || !cleanObject) {
+        return null;
+    }
+
+    const existing = graph.facts.find(fact => fact.subject === subject
+        && normalizeName(fact.predicate) === normalizeName(cleanPredicate)
+        && normalizeName(fact.object) === normalizeName(cleanObject));
+    if (existing) {
+        if (messageId !== null && (existing.messageId === null || messageId > existing.messageId)) {
+            existing.messageId = messageId;
+        }
+        return existing;
+    }
+
+    const fact = {
+        id: crypto.randomUUID(),
+        subject,
+        predicate: cleanPredicate,
+        object: cleanObject,
+        objectId: findEntity(graph, cleanObject)?.id || null,
+        messageId,
+        origin,
+        createdAt: Date.now(),
+    };
+    graph.facts.push(fact);
+    return fact;
+}
+
+/**
+ * Updates a fact's text
+ * @param {object} graph
+ * @param {string} factId
+ * @param {object} changes predicate and/or object
+ * @returns {Fact|null}
+ */
+export function updateFact(graph, factId, changes) {
+    const fact = graph.facts.find(f => f.id === factId);
+    if (!fact) {
+        return null;
+    }
+    if (changes.predicate !== undefined) {
+        fact.predicate = String(changes.predicate).trim();
+    }
+    if (changes.object !== undefined) {
+        fact.object = String(changes.object).trim();
+        fact.objectId = findEntity(graph, fact.object)?.id || null;
+    }
+    fact.origin = 'manual';
+    return fact;
+}
+
+/**
+ * Removes a fact
+ * @param {object} graph
+ * @param {string} factId
+ */
+export function removeFact(graph, factId) {
+    graph.facts = graph.facts.filter(fact => fact.id !== factId);
+}
+
+/**
+ * Removes an entity and the facts about it
+ * @param {object} graph
+ * @param {string} entityId
+ */
+export function removeEntity(graph, entityId) {
+    graph.entities = graph.entities.filter(entity => entity.id !== entityId);
+    graph.facts = graph.facts.filter(fact => fact.subject !== entityId);
+    graph.facts.forEach(fact => {
+        if (fact.objectId === entityId) fact.objectId = null;
+    });
+}
+
+/**
+ * Merges one entity into another (for duplicates the extractor didn't catch).
+ * Names, aliases and facts move over; the merged entity is removed.
+ * @param {object} graph
+ * @param {string} keepId Entity that stays
+ * @param {string} mergeId Entity that is folded in
+ * @returns {Entity|null} The kept entity
+ */
+export function mergeEntities(graph, keepId, mergeId) {
+    const keep = graph.entities.find(entity => entity.id === keepId);
+    const merge = graph.entities.find(entity => entity.id === mergeId);
+    if (!keep || !merge || keep === merge) {
+        return null;
+    }
+
+    graph.entities = graph.entities.filter(entity => entity !== merge);
+    for (const alias of [merge.name, ...merge.aliases]) {
+        if (!findEntity(graph, alias)) keep.aliases.push(alias);
+    }
+    keep.description = keep.description || merge.description;
+    keep.mentions += merge.mentions;
+    keep.firstSeen = [keep.firstSeen, merge.firstSeen].filter(id => id !== null).reduce((a, b) => Math.min(a, b), Infinity);
+    keep.lastSeen = [keep.lastSeen, merge.lastSeen].filter(id => id !== null).reduce((a, b) => Math.max(a, b), -Infinity);
+    if (!Number.isFinite(keep.firstSeen)) keep.firstSeen = null;
+    if (!Number.isFinite(keep.lastSeen)) keep.lastSeen = null;
+
+    const moved = graph.facts.filter(fact => fact.subject === mergeId);
+    graph.facts = graph.facts.filter(fact => fact.subject !== mergeId);
+    for (const fact of moved) {
+        addFact(graph, { ...fact, subject: keepId });
+    }
+    graph.facts.forEach(fact => {
+        if (fact.objectId === mergeId) fact.objectId = keepId;
+    });
+
+    return keep;
+}
+
+/**
+ * Gets the facts about an entity, newest first
+ * @param {object} graph
+ * @param {string} entityId
+ * @returns {Fact[]}
+ */
+export function getEntityFacts(graph, entityId) {
+    return graph.facts
+        .filter(fact => fact.subject === entityId)
+        .sort((a, b) => (b.messageId ?? -1) - (a.messageId ?? -1));
+}
+
+// ============================================================================
+// EXTRACTION
+// ============================================================================
+
+/**
+ * Pulls the JSON object out of a model reply (tolerates code fences and chatter)
+ * @param {string} reply
+ * @returns {{entities: object[], facts: object[]}}
+ */
+function parseExtraction(reply) {
+    const text = String(reply || '');
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new Error('Model reply contained no JSON');
+    }
+
+    const parsed = JSON.parse(text.substring(start, end + 1));
+    return {
+        entities: Array.isArray(parsed.entities) ? parsed.entities : [],
+        facts: Array.isArray(parsed.facts) ? parsed.facts : [],
+    };
+}
+
+/**
+ * Asks the Summaries model for entities and facts
+ * @param {object} graph Current graph (its names are offered for reuse)
+ * @param {Array<{messageId: number, name: string, text: string}>} messages
+ * @param {object} settings VectHare settings
+ * @returns {Promise<{entities: object[], facts: object[]}>}
+ */
+async function extractWithModel(graph, messages, settings) {
+    const known = graph.entities.map(entity => entity.name).slice(0, 100);
+    const prompt = [
+        EXTRACTION_INSTRUCTIONS,
+        known.length > 0 ? `Known entities (reuse these exact names; list other names for them as aliases): ${known.join(', ')}` : '',
+        'Messages:',
+        messages.map(m => `[#${m.messageId}] ${m.name ? `${m.name}: ` : ''}${m.text}`).join('\n\n'),
+    ].filter(Boolean).join('\n\n');
+
+    const reply = await generateWithSummaryModel(prompt, settings, {
+        systemPrompt: EXTRACTION_SYSTEM_PROMPT,
+        maxTokens: GRAPH_EXTRACTION_MAX_TOKENS,
+    });
+    return parseExtraction(reply);
+}
+
+/**
+ * Finds entities without a model: proper nouns, in the casing they were written
+ * @param {Array<{messageId: number, text: string}>} messages
+ * @returns {{entities: object[], facts: object[]}}
+ */
+function extractWithPatterns(messages) {
+    const entities = [];
+    for (const message of messages) {
+        for (const { text: word } of extractChatKeywords(message.text, { maxKeywords: 20 })) {
+            const written = message.text.match(new RegExp(`\\b${escapeRegex(word)}\\b`, 'i'));
+            entities.push({ name: written ? written[0] : word, type: 'other', message: message.messageId });
+        }
+    }
+    return { entities, facts: [] };
+}
+
+/**
+ * Extracts a batch of messages into a chat's graph and saves it.
+ * When the model call fails the error is thrown and the messages stay
+ * unprocessed, so a retry or a later backfill still gets their facts.
+ * @param {string} collectionId Chat collection
+ * @param {Array<{messageId: number, name: string, text: string}>} messages
+ * @param {object} settings VectHare settings
+ * @returns {Promise<{entities: number, facts: number, usedModel: boolean}>}
+ */
+async function extractIntoGraph(collectionId, messages, settings) {
+    const usedModel = settings.graph_extraction !== 'patterns';
+    const extracted = usedModel
+        ? await extractWithModel(await loadKnowledgeGraph(collectionId), messages, settings)
+        : extractWithPatterns(messages);
+
+    // Reload after the model call - the graph may have been edited meanwhile
+    const graph = await loadKnowledgeGraph(collectionId);
+    const lastMessageId = Math.max(...messages.map(m => m.messageId));
+    const origin = usedModel ? 'llm' : 'pattern';
+
+    // Entities rarely come with a message number - use the first message naming them
+    const firstMention = name => messages.find(m => m.text.toLowerCase().includes(String(name || '').toLowerCase()))?.messageId;
+
+    const named = new Set();
+    for (const item of extracted.entities) {
+        const messageId = Number.isInteger(item.message) ? item.message : (firstMention(item.name) ?? lastMessageId);
+        const entity = upsertEntity(graph, {
+            name: item.name,
+            type: item.type,
+            aliases: Array.isArray(item.aliases) ? item.aliases : [],
+            description: typeof item.description === 'string' ? item.description : '',
+            messageId,
+            origin,
+        });
+        if (entity) named.add(entity);
+    }
+
+    let factCount = 0;
+    for (const item of extracted.facts) {
+        const messageId = Number.isInteger(item.message) ? item.message : lastMessageId;
+        const subject = upsertEntity(graph, { name: item.subject, messageId, origin });
+        if (subject && addFact(graph, { subject: subject.id, predicate: item.predicate, object: item.object, messageId, origin: 'llm' })) {
+            named.add(subject);
+            factCount++;
+        }
+    }
+    named.forEach(entity => entity.mentions++);
+
+    const processed = new Set(graph.processed);
+    messages.forEach(m => processed.add(getProcessedKey(m)));
+    graph.processed = [...processed];
+
+    await saveKnowledgeGraph(graph);
+    return { entities: named.size, facts: factCount, usedModel };
+}
+
+/**
+ * Builds the extraction input for a chat message. Sync and backfill both go
+ * through here, so a message has the same text - and processed key - either way.
+ * @param {object} msg Chat message
+ * @param {number} messageId Index in the chat
+ * @returns {{messageId: number, name: string, text: string}}
+ */
+export function toGraphMessage(msg, messageId) {
+    return { messageId, name: msg.name || '', text: cleanText(String(substituteParams(msg.mes))) };
+}
+
+/**
+ * Key a message is recorded under in graph.processed
+ * @param {{text: string}} message Extraction message
+ * @returns {string}
+ */
+function getProcessedKey(message) {
+    return String(getStringHash(message.text));
+}
+
+/**
+ * Splits messages into extraction batches of about GRAPH_EXTRACTION_BATCH_CHARS
+ * @param {Array<{text: string}>} messages
+ * @returns {Array<Array<object>>}
+ */
+function batchMessages(messages) {
+    const batches = [];
+    let current = [];
+    let size = 0;
+    for (const message of messages) {
+        if (current.length > 0 && size + message.text.length > GRAPH_EXTRACTION_BATCH_CHARS) {
+            batches.push(current);
+            current = [];
+            size = 0;
+        }
+        current.push(message);
+        size += message.text.length;
+    }
+    if (current.length > 0) {
+        batches.push(current);
+    }
+    return batches;
+}
+
+/**
+ * Drops messages whose text was already extracted
+ * @param {object} graph
+ * @param {Array<{text: string}>} messages
+ * @returns {Array<object>}
+ */
+function filterUnprocessed(graph, messages) {
+    const processed = new Set(graph.processed);
+    return messages.filter(m => m.text && !processed.has(getProcessedKey(m)));
+}
+
+/**
+ * Queues newly vectorized messages for extraction. Returns immediately;
+ * batches run one after another in the background.
+ * @param {string} collectionId Chat collection
+ * @param {Array<{messageId: number, name: string, text: string}>} messages
+ * @param {object} settings VectHare settings
+ */
+export function queueGraphExtraction(collectionId, messages, settings) {
+    if (!settings.graph_enabled || messages.length === 0) {
+        return;
+    }
+
+    extractionChain = extractionChain.then(async () => {
+        const pending = filterUnprocessed(await loadKnowledgeGraph(collectionId), messages);
+        for (const batch of batchMessages(pending)) {
+            const result = await extractIntoGraph(collectionId, batch, settings);
+            console.log(`VectHare Graph: Extracted ${result.entities} entities, ${result.facts} facts from ${batch.length} messages`);
+        }
+    }).catch(error => {
+        console.warn('VectHare Graph: Extraction failed:', error.message);
+    });
+}
+
+/**
+ * Gets the open chat's messages in the shape extraction expects
+ * @returns {Array<{messageId: number, name: string, text: string}>}
+ */
+function getChatMessages() {
+    const chat = getContext()?.chat;
+    if (!Array.isArray(chat)) {
+        return [];
+    }
+    return chat
+        .map((msg, messageId) => ({ msg, messageId }))
+        .filter(({ msg }) => !msg.is_system)
+        .map(({ msg, messageId }) => toGraphMessage(msg, messageId));
+}
+
+/**
+ * Job runner for backfilling a graph. One model call per batch; state.cursor is the next batch.
+ * @param {object} job Graph job (params: collectionId)
+ * @param {object} context Job runner context
+ */
+async function runGraphJob(job, context) {
+    const payload = await context.getPayload();
+    if (!payload?.batches) {
+        throw new Error('The messages for this job are missing - start the extraction again');
+    }
+
+    const { collectionId } = job.params;
+    let cursor = job.state.cursor || 0;
+    let processed = job.processed;
+    let facts = job.chunks;
+
+    while (cursor < payload.batches.length && !context.shouldStop()) {
+        const batch = payload.batches[cursor];
+
+        try {
+            const result = await context.retry(() => extractIntoGraph(collectionId, batch, context.settings));
+            facts += result.facts;
+        } catch (error) {
+            context.recordFailure([{
+                hash: `${collectionId}:${batch[0].messageId}`,
+                label: `Messages ${batch[0].messageId}-${batch[batch.length - 1].messageId}`,
+                error: error.message,
+                attempts: context.isRetryable(error) ? job.retry.maxAttempts : 1,
+            }]);
+        }
+
+        cursor++;
+        processed += batch.length;
+        await context.checkpoint(
+            { processed, chunks: facts, state: { cursor } },
+            cursor < payload.batches.length ? `Extracting facts... ${payload.batches.length - cursor} batches remaining` : 'Finalizing...',
+        );
+    }
+}
+
+registerJobRunner('graph', runGraphJob);
+
+/**
+ * Extracts every message of the open chat that isn't in its graph yet, in a background job
+ * @param {string} collectionId The open chat's collection
+ * @param {object} settings VectHare settings
+ * @returns {Promise<{success: boolean, status: string, jobId: string|null, facts: number, failedCount: number}>}
+ */
+export async function extractChatIntoGraph(collectionId, settings) {
+    const busy = getJobs().some(job => job.type === 'graph'
+        && job.params.collectionId === collectionId
+        && (job.status === 'queued' || job.status === 'running'));
+    if (busy) {
+        throw new Error('An extraction job for this chat is already running');
+    }
+
+    const pending = filterUnprocessed(await loadKnowledgeGraph(collectionId), getChatMessages());
+    if (pending.length === 0) {
+        return { success: true, status: 'completed', jobId: null, facts: 0, failedCount: 0 };
+    }
+
+    const job = await submitJob({
+        type: 'graph',
+        label: `Knowledge graph: ${getContext().name2 || collectionId}`,
+        total: pending.length,
+        itemLabel: 'Messages',
+        params: { collectionId },
+        payload: { batches: batchMessages(pending) },
+        retry: { maxAttempts: 2 },
+    });
+
+    if (job.status === 'failed') {
+        throw new Error(job.note || 'Extraction failed');
+    }
+
+    return {
+        success: job.status === 'completed',
+        status: job.status,
+        jobId: job.id,
+        facts: job.chunks,
+        failedCount: job.failedItems.length,
+    };
+}
+
+// ============================================================================
+// RETRIEVAL
+// ============================================================================
+
+/**
+ * Finds the entities named (by name or alias) in a text
+ * @param {object} graph
+ * @param {string} text
+ * @returns {Entity[]}
+ */
+export function findMentionedEntities(graph, text) {
+    if (!text) {
+        return [];
+    }
+    return graph.entities.filter(entity => [entity.name, ...entity.aliases].some(name => {
+        const clean = String(name || '').trim();
+        return clean.length > 1 && new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(clean)}(?![\\p{L}\\p{N}])`, 'iu').test(text);
+    }));
+}
+
+/**
+ * Picks the facts worth injecting for a text: facts about the entities it
+ * names and facts that point at them, newest first
+ * @param {object} graph
+ * @param {string} text Recent messages
+ * @param {number} maxFacts
+ * @returns {{entities: Entity[], facts: Fact[]}}
+ */
+export function selectRelevantFacts(graph, text, maxFacts) {
+    const entities = findMentionedEntities(graph, text);
+    const ids = new Set(entities.map(entity => entity.id));
+    const facts = graph.facts
+        .filter(fact => ids.has(fact.subject) || ids.has(fact.objectId))
+        .sort((a, b) => (b.messageId ?? -1) - (a.messageId ?? -1))
+        .slice(0, maxFacts);
+    return { entities, facts };
+}
+
+/**
+ * Renders facts as prompt lines, grouped under their subject
+ * @param {object} graph
+ * @param {Entity[]} entities Mentioned entities (their descriptions lead)
+ * @param {Fact[]} facts
+ * @returns {string}
+ */
+export function formatFacts(graph, entities, facts) {
+    const byId = new Map(graph.entities.map(entity => [entity.id, entity]));
+    const lines = [];
+
+    for (const entity of entities) {
+        const about = facts.filter(fact => fact.subject === entity.id);
+        if (!entity.description && about.length === 0) continue;
+        lines.push(`- ${entity.name}${entity.description ? `: ${entity.description}` : ''}`);
+        about.forEach(fact => lines.push(`  - ${fact.predicate} ${fact.object}`));
+    }
+
+    // Facts that only point at a mentioned entity, under their own subject
+    for (const fact of facts.filter(f => !entities.some(entity => entity.id === f.subject))) {
+        const subject = byId.get(fact.subject);
+        if (subject) lines.push(`- ${subject.name} ${fact.predicate} ${fact.object}`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Injects the facts about entities named in the recent messages. Clears the
+ * facts block when there is nothing to inject.
+ * @param {object[]} chat Current chat messages
+ * @param {string|null} collectionId The chat's collection
+ * @param {object} settings VectHare settings
+ * @returns {Promise<{entities: string[], facts: number, text: string}>}
+ */
+export async function injectKnowledgeFacts(chat, collectionId, settings) {
+    setExtensionPrompt(GRAPH_PROMPT_TAG, '', settings.position, settings.depth, false);
+    if (!settings.graph_enabled || !collectionId) {
+        return { entities: [], facts: 0, text: '' };
+    }
+
+    const graph = await loadKnowledgeGraph(collectionId);
+    if (graph.entities.length === 0) {
+        return { entities: [], facts: 0, text: '' };
+    }
+
+    const recentText = chat
+        .slice(-(settings.graph_scan_depth || 4))
+        .filter(msg => !msg.is_system)
+        .map(msg => `${msg.name || ''}: ${msg.mes || ''}`)
+        .join('\n');
+
+    const { entities, facts } = selectRelevantFacts(graph, recentText, settings.graph_max_facts || 12);
+    const lines = formatFacts(graph, entities, facts);
+    if (!lines) {
+        return { entities: entities.map(entity => entity.name), facts: 0, text: '' };
+    }
+
+    const template = settings.graph_template || '{{facts}}';
+    const text = template.includes('{{facts}}') ? template.replace('{{facts}}', lines) : `${template}\n${lines}`;
+    setExtensionPrompt(GRAPH_PROMPT_TAG, text, settings.position, settings.depth, false);
+
+    console.log(`VectHare Graph: Injected ${facts.length} facts about ${entities.map(entity => entity.name).join(', ')}`);
+    return { entities: entities.map(entity => entity.name), facts: facts.length, text };
+}
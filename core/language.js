@@ -0,0 +1,251 @@
+/**
+ * ============================================================================
+ * VECTHARE LANGUAGE SUPPORT
+ * ============================================================================
+ * Script detection and word/sentence segmentation for text that doesn't
+ * follow English spacing rules.
+ *
+ * Japanese and Chinese don't put spaces between words, and their sentences
+ * end in 。！？ with no space after. Splitting on whitespace and [.!?] turns a
+ * whole CJK paragraph into one "word" and one "sentence", which gives no
+ * keywords and oversized chunks.
+ *
+ * Intl.Segmenter is used where the browser has it. Without it, CJK runs fall
+ * back to overlapping character bigrams (katakana runs, usually names and
+ * loanwords, are kept whole).
+ *
+ * @author Coneja Chibi | VectHare
+ * @version 2.0.0-alpha
+ * ============================================================================
+ */
+
+/** Languages written without spaces between words */
+const UNSPACED_LANGUAGES = new Set(['ja', 'zh']);
+
+/** Languages the CJK-specific keyword rules apply to */
+const CJK_LANGUAGES = new Set(['ja', 'zh', 'ko']);
+
+/** Characters sampled for detection */
+const DETECTION_SAMPLE_SIZE = 2000;
+
+/** Share of letters that must be CJK/Cyrillic for the text to count as that language */
+const DETECTION_MIN_SHARE = 0.3;
+
+const KANA = /[\p{Script=Hiragana}\p{Script=Katakana}]/u;
+const HAN = /\p{Script=Han}/u;
+const HANGUL = /\p{Script=Hangul}/u;
+const CYRILLIC = /\p{Script=Cyrillic}/u;
+
+/** Openers that belong to the sentence after a boundary, not the one before */
+const LEADING_PUNCTUATION = /[「『（(“"'‘【〈《]+$/u;
+
+/** Sentence ends: [.!?] + space, or 。！？ (and closing brackets) with or without space */
+const SENTENCE_BOUNDARY = /(?<=[.!?])\s+|(?<=[。！？][」』）)”"’】〉》]*)(?![」』）)”"’】〉》。！？])\s*/u;
+
+const segmenters = new Map();
+
+/**
+ * Gets a cached Intl.Segmenter, or null when the browser doesn't have one
+ * @param {string} language
+ * @param {'word'|'sentence'} granularity
+ * @returns {Intl.Segmenter|null}
+ */
+function getSegmenter(language, granularity) {
+    if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') {
+        return null;
+    }
+    const key = `${language}:${granularity}`;
+    if (!segmenters.has(key)) {
+        segmenters.set(key, new Intl.Segmenter(language, { granularity }));
+    }
+    return segmenters.get(key);
+}
+
+/**
+ * Guesses a text's language from the scripts it uses.
+ * Only the distinctions that change tokenization are made: Japanese (any
+ * kana), Chinese (Han without kana), Korean, Cyrillic ('ru') and everything
+ * else ('en').
+ * @param {string} text
+ * @returns {'ja'|'zh'|'ko'|'ru'|'en'}
+ */
+export function detectLanguage(text) {
+    if (!text || typeof text !== 'string') {
+        return 'en';
+    }
+
+    let letters = 0;
+    let kana = 0;
+    let han = 0;
+    let hangul = 0;
+    let cyrillic = 0;
+
+    for (const char of text.slice(0, DETECTION_SAMPLE_SIZE)) {
+        if (!/\p{L}/u.test(char)) continue;
+        letters++;
+        if (KANA.test(char)) kana++;
+        else if (HAN.test(char)) han++;
+        else if (HANGUL.test(char)) hangul++;
+        else if (CYRILLIC.test(char)) cyrillic++;
+    }
+
+    if (letters === 0) {
+        return 'en';
+    }
+
+    const cjk = kana + han + hangul;
+    if (cjk / letters >= DETECTION_MIN_SHARE) {
+        if (hangul > kana + han) return 'ko';
+        return kana > 0 ? 'ja' : 'zh';
+    }
+    if (cyrillic / letters >= DETECTION_MIN_SHARE) {
+        return 'ru';
+    }
+    return 'en';
+}
+
+/**
+ * Whether the language uses the CJK keyword rules
+ * @param {string} language
+ * @returns {boolean}
+ */
+export function isCJKLanguage(language) {
+    return CJK_LANGUAGES.has(language);
+}
+
+/**
+ * Whether text contains Han, kana or Hangul characters
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function containsCJK(text) {
+    return /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u.test(text || '');
+}
+
+/**
+ * Separator used when sentences or words are joined back together
+ * @param {string} language
+ * @returns {string} '' for Japanese and Chinese, ' ' otherwise
+ */
+export function getJoiner(language) {
+    return UNSPACED_LANGUAGES.has(language) ? '' : ' ';
+}
+
+/**
+ * Splits CJK runs into overlapping bigrams. Katakana runs stay whole.
+ * @param {string} run Run of CJK characters
+ * @returns {string[]}
+ */
+function toBigrams(run) {
+    if (/^\p{Script=Katakana}+$/u.test(run) || run.length <= 2) {
+        return [run];
+    }
+    const bigrams = [];
+    for (let i = 0; i < run.length - 1; i++) {
+        bigrams.push(run.slice(i, i + 2));
+    }
+    return bigrams;
+}
+
+/**
+ * Splits CJK text into character bigrams (katakana runs kept whole, hiragana
+ * dropped as grammar) and other text into words. Deterministic, so it is
+ * safe for indexes where the query and documents must tokenize alike.
+ * @param {string} text
+ * @returns {string[]} Lowercase tokens
+ */
+export function tokenizeWithBigrams(text) {
+    const tokens = [];
+    const runs = String(text || '').toLowerCase()
+        .match(/\p{Script=Katakana}[\p{Script=Katakana}ー]*|[\p{Script=Han}\p{Script=Hangul}]+|\p{Script=Hiragana}+|[\p{L}\p{N}]+/gu) || [];
+
+    for (const run of runs) {
+        if (/^\p{Script=Hiragana}+$/u.test(run)) continue;
+        if (/^[\p{Script=Han}\p{Script=Hangul}]+$/u.test(run)) {
+            tokens.push(...toBigrams(run));
+        } else {
+            tokens.push(run);
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Splits text into words, language-aware.
+ * Uses Intl.Segmenter when available; otherwise Japanese and Chinese fall
+ * back to bigrams and other languages to letter runs.
+ * @param {string} text
+ * @param {string} [language] Detected from the text when omitted
+ * @returns {string[]} Words in order, original case
+ */
+export function segmentWords(text, language = detectLanguage(text)) {
+    if (!text || typeof text !== 'string') {
+        return [];
+    }
+
+    const segmenter = getSegmenter(language, 'word');
+    if (segmenter) {
+        return [...segmenter.segment(text)]
+            .filter(segment => segment.isWordLike)
+            .map(segment => segment.segment);
+    }
+
+    if (UNSPACED_LANGUAGES.has(language)) {
+        return tokenizeWithBigrams(text);
+    }
+    return text.match(/[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu) || [];
+}
+
+/** Korean particles that attach to the end of a noun, longest first */
+const KOREAN_PARTICLES = /(?:에서|으로|에게|까지|부터|은|는|이|가|을|를|의|에|로|와|과|도|만)$/u;
+
+/**
+ * Strips a trailing Korean particle so "아리스는" and "아리스를" count as "아리스".
+ * Other languages are returned unchanged.
+ * @param {string} word
+ * @param {string} language
+ * @returns {string}
+ */
+export function stripParticles(word, language) {
+    if (language !== 'ko') {
+        return word;
+    }
+    const stripped = word.replace(KOREAN_PARTICLES, '');
+    return stripped.length >= 2 ? stripped : word;
+}
+
+/**
+ * Splits text into sentences, language-aware. Sentences end at [.!?]
+ * followed by whitespace, or at 。！？ (with any closing brackets) whether
+ * or not a space follows.
+ * @param {string} text
+ * @param {string} [language] Detected from the text when omitted
+ * @returns {string[]} Trimmed, non-empty sentences
+ */
+export function segmentSentences(text, language = detectLanguage(text)) {
+    if (!text || typeof text !== 'string') {
+        return [];
+    }
+
+    const segmenter = UNSPACED_LANGUAGES.has(language) ? getSegmenter(language, 'sentence') : null;
+    if (!segmenter) {
+        return text.split(SENTENCE_BOUNDARY).map(s => s.trim()).filter(Boolean);
+    }
+
+    // The segmenter leaves an opening 「 on the previous sentence - move it forward
+    const sentences = [];
+    let carry = '';
+    for (const { segment } of segmenter.segment(text)) {
+        const trimmed = (carry + segment).trim();
+        const opener = trimmed.match(LEADING_PUNCTUATION);
+        carry = opener && opener.index > 0 ? opener[0] : '';
+        const sentence = carry ? trimmed.slice(0, -carry.length).trim() : trimmed;
+        if (sentence) {
+            sentences.push(sentence);
+        }
+    }
+    if (carry) {
+        sentences.push(carry);
+    }
+    return sentences;
+}
@@ -0,0 +1,432 @@
+/**
+ * ============================================================================
+ * VECTHARE LOREBOOK SYNC
+ * ============================================================================
+ * Keeps per_entry lorebook collections in step with their World Info book.
+ *
+ * A lorebook collection is a snapshot of the book at vectorization time.
+ * Whenever a book is saved, its collections are compared entry by entry
+ * (matched by entryUid, compared by chunk hash and trigger keys):
+ *   - added entries are embedded and inserted
+ *   - changed entries are re-embedded; the old chunk's visualizer settings
+ *     (keywords, conditions, ...) carry over to the new one
+ *   - entries whose keys changed keep their chunk; the added/removed keys are
+ *     applied to its keywords without re-embedding
+ *   - deleted entries are removed
+ * Chunks record their entry's keys (entryKeys) when vectorized; chunks made
+ * before that only notice added keys.
+ * Collections without sync turned on only record how many entries are out
+ * of date, for the badge in the database browser.
+ *
+ * With keyword push on, keyword edits made in the chunk visualizer are
+ * written back into the entry's World Info `key` list.
+ *
+ * Only per_entry collections can sync - other strategies mix entries inside
+ * chunks. Summary and scene chunks (no entryUid) are never touched.
+ *
+ * @author Coneja Chibi | VectHare
+ * @version 2.0.0-alpha
+ * ============================================================================
+ */
+
+import { eventSource, event_types } from '../../../../../script.js';
+import { extension_settings } from '../../../../extensions.js';
+import { world_names, loadWorldInfo, saveWorldInfo } from '../../../../world-info.js';
+import { getSavedHashes, insertVectorItems, deleteVectorItems } from './core-vector-api.js';
+import {
+    getCollectionMeta,
+    setCollectionMeta,
+    getAllCollectionMeta,
+    getChunkMetadata,
+    saveChunkMetadata,
+    deleteChunkMetadata,
+} from './collection-metadata.js';
+import { prepareLorebookEntryChunks } from './content-vectorization.js';
+import { DEFAULT_BASE_WEIGHT } from './keyword-boost.js';
+
+/** Collection ID -> promise of the sync/check currently running for it */
+const collectionQueues = new Map();
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+/**
+ * Gets a collection's lorebook sync settings
+ * @param {string} collectionId
+ * @returns {{enabled: boolean, pushKeywords: boolean, lorebook: string|null, backendSettings: object|null, outOfSync: number, checkedAt: string|null}}
+ */
+export function getLorebookSyncSettings(collectionId) {
+    return getCollectionMeta(collectionId).lorebookSync;
+}
+
+/**
+ * Updates a collection's lorebook sync settings (merges with the current ones)
+ * @param {string} collectionId
+ * @param {object} updates
+ */
+export function setLorebookSyncSettings(collectionId, updates) {
+    setCollectionMeta(collectionId, {
+        lorebookSync: { ...getLorebookSyncSettings(collectionId), ...updates },
+    });
+}
+
+/**
+ * Name of the World Info book a collection was made from
+ * @param {string} collectionId
+ * @returns {string|null}
+ */
+export function getSyncedLorebookName(collectionId) {
+    const meta = getCollectionMeta(collectionId);
+    return meta.lorebookSync?.lorebook || meta.sourceName || null;
+}
+
+/**
+ * Whether a collection can sync: a per_entry lorebook collection whose book still exists
+ * @param {string} collectionId
+ * @returns {boolean}
+ */
+export function isLorebookSyncable(collectionId) {
+    const meta = getCollectionMeta(collectionId);
+    if (meta.contentType !== 'lorebook' || meta.settings?.strategy !== 'per_entry') {
+        return false;
+    }
+    return Array.isArray(world_names) && world_names.includes(getSyncedLorebookName(collectionId));
+}
+
+/**
+ * Settings for a collection's backend. Collections on another backend than
+ * the global one store theirs when sync is turned on.
+ * @param {string} collectionId
+ * @param {object} settings VectHare settings
+ * @returns {object}
+ */
+function getSyncSettings(collectionId, settings) {
+    return { ...settings, ...(getLorebookSyncSettings(collectionId).backendSettings || {}) };
+}
+
+// ============================================================================
+// DIFF & SYNC
+// ============================================================================
+
+/**
+ * Keywords a chunk has right now (visualizer override, else as stored)
+ * @param {object} meta Stored chunk metadata
+ * @returns {Array<{text: string, weight: number}>}
+ */
+function getEffectiveKeywords(meta) {
+    const override = getChunkMetadata(meta.hash)?.keywords;
+    return override !== undefined ? override || [] : meta.keywords || [];
+}
+
+/**
+ * Compares an entry's trigger keys with the ones its chunk was made with.
+ * Keys recorded at the last sync win over the ones stored at vectorization.
+ * Chunks with no record of their keys only report keys their keywords lack.
+ * @param {object} meta Stored chunk metadata
+ * @param {string[]} keys Entry's normalized keys now
+ * @returns {{keys: string[], added: string[], removed: string[]}|null} Null when nothing changed
+ */
+function diffEntryKeys(meta, keys) {
+    const recorded = getChunkMetadata(meta.hash)?.entryKeys ?? meta.entryKeys;
+    const previous = new Set(Array.isArray(recorded)
+        ? recorded.map(key => String(key).toLowerCase())
+        : getEffectiveKeywords(meta).map(keyword => String(keyword?.text ?? keyword).toLowerCase()));
+
+    const added = keys.filter(key => !previous.has(key));
+    const removed = Array.isArray(recorded) ? [...previous].filter(key => !keys.includes(key)) : [];
+    return added.length > 0 || removed.length > 0 ? { keys, added, removed } : null;
+}
+
+/**
+ * Swaps an entry's old keys for its new ones in the chunk's keywords, keeping
+ * every other keyword, and records the keys for the next comparison
+ * @param {object} meta Stored chunk metadata
+ * @param {{keys: string[], added: string[], removed: string[]}} keyChange From diffEntryKeys
+ */
+function applyKeyChange(meta, { keys, added, removed }) {
+    const textOf = keyword => String(keyword?.text ?? keyword).toLowerCase();
+    const removedKeys = new Set(removed);
+    const keywords = getEffectiveKeywords(meta).filter(keyword => !removedKeys.has(textOf(keyword)));
+    const present = new Set(keywords.map(textOf));
+    for (const key of added.filter(key => !present.has(key))) {
+        keywords.push({ text: key, weight: meta.keywordBaseWeight || DEFAULT_BASE_WEIGHT });
+    }
+    saveChunkMetadata(meta.hash, { ...(getChunkMetadata(meta.hash) || {}), keywords, entryKeys: keys });
+}
+
+/**
+ * Compares a collection with its World Info book
+ * @param {string} collectionId
+ * @param {object} settings VectHare settings for the collection's backend
+ * @param {object} [book] Book data ({ entries }) - loaded when omitted
+ * @returns {Promise<{
+ *   lorebook: string,
+ *   added: object[],
+ *   changed: Array<{uid: string, chunk: object, oldHashes: Array<number|string>}>,
+ *   rekeyed: Array<{uid: string, meta: object, keys: string[], added: string[], removed: string[]}>,
+ *   deleted: Array<{uid: string, hashes: Array<number|string>}>,
+ *   outOfSync: number
+ * }>} added/changed chunks are ready to insert; rekeyed chunks only need keyword updates
+ */
+export async function diffLorebookCollection(collectionId, settings, book = null) {
+    const lorebook = getSyncedLorebookName(collectionId);
+    const data = book || await loadWorldInfo(lorebook);
+    if (!data?.entries) {
+        throw new Error(`Lorebook "${lorebook}" could not be loaded`);
+    }
+
+    const saved = await getSavedHashes(collectionId, settings, true);
+    if (!saved?.metadata) {
+        throw new Error('Could not read chunk metadata for this collection (needs the Similharity plugin or the browser backend)');
+    }
+
+    // entryUid -> stored metadata of the chunks made from that entry
+    const stored = new Map();
+    for (const meta of saved.metadata) {
+        if (meta?.entryUid === undefined || meta.entryUid === null) continue;
+        const uid = String(meta.entryUid);
+        if (!stored.has(uid)) stored.set(uid, []);
+        stored.get(uid).push(meta);
+    }
+
+    // Keyword settings the collection was vectorized with
+    const sample = saved.metadata.find(meta => meta?.entryUid !== undefined && meta?.keywordLevel);
+    const collectionSettings = getCollectionMeta(collectionId).settings || {};
+    const expected = await prepareLorebookEntryChunks(Object.values(data.entries), lorebook, {
+        keywordLevel: sample?.keywordLevel || collectionSettings.keywordLevel,
+        keywordBaseWeight: sample?.keywordBaseWeight || collectionSettings.keywordBaseWeight,
+    });
+
+    const added = [];
+    const changed = [];
+    const rekeyed = [];
+    const seen = new Set();
+    for (const chunk of expected) {
+        const uid = String(chunk.metadata.entryUid);
+        seen.add(uid);
+        const metas = stored.get(uid);
+        const current = metas?.find(meta => String(meta.hash) === String(chunk.hash));
+        if (!metas) {
+            added.push(chunk);
+        } else if (!current) {
+            changed.push({ uid, chunk, oldHashes: metas.map(meta => meta.hash) });
+        } else {
+            const keyChange = diffEntryKeys(current, chunk.metadata.entryKeys || []);
+            if (keyChange) {
+                rekeyed.push({ uid, meta: current, ...keyChange });
+            }
+        }
+    }
+
+    const deleted = [...stored]
+        .filter(([uid]) => !seen.has(uid))
+        .map(([uid, metas]) => ({ uid, hashes: metas.map(meta => meta.hash) }));
+
+    return {
+        lorebook,
+        added,
+        changed,
+        rekeyed,
+        deleted,
+        outOfSync: added.length + changed.length + rekeyed.length + deleted.length,
+    };
+}
+
+/**
+ * Counts a collection's out-of-date entries and stores the count for the badge
+ * @param {string} collectionId
+ * @param {object} settings VectHare settings for the collection's backend
+ * @param {object} [book] Book data - loaded when omitted
+ * @returns {Promise<number>} Entries out of sync
+ */
+export async function checkLorebookCollection(collectionId, settings, book = null) {
+    const diff = await diffLorebookCollection(collectionId, settings, book);
+    setLorebookSyncSettings(collectionId, {
+        outOfSync: diff.outOfSync,
+        checkedAt: new Date().toISOString(),
+    });
+    return diff.outOfSync;
+}
+
+/**
+ * Brings a collection up to date with its World Info book.
+ * New chunks are inserted before stale ones are deleted, so a failed embed
+ * leaves the old version searchable.
+ * @param {string} collectionId
+ * @param {object} settings VectHare settings for the collection's backend
+ * @param {object} [book] Book data - loaded when omitted
+ * @returns {Promise<{added: number, changed: number, deleted: number}>}
+ */
+export async function syncLorebookCollection(collectionId, settings, book = null) {
+    const diff = await diffLorebookCollection(collectionId, settings, book);
+    const result = { added: diff.added.length, changed: diff.changed.length + diff.rekeyed.length, deleted: diff.deleted.length };
+
+    if (diff.outOfSync > 0) {
+        const toInsert = [...diff.added, ...diff.changed.map(change => change.chunk)];
+        if (toInsert.length > 0) {
+            await insertVectorItems(collectionId, toInsert, settings);
+        }
+
+        const staleHashes = [
+            ...diff.changed.flatMap(change => change.oldHashes),
+            ...diff.deleted.flatMap(entry => entry.hashes),
+        ];
+        if (staleHashes.length > 0) {
+            await deleteVectorItems(collectionId, staleHashes, settings);
+        }
+
+        // The re-embedded chunk keeps the old one's keyword edits, conditions, etc.
+        for (const change of diff.changed) {
+            const previous = change.oldHashes.map(hash => getChunkMetadata(hash)).find(Boolean);
+            if (previous && !getChunkMetadata(change.chunk.hash)) {
+                saveChunkMetadata(change.chunk.hash, previous);
+                // Carried-over keywords still hold the old keys
+                const meta = { ...change.chunk.metadata, hash: change.chunk.hash, keywords: change.chunk.keywords };
+                const keyChange = diffEntryKeys(meta, change.chunk.metadata.entryKeys || []);
+                if (keyChange) {
+                    applyKeyChange(meta, keyChange);
+                }
+            }
+        }
+        for (const hash of staleHashes) {
+            deleteChunkMetadata(hash);
+        }
+
+        for (const { meta, ...keyChange } of diff.rekeyed) {
+            applyKeyChange(meta, keyChange);
+        }
+
+        const meta = getCollectionMeta(collectionId);
+        setCollectionMeta(collectionId, {
+            chunkCount: Math.max(0, (meta.chunkCount || 0) + result.added - result.deleted),
+        });
+        console.log(`VectHare: Synced ${collectionId} with lorebook "${diff.lorebook}" (+${result.added}, ~${result.changed}, -${result.deleted})`);
+    }
+
+    setLorebookSyncSettings(collectionId, { outOfSync: 0, checkedAt: new Date().toISOString() });
+    return result;
+}
+
+// ============================================================================
+// KEYWORD PUSH
+// ============================================================================
+
+/**
+ * Formats a chunk keyword as a World Info key. Regex keywords use WI's /pattern/flags form.
+ * @param {{text: string, match?: string}|string} keyword
+ * @returns {string}
+ */
+function toWorldInfoKey(keyword) {
+    const text = typeof keyword === 'string' ? keyword : keyword.text;
+    if (keyword?.match === 'regex' && !/^\/.+\/[a-z]*$/s.test(text)) {
+        return `/${text}/i`;
+    }
+    return text;
+}
+
+/**
+ * Writes chunk keyword edits back into the entry's World Info key list.
+ * Only the difference is applied: keywords added in VectHare are added as keys,
+ * keywords removed in VectHare are removed from the keys. Other keys are left alone.
+ * @param {string} collectionId
+ * @param {number|string} entryUid Entry the chunk was made from
+ * @param {Array} before Chunk keywords before the edit
+ * @param {Array} after Chunk keywords after the edit
+ * @returns {Promise<boolean>} Whether the book was changed
+ */
+export async function pushKeywordEdits(collectionId, entryUid, before, after) {
+    if (!getLorebookSyncSettings(collectionId).pushKeywords || !isLorebookSyncable(collectionId)) {
+        return false;
+    }
+
+    const lorebook = getSyncedLorebookName(collectionId);
+    const data = await loadWorldInfo(lorebook);
+    const entry = data?.entries?.[entryUid];
+    if (!entry) {
+        console.warn(`VectHare: Entry ${entryUid} not found in lorebook "${lorebook}", keywords not pushed`);
+        return false;
+    }
+
+    const beforeKeys = new Set((before || []).map(k => toWorldInfoKey(k).toLowerCase()));
+    const afterKeys = (after || []).map(toWorldInfoKey);
+    const afterLower = new Set(afterKeys.map(k => k.toLowerCase()));
+
+    const keys = Array.isArray(entry.key) ? entry.key : [];
+    const kept = keys.filter(key => !beforeKeys.has(key.toLowerCase()) || afterLower.has(key.toLowerCase()));
+    const keptLower = new Set(kept.map(key => key.toLowerCase()));
+    const added = afterKeys.filter(key => !beforeKeys.has(key.toLowerCase()) && !keptLower.has(key.toLowerCase()));
+
+    if (added.length === 0 && kept.length === keys.length) {
+        return false;
+    }
+
+    entry.key = [...kept, ...added];
+    await saveWorldInfo(lorebook, data, true);
+    console.log(`VectHare: Pushed keyword edits to "${lorebook}" entry ${entryUid} (+${added.length}, -${keys.length - kept.length})`);
+    return true;
+}
+
+// ============================================================================
+// WORLD INFO WATCHER
+// ============================================================================
+
+/**
+ * Runs one sync/check at a time per collection (saves can arrive back to back)
+ * @param {string} collectionId
+ * @param {function(): Promise} task
+ * @returns {Promise}
+ */
+function enqueue(collectionId, task) {
+    const next = (collectionQueues.get(collectionId) || Promise.resolve()).then(task);
+    const settled = next.catch(() => {});
+    collectionQueues.set(collectionId, settled);
+    settled.then(() => {
+        if (collectionQueues.get(collectionId) === settled) {
+            collectionQueues.delete(collectionId);
+        }
+    });
+    return next;
+}
+
+/**
+ * Syncs (or checks) every collection made from a World Info book that was just saved
+ * @param {string} name Book name
+ * @param {object} data Book data as saved
+ */
+async function onWorldInfoUpdated(name, data) {
+    const collectionIds = Object.keys(getAllCollectionMeta())
+        .filter(id => isLorebookSyncable(id) && getSyncedLorebookName(id) === name);
+
+    for (const collectionId of collectionIds) {
+        const sync = getLorebookSyncSettings(collectionId);
+        const settings = getSyncSettings(collectionId, extension_settings.vecthare);
+
+        enqueue(collectionId, async () => {
+            if (sync.enabled) {
+                const result = await syncLorebookCollection(collectionId, settings, data);
+                const total = result.added + result.changed + result.deleted;
+                if (total > 0) {
+                    toastr.info(`Synced "${name}": ${result.added} added, ${result.changed} updated, ${result.deleted} removed`, 'VectHare');
+                }
+            } else {
+                await checkLorebookCollection(collectionId, settings, data);
+            }
+            eventSource.emit('vecthare_lorebook_sync_changed', collectionId);
+        }).catch(error => {
+            console.warn(`VectHare: Lorebook sync failed for ${collectionId}:`, error.message);
+        });
+    }
+}
+
+/**
+ * Starts watching World Info saves
+ * Called from index.js on extension load
+ */
+export function initializeLorebookSync() {
+    if (!event_types.WORLDINFO_UPDATED) {
+        console.warn('VectHare: This SillyTavern version does not report World Info saves - lorebook sync is manual only');
+        return;
+    }
+    eventSource.on(event_types.WORLDINFO_UPDATED, onWorldInfoUpdated);
+}
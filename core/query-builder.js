@@ -0,0 +1,299 @@
+/**
+ * ============================================================================
+ * VECTHARE QUERY BUILDER
+ * ============================================================================
+ * Builds the search query (or queries) from recent chat messages.
+ *
+ * Concatenating the last N messages lets whatever long prose the bot wrote
+ * last dominate the embedding. Query modes trade cost for precision:
+ *
+ *   recent     - Last N messages joined (original behavior)
+ *   last_user  - The latest user message only
+ *   weighted   - One sub-query per recent message, newer ones weigh more
+ *   rewrite    - LLM rewrites the latest turn as a standalone query
+ *   hyde       - LLM writes a hypothetical memory; that passage is embedded
+ *   multi      - LLM writes several sub-queries
+ *
+ * Plans with several queries are retrieved separately and fused with
+ * weighted Reciprocal Rank Fusion (see fuseQueryResults).
+ *
+ * @author VectHare
+ * @version 2.0.0
+ * ============================================================================
+ */
+
+import { substituteParams, generateRaw } from '../../../../../script.js';
+import { LRUCache } from '../utils/data-structures.js';
+import { DEFAULT_RRF_K } from './constants.js';
+
+/** LLM-generated queries, keyed by mode + conversation text (swipes/regenerates reuse them) */
+const generatedQueryCache = new LRUCache(20);
+
+// ============================================================================
+// MODE REGISTRY
+// ============================================================================
+
+export const QUERY_MODES = {
+    recent: {
+        id: 'recent',
+        name: 'Recent Messages',
+        description: 'Last N messages joined together',
+        usesLlm: false,
+    },
+    last_user: {
+        id: 'last_user',
+        name: 'Last User Message',
+        description: 'Only the latest user message',
+        usesLlm: false,
+    },
+    weighted: {
+        id: 'weighted',
+        name: 'Weighted Recent',
+        description: 'Each recent message searched separately, newer ones count more',
+        usesLlm: false,
+    },
+    rewrite: {
+        id: 'rewrite',
+        name: 'LLM Rewrite',
+        description: 'Chat model rewrites the latest turn as a standalone query',
+        usesLlm: true,
+    },
+    hyde: {
+        id: 'hyde',
+        name: 'HyDE',
+        description: 'Chat model writes a hypothetical memory, which is searched for',
+        usesLlm: true,
+    },
+    multi: {
+        id: 'multi',
+        name: 'Multi-Query',
+        description: 'Chat model writes several sub-queries, fused by RRF',
+        usesLlm: true,
+    },
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Gets the last N non-system messages, newest first
+ * @param {object[]} chat Chat messages
+ * @param {number} count Number of messages
+ * @returns {object[]}
+ */
+function getRecentMessages(chat, count) {
+    return chat
+        .filter(x => !x.is_system && x.mes)
+        .reverse()
+        .slice(0, count);
+}
+
+/**
+ * Formats messages as a transcript for LLM prompts (oldest first)
+ * @param {object[]} messages Messages, newest first
+ * @returns {string}
+ */
+function formatTranscript(messages) {
+    return [...messages]
+        .reverse()
+        .map(x => `${x.name || (x.is_user ? 'User' : 'Character')}: ${substituteParams(x.mes)}`)
+        .join('\n');
+}
+
+/**
+ * Runs an LLM prompt through the connected chat model, cached per conversation
+ * @param {string} cacheKey Cache key
+ * @param {string} prompt Prompt text
+ * @param {number} responseLength Max response tokens
+ * @returns {Promise<string>}
+ */
+async function generateCached(cacheKey, prompt, responseLength) {
+    const cached = generatedQueryCache.get(cacheKey);
+    if (cached) {
+        return cached;
+    }
+
+    const reply = String(await generateRaw({
+        prompt,
+        systemPrompt: 'You help a retrieval system find relevant memories from a long roleplay or story. Follow the output format exactly.',
+        responseLength,
+    }) || '').trim();
+
+    if (!reply) {
+        throw new Error('Chat model returned an empty reply');
+    }
+
+    generatedQueryCache.set(cacheKey, reply);
+    return reply;
+}
+
+// ============================================================================
+// QUERY PLAN
+// ============================================================================
+
+/**
+ * @typedef {object} QueryPlan
+ * @property {string} mode - Query mode actually used (falls back to 'recent' on LLM failure)
+ * @property {string} requestedMode - Mode from settings
+ * @property {string} text - Single query text (used for reranking and shown in debug)
+ * @property {{label: string, text: string, weight: number, vector?: number[]}[]} queries - Queries to run (vector is set by retrieval when the query was embedded in the browser)
+ * @property {string|null} error - Why an LLM mode fell back, if it did
+ */
+
+/**
+ * Builds the search queries for the current turn
+ * @param {object[]} chat Current chat messages
+ * @param {object} settings VectHare settings
+ * @returns {Promise<QueryPlan>}
+ */
+export async function buildQueryPlan(chat, settings) {
+    const requestedMode = QUERY_MODES[settings.query_mode] ? settings.query_mode : 'recent';
+    const recent = getRecentMessages(chat, settings.query);
+    const recentText = recent.map(x => substituteParams(x.mes)).join('\n').trim();
+
+    const plan = {
+        mode: requestedMode,
+        requestedMode,
+        text: recentText,
+        queries: [{ label: 'recent', text: recentText, weight: 1 }],
+        error: null,
+    };
+
+    if (!recentText) {
+        return plan;
+    }
+
+    try {
+        switch (requestedMode) {
+            case 'last_user': {
+                const lastUser = chat.filter(x => x.is_user && !x.is_system && x.mes).pop();
+                if (lastUser) {
+                    const text = substituteParams(lastUser.mes).trim();
+                    plan.text = text;
+                    plan.queries = [{ label: 'last user', text, weight: 1 }];
+                }
+                break;
+            }
+
+            case 'weighted': {
+                const decay = settings.query_weight_decay ?? 0.6;
+                plan.queries = recent.map((msg, i) => ({
+                    label: `msg -${i} (${msg.name || (msg.is_user ? 'user' : 'char')})`,
+                    text: substituteParams(msg.mes).trim(),
+                    weight: Math.pow(decay, i),
+                })).filter(q => q.text);
+                break;
+            }
+
+            case 'rewrite': {
+                const transcript = formatTranscript(recent);
+                const rewritten = await generateCached(`rewrite:${transcript}`,
+                    `${transcript}\n\n` +
+                    'Rewrite the latest message above as one standalone search query for finding relevant memories from earlier in the story. ' +
+                    'Replace pronouns with names and keep the key people, places, objects and events. Reply with the query only.',
+                    80);
+                plan.text = rewritten;
+                plan.queries = [{ label: 'rewritten', text: rewritten, weight: 1 }];
+                break;
+            }
+
+            case 'hyde': {
+                const transcript = formatTranscript(recent);
+                const passage = await generateCached(`hyde:${transcript}`,
+                    `${transcript}\n\n` +
+                    'Write a short passage (2-3 sentences) that would be the ideal earlier memory or lore entry to recall for continuing this scene. ' +
+                    'Write it as a factual record in past tense, not dialogue. Reply with the passage only.',
+                    150);
+                plan.queries = [{ label: 'hypothetical memory', text: passage, weight: 1 }];
+                break;
+            }
+
+            case 'multi': {
+                const count = Math.max(2, settings.query_multi_count || 3);
+                const transcript = formatTranscript(recent);
+                const reply = await generateCached(`multi:${count}:${transcript}`,
+                    `${transcript}\n\n` +
+                    `Write ${count} short, different search queries that together cover the earlier information needed to continue this scene ` +
+                    '(people, places, objects, past events, promises). One query per line, no numbering.',
+                    count * 30);
+                const subQueries = reply
+                    .split('\n')
+                    .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+                    .filter(Boolean)
+                    .slice(0, count);
+                if (subQueries.length === 0) {
+                    throw new Error('No sub-queries in reply');
+                }
+                plan.queries = subQueries.map((text, i) => ({ label: `sub-query ${i + 1}`, text, weight: 1 }));
+                break;
+            }
+        }
+    } catch (error) {
+        console.warn(`VectHare: Query mode "${requestedMode}" failed, using recent messages:`, error.message);
+        plan.mode = 'recent';
+        plan.text = recentText;
+        plan.queries = [{ label: 'recent', text: recentText, weight: 1 }];
+        plan.error = error.message;
+    }
+
+    if (plan.queries.length === 0) {
+        plan.queries = [{ label: 'recent', text: recentText, weight: 1 }];
+    }
+
+    return plan;
+}
+
+// ============================================================================
+// MULTI-QUERY FUSION
+// ============================================================================
+
+/**
+ * Fuses per-query result lists with weighted Reciprocal Rank Fusion.
+ * RRF only decides the order: fusionScore is normalized so a chunk ranked #1
+ * by every query scores 1.0. score stays the best similarity any query gave
+ * the chunk, so the score threshold, decay and rerank see a similarity and a
+ * strong hit from a single query isn't cut for being found by only one.
+ * Each fused chunk keeps the version from the query that matched it best,
+ * plus queryHits (which queries found it, at what rank) and bestQueryScore.
+ *
+ * @param {object[][]} resultLists Chunks per query, each sorted by score (desc)
+ * @param {{label: string, weight: number}[]} queries Queries, same order as resultLists
+ * @param {number} [rrfK] RRF constant
+ * @returns {object[]} Fused chunks sorted by fusionScore (desc)
+ */
+export function fuseQueryResults(resultLists, queries, rrfK = DEFAULT_RRF_K) {
+    const entries = new Map();
+    let totalWeight = 0;
+
+    resultLists.forEach((list, queryIdx) => {
+        const { label, weight = 1 } = queries[queryIdx];
+        totalWeight += weight;
+
+        list.forEach((chunk, rank) => {
+            const key = `${chunk.collectionId}:${chunk.hash}`;
+            if (!entries.has(key)) {
+                entries.set(key, { chunk, rrf: 0, hits: [], bestScore: -Infinity });
+            }
+            const entry = entries.get(key);
+            entry.rrf += weight / (rrfK + rank + 1);
+            entry.hits.push({ query: label, rank: rank + 1, score: chunk.score });
+            if ((chunk.score || 0) > entry.bestScore) {
+                entry.bestScore = chunk.score || 0;
+                entry.chunk = chunk;
+            }
+        });
+    });
+
+    const best = totalWeight / (rrfK + 1);
+
+    return [...entries.values()]
+        .map(entry => ({
+            ...entry.chunk,
+            score: entry.bestScore,
+            fusionScore: best > 0 ? entry.rrf / best : 0,
+            bestQueryScore: entry.bestScore,
+            queryHits: entry.hits,
+        }))
+        .sort((a, b) => b.fusionScore - a.fusionScore);
+}
@@ -0,0 +1,311 @@
+/**
+ * ============================================================================
+ * VECTHARE RERANKERS
+ * ============================================================================
+ * Single source of truth for rerankers and their configurations.
+ * Rerankers re-score retrieved chunks against the query with a stronger
+ * (slower) model than the embedding search. They are selected independently
+ * of the embedding provider.
+ *
+ * Every reranker returns [{ index, score }] for the documents it was given.
+ * Scores outside 0-1 (raw cross-encoder logits) are squashed with a sigmoid so
+ * the score threshold keeps its meaning.
+ *
+ * @author VectHare
+ * @version 2.0.0
+ * ============================================================================
+ */
+
+import { getRequestHeaders, generateRaw } from '../../../../../script.js';
+
+/** Max characters of each chunk sent to the LLM judge (keeps the prompt small) */
+const LLM_JUDGE_MAX_CHARS = 600;
+
+// ============================================================================
+// RERANK IMPLEMENTATIONS
+// ============================================================================
+
+/**
+ * BananaBread reranker (via the Similharity plugin proxy)
+ * @param {string} query Search query
+ * @param {string[]} documents Chunk texts
+ * @param {object} settings VectHare settings
+ * @param {object} config Reranker config
+ * @returns {Promise<{index: number, score: number}[]>}
+ */
+async function rerankBananaBread(query, documents, settings, config) {
+    const apiUrl = settings.reranker_url
+        || (settings.source === 'bananabread' && settings.use_alt_endpoint ? settings.alt_endpoint_url : config.defaultUrl);
+
+    const response = await fetch('/api/plugins/similharity/rerank', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({
+            apiUrl,
+            apiKey: settings.reranker_api_key || settings.bananabread_api_key || '',
+            query,
+            documents,
+            top_k: documents.length,
+        }),
+    });
+
+    if (!response.ok) {
+        throw new Error(`BananaBread rerank failed: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return (data.results || []).map(r => ({ index: r.index, score: r.score ?? r.relevance_score }));
+}
+
+/**
+ * Cohere/Jina-style /rerank endpoint (also served by llama.cpp with --reranking)
+ * Request: { model, query, documents, top_n } → { results: [{ index, relevance_score }] }
+ * @param {string} query Search query
+ * @param {string[]} documents Chunk texts
+ * @param {object} settings VectHare settings
+ * @param {object} config Reranker config
+ * @returns {Promise<{index: number, score: number}[]>}
+ */
+async function rerankHttp(query, documents, settings, config) {
+    const url = settings.reranker_url || config.defaultUrl;
+    if (!url) {
+        throw new Error(`${config.name} reranker needs an endpoint URL`);
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.reranker_api_key) {
+        headers['Authorization'] = `Bearer ${settings.reranker_api_key}`;
+    }
+
+    const body = { query, documents, top_n: documents.length };
+    const model = settings.reranker_model || config.defaultModel;
+    if (model) {
+        body.model = model;
+    }
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+        throw new Error(`${config.name} rerank failed: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return (data.results || []).map(r => ({ index: r.index, score: r.relevance_score ?? r.score }));
+}
+
+/**
+ * LLM-as-judge: asks the connected chat model to rate each chunk 0-10
+ * @param {string} query Search query
+ * @param {string[]} documents Chunk texts
+ * @returns {Promise<{index: number, score: number}[]>}
+ */
+async function rerankLlmJudge(query, documents) {
+    const passages = documents
+        .map((doc, i) => {
+            const text = doc.length > LLM_JUDGE_MAX_CHARS ? doc.substring(0, LLM_JUDGE_MAX_CHARS) + '...' : doc;
+            return `[${i + 1}] ${text.replace(/\s+/g, ' ')}`;
+        })
+        .join('\n');
+
+    const prompt = 'Rate how relevant each passage is to the current conversation, from 0 (irrelevant) to 10 (essential).\n\n' +
+        `Conversation:\n${query}\n\n` +
+        `Passages:\n${passages}\n\n` +
+        `Reply with only ${documents.length} numbers, one per line, in passage order (e.g. "1: 7").`;
+
+    const reply = await generateRaw({
+        prompt,
+        systemPrompt: 'You are a strict relevance judge for a retrieval system. Output ratings only.',
+        responseLength: Math.max(32, documents.length * 8),
+    });
+
+    // Accept "1: 7", "[1] 7", or bare numbers one per line
+    const ratings = new Map();
+    const lines = String(reply || '').split('\n').map(l => l.trim()).filter(Boolean);
+    let bareIndex = 0;
+    for (const line of lines) {
+        const labeled = line.match(/^\[?(\d+)\]?\s*[:.)-]\s*(\d+(?:\.\d+)?)/);
+        if (labeled) {
+            ratings.set(parseInt(labeled[1]) - 1, parseFloat(labeled[2]));
+            continue;
+        }
+        const bare = line.match(/^(\d+(?:\.\d+)?)$/);
+        if (bare) {
+            ratings.set(bareIndex++, parseFloat(bare[1]));
+        }
+    }
+
+    if (ratings.size === 0) {
+        throw new Error('LLM judge reply had no ratings');
+    }
+
+    return [...ratings.entries()]
+        .filter(([index]) => index >= 0 && index < documents.length)
+        .map(([index, rating]) => ({ index, score: Math.min(10, Math.max(0, rating)) / 10 }));
+}
+
+// ============================================================================
+// RERANKER REGISTRY
+// ============================================================================
+
+/**
+ * All supported rerankers
+ * This is the canonical list - update here and it applies everywhere
+ */
+export const RERANKERS = {
+    none: {
+        name: 'None',
+        local: true,
+        requiresUrl: false,
+        requiresApiKey: false,
+        requiresModel: false,
+        rerank: null,
+    },
+    bananabread: {
+        name: 'BananaBread',
+        local: true,
+        requiresUrl: true,
+        requiresApiKey: true,
+        requiresModel: false,
+        defaultUrl: 'http://localhost:8008',
+        rerank: rerankBananaBread,
+    },
+    llamacpp: {
+        name: 'llama.cpp',
+        local: true,
+        requiresUrl: true,
+        requiresApiKey: false,
+        requiresModel: false,
+        defaultUrl: 'http://localhost:8080/v1/rerank',
+        rerank: rerankHttp,
+    },
+    cohere: {
+        name: 'Cohere',
+        local: false,
+        requiresUrl: false,
+        requiresApiKey: true,
+        requiresModel: true,
+        defaultUrl: 'https://api.cohere.com/v2/rerank',
+        defaultModel: 'rerank-v3.5',
+        rerank: rerankHttp,
+    },
+    jina: {
+        name: 'Jina AI',
+        local: false,
+        requiresUrl: false,
+        requiresApiKey: true,
+        requiresModel: true,
+        defaultUrl: 'https://api.jina.ai/v1/rerank',
+        defaultModel: 'jina-reranker-v2-base-multilingual',
+        rerank: rerankHttp,
+    },
+    llm_judge: {
+        name: 'LLM Judge (connected chat model)',
+        local: false,
+        requiresUrl: false,
+        requiresApiKey: false,
+        requiresModel: false,
+        rerank: rerankLlmJudge,
+    },
+};
+
+/**
+ * Get reranker config by ID
+ */
+export function getRerankerConfig(rerankerId) {
+    return RERANKERS[rerankerId] || null;
+}
+
+/**
+ * Gets the reranker selected in settings
+ * @param {object} settings VectHare settings
+ * @returns {string|null} Reranker ID, or null if reranking is off
+ */
+export function getActiveReranker(settings) {
+    const id = settings.reranker;
+    return id && id !== 'none' && RERANKERS[id]?.rerank ? id : null;
+}
+
+// ============================================================================
+// RERANKING
+// ============================================================================
+
+/**
+ * Squashes raw logits into 0-1 when a reranker returns unbounded scores
+ * @param {{index: number, score: number}[]} results Rerank results
+ * @returns {{index: number, score: number}[]}
+ */
+function normalizeScores(results) {
+    const unbounded = results.some(r => r.score < 0 || r.score > 1);
+    if (!unbounded) {
+        return results;
+    }
+    return results.map(r => ({ ...r, score: 1 / (1 + Math.exp(-r.score)) }));
+}
+
+/**
+ * Re-scores chunks with the selected reranker.
+ * Chunks the reranker didn't score keep their original score. On failure the
+ * chunks are returned unchanged and the error is reported.
+ *
+ * @param {string} query Search query
+ * @param {object[]} chunks Chunks to rerank
+ * @param {object} settings VectHare settings
+ * @returns {Promise<{chunks: object[], report: object}>} Reranked chunks (sorted by score)
+ *   and a report with reranker, latencyMs, error and per-chunk score deltas
+ */
+export async function rerankChunks(query, chunks, settings) {
+    const rerankerId = getActiveReranker(settings);
+    const config = getRerankerConfig(rerankerId);
+    const report = { reranker: rerankerId, name: config?.name, latencyMs: 0, error: null, deltas: [] };
+
+    if (!config || chunks.length === 0) {
+        return { chunks, report };
+    }
+
+    const start = performance.now();
+    let results;
+    try {
+        results = normalizeScores(await config.rerank(query, chunks.map(c => c.text || ''), settings, config));
+    } catch (error) {
+        report.latencyMs = Math.round(performance.now() - start);
+        report.error = error.message;
+        console.warn(`VectHare: ${config.name} reranking failed, using original scores:`, error.message);
+        return { chunks, report };
+    }
+    report.latencyMs = Math.round(performance.now() - start);
+
+    const scoreByIndex = new Map(results.filter(r => Number.isFinite(r.score)).map(r => [r.index, r.score]));
+
+    const reranked = chunks.map((chunk, index) => {
+        if (!scoreByIndex.has(index)) {
+            return chunk;
+        }
+        const rerankScore = scoreByIndex.get(index);
+        return {
+            ...chunk,
+            preRerankScore: chunk.score,
+            rerankScore,
+            rerankDelta: rerankScore - (chunk.score || 0),
+            rerankedBy: rerankerId,
+            score: rerankScore,
+        };
+    });
+    reranked.sort((a, b) => b.score - a.score);
+
+    report.deltas = reranked.map((chunk, newRank) => ({
+        hash: chunk.hash,
+        before: chunk.preRerankScore ?? chunk.score,
+        after: chunk.score,
+        delta: chunk.rerankDelta ?? 0,
+        rankBefore: chunks.findIndex(c => c.hash === chunk.hash) + 1,
+        rankAfter: newRank + 1,
+        scored: chunk.rerankedBy !== undefined,
+    }));
+
+    console.log(`VectHare: Reranked ${scoreByIndex.size}/${chunks.length} chunks with ${config.name} in ${report.latencyMs}ms`);
+    return { chunks: reranked, report };
+}
@@ -26,13 +26,23 @@ import { getStringHash } from '../../../../utils.js';
 import {
     insertVectorItems,
     deleteVectorItems,
+    embedTexts,
+    getChunkVectors,
 } from './core-vector-api.js';
-import { getChatCollectionId } from './chat-vectorization.js';
+import { getChatCollectionId, getTextWithoutAttachments } from './chat-vectorization.js';
+import { percentile } from './chunking.js';
+import { Cosine } from '../utils/vector-distance.js';
 import {
     getChunkMetadata,
     saveChunkMetadata,
     deleteChunkMetadata,
 } from './collection-metadata.js';
+import {
+    SCENE_DETECT_DRIFT_PERCENTILE,
+    SCENE_DETECT_MIN_MESSAGES,
+    SCENE_DETECT_SPEAKER_WINDOW,
+    SCENE_DETECT_MIN_SCORE,
+} from './constants.js';
 
 // ============================================================================
 // CONSTANTS
@@ -128,7 +138,7 @@ export function getContainedChunkHashes(messages, start, end) {
  * @param {number} end - End message index
  * @param {object} sceneData - Scene metadata (title, summary, keywords)
  * @param {object} settings - VectHare settings
- * @returns {Promise<{success: boolean, hash?: number, error?: string}>}
+ * @returns {Promise<{success: boolean, hash?: number, chunk?: object, error?: string}>}
  */
 export async function createSceneChunk(start, end, sceneData, settings) {
     const collectionId = getCurrentCollectionId();
@@ -187,7 +197,7 @@ export async function createSceneChunk(start, end, sceneData, settings) {
         }
 
         console.log(`VectHare Scenes: Created scene chunk ${sceneHash} (${start}-${end}), disabled ${containedHashes.length} chunks`);
-        return { success: true, hash: sceneHash };
+        return { success: true, hash: sceneHash, chunk: sceneChunk };
 
     } catch (error) {
         console.error('VectHare Scenes: Failed to create scene chunk', error);
@@ -259,6 +269,251 @@ export async function updateSceneChunkMetadata(sceneHash, updates, settings) {
     return { success: true };
 }
 
+// ============================================================================
+// SCENE AUTO-DETECTION
+// ============================================================================
+
+/**
+ * Openings that mark a time skip or a cut to somewhere else.
+ * Matched against the start of a message, after leading narration marks.
+ */
+const SCENE_TRANSITION_PATTERNS = [
+    /^(later|earlier) (that|this|the same) (day|night|morning|afternoon|evening)\b/i,
+    /^(the )?(next|following) (morning|day|night|evening|afternoon|week)\b/i,
+    /^(that|this) (night|evening|morning|afternoon)\b/i,
+    /^(a|an|one|two|three|four|five|several|a few|some|many) (moments?|minutes?|hours?|days?|weeks?|months?|years?) (later|after|passed|went by)\b/i,
+    /^(moments|minutes|hours|days|weeks|months|years) (later|passed|went by)\b/i,
+    /^(meanwhile|elsewhere|afterwards?|hours later|days later|time skip|timeskip|scene change)\b/i,
+    /^(back|over) (at|in) the\b/i,
+];
+
+/** Scene break lines such as "***", "---" or "###" */
+const SCENE_BREAK_LINE = /^([*\-=~#]\s*){3,}$/;
+
+/** How much each signal adds to a boundary's score (capped at 1) */
+const SCENE_SIGNAL_WEIGHTS = {
+    drift: 0.4,
+    transition: 0.5,
+    speakers: 0.3,
+};
+
+/** Characters of each message embedded for drift (long posts add little beyond this) */
+const SCENE_DRIFT_TEXT_LIMIT = 2000;
+
+/**
+ * Finds a scene transition at the start of a message
+ * @param {string} text - Message text
+ * @returns {string|null} The matched phrase or break line
+ */
+function findTransitionPhrase(text) {
+    const firstLine = text.trim().split('\n')[0].trim();
+    if (SCENE_BREAK_LINE.test(firstLine)) {
+        return firstLine;
+    }
+
+    const opening = firstLine.replace(/^[\s*_"'“‘([]+/, '');
+    for (const pattern of SCENE_TRANSITION_PATTERNS) {
+        const match = opening.match(pattern);
+        if (match) return match[0];
+    }
+    return null;
+}
+
+/**
+ * Splits the chat into runs of messages not covered by an existing scene
+ * @param {number} messageCount - Number of chat messages
+ * @param {object[]} sceneChunks - Existing scene chunks
+ * @returns {Array<[number, number]>} Inclusive [start, end] ranges
+ */
+function getUnscenedRanges(messageCount, sceneChunks) {
+    const ranges = [];
+    let rangeStart = null;
+
+    for (let i = 0; i < messageCount; i++) {
+        if (findSceneAtMessage(sceneChunks, i)) {
+            if (rangeStart !== null) ranges.push([rangeStart, i - 1]);
+            rangeStart = null;
+        } else if (rangeStart === null) {
+            rangeStart = i;
+        }
+    }
+    if (rangeStart !== null) ranges.push([rangeStart, messageCount - 1]);
+
+    return ranges;
+}
+
+/**
+ * Gets an embedding per message: the vector stored for the message's chunk
+ * when the chat collection has one (per-message chunking), otherwise a fresh
+ * embedding of its text.
+ * @param {object[]} messages - Chat messages array
+ * @param {number[]} ids - Message ids to embed
+ * @param {object} settings - VectHare settings
+ * @returns {Promise<Map<number, number[]>>} message id -> vector
+ */
+async function getMessageVectors(messages, ids, settings) {
+    const vectors = new Map();
+    const collectionId = getCurrentCollectionId();
+
+    if (collectionId) {
+        const hashOf = id => getStringHash(substituteParams(getTextWithoutAttachments(messages[id])));
+        const stored = await getChunkVectors(collectionId, ids.map(hashOf), settings);
+        for (const id of ids) {
+            const vector = stored.get(String(hashOf(id)));
+            if (vector) vectors.set(id, vector);
+        }
+    }
+
+    const missing = ids.filter(id => !vectors.has(id));
+    if (missing.length > 0) {
+        const textOf = id => substituteParams(messages[id].mes).slice(0, SCENE_DRIFT_TEXT_LIMIT);
+        const embeddings = await embedTexts(missing.map(textOf), settings);
+        for (const id of missing) {
+            const vector = embeddings[textOf(id)];
+            if (vector) vectors.set(id, vector);
+        }
+    }
+
+    console.log(`VectHare Scenes: ${ids.length - missing.length}/${ids.length} message vectors reused from the chat collection`);
+    return vectors;
+}
+
+/**
+ * Proposes scene boundaries from three signals:
+ * - topic drift: similarity between consecutive messages drops into the lowest
+ *   driftPercentile (needs embeddings; skipped if embedding fails). Vectors
+ *   already stored for per-message chunks are reused; only the rest are embedded.
+ * - transition phrases: a message opens with a time skip or cut-away
+ *   ("Later that night", "Meanwhile", "The next morning", "***")
+ * - speaker change: the speakers just before and just after a message barely overlap
+ *
+ * Messages already inside a scene are left alone. The run after the last
+ * boundary is not proposed unless includeOpenScene is set, since that scene
+ * is usually still being played.
+ *
+ * @param {object[]} messages - Chat messages array
+ * @param {object[]} sceneChunks - Existing scene chunks (metadata.isScene)
+ * @param {object} settings - VectHare settings
+ * @param {object} [options]
+ * @param {number} [options.minMessages] - Shortest scene proposed
+ * @param {number} [options.driftPercentile] - Lowest-similarity percentile counted as drift
+ * @param {number} [options.minScore] - Score a boundary needs (0-1)
+ * @param {boolean} [options.includeOpenScene=false] - Also propose the scene running to the last message
+ * @returns {Promise<{proposals: Array<{start: number, end: number, score: number, reasons: string[]}>, driftAvailable: boolean}>}
+ */
+export async function detectSceneBoundaries(messages, sceneChunks, settings, options = {}) {
+    const minMessages = Math.max(2, options.minMessages ?? SCENE_DETECT_MIN_MESSAGES);
+    const driftPercentile = options.driftPercentile ?? SCENE_DETECT_DRIFT_PERCENTILE;
+    const minScore = options.minScore ?? SCENE_DETECT_MIN_SCORE;
+    const includeOpenScene = options.includeOpenScene === true;
+
+    const ranges = getUnscenedRanges(messages.length, sceneChunks);
+
+    // Messages that can open a scene, per range (system messages have no say)
+    const rangeMessages = ranges.map(([start, end]) => {
+        const ids = [];
+        for (let i = start; i <= end; i++) {
+            if (messages[i]?.mes && !messages[i].is_system) ids.push(i);
+        }
+        return ids;
+    });
+
+    // Topic drift between consecutive messages in each range
+    const similarities = new Map(); // message id -> similarity to the previous message
+    let driftAvailable = false;
+    const allIds = rangeMessages.flat();
+    if (allIds.length > 2) {
+        try {
+            const vectors = await getMessageVectors(messages, allIds, settings);
+            for (const ids of rangeMessages) {
+                for (let k = 1; k < ids.length; k++) {
+                    const a = vectors.get(ids[k - 1]);
+                    const b = vectors.get(ids[k]);
+                    if (a && b) similarities.set(ids[k], Cosine.similarity(a, b));
+                }
+            }
+            driftAvailable = similarities.size > 0;
+        } catch (error) {
+            console.warn('VectHare Scenes: Embedding failed, detecting without topic drift:', error.message);
+        }
+    }
+    const driftThreshold = driftAvailable ? percentile([...similarities.values()], driftPercentile) : -Infinity;
+
+    const proposals = [];
+    const lastIndex = messages.length - 1;
+
+    ranges.forEach(([rangeStart, rangeEnd], r) => {
+        const ids = rangeMessages[r];
+        const isOpen = rangeEnd === lastIndex;
+
+        // Score every message as a possible scene opener
+        const candidates = [];
+        for (let k = 1; k < ids.length; k++) {
+            const id = ids[k];
+            const reasons = [];
+            let score = 0;
+
+            const similarity = similarities.get(id);
+            if (similarity !== undefined && similarity <= driftThreshold) {
+                score += SCENE_SIGNAL_WEIGHTS.drift;
+                reasons.push(`Topic shift at #${id} (similarity ${similarity.toFixed(2)})`);
+            }
+
+            const phrase = findTransitionPhrase(substituteParams(messages[id].mes));
+            if (phrase) {
+                score += SCENE_SIGNAL_WEIGHTS.transition;
+                reasons.push(`#${id} opens with "${phrase}"`);
+            }
+
+            const before = new Set(ids.slice(Math.max(0, k - SCENE_DETECT_SPEAKER_WINDOW), k).map(i => messages[i].name));
+            const after = new Set(ids.slice(k, k + SCENE_DETECT_SPEAKER_WINDOW).map(i => messages[i].name));
+            const shared = [...after].filter(name => before.has(name)).length;
+            const overlap = shared / new Set([...before, ...after]).size;
+            if (overlap < 0.5) {
+                score += SCENE_SIGNAL_WEIGHTS.speakers;
+                reasons.push(`Speakers change at #${id}`);
+            }
+
+            if (score >= minScore) {
+                candidates.push({ id, score: Math.min(1, score), reasons });
+            }
+        }
+
+        // Strongest boundaries first, keeping every scene at least minMessages long
+        const cuts = [];
+        candidates
+            .sort((a, b) => b.score - a.score || a.id - b.id)
+            .forEach(candidate => {
+                if (candidate.id - rangeStart < minMessages) return;
+                if (!(isOpen && !includeOpenScene) && rangeEnd - candidate.id + 1 < minMessages) return;
+                if (cuts.some(cut => Math.abs(cut.id - candidate.id) < minMessages)) return;
+                cuts.push(candidate);
+            });
+        cuts.sort((a, b) => a.id - b.id);
+
+        // Edges of the range (chat start, existing scenes) are certain boundaries
+        const edges = [{ id: rangeStart, score: 1, reasons: [] }, ...cuts, { id: rangeEnd + 1, score: 1, reasons: [] }];
+        for (let e = 0; e < edges.length - 1; e++) {
+            const start = edges[e].id;
+            const end = edges[e + 1].id - 1;
+            const isLast = e === edges.length - 2;
+            if (isLast && isOpen && !includeOpenScene) continue;
+            if (end - start + 1 < minMessages) continue;
+            if (!ids.some(id => id >= start && id <= end)) continue;
+
+            proposals.push({
+                start,
+                end,
+                score: Math.min(edges[e].score, edges[e + 1].score),
+                reasons: [...edges[e].reasons, ...edges[e + 1].reasons],
+            });
+        }
+    });
+
+    console.log(`VectHare Scenes: Detected ${proposals.length} scene proposals${driftAvailable ? '' : ' (no topic drift)'}`);
+    return { proposals, driftAvailable };
+}
+
 // ============================================================================
 // SCENE QUERIES
 // ============================================================================
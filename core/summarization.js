@@ -0,0 +1,456 @@
+/**
+ * ============================================================================
+ * VECTHARE SUMMARIZATION
+ * ============================================================================
+ * Generates summaries for scenes, message batches and long chunks and stores
+ * them as summary chunks (isSummaryChunk + parentHash). A short summary often
+ * matches a query better than the long text it stands for; when it does,
+ * expandSummaryChunks swaps in the parent at injection time.
+ *
+ * Summaries come from the connected chat model (generateRaw) or from an
+ * OpenAI-compatible endpoint set under Summaries, so a cheap local model can
+ * do the bulk work. They run as 'summary' jobs on the job queue.
+ *
+ * The parent's chunk metadata records the generated summary:
+ *   autoSummary: { hash, text, sourceHash, generatedAt }
+ * sourceHash is the hash of the text that was summarized - when it no longer
+ * matches, the summary is stale and gets regenerated.
+ *
+ * @author Coneja Chibi | VectHare
+ * @version 2.0.0-alpha
+ * ============================================================================
+ */
+
+import { generateRaw } from '../../../../../script.js';
+import { getContext } from '../../../../extensions.js';
+import { getStringHash } from '../../../../utils.js';
+import { getSavedHashes, insertVectorItems, deleteVectorItems } from './core-vector-api.js';
+import { getChunkMetadata, saveChunkMetadata } from './collection-metadata.js';
+import {
+    getCurrentCollectionId,
+    computeSceneHash,
+    createSceneChunk,
+    deleteSceneChunk,
+} from './scenes.js';
+import { registerJobRunner, submitJob, getJobs } from './job-queue.js';
+import { getModelField } from './providers.js';
+import { SUMMARY_MAX_INPUT_CHARS } from './constants.js';
+
+// ============================================================================
+// SUMMARY KINDS
+// ============================================================================
+
+/**
+ * What gets summarized and how the model is asked to do it
+ */
+export const SUMMARY_KINDS = {
+    scene: {
+        id: 'scene',
+        label: 'Scenes',
+        setting: 'summary_scenes',
+        prompt: 'Summarize this roleplay scene in 2-4 sentences. Name the characters involved, where it takes place, and what has changed by the end.',
+    },
+    batch: {
+        id: 'batch',
+        label: 'Message batches',
+        setting: 'summary_batches',
+        prompt: 'Summarize these chat messages in 1-3 sentences: who did or said what, and any facts that were established.',
+    },
+    chunk: {
+        id: 'chunk',
+        label: 'Long chunks',
+        setting: 'summary_long_chunks',
+        prompt: 'Summarize this passage in 1-3 sentences, keeping names, places and specific facts.',
+    },
+};
+
+const SYSTEM_PROMPT = 'You write short factual summaries that a retrieval system uses to find passages later. Reply with the summary only - no preamble, headings or commentary.';
+
+/**
+ * Decides what kind of summary a chunk needs, if any
+ * @param {object} meta Chunk metadata (with hash and text) from getSavedHashes
+ * @param {object} settings VectHare settings
+ * @returns {string|null} SUMMARY_KINDS id, or null to skip the chunk
+ */
+function getSummaryKind(meta, settings) {
+    if (meta.isSummaryChunk || meta.isSummary || meta.isSummaryVector || meta.isConsolidated) {
+        return null;
+    }
+    if (meta.isScene) {
+        return 'scene';
+    }
+    if (getChunkMetadata(meta.hash)?.disabledByScene != null) {
+        return null; // The scene stands in for it
+    }
+    if (meta.strategy === 'message_batch' || meta.strategy === 'conversation_turns' || meta.messageIds?.length > 1) {
+        return 'batch';
+    }
+    if ((meta.text || '').length >= (settings.summary_min_length || 0)) {
+        return 'chunk';
+    }
+    return null;
+}
+
+// ============================================================================
+// GENERATION
+// ============================================================================
+
+/**
+ * Calls an OpenAI-compatible chat completions endpoint
+ * @param {string} prompt User prompt
+ * @param {string} systemPrompt System prompt
+ * @param {number} maxTokens Reply length
+ * @param {object} settings VectHare settings
+ * @returns {Promise<string>}
+ */
+async function generateWithEndpoint(prompt, systemPrompt, maxTokens, settings) {
+    const baseUrl = String(settings.summary_endpoint_url || '').trim().replace(/\/+$/, '');
+    if (!baseUrl) {
+        throw new Error('Summary endpoint URL is not set');
+    }
+    const url = baseUrl.endsWith('/chat/completions') ? baseUrl : `${baseUrl}/chat/completions`;
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.summary_endpoint_api_key) {
+        headers['Authorization'] = `Bearer ${settings.summary_endpoint_api_key}`;
+    }
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+            model: settings.summary_endpoint_model || undefined,
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: prompt },
+            ],
+            max_tokens: maxTokens,
+            temperature: 0.3,
+        }),
+    });
+
+    if (!response.ok) {
+        throw new Error(`Summary endpoint failed: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content || data.choices?.[0]?.text || '';
+}
+
+/**
+ * Sends a prompt to the model picked under Summaries (connected chat model or endpoint)
+ * @param {string} prompt User prompt
+ * @param {object} settings VectHare settings
+ * @param {object} [options]
+ * @param {string} [options.systemPrompt] System prompt (default: the summary instructions)
+ * @param {number} [options.maxTokens] Reply length (default: summary_max_tokens)
+ * @returns {Promise<string>} Raw reply
+ */
+export async function generateWithSummaryModel(prompt, settings, { systemPrompt = SYSTEM_PROMPT, maxTokens = settings.summary_max_tokens } = {}) {
+    return settings.summary_source === 'endpoint'
+        ? generateWithEndpoint(prompt, systemPrompt, maxTokens, settings)
+        : generateRaw({ prompt, systemPrompt, responseLength: maxTokens });
+}
+
+/**
+ * Generates a summary of a text
+ * @param {string} text Text to summarize
+ * @param {string} kind SUMMARY_KINDS id
+ * @param {object} settings VectHare settings
+ * @returns {Promise<string>}
+ */
+export async function generateSummary(text, kind, settings) {
+    const config = SUMMARY_KINDS[kind] || SUMMARY_KINDS.chunk;
+    return generateSummaryWithPrompt(text, config.prompt, settings);
+}
+
+/**
+ * Generates a summary of a text with a custom instruction
+ * @param {string} text Text to summarize
+ * @param {string} instruction What the model should write
+ * @param {object} settings VectHare settings
+ * @returns {Promise<string>}
+ */
+export async function generateSummaryWithPrompt(text, instruction, settings) {
+    const input = text.length > SUMMARY_MAX_INPUT_CHARS ? `${text.substring(0, SUMMARY_MAX_INPUT_CHARS)}...` : text;
+    const prompt = `${instruction}\n\n"""\n${input}\n"""`;
+
+    const reply = await generateWithSummaryModel(prompt, settings);
+
+    const summary = String(reply || '').trim().replace(/^summary:\s*/i, '');
+    if (!summary) {
+        throw new Error('Model returned an empty summary');
+    }
+    return summary;
+}
+
+// ============================================================================
+// JOBS
+// ============================================================================
+
+/**
+ * Collects the chunks of a collection that need a (new) summary
+ * @param {object[]} chunks Chunk metadata from getSavedHashes
+ * @param {object} settings VectHare settings
+ * @param {object} options
+ * @param {string[]} [options.kinds] Limit to these SUMMARY_KINDS ids (default: the ones switched on)
+ * @param {boolean} [options.force] Regenerate summaries that are still current
+ * @returns {Array<{parentHash: number|string, index: number, text: string, kind: string}>}
+ */
+function collectSummaryTargets(chunks, settings, { kinds, force = false }) {
+    const allowed = kinds || Object.values(SUMMARY_KINDS).filter(k => settings[k.setting]).map(k => k.id);
+
+    return chunks
+        .filter(meta => meta.text && allowed.includes(getSummaryKind(meta, settings)))
+        .filter(meta => force || getChunkMetadata(meta.hash)?.autoSummary?.sourceHash !== getStringHash(meta.text))
+        .map(meta => ({
+            parentHash: meta.hash,
+            index: meta.index ?? 0,
+            text: meta.text,
+            kind: getSummaryKind(meta, settings),
+        }));
+}
+
+/**
+ * The settings that decide where a collection's vectors live, for storing on a job
+ * @param {object} settings Collection settings
+ * @returns {object}
+ */
+export function getBackendSettings(settings) {
+    const modelField = getModelField(settings.source);
+    return {
+        vector_backend: settings.vector_backend,
+        source: settings.source,
+        ...(modelField && { [modelField]: settings[modelField] }),
+    };
+}
+
+/**
+ * Whether a summary job for a collection is waiting or running
+ * @param {string} collectionId
+ * @returns {boolean}
+ */
+function hasActiveSummaryJob(collectionId) {
+    return getJobs().some(job => job.type === 'summary'
+        && job.params.collectionId === collectionId
+        && (job.status === 'queued' || job.status === 'running'));
+}
+
+/**
+ * Summarizes a collection's scenes, message batches and long chunks in a background job.
+ * Chunks whose current summary is up to date are skipped unless force is set.
+ * @param {string} collectionId Collection to summarize
+ * @param {object} settings VectHare settings (collection-specific backend settings are fine)
+ * @param {object} [options]
+ * @param {string[]} [options.kinds] Limit to these SUMMARY_KINDS ids
+ * @param {boolean} [options.force=false] Regenerate summaries that are still current
+ * @param {string} [options.label] Name shown in the jobs panel
+ * @returns {Promise<{success: boolean, status: string, jobId: string|null, summarized: number, failedCount: number}>}
+ */
+export async function summarizeCollection(collectionId, settings, options = {}) {
+    const data = await getSavedHashes(collectionId, settings, true);
+    if (!data?.metadata) {
+        throw new Error('Could not read chunk metadata for this collection (needs the Similharity plugin or the browser backend)');
+    }
+
+    const targets = collectSummaryTargets(data.metadata, settings, options);
+    if (targets.length === 0) {
+        return { success: true, status: 'completed', jobId: null, summarized: 0, failedCount: 0 };
+    }
+
+    const job = await submitJob({
+        type: 'summary',
+        label: `Summaries: ${options.label || collectionId}`,
+        total: targets.length,
+        itemLabel: 'Summaries',
+        params: {
+            collectionId,
+            backendSettings: getBackendSettings(settings),
+        },
+        payload: { items: targets },
+        // LLM calls are slow and costly - give up sooner than embedding batches
+        retry: { maxAttempts: 2 },
+    });
+
+    if (job.status === 'failed') {
+        throw new Error(job.note || 'Summarization failed');
+    }
+
+    return {
+        success: job.status === 'completed',
+        status: job.status,
+        jobId: job.id,
+        summarized: job.chunks,
+        failedCount: job.failedItems.length,
+    };
+}
+
+/**
+ * Stores a generated summary as a summary chunk and records it on the parent.
+ * The parent's previous generated summary (if any) is replaced.
+ * @param {string} collectionId
+ * @param {object} item Target from collectSummaryTargets
+ * @param {string} summary Generated summary text
+ * @param {object} settings VectHare settings
+ */
+async function storeSummary(collectionId, item, summary, settings) {
+    const summaryHash = getStringHash(summary);
+    const parentMeta = getChunkMetadata(item.parentHash) || {};
+    const previous = parentMeta.autoSummary;
+
+    await insertVectorItems(collectionId, [{
+        hash: summaryHash,
+        text: summary,
+        index: item.index,
+        keywords: [],
+        // Top-level copies: plugin backends read these fields directly
+        isSummaryChunk: true,
+        parentHash: item.parentHash,
+        metadata: {
+            isSummaryChunk: true,
+            parentHash: item.parentHash,
+            contentType: 'summary',
+            summaryKind: item.kind,
+            autoSummary: true,
+        },
+    }], settings);
+
+    if (previous?.hash && String(previous.hash) !== String(summaryHash)) {
+        await deleteVectorItems(collectionId, [previous.hash], settings);
+    }
+
+    // Keep the summaries list (shown in the visualizer, used by the token budget) in step
+    const summaries = (parentMeta.summaries || []).filter(text => text !== previous?.text && text !== summary);
+    saveChunkMetadata(item.parentHash, {
+        ...parentMeta,
+        summaries: [...summaries, summary],
+        autoSummary: {
+            hash: summaryHash,
+            text: summary,
+            sourceHash: getStringHash(item.text),
+            generatedAt: Date.now(),
+        },
+    });
+}
+
+/**
+ * Job runner for summaries. One LLM call per item; state.cursor is the next item.
+ * @param {object} job Summary job (params: collectionId, backendSettings)
+ * @param {object} context Job runner context
+ */
+async function runSummaryJob(job, context) {
+    const payload = await context.getPayload();
+    if (!payload?.items) {
+        throw new Error('The chunks for this job are missing - start the summaries again');
+    }
+
+    const { collectionId, backendSettings } = job.params;
+    const settings = { ...context.settings, ...backendSettings };
+    const retryHashes = job.state.retryHashes ? new Set(job.state.retryHashes.map(String)) : null;
+    const items = retryHashes ? payload.items.filter(item => retryHashes.has(String(item.parentHash))) : payload.items;
+
+    let cursor = job.state.cursor || 0;
+    let processed = job.processed;
+    let summarized = job.chunks;
+
+    while (cursor < items.length && !context.shouldStop()) {
+        const item = items[cursor];
+
+        try {
+            const summary = await context.retry(() => generateSummary(item.text, item.kind, settings));
+            await context.retry(() => storeSummary(collectionId, item, summary, settings));
+            summarized++;
+        } catch (error) {
+            context.recordFailure([{
+                hash: item.parentHash,
+                label: item.text.length > 60 ? `${item.text.substring(0, 60)}...` : item.text,
+                error: error.message,
+                attempts: context.isRetryable(error) ? job.retry.maxAttempts : 1,
+            }]);
+        }
+
+        cursor++;
+        processed++;
+        await context.checkpoint(
+            { processed, chunks: summarized, state: { cursor } },
+            cursor < items.length ? `Summarizing... ${items.length - cursor} remaining` : 'Finalizing...',
+        );
+    }
+}
+
+registerJobRunner('summary', runSummaryJob);
+
+// ============================================================================
+// SCENE UPKEEP
+// ============================================================================
+
+/**
+ * Keeps scene summaries of the open chat current. Scenes whose messages were
+ * edited, swiped or deleted are rebuilt (title, summary and keywords kept) and
+ * re-summarized, new scenes get a summary, and generated summaries of scenes
+ * that no longer exist are removed.
+ * Skipped while a summary job for the chat is still waiting or running - the
+ * next change picks up whatever it missed.
+ * @param {object} settings VectHare settings
+ * @returns {Promise<{rebuilt: number, summarized: number, removed: number}>}
+ */
+export async function syncSceneSummaries(settings) {
+    const result = { rebuilt: 0, summarized: 0, removed: 0 };
+    const collectionId = getCurrentCollectionId();
+    const messages = getContext()?.chat;
+    if (!collectionId || !Array.isArray(messages) || hasActiveSummaryJob(collectionId)) {
+        return result;
+    }
+
+    let data = await getSavedHashes(collectionId, settings, true);
+    if (!data?.metadata) {
+        return result;
+    }
+
+    // Rebuild scenes whose text no longer matches their messages
+    for (const scene of data.metadata.filter(meta => meta.isScene)) {
+        const start = scene.sceneStart;
+        const end = Math.min(scene.sceneEnd, messages.length - 1);
+        if (start > end || String(computeSceneHash(messages, start, end)) === String(scene.hash)) {
+            continue;
+        }
+
+        const stored = getChunkMetadata(scene.hash) || {};
+        const deleted = await deleteSceneChunk(scene.hash, scene.containedHashes || [], settings);
+        if (!deleted.success) {
+            console.warn(`VectHare Summaries: Could not rebuild scene ${scene.hash}:`, deleted.error);
+            continue;
+        }
+
+        const created = await createSceneChunk(start, end, {
+            title: stored.title ?? scene.title,
+            summary: stored.summary ?? scene.summary,
+            keywords: stored.keywords ?? scene.keywords,
+        }, settings);
+        if (created.success) {
+            result.rebuilt++;
+        } else {
+            console.warn(`VectHare Summaries: Scene ${start}-${end} was removed but could not be recreated:`, created.error);
+        }
+    }
+
+    if (result.rebuilt > 0) {
+        data = await getSavedHashes(collectionId, settings, true);
+    }
+
+    // Drop generated summaries whose parent is gone (deleted or rebuilt scenes)
+    const hashes = new Set(data.metadata.map(meta => String(meta.hash)));
+    const orphans = data.metadata
+        .filter(meta => meta.autoSummary === true && meta.parentHash != null && !hashes.has(String(meta.parentHash)))
+        .map(meta => meta.hash);
+    if (orphans.length > 0) {
+        await deleteVectorItems(collectionId, orphans, settings);
+        result.removed = orphans.length;
+    }
+
+    const summaryResult = await summarizeCollection(collectionId, settings, { kinds: ['scene'], label: 'Scenes' });
+    result.summarized = summaryResult.summarized;
+
+    console.log(`VectHare Summaries: Scene upkeep - ${result.rebuilt} rebuilt, ${result.summarized} summarized, ${result.removed} removed`);
+    return result;
+}
@@ -4,10 +4,35 @@
 // - Decay: Reduces relevance of older chunks (recency bias)
 // - Nostalgia: Boosts relevance of older chunks (history bias)
 // Chunks marked as "temporally blind" are immune to weighting
+// - Reinforcement (decay only): chunks recalled since they were written -
+//   injected again, or their keywords mentioned - fade slower. Importance
+//   stretches the half-life further.
+// - Clock (decay only): age is counted in messages, in real time since the
+//   message was sent, or both (the two multipliers are combined)
 // =============================================================================
 
-import { isChunkTemporallyBlind } from './collection-metadata.js';
-import { DEFAULT_DECAY_HALF_LIFE, DEFAULT_DECAY_FLOOR, DEFAULT_NOSTALGIA_MAX_BOOST } from './constants.js';
+import { escapeRegex } from '../../../../utils.js';
+import { isChunkTemporallyBlind, getChunkMetadata } from './collection-metadata.js';
+import {
+    DEFAULT_DECAY_HALF_LIFE,
+    DEFAULT_DECAY_FLOOR,
+    DEFAULT_NOSTALGIA_MAX_BOOST,
+    DEFAULT_NOSTALGIA_HALF_LIFE,
+    DEFAULT_REINFORCEMENT_GROWTH,
+    REINFORCEMENT_MAX_SCALE,
+    DEFAULT_DECAY_TIME_HALF_LIFE,
+    DEFAULT_DECAY_TIME_UNIT,
+    DECAY_TIME_UNIT_HOURS,
+} from './constants.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/** Ages projectDecayCurve samples when none are given, per unit */
+const PROJECTION_AGES = {
+    messages: [0, 10, 20, 50, 100, 200],
+    hours: [0, 1, 3, 6, 12, 24, 48],
+    days: [0, 1, 2, 3, 7, 14, 30],
+};
 
 /**
  * Calculates exponential decay multiplier
@@ -57,25 +82,84 @@ function calculateLinearNostalgia(age, rate, maxBoost) {
 }
 
 /**
- * Applies temporal decay to a chunk's score
+ * Gets the wall-clock half-life in hours
+ * @param {Object} decaySettings - Decay configuration
+ * @returns {number} Half-life in hours
+ */
+function getTimeHalfLifeHours(decaySettings) {
+    const unitHours = DECAY_TIME_UNIT_HOURS[decaySettings.timeUnit] || DECAY_TIME_UNIT_HOURS[DEFAULT_DECAY_TIME_UNIT];
+    return (decaySettings.timeHalfLife || DEFAULT_DECAY_TIME_HALF_LIFE) * unitHours;
+}
+
+/**
+ * Calculates the decay multiplier for an age in messages
+ * @param {number} messageAge - Age in messages
+ * @param {Object} decaySettings - Decay configuration
+ * @param {number} halfLifeScale - Half-life stretch
+ * @returns {number} Decay multiplier (0-1)
+ */
+function calculateMessageDecay(messageAge, decaySettings, halfLifeScale) {
+    if (decaySettings.mode === 'exponential') {
+        const halfLife = (decaySettings.halfLife || 50) * halfLifeScale;
+        return calculateExponentialDecay(messageAge, halfLife);
+    }
+    if (decaySettings.mode === 'linear') {
+        const rate = (decaySettings.linearRate || 0.01) / halfLifeScale;
+        return calculateLinearDecay(messageAge, rate);
+    }
+    return 1.0;
+}
+
+/**
+ * Calculates the decay multiplier for an age in hours.
+ * Linear mode has no per-hour rate setting; it falls to 50% at one half-life
+ * and to zero at two, so both modes share the same midpoint.
+ * @param {number} ageHours - Hours since the message was sent
+ * @param {Object} decaySettings - Decay configuration
+ * @param {number} halfLifeScale - Half-life stretch
+ * @returns {number} Decay multiplier (0-1)
+ */
+function calculateTimeDecay(ageHours, decaySettings, halfLifeScale) {
+    const halfLife = getTimeHalfLifeHours(decaySettings) * halfLifeScale;
+    if (decaySettings.mode === 'exponential') {
+        return calculateExponentialDecay(ageHours, halfLife);
+    }
+    if (decaySettings.mode === 'linear') {
+        return calculateLinearDecay(ageHours, 0.5 / halfLife);
+    }
+    return 1.0;
+}
+
+/**
+ * Applies temporal decay to a chunk's score.
+ * The clock setting picks what age means: 'messages' (default), 'time' (hours
+ * since the message was sent) or 'both' (the two multipliers are combined).
+ * Time decay needs ageHours; without it the message age is used instead.
  * @param {number} score - Original score
  * @param {number} messageAge - Age in messages
  * @param {Object} decaySettings - Decay configuration
+ * @param {number} [halfLifeScale=1] - Stretches the half-life (and slows the linear rate) by this factor
+ * @param {number|null} [ageHours=null] - Hours since the message was sent, if known
  * @returns {number} Score with decay applied
  */
-export function applyTemporalDecay(score, messageAge, decaySettings) {
-    if (!decaySettings.enabled || messageAge === 0) {
+export function applyTemporalDecay(score, messageAge, decaySettings, halfLifeScale = 1, ageHours = null) {
+    if (!decaySettings.enabled) {
         return score;
     }
 
+    const clock = decaySettings.clock || 'messages';
+    const useTime = clock !== 'messages' && Number.isFinite(ageHours);
+
     let decayMultiplier = 1.0;
+    if (clock !== 'time' || !useTime) {
+        decayMultiplier *= calculateMessageDecay(messageAge, decaySettings, halfLifeScale);
+    }
+    if (useTime) {
+        decayMultiplier *= calculateTimeDecay(ageHours, decaySettings, halfLifeScale);
+    }
 
-    if (decaySettings.mode === 'exponential') {
-        const halfLife = decaySettings.halfLife || 50;
-        decayMultiplier = calculateExponentialDecay(messageAge, halfLife);
-    } else if (decaySettings.mode === 'linear') {
-        const rate = decaySettings.linearRate || 0.01;
-        decayMultiplier = calculateLinearDecay(messageAge, rate);
+    if (decayMultiplier >= 1) {
+        return score;
     }
 
     // Enforce minimum relevance
@@ -111,6 +195,191 @@ export function applyNostalgiaBoost(score, messageAge, nostalgiaSettings) {
     return score * boostMultiplier;
 }
 
+/**
+ * Gets the message a chunk belongs to: its own messageId, or the last message
+ * of a multi-message chunk (batches, turns)
+ * @param {Object} metadata - Chunk metadata
+ * @returns {number|null} Message ID, or null if the chunk has no chat position
+ */
+export function getChunkMessageId(metadata) {
+    if (metadata?.messageId !== undefined && metadata?.messageId !== null) {
+        return metadata.messageId;
+    }
+    if (Number.isFinite(metadata?.endIndex)) {
+        return metadata.endIndex;
+    }
+    if (Array.isArray(metadata?.messageIds) && metadata.messageIds.length > 0) {
+        return Math.max(...metadata.messageIds);
+    }
+    return null;
+}
+
+/**
+ * Gets a chunk's age in messages
+ * @param {Object} metadata - Chunk metadata
+ * @param {number} currentMessageId - Current message ID in chat
+ * @returns {number|null} Age in messages, or null if the chunk has no chat position
+ */
+export function getChunkMessageAge(metadata, currentMessageId) {
+    const messageId = getChunkMessageId(metadata);
+    return messageId === null ? null : currentMessageId - messageId;
+}
+
+/**
+ * Converts a message send_date to epoch milliseconds.
+ * Accepts timestamps, ISO strings and SillyTavern's "June 19, 2023 4:13pm" format.
+ * @param {number|string} value - send_date as stored on the message
+ * @returns {number|null} Milliseconds, or null if it can't be read
+ */
+export function parseSendDate(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    if (typeof value !== 'string' || !value.trim()) {
+        return null;
+    }
+
+    const text = value.trim();
+    if (/^\d+$/.test(text)) {
+        return Number(text);
+    }
+
+    let parsed = Date.parse(text);
+    if (Number.isNaN(parsed)) {
+        // "4:13pm" needs a space before the meridiem to parse
+        parsed = Date.parse(text.replace(/(\d)(am|pm)$/i, '$1 $2'));
+    }
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Gets a chunk's age in hours from the send date stored at vectorization.
+ * Chunks vectorized before send dates were stored have none; for those the
+ * send date of their message in the current chat is used, if it has one.
+ * @param {Object} metadata - Chunk metadata
+ * @param {number} [now] - Current time in milliseconds
+ * @param {Array} [chat] - Current chat, for chunks without a stored send date
+ * @returns {number|null} Hours since the message was sent, or null if unknown
+ */
+export function getChunkAgeHours(metadata, now = Date.now(), chat = null) {
+    let sendDate = metadata?.sendDate;
+    if (!Number.isFinite(sendDate)) {
+        const messageId = getChunkMessageId(metadata);
+        sendDate = messageId !== null ? parseSendDate(chat?.[messageId]?.send_date) : null;
+    }
+    if (!Number.isFinite(sendDate)) {
+        return null;
+    }
+    return Math.max(0, (now - sendDate) / HOUR_MS);
+}
+
+// =============================================================================
+// REINFORCEMENT
+// =============================================================================
+
+/**
+ * Gets the keywords a chunk is referenced by (user overrides first, then stored)
+ * @param {Object} chunk - Chunk with hash and metadata
+ * @returns {string[]} Keyword texts
+ */
+function getReferenceKeywords(chunk) {
+    const stored = getChunkMetadata(chunk.hash);
+    const keywords = stored?.keywords !== undefined ? stored.keywords : (chunk.metadata?.keywords || []);
+    return keywords
+        .map(k => (typeof k === 'string' ? k : k?.text))
+        .filter(k => typeof k === 'string' && k.trim().length > 0);
+}
+
+/**
+ * Counts how often a chunk was recalled after it was written: injected into a
+ * prompt (activation history) or referenced by keyword in a later message
+ * @param {Object} chunk - Chunk with hash and metadata
+ * @param {number} messageId - Message the chunk belongs to
+ * @param {Object} recallContext - { chat, activations } for the current chat
+ * @returns {{count: number, lastMessageId: number|null, lastAt: number|null}} lastAt is the
+ *   time of the latest recall in milliseconds, when known
+ */
+export function getChunkRecalls(chunk, messageId, recallContext) {
+    let count = 0;
+    let lastMessageId = null;
+    let lastAt = null;
+
+    // Injections are recorded at the chat length, i.e. the message being generated
+    const activation = recallContext?.activations?.[String(chunk.hash)];
+    if (activation?.count > 0) {
+        count += activation.count;
+        lastMessageId = activation.lastActivation;
+        lastAt = activation.recent?.[activation.recent.length - 1]?.at ?? null;
+    }
+
+    const keywords = getReferenceKeywords(chunk);
+    const chat = recallContext?.chat || [];
+    if (keywords.length > 0 && chat.length > messageId + 1) {
+        const pattern = new RegExp(`\\b(?:${keywords.map(escapeRegex).join('|')})\\b`, 'i');
+        for (let i = messageId + 1; i < chat.length; i++) {
+            if (!chat[i]?.is_system && pattern.test(chat[i]?.mes || '')) {
+                count++;
+                lastMessageId = Math.max(lastMessageId ?? i, i);
+                const sentAt = parseSendDate(chat[i].send_date);
+                if (sentAt !== null) {
+                    lastAt = Math.max(lastAt ?? sentAt, sentAt);
+                }
+            }
+        }
+    }
+
+    return { count, lastMessageId, lastAt };
+}
+
+/**
+ * Works out the ages and half-life stretch a chunk decays with.
+ * Without reinforcement these are just the message age and the hours since
+ * the message was sent. With it:
+ *   - reset: both ages count from the last recall instead of from when it was written
+ *   - strengthen: the half-life grows by `reinforcementGrowth` per recall
+ * Either way, chunk importance (100 = normal) scales the half-life.
+ * @param {Object} chunk - Chunk with hash and metadata
+ * @param {number} messageAge - Age in messages since the chunk was written
+ * @param {number} currentMessageId - Current message ID in chat
+ * @param {Object} decaySettings - Decay configuration
+ * @param {Object|null} recallContext - { chat, activations, now }, or null to skip recall lookups
+ * @returns {{age: number, ageHours: number|null, halfLifeScale: number, recalls: number}}
+ */
+export function resolveReinforcement(chunk, messageAge, currentMessageId, decaySettings, recallContext) {
+    const now = recallContext?.now ?? Date.now();
+    const ageHours = (decaySettings.clock || 'messages') === 'messages' ? null : getChunkAgeHours(chunk.metadata, now, recallContext?.chat);
+
+    const mode = decaySettings.reinforcement || 'off';
+    if (mode === 'off') {
+        return { age: messageAge, ageHours, halfLifeScale: 1, recalls: 0 };
+    }
+
+    const importance = getChunkMetadata(chunk.hash)?.importance ?? chunk.metadata?.importance ?? 100;
+    let halfLifeScale = Math.max(0.1, importance / 100);
+    let age = messageAge;
+    let recalledHours = ageHours;
+
+    const messageId = getChunkMessageId(chunk.metadata) ?? currentMessageId - messageAge;
+    const recalls = recallContext ? getChunkRecalls(chunk, messageId, recallContext) : { count: 0, lastMessageId: null, lastAt: null };
+
+    if (mode === 'reset' && recalls.lastMessageId !== null) {
+        age = Math.max(0, Math.min(messageAge, currentMessageId - recalls.lastMessageId));
+        if (ageHours !== null && recalls.lastAt !== null) {
+            recalledHours = Math.max(0, Math.min(ageHours, (now - recalls.lastAt) / HOUR_MS));
+        }
+    } else if (mode === 'strengthen' && recalls.count > 0) {
+        const growth = decaySettings.reinforcementGrowth || DEFAULT_REINFORCEMENT_GROWTH;
+        halfLifeScale *= Math.pow(growth, recalls.count);
+    }
+
+    return {
+        age,
+        ageHours: recalledHours,
+        halfLifeScale: Math.min(REINFORCEMENT_MAX_SCALE, halfLifeScale),
+        recalls: recalls.count,
+    };
+}
+
 /**
  * Applies nostalgia boost to all chunks in search results
  * Only applies to chat chunks with message metadata
@@ -143,7 +412,7 @@ export function applyNostalgiaToResults(chunks, currentMessageId, nostalgiaSetti
             };
         }
 
-        const messageAge = currentMessageId - chunk.metadata.messageId;
+        const messageAge = getChunkMessageAge(chunk.metadata, currentMessageId);
         const originalScore = chunk.score || 0;
         const boostedScore = applyNostalgiaBoost(originalScore, messageAge, nostalgiaSettings);
 
@@ -169,9 +438,10 @@ export function applyNostalgiaToResults(chunks, currentMessageId, nostalgiaSetti
  * @param {Array} chunks - Array of chunks with scores
  * @param {number} currentMessageId - Current message ID in chat
  * @param {Object} decaySettings - Decay configuration
+ * @param {Object} [recallContext] - { chat, activations, now } for reinforcement and wall-clock age
  * @returns {Array} Chunks with decay applied
  */
-export function applyDecayToResults(chunks, currentMessageId, decaySettings) {
+export function applyDecayToResults(chunks, currentMessageId, decaySettings, recallContext = null) {
     if (!decaySettings.enabled) {
         return chunks;
     }
@@ -194,15 +464,20 @@ export function applyDecayToResults(chunks, currentMessageId, decaySettings) {
             };
         }
 
-        const messageAge = currentMessageId - chunk.metadata.messageId;
+        const messageAge = getChunkMessageAge(chunk.metadata, currentMessageId);
+        const { age, ageHours, halfLifeScale, recalls } = resolveReinforcement(chunk, messageAge, currentMessageId, decaySettings, recallContext);
         const originalScore = chunk.score || 0;
-        const decayedScore = applyTemporalDecay(originalScore, messageAge, decaySettings);
+        const decayedScore = applyTemporalDecay(originalScore, age, decaySettings, halfLifeScale, ageHours);
 
         return {
             ...chunk,
             score: decayedScore,
             originalScore,
             messageAge,
+            effectiveAge: age,
+            ageHours,
+            halfLifeScale,
+            recalls,
             decayApplied: true
         };
     });
@@ -238,9 +513,10 @@ function getSceneContext(messageId, scenes) {
  * @param {number} currentMessageId - Current message ID
  * @param {Array} scenes - Array of scenes from chat_metadata
  * @param {Object} decaySettings - Decay configuration
+ * @param {Object} [recallContext] - { chat, activations, now } for reinforcement and wall-clock age
  * @returns {Array} Chunks with scene-aware decay applied
  */
-export function applySceneAwareDecay(chunks, currentMessageId, scenes, decaySettings) {
+export function applySceneAwareDecay(chunks, currentMessageId, scenes, decaySettings, recallContext = null) {
     if (!decaySettings.enabled) {
         return chunks;
     }
@@ -283,14 +559,18 @@ export function applySceneAwareDecay(chunks, currentMessageId, scenes, decaySett
             effectiveAge = currentMessageId - chunkMessageId;
         }
 
+        const reinforced = resolveReinforcement(chunk, effectiveAge, currentMessageId, decaySettings, recallContext);
         const originalScore = chunk.score || 0;
-        const decayedScore = applyTemporalDecay(originalScore, effectiveAge, decaySettings);
+        const decayedScore = applyTemporalDecay(originalScore, reinforced.age, decaySettings, reinforced.halfLifeScale, reinforced.ageHours);
 
         return {
             ...chunk,
             score: decayedScore,
             originalScore,
-            effectiveAge,
+            effectiveAge: reinforced.age,
+            ageHours: reinforced.ageHours,
+            halfLifeScale: reinforced.halfLifeScale,
+            recalls: reinforced.recalls,
             sceneAwareDecay: true
         };
     });
@@ -314,7 +594,12 @@ export function getDefaultDecaySettings() {
         linearRate: 0.01,           // Rate per message (linear mode)
         minRelevance: DEFAULT_DECAY_FLOOR,  // Never decay below this (decay only)
         maxBoost: DEFAULT_NOSTALGIA_MAX_BOOST, // Maximum boost multiplier (nostalgia only)
-        sceneAware: false           // Reset at scene boundaries
+        sceneAware: false,          // Reset at scene boundaries
+        reinforcement: 'off',       // 'off', 'reset' or 'strengthen' - recalled chunks fade slower (decay only)
+        reinforcementGrowth: DEFAULT_REINFORCEMENT_GROWTH, // Half-life multiplier per recall ('strengthen')
+        clock: 'messages',          // 'messages', 'time' (since send date) or 'both' (decay only)
+        timeHalfLife: DEFAULT_DECAY_TIME_HALF_LIFE, // Wall-clock half-life, in timeUnit
+        timeUnit: DEFAULT_DECAY_TIME_UNIT           // 'hours' or 'days'
     };
 }
 
@@ -356,6 +641,29 @@ export function validateDecaySettings(settings) {
             }
         }
 
+        if (!['off', 'reset', 'strengthen'].includes(settings.reinforcement || 'off')) {
+            errors.push('Reinforcement must be "off", "reset" or "strengthen"');
+        }
+
+        if (settings.reinforcement === 'strengthen') {
+            if (settings.reinforcementGrowth < 1 || settings.reinforcementGrowth > 5) {
+                errors.push('Reinforcement growth must be between 1 and 5');
+            }
+        }
+
+        if (!['messages', 'time', 'both'].includes(settings.clock || 'messages')) {
+            errors.push('Clock must be "messages", "time" or "both"');
+        }
+
+        if ((settings.clock || 'messages') !== 'messages') {
+            if (!(settings.timeHalfLife > 0)) {
+                errors.push('Time half-life must be greater than 0');
+            }
+            if (!Object.keys(DECAY_TIME_UNIT_HOURS).includes(settings.timeUnit || DEFAULT_DECAY_TIME_UNIT)) {
+                errors.push('Time unit must be "hours" or "days"');
+            }
+        }
+
         // Nostalgia-specific validation
         if (settings.type === 'nostalgia') {
             if (settings.maxBoost < 1.0 || settings.maxBoost > 3.0) {
@@ -371,17 +679,30 @@ export function validateDecaySettings(settings) {
 }
 
 /**
- * Calculates what score a chunk would have at various ages
+ * Calculates what score a chunk would have at various ages.
+ * Ages are in messages for the 'messages' clock (and for nostalgia), otherwise
+ * in the configured time unit. With the 'both' clock, the message age at each
+ * point is estimated from `messagesPerUnit`.
  * @param {number} baseScore - Original score
  * @param {Object} decaySettings - Decay configuration
- * @param {Array} ages - Array of ages to calculate
- * @returns {Array} Array of { age, score } objects
+ * @param {Array} [ages] - Ages to calculate (defaults depend on the unit)
+ * @param {Object} [options]
+ * @param {number} [options.messagesPerUnit=0] - Chat pace for the 'both' clock
+ * @returns {Array} Array of { age, unit, messageAge, score } objects
  */
-export function projectDecayCurve(baseScore, decaySettings, ages = [0, 10, 20, 50, 100, 200]) {
-    return ages.map(age => ({
-        age,
-        score: applyTemporalDecay(baseScore, age, decaySettings)
-    }));
+export function projectDecayCurve(baseScore, decaySettings, ages = null, { messagesPerUnit = 0 } = {}) {
+    const isNostalgia = decaySettings.type === 'nostalgia';
+    const clock = isNostalgia ? 'messages' : (decaySettings.clock || 'messages');
+    const unit = clock === 'messages' ? 'messages' : (decaySettings.timeUnit || DEFAULT_DECAY_TIME_UNIT);
+    const unitHours = DECAY_TIME_UNIT_HOURS[unit] || 1;
+
+    return (ages || PROJECTION_AGES[unit]).map(age => {
+        const messageAge = clock === 'messages' ? age : Math.round(age * messagesPerUnit);
+        const score = isNostalgia
+            ? applyNostalgiaBoost(baseScore, messageAge, decaySettings)
+            : applyTemporalDecay(baseScore, messageAge, decaySettings, 1, clock === 'messages' ? null : age * unitHours);
+        return { age, unit, messageAge, score };
+    });
 }
 
 /**
@@ -483,5 +804,9 @@ export default {
     validateDecaySettings,
     projectDecayCurve,
     getDecayStats,
-    getNostalgiaStats
+    getNostalgiaStats,
+    getChunkRecalls,
+    resolveReinforcement,
+    parseSendDate,
+    getChunkAgeHours
 };
@@ -0,0 +1,191 @@
+/**
+ * ============================================================================
+ * VECTHARE TOKEN BUDGET
+ * ============================================================================
+ * Fits injected chunks into a token budget per injection position.
+ *
+ * Budgets follow the same cascade as injection position:
+ *   chunk → collection → global
+ * A budget of 0 (or unset) means unlimited.
+ *
+ * Overflow strategies (applied lowest-scoring chunk first):
+ *   - drop_lowest: Drop chunks until the rest fit
+ *   - truncate:    Cut chunks at a sentence boundary, drop if that isn't enough
+ *   - summary:     Swap chunks for their stored summary, drop if none/not enough
+ *
+ * @author Coneja Chibi | VectHare
+ * @version 2.0.0-alpha
+ * ============================================================================
+ */
+
+import { getTokenCountAsync } from '../../../../tokenizers.js';
+import { getChunkMetadata, getCollectionMeta } from './collection-metadata.js';
+
+// ============================================================================
+// STRATEGY REGISTRY
+// ============================================================================
+
+export const BUDGET_OVERFLOW_STRATEGIES = {
+    drop_lowest: {
+        id: 'drop_lowest',
+        name: 'Drop Lowest Score',
+        description: 'Drop the lowest-scoring chunks until the rest fit',
+    },
+    truncate: {
+        id: 'truncate',
+        name: 'Truncate at Sentence',
+        description: 'Shorten the lowest-scoring chunks at a sentence boundary',
+    },
+    summary: {
+        id: 'summary',
+        name: 'Use Summary',
+        description: 'Replace the lowest-scoring chunks with their stored summary',
+    },
+};
+
+// ============================================================================
+// BUDGET RESOLUTION
+// ============================================================================
+
+/**
+ * Resolves the token budget for a chunk using cascade: chunk → collection → global
+ * @param {object} chunk Chunk with hash and collectionId
+ * @param {object} settings VectHare settings
+ * @returns {number} Token budget (0 = unlimited)
+ */
+export function resolveTokenBudget(chunk, settings) {
+    const chunkMeta = getChunkMetadata(chunk.hash) || {};
+    const collMeta = getCollectionMeta(chunk.collectionId) || {};
+
+    const budget = chunkMeta.tokenBudget ?? collMeta.tokenBudget ?? settings.token_budget ?? 0;
+    return Math.max(0, Number(budget) || 0);
+}
+
+/**
+ * Resolves the budget shared by chunks injected at the same position.
+ * The tightest non-zero budget wins, so a small override is never exceeded.
+ * @param {object[]} chunks Chunks in one position group
+ * @param {object} settings VectHare settings
+ * @returns {number} Token budget (0 = unlimited)
+ */
+export function resolveGroupTokenBudget(chunks, settings) {
+    const budgets = chunks.map(chunk => resolveTokenBudget(chunk, settings)).filter(b => b > 0);
+    return budgets.length > 0 ? Math.min(...budgets) : 0;
+}
+
+// ============================================================================
+// OVERFLOW HANDLING
+// ============================================================================
+
+/**
+ * Gets the stored summary text for a chunk, if any.
+ * Checks the summary field, then the shortest dual-vector summary, then the
+ * summary a chunk was expanded from.
+ * @param {object} chunk Chunk
+ * @returns {string} Summary text, or '' if the chunk has none
+ */
+function getChunkSummary(chunk) {
+    const chunkMeta = getChunkMetadata(chunk.hash) || {};
+    const dualVectorSummary = (chunkMeta.summaries || [])
+        .filter(s => typeof s === 'string' && s.trim())
+        .sort((a, b) => a.length - b.length)[0];
+
+    return chunk.metadata?.summary
+        || chunkMeta.summary
+        || dualVectorSummary
+        || chunk.metadata?.originalSummaryText
+        || '';
+}
+
+/**
+ * Truncates text at a sentence boundary so it fits in maxTokens
+ * @param {string} text Text to truncate
+ * @param {number} maxTokens Token limit for the result
+ * @returns {Promise<string|null>} Truncated text, or null if not even one sentence fits
+ */
+async function truncateAtSentence(text, maxTokens) {
+    if (maxTokens <= 0) {
+        return null;
+    }
+
+    const sentences = text.match(/[^.!?…]+(?:[.!?…]+["'”’)\]]*|$)\s*/g) || [];
+    let result = '';
+
+    for (const sentence of sentences) {
+        const candidate = result + sentence;
+        if (await getTokenCountAsync(candidate.trim()) > maxTokens) {
+            break;
+        }
+        result = candidate;
+    }
+
+    result = result.trim();
+    return result.length > 0 && result.length < text.trim().length ? result : null;
+}
+
+/**
+ * Fits a position group's chunks into a token budget
+ * @param {object[]} chunks Chunks to inject (not mutated)
+ * @param {number} budget Token budget (0 = unlimited)
+ * @param {string} strategy Overflow strategy id (see BUDGET_OVERFLOW_STRATEGIES)
+ * @param {function(object[]): string} renderText Builds the injection text for a set of chunks
+ * @returns {Promise<{chunks: object[], dropped: object[], adjusted: object[], tokens: number}>}
+ *   Kept chunks (copies; adjusted ones carry budgetAction/originalText), dropped chunks,
+ *   adjusted chunks, and the token count of the final text
+ */
+export async function fitChunksToBudget(chunks, budget, strategy, renderText) {
+    let kept = chunks.map(chunk => ({ ...chunk }));
+    let tokens = await getTokenCountAsync(renderText(kept));
+    const dropped = [];
+    const adjusted = [];
+
+    if (!budget || tokens <= budget) {
+        return { chunks: kept, dropped, adjusted, tokens };
+    }
+
+    const tried = new Set();
+
+    while (tokens > budget && kept.length > 0) {
+        const overflow = tokens - budget;
+        const lowestFirst = [...kept].sort((a, b) => (a.score || 0) - (b.score || 0));
+        const target = strategy === 'drop_lowest'
+            ? null
+            : lowestFirst.find(chunk => !tried.has(chunk));
+
+        let victim = lowestFirst[0];
+
+        if (target) {
+            tried.add(target);
+            const originalText = target.text || '';
+            let replacement = null;
+
+            if (strategy === 'summary') {
+                const summary = getChunkSummary(target);
+                replacement = summary && summary.length < originalText.length ? summary : null;
+            } else if (strategy === 'truncate') {
+                const chunkTokens = await getTokenCountAsync(originalText);
+                replacement = await truncateAtSentence(originalText, chunkTokens - overflow);
+            }
+
+            if (replacement) {
+                target.originalText = originalText;
+                target.text = replacement;
+                target.budgetAction = strategy === 'summary' ? 'summarized' : 'truncated';
+                adjusted.push(target);
+                victim = null;
+            } else {
+                // Can't shrink this one - it goes instead
+                victim = target;
+            }
+        }
+
+        if (victim) {
+            kept = kept.filter(chunk => chunk !== victim);
+            dropped.push(victim);
+        }
+
+        tokens = kept.length > 0 ? await getTokenCountAsync(renderText(kept)) : 0;
+    }
+
+    return { chunks: kept, dropped, adjusted: adjusted.filter(chunk => kept.includes(chunk)), tokens };
+}
@@ -3,7 +3,7 @@
  * VECTHARE DIAGNOSTICS - ACTIVATION TESTS
  * ============================================================================
  * Comprehensive tests for conditional activation system
- * Tests all 11 condition types + activation triggers + chunk-only features
+ * Tests all 12 condition types + activation triggers + chunk-only features
  * Returns individual test results for each condition type
  *
  * @author Coneja Chibi
@@ -127,6 +127,15 @@ export async function testConditionalActivation() {
         const frequencyRule = { type: 'frequency', settings: { maxActivations: 3, cooldownMessages: 5 } };
         addTest('Frequency', evaluateConditionRule(frequencyRule, frequencyContext) === true, 'Under max activations');
 
+        // Test: Variable (reads context.variables instead of the live chat/global stores)
+        const variableContext = { ...context, variables: { local: { quest_stage: '3', inventory: '["key","rope"]' }, global: { location: 'Tavern' } } };
+        const variableRules = [
+            { type: 'variable', settings: { name: 'quest_stage', operator: 'gte', value: '2' } },
+            { type: 'variable', settings: { name: 'inventory', operator: 'contains', value: 'rope' } },
+            { type: 'variable', settings: { name: 'location', scope: 'global', operator: 'equals', value: 'tavern' } },
+        ];
+        addTest('Variable', variableRules.every(rule => evaluateConditionRule(rule, variableContext) === true), 'quest_stage >= 2, inventory has rope, location = tavern');
+
         // Test: AND logic
         const chunkWithAndLogic = { text: 'test', hash: 55555, conditions: { enabled: true, logic: 'AND', rules: [
             { type: 'messageCount', settings: { count: 3, operator: 'gte' } },
@@ -187,6 +196,53 @@ export async function testConditionalActivation() {
     }
 }
 
+/**
+ * Test: Saved condition simulator scenarios
+ * Re-runs every scenario saved from the Condition Simulator and reports any
+ * chunk or collection whose outcome changed since the scenario was saved
+ */
+export async function testSavedScenarios() {
+    try {
+        const { getSavedScenarios, checkScenarioExpectations } = await import('../core/condition-simulator.js');
+
+        return getSavedScenarios().map(scenario => {
+            const { passed, failed, skipped, missing } = checkScenarioExpectations(scenario);
+            const name = `Scenario: ${scenario.name || scenario.id}`;
+
+            if (failed.length > 0) {
+                const changed = failed
+                    .map(r => `${r.label} (now ${r.passed ? 'active' : 'blocked'})`)
+                    .join(', ');
+                return {
+                    name,
+                    status: 'fail',
+                    message: `${failed.length} changed: ${changed}. Load it in the Condition Simulator to see which rules flipped, or re-save it if the change is intended.`,
+                    category: 'production'
+                };
+            }
+
+            const extra = [
+                skipped.length ? `${skipped.length} skipped` : '',
+                missing.length ? `${missing.length} no longer have conditions` : ''
+            ].filter(Boolean).join(', ');
+
+            return {
+                name,
+                status: missing.length > 0 ? 'warning' : 'pass',
+                message: `${passed.length} outcomes unchanged${extra ? ` (${extra})` : ''}`,
+                category: 'production'
+            };
+        });
+    } catch (error) {
+        return [{
+            name: 'Condition Scenarios',
+            status: 'fail',
+            message: `Scenario check error: ${error.message}`,
+            category: 'production'
+        }];
+    }
+}
+
 /**
  * Test: Activation triggers system
  * Tests the simple keyword-based activation (like lorebook entries)
@@ -15,6 +15,7 @@ import { getChatCollectionId, getChatUUID, parseCollectionId } from '../core/cha
 import { VALID_EMOTIONS, VALID_GENERATION_TYPES, validateConditionRule } from '../core/conditional-activation.js';
 import { getTemporallyBlindCount, getTemporallyBlindChunks, isChunkTemporallyBlind, isCollectionEnabled } from '../core/collection-metadata.js';
 import { getCollectionRegistry } from '../core/collection-loader.js';
+import { getEmbeddingCacheStats } from '../core/embedding-cache.js';
 
 /**
  * Check: RAG Query Status
@@ -1045,3 +1046,38 @@ export function checkPNGExportCapability() {
         category: 'configuration'
     };
 }
+
+/**
+ * Check: Embedding Cache
+ * Reports hit rate and size of the embedding cache. The fix action clears it.
+ */
+export async function checkEmbeddingCache(settings) {
+    if (settings.embedding_cache_enabled === false) {
+        return {
+            name: 'Embedding Cache',
+            status: 'pass',
+            message: 'Disabled - every text is re-embedded',
+            category: 'configuration'
+        };
+    }
+
+    const stats = await getEmbeddingCacheStats();
+    const hits = stats.memoryHits + stats.diskHits;
+    const hitRate = stats.hitRate === null
+        ? 'No lookups this session'
+        : `${Math.round(stats.hitRate * 100)}% hit rate (${hits} hits: ${stats.memoryHits} memory, ${stats.diskHits} disk; ${stats.misses} misses)`;
+    const size = stats.persistent
+        ? `${stats.diskEntries.toLocaleString()} embeddings stored`
+        : `${stats.memoryEntries.toLocaleString()} in memory only (IndexedDB unavailable)`;
+
+    return {
+        name: 'Embedding Cache',
+        status: stats.persistent ? 'pass' : 'warning',
+        message: `${hitRate} · ${size}`,
+        // Clearing is offered on a passing check only, so "Fix All" never wipes the cache
+        fixable: stats.persistent && stats.diskEntries > 0,
+        fixAction: 'clear_embedding_cache',
+        data: stats,
+        category: 'configuration'
+    };
+}
@@ -17,6 +17,7 @@ import {
     checkPluginEndpoints,
     checkLanceDBBackend,
     checkQdrantBackend,
+    checkIndexedDBBackend,
     checkQdrantDimensionMatch,
     checkEmbeddingProvider,
     checkTransformersMemoryLimits,
@@ -45,7 +46,8 @@ import {
     checkChunkGroupsValidity,
     checkChunkGroupMemberIntegrity,
     checkPromptContextConfig,
-    checkPNGExportCapability
+    checkPNGExportCapability,
+    checkEmbeddingCache
 } from './configuration.js';
 
 import {
@@ -62,7 +64,7 @@ import {
     fixDuplicateHashes
 } from './production-tests.js';
 
-import { testConditionalActivation } from './activation-tests.js';
+import { testConditionalActivation, testSavedScenarios } from './activation-tests.js';
 
 import { runVisualizerTests } from './visualizer-tests.js';
 import { cleanupTestCollections } from '../core/collection-loader.js';
@@ -96,6 +98,7 @@ export async function runDiagnostics(settings, includeProductionTests = false) {
     categories.infrastructure.push(await checkPluginEndpoints());
     categories.infrastructure.push(await checkLanceDBBackend(settings));
     categories.infrastructure.push(await checkQdrantBackend(settings));
+    categories.infrastructure.push(await checkIndexedDBBackend(settings));
     categories.infrastructure.push(await checkQdrantDimensionMatch(settings));
     categories.infrastructure.push(await checkEmbeddingProvider(settings));
 
@@ -169,6 +172,9 @@ export async function runDiagnostics(settings, includeProductionTests = false) {
     // PNG export capability
     categories.configuration.push(checkPNGExportCapability());
 
+    // Embedding cache hit rate and size
+    categories.configuration.push(await checkEmbeddingCache(settings));
+
     // ========== VISUALIZER CHECKS ==========
     // Fast checks always run, slow (API) checks only with production tests
     const visualizerResults = await runVisualizerTests(settings, includeProductionTests);
@@ -189,6 +195,8 @@ export async function runDiagnostics(settings, includeProductionTests = false) {
         // Conditional activation returns an array of individual test results
         const activationResults = await testConditionalActivation();
         categories.production.push(...activationResults);
+        // Scenarios saved from the Condition Simulator act as regression tests
+        categories.production.push(...await testSavedScenarios());
     }
 
     // Flatten all checks
@@ -266,6 +274,9 @@ export function getFixSuggestion(check) {
         case 'Group Member Integrity':
             return 'Click "Fix Now" to remove group members that reference deleted chunks. This can happen after purging or deleting vectors.';
 
+        case 'Embedding Cache':
+            return 'The browser blocked IndexedDB (private window or storage quota), so cached embeddings are lost on reload. Allow site storage for SillyTavern to keep them.';
+
         case 'WebLLM Extension':
             return 'Install the WebLLM extension from Extensions > Download Extensions, then paste: https://github.com/SillyTavern/Extension-WebLLM. Requires Chrome 113+ or Edge 113+ for WebGPU support.';
 
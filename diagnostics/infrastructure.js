@@ -23,6 +23,8 @@ import {
     requiresUrl,
     getUrlProviders
 } from '../core/providers.js';
+import { CLIENT_SIDE_EMBEDDING_SOURCES } from '../core/core-vector-api.js';
+import { initializeBackend } from '../backends/backend-manager.js';
 
 /**
  * Helper: Get provider-specific body parameters for Similharity plugin requests
@@ -370,6 +372,62 @@ export async function checkLanceDBBackend(settings) {
     }
 }
 
+/**
+ * Check: IndexedDB Backend (browser-local storage)
+ * Without the plugin, only browser-side embedding sources can produce vectors for it
+ */
+export async function checkIndexedDBBackend(settings) {
+    const backendName = 'IndexedDB (Browser)';
+
+    if (settings.vector_backend !== 'indexeddb') {
+        return {
+            name: backendName,
+            status: 'skipped',
+            message: `Not selected (using: ${settings.vector_backend || 'standard'})`,
+            category: 'infrastructure'
+        };
+    }
+
+    try {
+        const backend = await initializeBackend('indexeddb', settings);
+        const collections = await backend.discoverCollections();
+        const chunkCount = collections.reduce((sum, c) => sum + c.chunkCount, 0);
+
+        if (!CLIENT_SIDE_EMBEDDING_SOURCES.includes(settings.source)) {
+            let pluginOk = false;
+            try {
+                const response = await fetch('/api/plugins/similharity/health', { method: 'GET', headers: getRequestHeaders() });
+                pluginOk = response.ok;
+            } catch {
+                pluginOk = false;
+            }
+
+            if (!pluginOk) {
+                return {
+                    name: backendName,
+                    status: 'warning',
+                    message: `"${settings.source}" embeds on the server, which needs the Similharity plugin. Use WebLLM, KoboldCpp or BananaBread, or install the plugin`,
+                    category: 'infrastructure'
+                };
+            }
+        }
+
+        return {
+            name: backendName,
+            status: 'pass',
+            message: `Browser storage ready - ${collections.length} collection(s), ${chunkCount} chunks${settings.indexeddb_hnsw ? ' (HNSW on)' : ''}`,
+            category: 'infrastructure'
+        };
+    } catch (error) {
+        return {
+            name: backendName,
+            status: 'fail',
+            message: `IndexedDB unavailable: ${error.message}`,
+            category: 'infrastructure'
+        };
+    }
+}
+
 /**
  * Check: Qdrant Backend (production-grade vector search)
  * Supports local Docker or Qdrant Cloud
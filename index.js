@@ -29,12 +29,16 @@ import { getChatCollectionId } from './core/chat-vectorization.js';
 import { getDefaultDecaySettings } from './core/temporal-decay.js';
 import { migrateOldEnabledKeys } from './core/collection-metadata.js';
 import { clearCollectionRegistry, discoverExistingCollections } from './core/collection-loader.js';
+import { initializeJobQueue } from './core/job-queue.js';
+import { syncSceneSummaries } from './core/summarization.js';
+import { initializeLorebookSync } from './core/lorebook-sync.js';
+import { consolidateChat } from './core/consolidation.js';
 
 // VectHare modules - UI
 import { renderSettings, openDiagnosticsModal, loadWebLlmModels, updateWebLlmStatus, refreshAutoSyncCheckbox } from './ui/ui-manager.js';
 import { initializeVisualizer } from './ui/chunk-visualizer.js';
 import { initializeDatabaseBrowser } from './ui/database-browser.js';
-import { initializeSceneMarkers, updateAllMarkerStates, setSceneSettings } from './ui/scene-markers.js';
+import { initializeSceneMarkers, updateAllMarkerStates, setSceneSettings, refreshSceneCache } from './ui/scene-markers.js';
 
 // VectHare modules - Cotton-Tales Integration
 import './core/emotion-classifier.js'; // Exposes window.VectHareEmotionClassifier
@@ -46,7 +50,7 @@ const MODULE_NAME = 'VectHare';
 const defaultSettings = {
     // Core vector settings
     source: 'transformers',
-    vector_backend: 'standard', // Backend: 'standard' (ST Vectra), 'lancedb', 'qdrant'
+    vector_backend: 'standard', // Backend: 'standard' (ST Vectra), 'lancedb', 'qdrant', 'milvus', 'indexeddb' (browser-local)
     qdrant_host: 'localhost',
     qdrant_port: 6333,
     qdrant_url: '',
@@ -58,10 +62,12 @@ const defaultSettings = {
     milvus_password: '',
     milvus_token: '',
     milvus_address: '',
+    indexeddb_hnsw: false, // Approximate search for large IndexedDB collections
     alt_endpoint_url: '',
     use_alt_endpoint: false,
     rate_limit_calls: 5,
     rate_limit_interval: 60, // seconds
+    embedding_cache_enabled: true, // Reuse embeddings of identical text (see core/embedding-cache.js)
     togetherai_model: 'togethercomputer/m2-bert-80M-32k-retrieval',
     openai_model: 'text-embedding-ada-002',
     electronhub_model: 'text-embedding-3-small',
@@ -72,9 +78,15 @@ const defaultSettings = {
     vllm_model: '',
     webllm_model: '',
     google_model: 'text-embedding-005',
-    bananabread_rerank: false,
+    bananabread_rerank: false, // Legacy - migrated to reranker: 'bananabread'
     bananabread_api_key: '', // Stored here since custom keys aren't returned by ST's readSecretState()
 
+    // Reranking (independent of embedding source - see core/rerankers.js)
+    reranker: 'none',
+    reranker_url: '',      // Empty = reranker default
+    reranker_model: '',    // Empty = reranker default
+    reranker_api_key: '',  // Stored here for the same reason as bananabread_api_key
+
     // Chat vectorization
     enabled_chats: false,
     chunking_strategy: 'per_message', // per_message, conversation_turns, message_batch, adaptive
@@ -89,6 +101,63 @@ const defaultSettings = {
     chunk_size: 500, // For adaptive strategy only
     score_threshold: 0.25,
 
+    // Query construction (see core/query-builder.js)
+    query_mode: 'recent',             // recent, last_user, weighted, rewrite, hyde, multi
+    query_weight_decay: 0.6,          // Weighted mode: weight multiplier per older message
+    query_multi_count: 3,             // Multi-query mode: number of LLM sub-queries
+
+    // Hybrid search (BM25 lexical + vector) - collections can override in their settings
+    hybrid_search_enabled: false,
+    hybrid_fusion_method: 'rrf',      // 'rrf' or 'weighted'
+    hybrid_vector_weight: 0.6,        // Weighted fusion only: vector share (lexical gets the rest)
+    hybrid_rrf_k: 60,
+    hybrid_bm25_k1: 1.2,
+    hybrid_bm25_b: 0.75,
+    hybrid_bypass_threshold: true,    // Lexical matches surface even below score_threshold
+
+    // Diversity (MMR) - re-selects final chunks to avoid near-duplicates
+    mmr_enabled: false,
+    mmr_lambda: 0.7,                  // 1.0 = pure relevance, 0.0 = pure diversity
+    mmr_candidate_multiplier: 3,      // Candidate pool = top_k × multiplier
+
+    // Contradictions - chunks that say similar things from far-apart points in the chat
+    conflict_detection: 'off',        // 'off', 'label' (mark earlier/later) or 'prefer_newer' (drop the older of confirmed pairs)
+    conflict_similarity: 0.85,        // Cosine similarity at which a pair is flagged
+    conflict_min_distance: 20,        // Minimum gap between the pair, in messages
+    conflict_llm_check: false,        // Ask the Summaries model to confirm flagged pairs
+
+    // Token budget per injection position (collections and chunks can override)
+    token_budget: 0,                  // 0 = unlimited
+    token_budget_strategy: 'drop_lowest', // 'drop_lowest', 'truncate', or 'summary'
+
+    // Generated summaries (see core/summarization.js)
+    summary_source: 'main',           // 'main' (connected chat model) or 'endpoint' (OpenAI-compatible)
+    summary_endpoint_url: '',
+    summary_endpoint_model: '',
+    summary_endpoint_api_key: '',     // Stored here for the same reason as reranker_api_key
+    summary_max_tokens: 150,
+    summary_scenes: true,
+    summary_batches: true,
+    summary_long_chunks: true,
+    summary_min_length: 1200,         // Chunks at least this long (chars) count as long chunks
+    summary_auto_scenes: false,       // Summarize new scenes and rebuild/re-summarize edited ones
+
+    // Long-term memory (see core/consolidation.js)
+    consolidation_min_age: 200,       // Chunks at least this many messages old get rolled up
+    consolidation_batch_size: 10,     // Raw chunks per batch summary
+    consolidation_chapter_size: 5,    // Batches per chapter summary
+    consolidation_arc_size: 4,        // Chapters per arc summary
+    consolidation_descend_count: 2,   // Children followed per tier when a summary matches (0 = summary only)
+    consolidation_hide_children: true, // Rolled-up chunks are only reached through their summary
+    consolidation_auto: false,        // Consolidate after new messages arrive
+
+    // Knowledge graph (see core/knowledge-graph.js)
+    graph_enabled: false,             // Extract entities/facts while vectorizing and inject facts about mentioned entities
+    graph_extraction: 'llm',          // 'llm' (Summaries model) or 'patterns' (proper nouns only, no facts)
+    graph_scan_depth: 4,              // Recent messages scanned for entity names
+    graph_max_facts: 12,
+    graph_template: '[Known facts about what was just mentioned]\n{{facts}}',
+
     // Advanced features
     temporal_decay: getDefaultDecaySettings(),
 
@@ -120,6 +189,30 @@ const getBatchSize = () => ['transformers', 'ollama'].includes(settings.source)
 // Chat event handler (debounced)
 const onChatEvent = debounce(async () => await moduleWorker.update(), debounce_timeout.relaxed);
 
+// Scene summary upkeep (debounced - edits and scene changes arrive in bursts)
+const onSceneSummaryEvent = debounce(async () => {
+    if (!settings.summary_auto_scenes) return;
+    try {
+        const result = await syncSceneSummaries(settings);
+        if (result.rebuilt > 0) {
+            await refreshSceneCache();
+            updateAllMarkerStates();
+        }
+    } catch (error) {
+        console.warn('VectHare: Scene summary upkeep failed:', error.message);
+    }
+}, debounce_timeout.relaxed);
+
+// Long-term memory upkeep (debounced - a job only starts once a full batch has aged)
+const onConsolidationEvent = debounce(async () => {
+    if (!settings.consolidation_auto || !settings.enabled_chats) return;
+    try {
+        await consolidateChat(settings);
+    } catch (error) {
+        console.warn('VectHare: Automatic consolidation failed:', error.message);
+    }
+}, debounce_timeout.extended);
+
 /**
  * Generation interceptor - searches and injects relevant messages
  */
@@ -197,6 +290,13 @@ jQuery(async () => {
         extension_settings.vecthare = defaultSettings;
     }
 
+    // Migrate the old BananaBread-only rerank toggle to the reranker registry
+    const legacy = extension_settings.vecthare;
+    if (legacy.reranker === undefined && legacy.bananabread_rerank && legacy.source === 'bananabread') {
+        legacy.reranker = 'bananabread';
+        legacy.bananabread_rerank = false;
+    }
+
     // Merge saved settings with defaults
     settings = {
         ...defaultSettings,
@@ -233,10 +333,22 @@ jQuery(async () => {
     // Initialize database browser
     initializeDatabaseBrowser(settings);
 
+    // Keep synced lorebook collections in step with World Info saves
+    initializeLorebookSync();
+
     // Initialize scene markers on chat messages (settings needed for DB operations)
     setSceneSettings(settings);
     initializeSceneMarkers();
 
+    // Restore vectorization jobs - anything interrupted by the reload comes back paused
+    initializeJobQueue(settings).then(interrupted => {
+        if (interrupted > 0) {
+            toastr.info(`${interrupted} vectorization job(s) were interrupted. Resume them from the jobs panel.`, 'VectHare');
+        }
+    }).catch(err => {
+        console.warn('VectHare: Could not restore vectorization jobs:', err.message);
+    });
+
     // Discover existing collections on load (async, non-blocking)
     discoverExistingCollections(settings).then(collections => {
         if (collections.length > 0) {
@@ -251,7 +363,12 @@ jQuery(async () => {
     eventSource.on(event_types.MESSAGE_EDITED, onChatEvent);
     eventSource.on(event_types.MESSAGE_SENT, onChatEvent);
     eventSource.on(event_types.MESSAGE_RECEIVED, onChatEvent);
+    eventSource.on(event_types.MESSAGE_RECEIVED, onConsolidationEvent);
     eventSource.on(event_types.MESSAGE_SWIPED, onChatEvent);
+    eventSource.on(event_types.MESSAGE_EDITED, onSceneSummaryEvent);
+    eventSource.on(event_types.MESSAGE_DELETED, onSceneSummaryEvent);
+    eventSource.on(event_types.MESSAGE_SWIPED, onSceneSummaryEvent);
+    eventSource.on('vecthare_scenes_changed', onSceneSummaryEvent);
     // When a chat is deleted, purge its vectors (not full purge, just that chat)
     eventSource.on(event_types.CHAT_DELETED, async (chatId) => {
         if (chatId) {
@@ -33,12 +33,35 @@ import {
     deleteSceneChunk,
     updateSceneChunkMetadata,
     getPendingScene,
+    getCurrentCollectionId,
+    createSceneChunk,
+    detectSceneBoundaries,
 } from '../core/scenes.js';
+import { refreshSceneCache, updateAllMarkerStates } from './scene-markers.js';
 import {
     createGroup,
     validateGroup,
     getGroupStats,
 } from '../core/chunk-groups.js';
+import {
+    ENTITY_TYPES,
+    loadKnowledgeGraph,
+    saveKnowledgeGraph,
+    findEntity,
+    upsertEntity,
+    addFact,
+    updateFact,
+    removeFact,
+    removeEntity,
+    mergeEntities,
+    getEntityFacts,
+    extractChatIntoGraph,
+} from '../core/knowledge-graph.js';
+import { getChunkActivation, getTimedState, clearChunkActivation } from '../core/activation-history.js';
+import { KEYWORD_MATCH_MODES, DEFAULT_KEYWORD_MATCH_MODE } from '../core/keyword-matcher.js';
+import { analyzeCollection } from '../core/keyword-learner.js';
+import { CORPUS_MIN_DOCUMENTS } from '../core/constants.js';
+import { pushKeywordEdits } from '../core/lorebook-sync.js';
 import { getContext } from '../../../../extensions.js';
 import { eventSource } from '../../../../../script.js';
 
@@ -92,9 +115,10 @@ function getCollectionIcon() {
 // ============================================================================
 
 /**
- * Normalize keywords to the new format: { text: string, weight: number }
+ * Normalize keywords to the new format: { text: string, weight: number, match?: string }
  * Handles migration from old string[] format
  * Weight is a MULTIPLIER: 1.0 = no boost, 1.5 = 50% boost, 2.0 = double
+ * Match is the keyword's match mode; absent means DEFAULT_KEYWORD_MATCH_MODE
  */
 function normalizeKeywords(keywords) {
     if (!keywords || !Array.isArray(keywords)) return [];
@@ -103,14 +127,27 @@ function normalizeKeywords(keywords) {
         if (typeof k === 'string') {
             return { text: k, weight: 1.5 }; // Default boost for legacy keywords
         }
-        // New format: { text, weight }
+        // New format: { text, weight, match }
         if (k && typeof k === 'object' && k.text) {
-            return { text: k.text, weight: k.weight ?? 1.0 };
+            return KEYWORD_MATCH_MODES[k.match]
+                ? { text: k.text, weight: k.weight ?? 1.0, match: k.match }
+                : { text: k.text, weight: k.weight ?? 1.0 };
         }
         return null;
     }).filter(Boolean);
 }
 
+/**
+ * Keywords a chunk has saved right now (user override, else from the database),
+ * ignoring unsaved edits
+ * @param {object} chunk
+ * @returns {Array<{text: string, weight: number, match?: string}>}
+ */
+function getSavedKeywords(chunk) {
+    const stored = getChunkMetadata(chunk.hash) || {};
+    return normalizeKeywords(stored.keywords !== undefined ? stored.keywords : (chunk.metadata?.keywords || chunk.keywords || []));
+}
+
 function getChunkData(chunk) {
     const stored = getChunkMetadata(chunk.hash) || {};
 
@@ -131,6 +168,7 @@ function getChunkData(chunk) {
         chunkLinks: stored.chunkLinks || [],
         summaries: stored.summaries || [],
         temporallyBlind: stored.temporallyBlind || false,
+        importance: stored.importance ?? 100,
         name: stored.name || null,
         // Prompt context (existing)
         context: stored.context || '',
@@ -138,6 +176,10 @@ function getChunkData(chunk) {
         // Injection position/depth (null = use collection/global default)
         position: stored.position ?? null,
         depth: stored.depth ?? null,
+        tokenBudget: stored.tokenBudget ?? null,
+        // World Info style timed effects, in messages (0 = off)
+        sticky: stored.sticky || 0,
+        cooldown: stored.cooldown || 0,
     };
 }
 
@@ -187,6 +229,13 @@ async function saveAllChanges() {
                 await deleteVectorItems(currentCollectionId, hashesToDelete, currentSettings);
             }
 
+            // Keywords as they were before this edit, for pushing the difference to World Info
+            const chunk = allChunks.find(c => c.hash === hash);
+            const entryUid = chunk?.metadata?.entryUid;
+            const previousKeywords = updates.keywords && entryUid !== undefined && entryUid !== null
+                ? getSavedKeywords(chunk)
+                : null;
+
             // Save to local settings FIRST (without temp tracking fields)
             const toSave = { ...updates };
             delete toSave._newSummaries;
@@ -206,6 +255,14 @@ async function saveAllChanges() {
                 // Only update via API if text was changed (which needs re-vectorization)
                 await updateChunkMetadata(currentCollectionId, hash, metadataUpdates, currentSettings);
             }
+
+            if (previousKeywords) {
+                try {
+                    await pushKeywordEdits(currentCollectionId, entryUid, previousKeywords, updates.keywords);
+                } catch (error) {
+                    console.warn('VectHare: Could not push keyword edits to World Info:', error.message);
+                }
+            }
         }
 
         pendingChanges.clear();
@@ -245,6 +302,10 @@ export function openVisualizer(results, collectionId, settings) {
     pendingChanges.clear();
     hasUnsavedChanges = false;
     activeTab = 'chunks'; // Reset to chunks tab on open
+    sceneProposals = [];
+    knowledgeGraph = null;
+    selectedEntityId = null;
+    graphSearch = '';
 
     // Process chunks - add unique identifier for each chunk
     allChunks = (results?.chunks || []).map((chunk, idx) => ({
@@ -379,6 +440,9 @@ function createModal() {
                     <button class="vecthare-visualizer-tab" data-tab="scenes">
                         <i class="fa-solid fa-bookmark"></i> Scenes
                     </button>
+                    <button class="vecthare-visualizer-tab" data-tab="graph">
+                        <i class="fa-solid fa-diagram-project"></i> Graph
+                    </button>
                     ` : ''}
                     <button class="vecthare-visualizer-tab" data-tab="groups">
                         <i class="fa-solid fa-layer-group"></i> Groups
@@ -420,6 +484,7 @@ function createModal() {
                             <div class="vecthare-bulk-buttons" id="vecthare_bulk_buttons" style="display: none;">
                                 <button class="vecthare-bulk-btn" id="vecthare_bulk_enable">Enable All</button>
                                 <button class="vecthare-bulk-btn" id="vecthare_bulk_disable">Disable All</button>
+                                <button class="vecthare-bulk-btn" id="vecthare_bulk_suggest_keywords" title="Suggest keywords that set each listed chunk apart from the rest of the collection">Suggest Keywords</button>
                             </div>
                         </div>
                         <div class="vecthare-list-status" id="vecthare_list_status"></div>
@@ -436,6 +501,20 @@ function createModal() {
                 <div class="vecthare-visualizer-body vecthare-vis-tab-content vecthare-scenes-tab" data-tab="scenes">
                     <div class="vecthare-scenes-container" id="vecthare_scenes_container"></div>
                 </div>
+                <div class="vecthare-visualizer-body vecthare-vis-tab-content vecthare-graph-tab" data-tab="graph">
+                    <div class="vecthare-groups-toolbar">
+                        <div class="vecthare-graph-toolbar-actions">
+                            <button class="vecthare-btn-primary" id="vecthare_graph_add_entity">
+                                <i class="fa-solid fa-plus"></i> New Entity
+                            </button>
+                            <button class="vecthare-btn-small" id="vecthare_graph_extract" title="Extract entities and facts from messages not in the graph yet">
+                                <i class="fa-solid fa-wand-magic-sparkles"></i> Extract From Chat
+                            </button>
+                        </div>
+                        <div class="vecthare-groups-stats" id="vecthare_graph_stats"></div>
+                    </div>
+                    <div class="vecthare-groups-container" id="vecthare_graph_container"></div>
+                </div>
                 ` : ''}
 
                 <!-- Groups Tab Content -->
@@ -468,6 +547,8 @@ function createModal() {
 // We filter them from allChunks to display in the Scenes tab
 
 let selectedSceneHash = null;
+let sceneProposals = []; // Auto-detected {start, end, score, reasons} awaiting accept/reject
+let isDetectingScenes = false;
 
 /**
  * Gets scene chunks from the loaded collection
@@ -487,14 +568,23 @@ function renderScenesTab() {
     const sceneChunks = getSceneChunks();
     const pendingScene = getPendingScene();
 
-    if (sceneChunks.length === 0 && !pendingScene) {
+    const detectButton = `
+        <button class="vecthare-scene-action-btn" id="vecthare_detect_scenes" ${isDetectingScenes ? 'disabled' : ''}
+                title="Propose scenes from topic shifts, time-skip phrases and speaker changes">
+            <i class="fa-solid ${isDetectingScenes ? 'fa-spinner fa-spin' : 'fa-wand-magic-sparkles'}"></i> Auto-detect
+        </button>
+    `;
+
+    if (sceneChunks.length === 0 && !pendingScene && sceneProposals.length === 0) {
         container.html(`
             <div class="vecthare-scenes-empty-full">
                 <i class="fa-solid fa-bookmark"></i>
                 <p><strong>No scenes in this collection</strong></p>
-                <p>Mark scene starts and ends on chat messages using the bookmark buttons</p>
+                <p>Mark scene starts and ends on chat messages using the bookmark buttons, or let VectHare propose them</p>
+                ${detectButton}
             </div>
         `);
+        bindScenesTabEvents();
         return;
     }
 
@@ -505,7 +595,9 @@ function renderScenesTab() {
             <div class="vecthare-scene-list-status">
                 <span>${sceneChunks.length} scene${sceneChunks.length !== 1 ? 's' : ''}</span>
                 ${pendingScene ? '<span class="vecthare-badge-open">1 pending</span>' : ''}
+                ${detectButton}
             </div>
+            <div class="vecthare-scene-proposals" id="vecthare_scene_proposals"></div>
             <div class="vecthare-scene-list" id="vecthare_scene_list"></div>
         </div>
         <!-- Right: Scene Detail -->
@@ -514,10 +606,129 @@ function renderScenesTab() {
         </div>
     `);
 
+    renderSceneProposals();
     renderSceneList();
     bindScenesTabEvents();
 }
 
+/**
+ * Renders auto-detected scene proposals above the scene list
+ */
+function renderSceneProposals() {
+    const container = $('#vecthare_scene_proposals');
+    if (sceneProposals.length === 0) {
+        container.empty();
+        return;
+    }
+
+    const messages = getContext()?.chat || [];
+    const items = sceneProposals.map((proposal, index) => {
+        const msgCount = proposal.end - proposal.start + 1;
+        const reasons = proposal.reasons.length > 0 ? proposal.reasons.join(' • ') : 'Between existing scene boundaries';
+
+        let preview = (messages[proposal.start]?.mes || '').substring(0, 60).replace(/\s+/g, ' ');
+        if ((messages[proposal.start]?.mes || '').length > 60) preview += '...';
+
+        return `
+            <div class="vecthare-scene-proposal" data-proposal-index="${index}">
+                <div class="vecthare-scene-item-meta">
+                    <span class="vecthare-scene-item-range">#${proposal.start} - #${proposal.end}</span>
+                    <span class="vecthare-scene-item-badge closed">${msgCount} msgs</span>
+                    <span class="vecthare-scene-item-badge">${Math.round(proposal.score * 100)}%</span>
+                </div>
+                ${preview ? `<div class="vecthare-scene-item-preview">${escapeHtml(preview)}</div>` : ''}
+                <div class="vecthare-scene-proposal-reasons">${escapeHtml(reasons)}</div>
+                <div class="vecthare-scene-proposal-actions">
+                    <button class="vecthare-scene-proposal-accept" title="Create this scene"><i class="fa-solid fa-check"></i> Accept</button>
+                    <button class="vecthare-scene-proposal-reject" title="Discard this proposal"><i class="fa-solid fa-xmark"></i> Reject</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    container.html(`
+        <div class="vecthare-scene-proposals-header">
+            <span>${sceneProposals.length} proposed scene${sceneProposals.length !== 1 ? 's' : ''}</span>
+            <button class="vecthare-scene-proposal-accept" id="vecthare_accept_all_proposals">Accept all</button>
+            <button class="vecthare-scene-proposal-reject" id="vecthare_reject_all_proposals">Reject all</button>
+        </div>
+        ${items}
+    `);
+}
+
+/**
+ * Runs scene auto-detection on the open chat and shows the proposals
+ */
+async function runSceneDetection() {
+    if (isDetectingScenes) return;
+
+    // Scenes are created in the open chat, so it has to be the one we're viewing
+    if (getCurrentCollectionId() !== currentCollectionId) {
+        toastr.warning('Open this chat to detect scenes in it');
+        return;
+    }
+
+    const messages = getContext()?.chat;
+    if (!Array.isArray(messages) || messages.length === 0) {
+        toastr.warning('No chat messages available');
+        return;
+    }
+
+    isDetectingScenes = true;
+    renderScenesTab();
+
+    try {
+        const { proposals, driftAvailable } = await detectSceneBoundaries(messages, getSceneChunks(), currentSettings);
+        sceneProposals = proposals;
+
+        if (proposals.length === 0) {
+            toastr.info('No scene boundaries found');
+        } else if (!driftAvailable) {
+            toastr.warning('Embeddings unavailable - proposals use phrases and speakers only');
+        }
+    } catch (error) {
+        console.error('VectHare Scenes: Auto-detection failed', error);
+        toastr.error(`Scene detection failed: ${error.message}`);
+    } finally {
+        isDetectingScenes = false;
+        renderScenesTab();
+    }
+}
+
+/**
+ * Creates scene chunks for proposals and removes them from the list
+ * @param {object[]} proposals - Proposals to accept
+ */
+async function acceptSceneProposals(proposals) {
+    // Block double clicks while scenes are inserted; the re-render re-enables them
+    $('.vecthare-scene-proposal-accept, .vecthare-scene-proposal-reject').prop('disabled', true);
+    let created = 0;
+
+    for (const proposal of proposals) {
+        const result = await createSceneChunk(proposal.start, proposal.end, {}, currentSettings);
+        if (!result.success) {
+            toastr.error(`Scene #${proposal.start}-#${proposal.end}: ${result.error || 'Failed to create scene'}`);
+            continue;
+        }
+
+        allChunks.push({
+            ...result.chunk,
+            uniqueId: `chunk_${allChunks.length}_${result.chunk.hash}`,
+            data: getChunkData(result.chunk),
+        });
+        sceneProposals = sceneProposals.filter(p => p !== proposal);
+        created++;
+    }
+
+    if (created > 0) {
+        toastr.success(`Created ${created} scene${created !== 1 ? 's' : ''}`);
+        await refreshSceneCache();
+        updateAllMarkerStates();
+        eventSource.emit('vecthare_scenes_changed');
+    }
+    renderScenesTab();
+}
+
 /**
  * Renders the scene list (left panel)
  */
@@ -691,6 +902,30 @@ function bindScenesTabEvents() {
         renderSceneList();
         renderSceneDetailPanel();
     });
+
+    $(document).off('click', '#vecthare_detect_scenes').on('click', '#vecthare_detect_scenes', runSceneDetection);
+
+    $(document).off('click', '.vecthare-scene-proposal .vecthare-scene-proposal-accept')
+        .on('click', '.vecthare-scene-proposal .vecthare-scene-proposal-accept', function() {
+            const proposal = sceneProposals[$(this).closest('.vecthare-scene-proposal').data('proposal-index')];
+            if (proposal) acceptSceneProposals([proposal]);
+        });
+
+    $(document).off('click', '.vecthare-scene-proposal .vecthare-scene-proposal-reject')
+        .on('click', '.vecthare-scene-proposal .vecthare-scene-proposal-reject', function() {
+            const proposal = sceneProposals[$(this).closest('.vecthare-scene-proposal').data('proposal-index')];
+            sceneProposals = sceneProposals.filter(p => p !== proposal);
+            renderScenesTab();
+        });
+
+    $(document).off('click', '#vecthare_accept_all_proposals').on('click', '#vecthare_accept_all_proposals', function() {
+        acceptSceneProposals([...sceneProposals]);
+    });
+
+    $(document).off('click', '#vecthare_reject_all_proposals').on('click', '#vecthare_reject_all_proposals', function() {
+        sceneProposals = [];
+        renderScenesTab();
+    });
 }
 
 function bindSceneDetailEvents() {
@@ -1199,6 +1434,344 @@ function bindGroupDetailEvents() {
     });
 }
 
+// ============================================================================
+// KNOWLEDGE GRAPH TAB
+// ============================================================================
+
+let knowledgeGraph = null; // Loaded when the tab opens
+let selectedEntityId = null;
+let graphSearch = '';
+
+/**
+ * Saves the graph and re-renders the entity list
+ */
+async function persistGraph() {
+    try {
+        await saveKnowledgeGraph(knowledgeGraph);
+    } catch (error) {
+        console.error('VectHare: Failed to save knowledge graph', error);
+        toastr.error('Failed to save knowledge graph');
+    }
+    renderEntityList();
+    renderGraphStats();
+}
+
+/**
+ * Renders the knowledge graph tab content
+ */
+async function renderGraphTab() {
+    const container = $('#vecthare_graph_container');
+    if (!container.length || !currentCollectionId) return;
+
+    knowledgeGraph = await loadKnowledgeGraph(currentCollectionId);
+    renderGraphStats();
+
+    if (knowledgeGraph.entities.length === 0) {
+        container.html(`
+            <div class="vecthare-groups-empty">
+                <i class="fa-solid fa-diagram-project"></i>
+                <p>No entities yet</p>
+                <span>Turn on the knowledge graph in settings and vectorize, click "Extract From Chat", or add entities by hand</span>
+            </div>
+        `);
+        bindGraphTabEvents();
+        return;
+    }
+
+    container.html(`
+        <div class="vecthare-group-list-panel">
+            <input type="text" class="vecthare-graph-search" id="vecthare_graph_search" placeholder="🔍 Search entities..." value="${escapeHtml(graphSearch)}">
+            <div class="vecthare-group-list" id="vecthare_entity_list"></div>
+        </div>
+        <div class="vecthare-group-detail-panel" id="vecthare_entity_detail">
+            <div class="vecthare-detail-empty">Select an entity to view its facts</div>
+        </div>
+    `);
+
+    renderEntityList();
+    renderEntityDetailPanel();
+    bindGraphTabEvents();
+}
+
+/**
+ * Renders entity and fact counts in the toolbar
+ */
+function renderGraphStats() {
+    if (!knowledgeGraph) return;
+    const entities = knowledgeGraph.entities.length;
+    const facts = knowledgeGraph.facts.length;
+    $('#vecthare_graph_stats').html(entities > 0
+        ? `<span>${entities} entit${entities !== 1 ? 'ies' : 'y'}</span>
+           <span class="vecthare-stat-divider">|</span>
+           <span>${facts} fact${facts !== 1 ? 's' : ''}</span>`
+        : '');
+}
+
+/**
+ * Renders the entity list (left panel), most-mentioned first
+ */
+function renderEntityList() {
+    const container = $('#vecthare_entity_list');
+    if (!container.length || !knowledgeGraph) return;
+
+    const query = graphSearch.toLowerCase();
+    const entities = knowledgeGraph.entities
+        .filter(entity => !query || [entity.name, ...entity.aliases].some(name => name.toLowerCase().includes(query)))
+        .sort((a, b) => b.mentions - a.mentions || a.name.localeCompare(b.name));
+
+    if (entities.length === 0) {
+        container.html('<div class="vecthare-empty-hint">No matching entities</div>');
+        return;
+    }
+
+    container.html(entities.map(entity => {
+        const factCount = knowledgeGraph.facts.filter(fact => fact.subject === entity.id).length;
+        return `
+            <div class="vecthare-group-item vecthare-entity-item ${entity.id === selectedEntityId ? 'selected' : ''}" data-entity-id="${entity.id}">
+                <div class="vecthare-group-item-header">
+                    <span class="vecthare-group-name">${escapeHtml(entity.name)}</span>
+                </div>
+                <div class="vecthare-group-item-meta">
+                    <span class="vecthare-graph-type">${escapeHtml(entity.type)}</span>
+                    <span>${factCount} fact${factCount !== 1 ? 's' : ''}</span>
+                    ${entity.lastSeen !== null ? `<span>last #${entity.lastSeen}</span>` : ''}
+                </div>
+            </div>
+        `;
+    }).join(''));
+}
+
+/**
+ * Renders the selected entity's details and facts (right panel)
+ */
+function renderEntityDetailPanel() {
+    const container = $('#vecthare_entity_detail');
+    const entity = knowledgeGraph?.entities.find(e => e.id === selectedEntityId);
+
+    if (!entity) {
+        container.html('<div class="vecthare-detail-empty">Select an entity to view its facts</div>');
+        return;
+    }
+
+    const facts = getEntityFacts(knowledgeGraph, entity.id);
+    const others = knowledgeGraph.entities.filter(e => e.id !== entity.id).sort((a, b) => a.name.localeCompare(b.name));
+
+    container.html(`
+        <div class="vecthare-group-detail-content">
+            <div class="vecthare-group-detail-header">
+                <input type="text" class="vecthare-group-name-input" id="vecthare_entity_name"
+                       value="${escapeHtml(entity.name)}" placeholder="Entity name">
+                <button class="vecthare-btn-danger" id="vecthare_delete_entity" title="Delete entity and its facts">
+                    <i class="fa-solid fa-trash"></i>
+                </button>
+            </div>
+
+            <div class="vecthare-group-settings">
+                <div class="vecthare-group-setting-row">
+                    <label>Type</label>
+                    <select id="vecthare_entity_type" class="vecthare-group-select">
+                        ${ENTITY_TYPES.map(type => `<option value="${type}" ${entity.type === type ? 'selected' : ''}>${type}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="vecthare-group-setting-row">
+                    <label>Aliases</label>
+                    <input type="text" id="vecthare_entity_aliases" class="vecthare-group-input"
+                           value="${escapeHtml(entity.aliases.join(', '))}" placeholder="Comma-separated">
+                </div>
+                <div class="vecthare-group-setting-row">
+                    <label>Description</label>
+                    <input type="text" id="vecthare_entity_description" class="vecthare-group-input"
+                           value="${escapeHtml(entity.description || '')}" placeholder="Injected with its facts">
+                </div>
+                ${others.length > 0 ? `
+                <div class="vecthare-group-setting-row">
+                    <label>Merge</label>
+                    <select id="vecthare_entity_merge_target" class="vecthare-group-select">
+                        <option value="">Fold another entity into this one...</option>
+                        ${others.map(e => `<option value="${e.id}">${escapeHtml(e.name)}</option>`).join('')}
+                    </select>
+                    <button class="vecthare-btn-small" id="vecthare_entity_merge">Merge</button>
+                </div>
+                ` : ''}
+            </div>
+
+            <div class="vecthare-group-members-section">
+                <div class="vecthare-group-members-header">
+                    <h4><i class="fa-solid fa-list"></i> Facts (${facts.length})</h4>
+                </div>
+                <div class="vecthare-group-members-list">
+                    ${facts.map(fact => `
+                        <div class="vecthare-graph-fact" data-fact-id="${fact.id}">
+                            <input type="text" class="vecthare-fact-predicate" value="${escapeHtml(fact.predicate)}" placeholder="predicate">
+                            <input type="text" class="vecthare-fact-object" value="${escapeHtml(fact.object)}" placeholder="object">
+                            <span class="vecthare-graph-fact-source" title="${fact.origin === 'manual' ? 'Edited by hand' : 'Extracted'}">
+                                ${fact.messageId !== null ? `#${fact.messageId}` : ''}${fact.origin === 'manual' ? ' ✎' : ''}
+                            </span>
+                            <button class="vecthare-member-remove vecthare-fact-remove" title="Delete fact">
+                                <i class="fa-solid fa-times"></i>
+                            </button>
+                        </div>
+                    `).join('')}
+                    <div class="vecthare-graph-fact vecthare-graph-fact-new">
+                        <input type="text" id="vecthare_new_fact_predicate" placeholder="e.g. carries">
+                        <input type="text" id="vecthare_new_fact_object" placeholder="e.g. a broken sword">
+                        <button class="vecthare-btn-small" id="vecthare_add_fact">
+                            <i class="fa-solid fa-plus"></i> Add
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `);
+
+    bindEntityDetailEvents(entity);
+}
+
+/**
+ * Binds events for the graph tab (toolbar and entity list)
+ */
+function bindGraphTabEvents() {
+    $('#vecthare_graph_add_entity').off('click').on('click', async function() {
+        const name = prompt('Entity name:');
+        if (!name?.trim()) return;
+        if (findEntity(knowledgeGraph, name)) {
+            toastr.info('An entity with that name or alias already exists');
+            return;
+        }
+        const entity = upsertEntity(knowledgeGraph, { name, origin: 'manual' });
+        selectedEntityId = entity.id;
+        await saveKnowledgeGraph(knowledgeGraph);
+        renderGraphTab();
+    });
+
+    $('#vecthare_graph_extract').off('click').on('click', async function() {
+        if (currentCollectionId !== getCurrentCollectionId()) {
+            toastr.warning('Open this chat first - extraction reads the open chat');
+            return;
+        }
+        const button = $(this).prop('disabled', true);
+        try {
+            const result = await extractChatIntoGraph(currentCollectionId, currentSettings);
+            if (!result.jobId) {
+                toastr.info('Every message is already in the knowledge graph');
+            } else if (result.success) {
+                toastr.success(`Extracted ${result.facts} facts`);
+            }
+            renderGraphTab();
+        } catch (error) {
+            toastr.error(`Extraction failed: ${error.message}`);
+        } finally {
+            button.prop('disabled', false);
+        }
+    });
+
+    $('#vecthare_graph_search').off('input').on('input', function() {
+        graphSearch = String($(this).val());
+        renderEntityList();
+    });
+
+    $(document).off('click', '.vecthare-entity-item').on('click', '.vecthare-entity-item', function() {
+        selectedEntityId = String($(this).data('entity-id'));
+        renderEntityList();
+        renderEntityDetailPanel();
+    });
+}
+
+/**
+ * Binds events for the entity detail panel
+ * @param {object} entity Selected entity
+ */
+function bindEntityDetailEvents(entity) {
+    $('#vecthare_entity_name').off('change').on('change', function() {
+        const name = String($(this).val()).trim();
+        const clash = findEntity(knowledgeGraph, name);
+        if (!name || (clash && clash.id !== entity.id)) {
+            toastr.warning(name ? `"${name}" already belongs to ${clash.name} - merge them instead` : 'Name cannot be empty');
+            $(this).val(entity.name);
+            return;
+        }
+        entity.name = name;
+        entity.aliases = entity.aliases.filter(alias => alias.toLowerCase() !== name.toLowerCase());
+        persistGraph();
+    });
+
+    $('#vecthare_entity_type').off('change').on('change', function() {
+        entity.type = String($(this).val());
+        persistGraph();
+    });
+
+    $('#vecthare_entity_aliases').off('change').on('change', function() {
+        const aliases = String($(this).val()).split(',').map(alias => alias.trim()).filter(Boolean);
+        const taken = aliases.filter(alias => {
+            const owner = findEntity(knowledgeGraph, alias);
+            return owner && owner.id !== entity.id;
+        });
+        if (taken.length > 0) {
+            toastr.warning(`Already used by other entities: ${taken.join(', ')}`);
+        }
+        entity.aliases = aliases.filter(alias => !taken.includes(alias) && alias.toLowerCase() !== entity.name.toLowerCase());
+        $(this).val(entity.aliases.join(', '));
+        persistGraph();
+    });
+
+    $('#vecthare_entity_description').off('change').on('change', function() {
+        entity.description = String($(this).val()).trim();
+        persistGraph();
+    });
+
+    $('#vecthare_entity_merge').off('click').on('click', async function() {
+        const mergeId = String($('#vecthare_entity_merge_target').val() || '');
+        const other = knowledgeGraph.entities.find(e => e.id === mergeId);
+        if (!other || !confirm(`Fold "${other.name}" into "${entity.name}"? Its names and facts move over.`)) return;
+        mergeEntities(knowledgeGraph, entity.id, mergeId);
+        await persistGraph();
+        renderEntityDetailPanel();
+        toastr.success(`Merged ${other.name} into ${entity.name}`);
+    });
+
+    $('#vecthare_delete_entity').off('click').on('click', async function() {
+        if (!confirm(`Delete "${entity.name}" and its facts?`)) return;
+        removeEntity(knowledgeGraph, entity.id);
+        selectedEntityId = null;
+        await saveKnowledgeGraph(knowledgeGraph);
+        renderGraphTab();
+    });
+
+    $('.vecthare-fact-predicate, .vecthare-fact-object').off('change').on('change', function() {
+        const row = $(this).closest('.vecthare-graph-fact');
+        const field = $(this).hasClass('vecthare-fact-predicate') ? 'predicate' : 'object';
+        const value = String($(this).val()).trim();
+        if (!value) {
+            toastr.warning('Facts need both parts - delete the fact instead');
+            renderEntityDetailPanel();
+            return;
+        }
+        updateFact(knowledgeGraph, String(row.data('fact-id')), { [field]: value });
+        persistGraph();
+    });
+
+    $('.vecthare-fact-remove').off('click').on('click', async function() {
+        removeFact(knowledgeGraph, String($(this).closest('.vecthare-graph-fact').data('fact-id')));
+        await persistGraph();
+        renderEntityDetailPanel();
+    });
+
+    $('#vecthare_add_fact').off('click').on('click', async function() {
+        const fact = addFact(knowledgeGraph, {
+            subject: entity.id,
+            predicate: $('#vecthare_new_fact_predicate').val(),
+            object: $('#vecthare_new_fact_object').val(),
+            origin: 'manual',
+        });
+        if (!fact) {
+            toastr.warning('Fill in both parts of the fact');
+            return;
+        }
+        await persistGraph();
+        renderEntityDetailPanel();
+    });
+}
+
 // ============================================================================
 // CHUNK LIST RENDERING
 // ============================================================================
@@ -1383,6 +1956,33 @@ function renderDetailPanel() {
                         </label>
                     </div>
                 </div>
+                <div class="vecthare-detail-importance">
+                    <div class="vecthare-importance-slider-row" title="Scales how slowly this chunk fades when the collection uses decay reinforcement">
+                        <span class="vecthare-toggle-label">Importance</span>
+                        <input type="range" class="vecthare-importance-slider" id="vecthare_detail_importance"
+                               min="0" max="200" step="10" value="${data.importance}">
+                        <span class="vecthare-importance-value" id="vecthare_detail_importance_value">${data.importance}%</span>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Activation History Section -->
+            <div class="vecthare-detail-section">
+                <div class="vecthare-detail-section-title">
+                    <i class="fa-solid fa-clock-rotate-left"></i> Activation
+                    <span class="vecthare-section-hint">(timed effects and history in this chat)</span>
+                </div>
+                <div class="vecthare-context-injection-row">
+                    <label title="Keep injecting for this many messages after it is injected, even when it isn't retrieved">Sticky (messages):</label>
+                    <input type="number" id="vecthare_chunk_sticky" class="vecthare-chunk-xmltag-input" min="0" step="1"
+                           placeholder="0" value="${data.sticky || ''}">
+                </div>
+                <div class="vecthare-context-injection-row">
+                    <label title="Don't inject again for this many messages after it is injected (counted from the end of sticky)">Cooldown (messages):</label>
+                    <input type="number" id="vecthare_chunk_cooldown" class="vecthare-chunk-xmltag-input" min="0" step="1"
+                           placeholder="0" value="${data.cooldown || ''}">
+                </div>
+                ${renderActivationHistory(chunk.hash)}
             </div>
 
             <!-- Prompt Context Section -->
@@ -1414,6 +2014,11 @@ function renderDetailPanel() {
                         <input type="range" id="vecthare_chunk_depth" class="vecthare-chunk-depth-slider"
                                min="0" max="50" step="1" value="${data.depth ?? 2}">
                     </div>
+                    <div class="vecthare-context-injection-row">
+                        <label>Token budget:</label>
+                        <input type="number" id="vecthare_chunk_token_budget" class="vecthare-chunk-xmltag-input" min="0" step="50"
+                               placeholder="Use default" value="${data.tokenBudget ?? ''}">
+                    </div>
                     <div class="vecthare-context-hint">Supports {{user}} and {{char}}. XML tag wraps just this chunk.</div>
                 </div>
             </div>
@@ -1428,14 +2033,16 @@ function renderDetailPanel() {
                 </div>
                 <div class="vecthare-detail-keywords" id="vecthare_keywords_container">
                     ${plaintextKeywordMode ? `
-                        <textarea class="vecthare-keyword-plaintext" id="vecthare_keywords_plaintext" placeholder="keyword:1.5x, another:2x, plain">${data.keywords.map(k => k.weight !== 1.0 ? `${k.text}:${k.weight}x` : k.text).join(', ')}</textarea>
-                        <div class="vecthare-keyword-plaintext-hint">Format: keyword:2x for boost, or just keyword (defaults to 1.5x)</div>
+                        <textarea class="vecthare-keyword-plaintext" id="vecthare_keywords_plaintext" placeholder="keyword:1.5x, another:2x@fuzzy, plain">${escapeHtml(data.keywords.map(formatPlaintextKeyword).join(', '))}</textarea>
+                        <div class="vecthare-keyword-plaintext-hint">Format: keyword:2x for boost, or just keyword (defaults to 1.5x). Add @exact, @stem, @fuzzy or @regex to set how it matches (default @${DEFAULT_KEYWORD_MATCH_MODE})</div>
                     ` : `
                         <div class="vecthare-keywords-list">
                             ${data.keywords.map((k, idx) => `
                                 <span class="vecthare-keyword-tag" data-index="${idx}">
                                     <span class="vecthare-keyword-tag-text">${escapeHtml(k.text || 'unnamed')}</span>
                                     <span class="vecthare-keyword-tag-weight">${k.weight}x</span>
+                                    <span class="vecthare-keyword-tag-mode ${k.match ? '' : 'default'}" data-index="${idx}"
+                                          title="${escapeHtml(KEYWORD_MATCH_MODES[k.match || DEFAULT_KEYWORD_MATCH_MODE].description)} - click to change">${k.match || DEFAULT_KEYWORD_MATCH_MODE}</span>
                                     <i class="fa-solid fa-xmark vecthare-keyword-remove" data-index="${idx}"></i>
                                 </span>
                             `).join('')}
@@ -1525,6 +2132,41 @@ function renderDetailPanel() {
     bindDetailEvents();
 }
 
+/**
+ * Renders a chunk's injection history in the current chat
+ * @param {string|number} hash Chunk hash
+ * @returns {string} HTML
+ */
+function renderActivationHistory(hash) {
+    const activation = getChunkActivation(hash);
+    if (!activation) {
+        return '<div class="vecthare-activation-empty">Not injected in this chat yet</div>';
+    }
+
+    const messageCount = getContext().chat?.length || 0;
+    const timed = getTimedState(hash, messageCount);
+    const timedLabel = timed
+        ? `<span class="vecthare-activation-state ${timed.state}">${timed.state === 'sticky' ? 'Sticky' : 'Cooldown'} until message #${timed.until}</span>`
+        : '';
+
+    return `
+        <div class="vecthare-activation-history">
+            <div class="vecthare-activation-summary">
+                Injected <strong>${activation.count}×</strong>, first at message #${activation.firstActivation}, last at #${activation.lastActivation}
+                ${timedLabel}
+            </div>
+            <div class="vecthare-activation-list">
+                ${[...activation.recent].reverse().map(entry => `
+                    <span class="vecthare-activation-chip" title="${new Date(entry.at).toLocaleString()}">#${entry.message}${entry.type && entry.type !== 'normal' ? ` · ${escapeHtml(entry.type)}` : ''}</span>
+                `).join('')}
+            </div>
+            <button class="vecthare-btn-sm" id="vecthare_chunk_clear_history" title="Forget this chunk's history in this chat (ends sticky and cooldown)">
+                <i class="fa-solid fa-eraser"></i> Reset
+            </button>
+        </div>
+    `;
+}
+
 function formatConditionRule(rule) {
     if (!rule || !rule.type) return 'Unknown condition';
     const negation = rule.negated ? 'NOT ' : '';
@@ -1533,6 +2175,8 @@ function formatConditionRule(rule) {
         case 'emotion': return `${negation}emotion: ${rule.value}`;
         case 'isGroupChat': return `${negation}isGroupChat`;
         case 'speaker': return `${negation}speaker: ${rule.value}`;
+        case 'variable': return `${negation}${rule.settings?.name} ${rule.settings?.operator || 'equals'} ${rule.settings?.operator === 'exists' ? '' : rule.settings?.value ?? ''}`.trim();
+        case 'group': return `${rule.negate ? 'NOT ' : ''}(${(rule.rules || []).map(formatConditionRule).join(` ${rule.logic || 'AND'} `)})`;
         default: return `${negation}${rule.type}: ${rule.value || ''}`;
     }
 }
@@ -1576,6 +2220,8 @@ function bindEvents() {
             renderScenesTab();
         } else if (tab === 'groups') {
             renderGroupsTab();
+        } else if (tab === 'graph') {
+            renderGraphTab();
         }
     });
 
@@ -1636,6 +2282,7 @@ function bindEvents() {
 
     $('#vecthare_bulk_enable').on('click', () => bulkSetEnabled(true));
     $('#vecthare_bulk_disable').on('click', () => bulkSetEnabled(false));
+    $('#vecthare_bulk_suggest_keywords').on('click', openKeywordSuggestions);
 }
 
 function bindDetailEvents() {
@@ -1722,6 +2369,13 @@ function bindDetailEvents() {
         renderChunkList();
     });
 
+    $('#vecthare_detail_importance').on('input', function() {
+        const importance = parseInt($(this).val()) || 0;
+        $('#vecthare_detail_importance_value').text(`${importance}%`);
+        chunk.data.importance = importance;
+        updateChunkData(chunk.hash, { importance });
+    });
+
     // Prompt context input
     $('#vecthare_chunk_context').on('input', debounce(function() {
         const context = $(this).val();
@@ -1755,6 +2409,25 @@ function bindDetailEvents() {
         updateChunkData(chunk.hash, { depth: chunk.data.depth });
     });
 
+    // Token budget override (empty = use collection/global default)
+    $('#vecthare_chunk_token_budget').on('input', function() {
+        const val = $(this).val();
+        chunk.data.tokenBudget = val === '' ? null : Math.max(0, parseInt(val) || 0);
+        updateChunkData(chunk.hash, { tokenBudget: chunk.data.tokenBudget });
+    });
+
+    // Timed effects
+    $('#vecthare_chunk_sticky, #vecthare_chunk_cooldown').on('input', function() {
+        const key = this.id === 'vecthare_chunk_sticky' ? 'sticky' : 'cooldown';
+        chunk.data[key] = Math.max(0, parseInt($(this).val()) || 0);
+        updateChunkData(chunk.hash, { [key]: chunk.data[key] });
+    });
+
+    $('#vecthare_chunk_clear_history').on('click', () => {
+        clearChunkActivation(chunk.hash);
+        renderDetailPanel();
+    });
+
     // Delete chunk
     $('#vecthare_delete_chunk').on('click', () => deleteChunk(chunk));
 
@@ -1796,6 +2469,16 @@ function bindDetailEvents() {
         });
     });
 
+    // Keyword match mode - cycles exact -> stem -> fuzzy -> regex
+    $('.vecthare-keyword-tag-mode').on('click', function() {
+        const keyword = chunk.data.keywords[$(this).data('index')];
+        const modes = Object.keys(KEYWORD_MATCH_MODES);
+        const current = modes.indexOf(keyword.match || DEFAULT_KEYWORD_MATCH_MODE);
+        keyword.match = modes[(current + 1) % modes.length];
+        updateChunkData(chunk.hash, { keywords: chunk.data.keywords });
+        renderDetailPanel();
+    });
+
     // Keyword remove button
     $('.vecthare-keyword-remove').on('click', function() {
         const index = $(this).data('index');
@@ -1876,7 +2559,16 @@ function bindDetailEvents() {
 }
 
 /**
- * Parse plaintext keywords format: "keyword:2x, another:1.5x, plain"
+ * Formats a keyword for plaintext mode: "keyword:2x@fuzzy"
+ */
+function formatPlaintextKeyword(k) {
+    const weight = k.weight !== 1.0 ? `:${k.weight}x` : '';
+    const mode = k.match ? `@${k.match}` : '';
+    return `${k.text}${weight}${mode}`;
+}
+
+/**
+ * Parse plaintext keywords format: "keyword:2x, another:1.5x@fuzzy, plain"
  */
 function parsePlaintextKeywords(text) {
     if (!text || !text.trim()) return [];
@@ -1885,13 +2577,17 @@ function parsePlaintextKeywords(text) {
         const trimmed = item.trim();
         if (!trimmed) return null;
 
-        // Check for weight suffix like :2x or :1.5x
-        const match = trimmed.match(/^(.+?):(\d+\.?\d*)x?$/i);
-        if (match) {
-            return { text: match[1].trim(), weight: parseFloat(match[2]) };
+        // Optional weight suffix like :2x or :1.5x, then optional @mode
+        const match = trimmed.match(/^(.+?)(?::(\d+\.?\d*)x?)?(?:@(exact|stem|fuzzy|regex))?$/i);
+        const keyword = {
+            text: match[1].trim(),
+            // No weight specified, default to 1.5x
+            weight: match[2] !== undefined ? parseFloat(match[2]) : 1.5,
+        };
+        if (match[3]) {
+            keyword.match = match[3].toLowerCase();
         }
-        // No weight specified, default to 1.5x
-        return { text: trimmed, weight: 1.5 };
+        return keyword;
     }).filter(Boolean);
 }
 
@@ -2138,6 +2834,149 @@ function openLinkEditor(chunk) {
     });
 }
 
+// ============================================================================
+// KEYWORD SUGGESTIONS
+// ============================================================================
+
+/**
+ * Works out what applying corpus suggestions would change on each chunk
+ * @param {Map} suggestions - hash -> suggestions, from analyzeCollection
+ * @param {boolean} reweight - Also move existing keywords to their proposed weight
+ * @returns {Array<{chunk: object, added: Array<{text: string, weight: number}>, changed: Array<{text: string, from: number, to: number}>}>}
+ */
+function diffKeywordSuggestions(suggestions, reweight) {
+    const diffs = [];
+    for (const chunk of filteredChunks) {
+        const proposed = suggestions.get(chunk.hash);
+        if (!proposed) continue;
+
+        const existing = new Map(chunk.data.keywords.map(k => [k.text.toLowerCase(), k]));
+        const added = [];
+        const changed = [];
+        for (const { word, weight } of proposed) {
+            const current = existing.get(word);
+            if (!current) {
+                added.push({ text: word, weight });
+            } else if (reweight && current.weight !== weight) {
+                changed.push({ text: current.text, from: current.weight, to: weight });
+            }
+        }
+
+        if (added.length > 0 || changed.length > 0) {
+            diffs.push({ chunk, added, changed });
+        }
+    }
+    return diffs;
+}
+
+function renderKeywordSuggestionDiff(diffs) {
+    if (diffs.length === 0) {
+        return '<div class="vecthare-suggest-empty">Nothing to add - every listed chunk already has its suggested keywords.</div>';
+    }
+
+    return diffs.map(({ chunk, added, changed }) => {
+        const label = chunk.data.name || `${chunk.data.text.substring(0, 60).replace(/\s+/g, ' ')}...`;
+        return `
+            <label class="vecthare-suggest-item">
+                <input type="checkbox" class="vecthare-suggest-include" data-hash="${chunk.hash}" checked>
+                <div class="vecthare-suggest-item-body">
+                    <div class="vecthare-suggest-item-title">#${chunk.index} ${escapeHtml(label)}</div>
+                    <div class="vecthare-suggest-diff">
+                        ${added.map(k => `<span class="vecthare-suggest-diff-add">+ ${escapeHtml(k.text)} <b>${k.weight}x</b></span>`).join('')}
+                        ${changed.map(k => `<span class="vecthare-suggest-diff-change">${escapeHtml(k.text)} <b>${k.from}x → ${k.to}x</b></span>`).join('')}
+                    </div>
+                </div>
+            </label>
+        `;
+    }).join('');
+}
+
+/**
+ * Opens the collection-wide keyword suggestions preview.
+ * Document frequencies come from every chunk in the collection; suggestions
+ * are offered for the chunks currently listed (search/filter applies).
+ */
+function openKeywordSuggestions() {
+    if (allChunks.length < CORPUS_MIN_DOCUMENTS) {
+        toastr.info(`Keyword suggestions need at least ${CORPUS_MIN_DOCUMENTS} chunks`, 'VectHare');
+        return;
+    }
+
+    const analysis = analyzeCollection(allChunks.map(c => ({ hash: c.hash, text: c.data.text })));
+    const common = analysis.common.slice(0, 8)
+        .map(c => `${escapeHtml(c.word)} (${Math.round(c.documentFrequency / analysis.documents * 100)}%)`)
+        .join(', ');
+    let diffs = diffKeywordSuggestions(analysis.suggestions, false);
+
+    const overlay = $(`
+        <div class="vecthare-editor-overlay" id="vecthare_keyword_suggest">
+            <div class="vecthare-editor-modal vecthare-suggest-modal">
+                <div class="vecthare-editor-header">
+                    <h4><i class="fa-solid fa-wand-magic-sparkles"></i> Suggested Keywords</h4>
+                    <button class="vecthare-editor-close" id="vecthare_suggest_close">×</button>
+                </div>
+                <div class="vecthare-editor-body">
+                    <div class="vecthare-suggest-summary">
+                        Analyzed ${analysis.documents} chunks. Keywords are words that stand out in a chunk
+                        compared to the rest of the collection; rarer words get higher weights.
+                        ${common ? `<br>Too common to suggest: ${common}` : ''}
+                    </div>
+                    <label class="vecthare-editor-checkbox">
+                        <input type="checkbox" id="vecthare_suggest_reweight">
+                        <span>Also update weights of existing keywords</span>
+                    </label>
+                    <div class="vecthare-suggest-list" id="vecthare_suggest_list">${renderKeywordSuggestionDiff(diffs)}</div>
+                </div>
+                <div class="vecthare-editor-footer">
+                    <button class="vecthare-editor-btn cancel" id="vecthare_suggest_cancel">Cancel</button>
+                    <button class="vecthare-editor-btn primary" id="vecthare_suggest_apply">Apply</button>
+                </div>
+            </div>
+        </div>
+    `);
+
+    $('.vecthare-visualizer-container').append(overlay);
+
+    $('#vecthare_suggest_close, #vecthare_suggest_cancel').on('click', () => overlay.remove());
+    overlay.on('click', function(e) {
+        if (e.target === this) overlay.remove();
+    });
+
+    $('#vecthare_suggest_reweight').on('change', function() {
+        diffs = diffKeywordSuggestions(analysis.suggestions, $(this).is(':checked'));
+        $('#vecthare_suggest_list').html(renderKeywordSuggestionDiff(diffs));
+    });
+
+    $('#vecthare_suggest_apply').on('click', function() {
+        const included = new Set($('.vecthare-suggest-include:checked').map(function() {
+            return String($(this).data('hash'));
+        }).get());
+
+        let keywordCount = 0;
+        let chunkCount = 0;
+        for (const { chunk, added, changed } of diffs) {
+            if (!included.has(String(chunk.hash))) continue;
+
+            const reweighted = new Map(changed.map(k => [k.text, k.to]));
+            const keywords = chunk.data.keywords
+                .map(k => reweighted.has(k.text) ? { ...k, weight: reweighted.get(k.text) } : k)
+                .concat(added);
+
+            chunk.data.keywords = keywords;
+            updateChunkData(chunk.hash, { keywords });
+            keywordCount += added.length + changed.length;
+            chunkCount++;
+        }
+
+        overlay.remove();
+        renderChunkList();
+        if (selectedChunkId) renderDetailPanel();
+        if (chunkCount > 0) {
+            toastr.success(`Updated ${keywordCount} keywords on ${chunkCount} chunks - click Save to keep them`, 'VectHare');
+        }
+    });
+}
+
 // ============================================================================
 // DELETE CHUNK
 // ============================================================================
@@ -0,0 +1,367 @@
+/**
+ * ============================================================================
+ * VECTHARE CONDITION SIMULATOR MODAL
+ * ============================================================================
+ * Build a fake chat state, run every chunk and collection condition against
+ * it and see which rules passed or failed. Scenarios can be saved and are
+ * re-checked by the diagnostics suite.
+ *
+ * @author Coneja Chibi | VectHare
+ * @version 2.0.0-alpha
+ * ============================================================================
+ */
+
+import { getContext, extension_settings } from '../../../../extensions.js';
+import { chat_metadata } from '../../../../../script.js';
+import { VALID_EMOTIONS, VALID_GENERATION_TYPES } from '../core/conditional-activation.js';
+import {
+    createScenario,
+    simulateScenario,
+    getSavedScenarios,
+    saveScenario,
+    deleteScenario,
+    SCENARIO_DEFAULT_TIME,
+} from '../core/condition-simulator.js';
+
+let scenario = createScenario();
+
+/**
+ * Opens the condition simulator
+ */
+export function openConditionSimulator() {
+    $('#vecthare_condition_simulator_modal').remove();
+    scenario = createScenario();
+
+    $('body').append(createModalHtml());
+    fillForm();
+    bindEvents();
+    renderResults();
+    $('#vecthare_condition_simulator_modal').fadeIn(200);
+}
+
+/**
+ * Closes the condition simulator
+ */
+function closeConditionSimulator() {
+    $('#vecthare_condition_simulator_modal').fadeOut(200, function() {
+        $(this).remove();
+    });
+}
+
+// ============================================================================
+// FORM <-> SCENARIO
+// ============================================================================
+
+/**
+ * Formats variables as name=value lines
+ * @param {object} variables
+ * @returns {string}
+ */
+function formatVariables(variables) {
+    return Object.entries(variables || {})
+        .map(([name, value]) => `${name}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+        .join('\n');
+}
+
+/**
+ * Parses name=value lines
+ * @param {string} text
+ * @returns {object}
+ */
+function parseVariables(text) {
+    const variables = {};
+    for (const line of String(text || '').split('\n')) {
+        const separator = line.indexOf('=');
+        if (separator > 0) {
+            variables[line.substring(0, separator).trim()] = line.substring(separator + 1).trim();
+        }
+    }
+    return variables;
+}
+
+/**
+ * Writes the current scenario into the form
+ */
+function fillForm() {
+    $('#vecthare_sim_name').val(scenario.name);
+    $('#vecthare_sim_user_name').val(scenario.messages.find(m => m.is_user)?.name || 'User');
+    $('#vecthare_sim_messages').val(scenario.messages.map(m => `${m.name}: ${m.mes}`).join('\n'));
+    $('#vecthare_sim_character').val(scenario.currentCharacter);
+    $('#vecthare_sim_generation_type').val(scenario.generationType);
+    $('#vecthare_sim_swipes').val(scenario.swipeCount);
+    $('#vecthare_sim_group').prop('checked', scenario.isGroupChat);
+    $('#vecthare_sim_emotion').val(scenario.detectedEmotion);
+    $('#vecthare_sim_lorebook').val(scenario.activeLorebookEntries.join(', '));
+    $('#vecthare_sim_time').val(scenario.time);
+    $('#vecthare_sim_score').val(scenario.chunkScore);
+    $('#vecthare_sim_local_vars').val(formatVariables(scenario.variables.local));
+    $('#vecthare_sim_global_vars').val(formatVariables(scenario.variables.global));
+    $('#vecthare_sim_saved').val(getSavedScenarios().some(s => s.id === scenario.id) ? scenario.id : '');
+}
+
+/**
+ * Reads the form into the current scenario
+ */
+function readForm() {
+    const userName = String($('#vecthare_sim_user_name').val()).trim() || 'User';
+    const messages = String($('#vecthare_sim_messages').val())
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+            const separator = line.indexOf(':');
+            const name = separator > 0 ? line.substring(0, separator).trim() : userName;
+            const mes = separator > 0 ? line.substring(separator + 1).trim() : line.trim();
+            return { name, is_user: name === userName, mes };
+        });
+
+    scenario = {
+        ...scenario,
+        name: String($('#vecthare_sim_name').val()).trim(),
+        messages,
+        currentCharacter: String($('#vecthare_sim_character').val()).trim(),
+        generationType: $('#vecthare_sim_generation_type').val(),
+        swipeCount: Math.max(0, parseInt($('#vecthare_sim_swipes').val()) || 0),
+        isGroupChat: $('#vecthare_sim_group').prop('checked'),
+        detectedEmotion: $('#vecthare_sim_emotion').val(),
+        activeLorebookEntries: String($('#vecthare_sim_lorebook').val()).split(',').map(v => v.trim()).filter(Boolean),
+        time: $('#vecthare_sim_time').val(),
+        chunkScore: Math.min(1, Math.max(0, parseFloat($('#vecthare_sim_score').val()) || 0)),
+        variables: {
+            local: parseVariables($('#vecthare_sim_local_vars').val()),
+            global: parseVariables($('#vecthare_sim_global_vars').val()),
+        },
+    };
+}
+
+/**
+ * Fills the scenario from the open chat
+ */
+function loadFromCurrentChat() {
+    const context = getContext();
+    const chat = context.chat || [];
+    if (chat.length === 0) {
+        toastr.info('No chat is open', 'VectHare');
+        return;
+    }
+
+    const lastMessage = chat[chat.length - 1];
+    scenario = {
+        ...scenario,
+        messages: chat.slice(-10).map(m => ({ name: m.name || (m.is_user ? 'User' : 'Character'), is_user: !!m.is_user, mes: m.mes || '' })),
+        currentCharacter: context.name2 || '',
+        isGroupChat: context.groupId != null,
+        swipeCount: lastMessage.swipes?.length > 0 ? lastMessage.swipes.length - 1 : 0,
+        variables: {
+            local: { ...(chat_metadata?.variables || {}) },
+            global: { ...(extension_settings.variables?.global || {}) },
+        },
+    };
+    fillForm();
+    renderResults();
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = String(text ?? '');
+    return div.innerHTML;
+}
+
+/**
+ * Renders one node of an explained conditions tree
+ * @param {object} node From explainConditionTree
+ * @returns {string}
+ */
+function renderTreeNode(node) {
+    const status = node.passed ? 'pass' : 'fail';
+    const icon = node.passed ? 'fa-check' : 'fa-xmark';
+    const not = node.negate ? '<span class="vecthare-sim-not">NOT</span>' : '';
+
+    if (node.type === 'group') {
+        return `
+            <div class="vecthare-sim-node vecthare-sim-group ${status}">
+                <div class="vecthare-sim-node-head">
+                    <i class="fa-solid ${icon}"></i> ${not}
+                    <strong>${node.logic === 'OR' ? 'ANY of' : 'ALL of'}</strong>
+                </div>
+                <div class="vecthare-sim-children">
+                    ${node.children.map(renderTreeNode).join('') || '<div class="vecthare-sim-empty">(empty - passes)</div>'}
+                </div>
+            </div>
+        `;
+    }
+
+    return `
+        <div class="vecthare-sim-node ${status}">
+            <div class="vecthare-sim-node-head">
+                <i class="fa-solid ${icon}"></i> ${not}
+                <strong>${escapeHtml(node.type)}</strong>
+                <span class="vecthare-sim-expects">${escapeHtml(node.expects)}</span>
+            </div>
+            <div class="vecthare-sim-observed">${escapeHtml(node.observed)}</div>
+        </div>
+    `;
+}
+
+/**
+ * Runs the simulation and renders the results list
+ */
+function renderResults() {
+    const results = simulateScenario(scenario);
+    const container = $('#vecthare_sim_results');
+
+    if (results.length === 0) {
+        container.html('<div class="vecthare-sim-empty">No chunk or collection has enabled conditions.</div>');
+        $('#vecthare_sim_summary').text('');
+        return;
+    }
+
+    const passing = results.filter(r => r.passed).length;
+    const changed = results.filter(r => r.expected !== undefined && r.expected !== r.passed && !r.tree.nondeterministic).length;
+    $('#vecthare_sim_summary').text(`${passing}/${results.length} would activate${changed ? ` · ${changed} differ from the saved scenario` : ''}`);
+
+    container.html(results.map(result => {
+        const drift = result.expected !== undefined && result.expected !== result.passed && !result.tree.nondeterministic;
+        return `
+            <details class="vecthare-sim-target ${result.passed ? 'pass' : 'fail'} ${drift ? 'drift' : ''}" ${result.passed ? '' : 'open'}>
+                <summary>
+                    <span class="vecthare-sim-badge">${result.passed ? 'ACTIVE' : 'BLOCKED'}</span>
+                    <span class="vecthare-sim-kind">${result.kind}</span>
+                    <span class="vecthare-sim-label">${escapeHtml(result.label)}</span>
+                    ${result.tree.nondeterministic ? '<span class="vecthare-sim-flag" title="Contains a random rule">🎲</span>' : ''}
+                    ${drift ? `<span class="vecthare-sim-flag" title="Saved scenario expected ${result.expected ? 'active' : 'blocked'}">⚠ changed</span>` : ''}
+                </summary>
+                ${result.notes.map(note => `<div class="vecthare-sim-note">${escapeHtml(note)}</div>`).join('')}
+                ${renderTreeNode(result.tree)}
+            </details>
+        `;
+    }).join(''));
+}
+
+function createModalHtml() {
+    const scenarios = getSavedScenarios();
+    return `
+        <div id="vecthare_condition_simulator_modal" class="vecthare-modal" style="display: none;">
+            <div class="vecthare-modal-overlay"></div>
+            <div class="vecthare-modal-content vecthare-sim-content">
+                <div class="vecthare-modal-header">
+                    <h3><i class="fa-solid fa-flask"></i> Condition Simulator</h3>
+                    <button class="vecthare-modal-close" id="vecthare_sim_close">✕</button>
+                </div>
+                <div class="vecthare-modal-body vecthare-sim-body">
+                    <div class="vecthare-sim-form">
+                        <div class="vecthare-sim-row">
+                            <select id="vecthare_sim_saved" class="vecthare-select">
+                                <option value="">-- New scenario --</option>
+                                ${scenarios.map(s => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.name || s.id)}</option>`).join('')}
+                            </select>
+                            <button class="vecthare-btn-sm" id="vecthare_sim_delete" title="Delete saved scenario">🗑️</button>
+                        </div>
+                        <input type="text" id="vecthare_sim_name" class="vecthare-input" placeholder="Scenario name">
+                        <button class="vecthare-btn-sm" id="vecthare_sim_from_chat"><i class="fa-solid fa-comments"></i> Use current chat</button>
+
+                        <label><small>Recent messages (one per line, <code>Name: text</code>)</small></label>
+                        <textarea id="vecthare_sim_messages" class="vecthare-input" rows="6"></textarea>
+                        <div class="vecthare-sim-row">
+                            <label><small>User name</small><input type="text" id="vecthare_sim_user_name" class="vecthare-input"></label>
+                            <label><small>Character</small><input type="text" id="vecthare_sim_character" class="vecthare-input"></label>
+                        </div>
+                        <div class="vecthare-sim-row">
+                            <label><small>Generation</small>
+                                <select id="vecthare_sim_generation_type" class="vecthare-select">
+                                    ${VALID_GENERATION_TYPES.map(t => `<option value="${t}">${t}</option>`).join('')}
+                                </select>
+                            </label>
+                            <label><small>Swipes</small><input type="number" id="vecthare_sim_swipes" class="vecthare-input" min="0"></label>
+                        </div>
+                        <div class="vecthare-sim-row">
+                            <label><small>Sprite emotion</small>
+                                <select id="vecthare_sim_emotion" class="vecthare-select">
+                                    <option value="">(none)</option>
+                                    ${VALID_EMOTIONS.map(e => `<option value="${e}">${e}</option>`).join('')}
+                                </select>
+                            </label>
+                            <label><small>Time (blank = \${SCENARIO_DEFAULT_TIME})</small><input type="time" id="vecthare_sim_time" class="vecthare-input"></label>
+                        </div>
+                        <label class="checkbox_label"><input type="checkbox" id="vecthare_sim_group"> <span>Group chat</span></label>
+                        <label><small>Active lorebook entries (keys or UIDs, comma-separated)</small></label>
+                        <input type="text" id="vecthare_sim_lorebook" class="vecthare-input">
+                        <div class="vecthare-sim-row">
+                            <label><small>Chat variables (<code>name=value</code>)</small><textarea id="vecthare_sim_local_vars" class="vecthare-input" rows="3"></textarea></label>
+                            <label><small>Global variables</small><textarea id="vecthare_sim_global_vars" class="vecthare-input" rows="3"></textarea></label>
+                        </div>
+                        <label><small>Assumed chunk score (for score threshold rules)</small></label>
+                        <input type="number" id="vecthare_sim_score" class="vecthare-input" min="0" max="1" step="0.05">
+
+                        <div class="vecthare-sim-row">
+                            <button class="menu_button" id="vecthare_sim_run"><i class="fa-solid fa-play"></i> Run</button>
+                            <button class="menu_button" id="vecthare_sim_save" title="Save the scenario and its current results as the expected outcome"><i class="fa-solid fa-floppy-disk"></i> Save as test</button>
+                        </div>
+                    </div>
+                    <div class="vecthare-sim-output">
+                        <div class="vecthare-sim-summary" id="vecthare_sim_summary"></div>
+                        <div id="vecthare_sim_results"></div>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// ============================================================================
+// EVENTS
+// ============================================================================
+
+function bindEvents() {
+    const modal = $('#vecthare_condition_simulator_modal');
+
+    // ST closes drawers on mousedown/touchstart
+    modal.on('mousedown touchstart', e => e.stopPropagation());
+    modal.find('.vecthare-modal-overlay').on('click', closeConditionSimulator);
+    $('#vecthare_sim_close').on('click', closeConditionSimulator);
+
+    $('#vecthare_sim_run').on('click', () => {
+        readForm();
+        renderResults();
+    });
+
+    $('#vecthare_sim_from_chat').on('click', loadFromCurrentChat);
+
+    $('#vecthare_sim_saved').on('change', function() {
+        const selected = getSavedScenarios().find(s => s.id === $(this).val());
+        scenario = selected ? structuredClone(selected) : createScenario();
+        fillForm();
+        renderResults();
+    });
+
+    $('#vecthare_sim_save').on('click', () => {
+        readForm();
+        if (!scenario.name) {
+            toastr.warning('Give the scenario a name first', 'VectHare');
+            return;
+        }
+        scenario = saveScenario(scenario);
+        const select = $('#vecthare_sim_saved');
+        if (select.find(`option[value="${scenario.id}"]`).length === 0) {
+            select.append(`<option value="${escapeHtml(scenario.id)}">${escapeHtml(scenario.name)}</option>`);
+        }
+        select.val(scenario.id);
+        renderResults();
+        toastr.success(`Saved "${scenario.name}" - Diagnostics will re-check it`, 'VectHare');
+    });
+
+    $('#vecthare_sim_delete').on('click', () => {
+        const id = $('#vecthare_sim_saved').val();
+        if (!id) {
+            return;
+        }
+        deleteScenario(id);
+        $(`#vecthare_sim_saved option[value="${id}"]`).remove();
+        scenario = createScenario();
+        fillForm();
+        renderResults();
+    });
+}
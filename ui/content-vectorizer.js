@@ -2474,7 +2474,15 @@ async function startVectorization() {
             settings: currentSettings,
         });
 
-        toastr.success(`Vectorized ${result.chunkCount} chunks`, 'VectHare');
+        if (result.status === 'completed') {
+            if (result.failedCount > 0) {
+                toastr.warning(`Vectorized ${result.chunkCount} chunks, ${result.failedCount} failed - retry them from the jobs panel`, 'VectHare');
+            } else {
+                toastr.success(`Vectorized ${result.chunkCount} chunks`, 'VectHare');
+            }
+        } else {
+            toastr.info(`Vectorization ${result.status} after ${result.chunkCount} chunks - manage it from the jobs panel`, 'VectHare');
+        }
         closeContentVectorizer();
 
     } catch (e) {
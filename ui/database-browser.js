@@ -59,12 +59,19 @@ import { getContext } from "../../../../extensions.js";
 import {
   VALID_EMOTIONS,
   VALID_GENERATION_TYPES,
+  VARIABLE_OPERATORS,
+  MAX_CONDITION_DEPTH,
   getExpressionsExtensionStatus,
+  isConditionGroup,
+  validateConditions,
 } from "../core/conditional-activation.js";
+import { projectDecayCurve } from "../core/temporal-decay.js";
 import { world_names, loadWorldInfo } from "../../../../world-info.js";
 import { icons } from "./icons.js";
 import { openVisualizer } from "./chunk-visualizer.js";
 import { queryCollection } from "../core/core-vector-api.js";
+import { getBackend, getAvailableBackends } from "../backends/backend-manager.js";
+import { getModelField } from "../core/providers.js";
 import {
   exportCollection,
   importCollection,
@@ -72,7 +79,17 @@ import {
   readImportFile,
   validateImportData,
   getExportInfo,
+  migrateCollection,
 } from "../core/collection-export.js";
+import { summarizeCollection, getBackendSettings } from "../core/summarization.js";
+import {
+  isLorebookSyncable,
+  getLorebookSyncSettings,
+  setLorebookSyncSettings,
+  getSyncedLorebookName,
+  checkLorebookCollection,
+  syncLorebookCollection,
+} from "../core/lorebook-sync.js";
 import {
   embedDataInPNG,
   extractDataFromPNG,
@@ -85,6 +102,15 @@ import {
 // Plugin availability cache
 let pluginAvailable = null;
 
+// Display names for vector backends (badges, migration dialog)
+const BACKEND_DISPLAY_NAMES = {
+  standard: "Standard",
+  lancedb: "LanceDB",
+  qdrant: "Qdrant",
+  milvus: "Milvus",
+  indexeddb: "Browser",
+};
+
 /**
  * Check if the Similharity plugin is available
  * @returns {Promise<boolean>}
@@ -104,6 +130,64 @@ async function checkPluginAvailable() {
   return pluginAvailable;
 }
 
+/**
+ * Builds settings that route operations to a collection's own backend
+ * Browser-local (IndexedDB) collections are keyed by source + model, so those are set too
+ * @param {object} collection - Collection from loadAllCollections
+ * @returns {object}
+ */
+function getCollectionSettings(collection) {
+  const collectionSettings = {
+    ...browserState.settings,
+    vector_backend: collection.backend,
+  };
+
+  if (collection.backend === "indexeddb") {
+    collectionSettings.source = collection.source;
+    const modelField = getModelField(collection.source);
+    if (modelField) {
+      collectionSettings[modelField] = collection.model;
+    }
+  }
+
+  return collectionSettings;
+}
+
+/**
+ * Lists a collection's chunks (plugin endpoint, or the browser-local backend directly)
+ * @param {object} collection - Collection from loadAllCollections
+ * @param {object} collectionSettings - Settings from getCollectionSettings
+ * @param {number} limit - Max chunks to return
+ * @returns {Promise<object[]>} Chunks as {hash, text, index, metadata}
+ */
+async function listCollectionChunks(collection, collectionSettings, limit) {
+  if (collection.backend === "indexeddb") {
+    const backend = await getBackend(collectionSettings);
+    const data = await backend.listChunks(collection.id, collectionSettings, { limit });
+    return data.items;
+  }
+
+  // Use unified plugin endpoint
+  const response = await fetch("/api/plugins/similharity/chunks/list", {
+    method: "POST",
+    headers: getRequestHeaders(),
+    body: JSON.stringify({
+      backend: collection.backend || "vectra",
+      collectionId: collection.id,
+      source: collection.source || "transformers",
+      model: collection.model || "",
+      limit,
+    }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to list chunks: ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  return data.items || [];
+}
+
 // Browser state
 let browserState = {
   isOpen: false,
@@ -136,6 +220,14 @@ let bulkEventsBound = false;
  */
 export function initializeDatabaseBrowser(settings) {
   browserState.settings = settings;
+
+  // Lorebook saves update out-of-sync counts in the background
+  eventSource.on("vecthare_lorebook_sync_changed", () => {
+    if (browserState.isOpen) {
+      renderCollections();
+    }
+  });
+
   console.log("VectHare Database Browser: Initialized");
 }
 
@@ -642,6 +734,7 @@ async function refreshCollections() {
     }
 
     renderCollections();
+    checkLorebookCollections();
   } catch (error) {
     console.error("VectHare: Failed to load collections", error);
     $("#vecthare_collections_list").html(`
@@ -652,6 +745,36 @@ async function refreshCollections() {
   }
 }
 
+/**
+ * Compares synced lorebook collections with their World Info books in the
+ * background, and re-renders if any out-of-sync count changed
+ */
+async function checkLorebookCollections() {
+  let changed = false;
+  for (const collection of browserState.collections) {
+    if (!isLorebookSyncable(collection.id)) {
+      continue;
+    }
+    const previous = getLorebookSyncSettings(collection.id).outOfSync;
+    try {
+      const outOfSync = await checkLorebookCollection(
+        collection.id,
+        getCollectionSettings(collection),
+      );
+      changed = changed || outOfSync !== previous;
+    } catch (error) {
+      console.warn(
+        `VectHare: Could not check ${collection.id} against its lorebook:`,
+        error.message,
+      );
+    }
+  }
+
+  if (changed && browserState.isOpen) {
+    renderCollections();
+  }
+}
+
 /**
  * Renders collections list based on current filters
  */
@@ -782,11 +905,7 @@ function renderCollectionCard(collection) {
 
   // Backend badge - shows vector database (Standard, LanceDB, Qdrant)
   const backendDisplayName =
-    {
-      standard: "Standard",
-      lancedb: "LanceDB",
-      qdrant: "Qdrant",
-    }[collection.backend] || collection.backend;
+    BACKEND_DISPLAY_NAMES[collection.backend] || collection.backend;
 
   const backendBadge = collection.backend
     ? `<span class="vecthare-badge vecthare-badge-backend" title="Vector backend">${backendDisplayName}</span>`
@@ -824,6 +943,15 @@ function renderCollectionCard(collection) {
     lockBadge = `<span class="vecthare-badge vecthare-badge-lock" title="${lockTitle}">🔒 ${lockCount}</span>`;
   }
 
+  // Lorebook sync - badge when entries changed since the collection was built
+  const lorebookSyncable = isLorebookSyncable(collection.id);
+  const lorebookSync = getLorebookSyncSettings(collection.id);
+  let syncBadge = "";
+  if (lorebookSyncable && lorebookSync.outOfSync > 0) {
+    const syncTitle = `${lorebookSync.outOfSync} entr${lorebookSync.outOfSync !== 1 ? "ies" : "y"} changed in "${getSyncedLorebookName(collection.id)}" since this collection was vectorized`;
+    syncBadge = `<span class="vecthare-badge vecthare-badge-outofsync" title="${syncTitle.replace(/"/g, "&quot;")}">⚠ Out of sync: ${lorebookSync.outOfSync}</span>`;
+  }
+
   // Use registryKey for unique identification (source:id format)
   const uniqueKey = collection.registryKey || collection.id;
 
@@ -840,6 +968,7 @@ function renderCollectionCard(collection) {
                     ${modelBadge}
                     ${decayBadge}
                     ${lockBadge}
+                    ${syncBadge}
                     ${statusBadge}
                 </div>
             </div>
@@ -877,6 +1006,27 @@ function renderCollectionCard(collection) {
                 `
                     : ""
                 }
+                <button class="vecthare-btn-sm vecthare-action-migrate"
+                        data-collection-key="${uniqueKey}"
+                        title="Move this collection to another vector backend">
+                    <i class="fa-solid fa-right-left"></i> Migrate
+                </button>
+                <button class="vecthare-btn-sm vecthare-action-summarize"
+                        data-collection-key="${uniqueKey}"
+                        title="Generate summary vectors for scenes, message batches and long chunks">
+                    <i class="fa-solid fa-file-lines"></i> Summarize
+                </button>
+                ${
+                  lorebookSyncable
+                    ? `
+                <button class="vecthare-btn-sm vecthare-action-lorebook-sync"
+                        data-collection-key="${uniqueKey}"
+                        title="Re-embed changed lorebook entries and remove deleted ones">
+                    <i class="fa-solid fa-rotate"></i> Sync
+                </button>
+                `
+                    : ""
+                }
                 <button class="vecthare-btn-sm vecthare-action-open-folder"
                         data-collection-key="${uniqueKey}"
                         data-backend="${collection.backend}"
@@ -1067,8 +1217,7 @@ function bindCollectionCardEvents() {
       try {
         // Use unified delete function - handles vectors, registry, AND metadata
         const collectionSettings = {
-          ...browserState.settings,
-          vector_backend: collection.backend,
+          ...getCollectionSettings(collection),
           source: collection.source,
         };
 
@@ -1157,30 +1306,14 @@ function bindCollectionCardEvents() {
           return;
         }
 
-        const collectionSettings = {
-          ...browserState.settings,
-          vector_backend: collection.backend,
-        };
-
-        // Use unified plugin endpoint
-        const response = await fetch("/api/plugins/similharity/chunks/list", {
-          method: "POST",
-          headers: getRequestHeaders(),
-          body: JSON.stringify({
-            backend: collection.backend || "vectra",
-            collectionId: collection.id,
-            source: collection.source || "transformers",
-            model: collection.model || "",
-            limit: 1000, // Get first 1000 chunks
-          }),
-        });
-
-        if (!response.ok) {
-          throw new Error(`Failed to list chunks: ${response.statusText}`);
-        }
+        const collectionSettings = getCollectionSettings(collection);
 
-        const data = await response.json();
-        const results = data.items || [];
+        // Get first 1000 chunks
+        const results = await listCollectionChunks(
+          collection,
+          collectionSettings,
+          1000,
+        );
 
         if (!results || results.length === 0) {
           toastr.warning("No chunks found in this collection", "VectHare");
@@ -1341,7 +1474,7 @@ function bindCollectionCardEvents() {
       const collectionKey = $(this).data("collection-key");
       const collection = findCollectionByKey(collectionKey);
       if (collection) {
-        openActivationEditor(collection.id, collection.name);
+        openActivationEditor(collection.id, collection.name, collection);
       }
     });
 
@@ -1371,6 +1504,84 @@ function bindCollectionCardEvents() {
 
       openModelSwitcher(collection);
     });
+
+  // Migrate collection to another backend
+  $(".vecthare-action-migrate")
+    .off("click")
+    .on("click", function (e) {
+      e.stopPropagation();
+      const collectionKey = $(this).data("collection-key");
+      const collection = findCollectionByKey(collectionKey);
+      if (collection) {
+        openMigrationDialog(collection);
+      }
+    });
+
+  // Generate summaries (runs as a background job)
+  $(".vecthare-action-summarize")
+    .off("click")
+    .on("click", async function (e) {
+      e.stopPropagation();
+      const collectionKey = $(this).data("collection-key");
+      const collection = findCollectionByKey(collectionKey);
+      if (!collection) {
+        return;
+      }
+
+      try {
+        const result = await summarizeCollection(
+          collection.id,
+          getCollectionSettings(collection),
+          { label: collection.name },
+        );
+        if (!result.jobId) {
+          toastr.info("Nothing to summarize - summaries are up to date", "VectHare");
+        } else if (result.success) {
+          toastr.success(
+            `Generated ${result.summarized} summaries${result.failedCount ? `, ${result.failedCount} failed` : ""}`,
+            "VectHare",
+          );
+          await refreshCollections();
+        }
+      } catch (error) {
+        console.error("VectHare: Summarization failed", error);
+        toastr.error(`Summarization failed: ${error.message}`, "VectHare");
+      }
+    });
+
+  // Sync a lorebook collection with its World Info book
+  $(".vecthare-action-lorebook-sync")
+    .off("click")
+    .on("click", async function (e) {
+      e.stopPropagation();
+      const collectionKey = $(this).data("collection-key");
+      const collection = findCollectionByKey(collectionKey);
+      if (!collection) {
+        return;
+      }
+
+      const $btn = $(this).prop("disabled", true);
+      try {
+        const result = await syncLorebookCollection(
+          collection.id,
+          getCollectionSettings(collection),
+        );
+        const total = result.added + result.changed + result.deleted;
+        if (total === 0) {
+          toastr.info("Collection is already in sync with its lorebook", "VectHare");
+        } else {
+          toastr.success(
+            `Synced: ${result.added} added, ${result.changed} updated, ${result.deleted} removed`,
+            "VectHare",
+          );
+        }
+        await refreshCollections();
+      } catch (error) {
+        console.error("VectHare: Lorebook sync failed", error);
+        toastr.error(`Lorebook sync failed: ${error.message}`, "VectHare");
+        $btn.prop("disabled", false);
+      }
+    });
 }
 
 /**
@@ -1603,11 +1814,196 @@ function closeModelSwitcher() {
   $("#vecthare_model_switcher_modal").fadeOut(200);
 }
 
+// ============================================================================
+// BACKEND MIGRATION
+// ============================================================================
+
+/**
+ * Opens the migration dialog for moving a collection to another backend
+ * @param {object} collection - Collection object
+ */
+function openMigrationDialog(collection) {
+  if ($("#vecthare_migrate_modal").length === 0) {
+    const modalHtml = `
+            <div id="vecthare_migrate_modal" class="vecthare-modal">
+                <div class="vecthare-modal-content vecthare-model-switcher-content popup">
+                    <div class="vecthare-modal-header">
+                        <h3><i class="fa-solid fa-right-left"></i> Migrate Collection</h3>
+                        <button class="vecthare-btn-icon" id="vecthare_migrate_close">✕</button>
+                    </div>
+                    <div class="vecthare-modal-body">
+                        <p id="vecthare_migrate_desc" class="vecthare-model-switcher-desc"></p>
+                        <label for="vecthare_migrate_target"><small>Target backend</small></label>
+                        <select id="vecthare_migrate_target" class="vecthare-select"></select>
+                        <label class="checkbox_label">
+                            <input type="checkbox" id="vecthare_migrate_delete_source" />
+                            <span id="vecthare_migrate_delete_label">Delete from source after verifying</span>
+                        </label>
+                        <div id="vecthare_migrate_report" class="vecthare-migrate-report"></div>
+                        <div class="vecthare-migrate-actions">
+                            <button class="vecthare-btn-sm" id="vecthare_migrate_dry_run">
+                                <i class="fa-solid fa-flask"></i> Dry Run
+                            </button>
+                            <button class="vecthare-btn-sm" id="vecthare_migrate_run">
+                                <i class="fa-solid fa-right-left"></i> Migrate
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    $("body").append(modalHtml);
+
+    $("#vecthare_migrate_close").on("click", closeMigrationDialog);
+    // Stop mousedown propagation (ST closes drawers on mousedown/touchstart)
+    $("#vecthare_migrate_modal").on("mousedown touchstart", function (e) {
+      e.stopPropagation();
+    });
+    $("#vecthare_migrate_modal").on("click", function (e) {
+      if (e.target === this) closeMigrationDialog();
+    });
+    $("#vecthare_migrate_dry_run").on("click", () => runMigration(true));
+    $("#vecthare_migrate_run").on("click", () => runMigration(false));
+  }
+
+  const sourceName =
+    BACKEND_DISPLAY_NAMES[collection.backend] || collection.backend;
+
+  $("#vecthare_migrate_modal").data("collection", collection);
+  $("#vecthare_migrate_desc").html(
+    `Move <strong>${escapeHtml(collection.name)}</strong> (${collection.chunkCount} chunks) from <strong>${escapeHtml(sourceName)}</strong> to another backend. ` +
+      `Stored vectors are reused and hashes kept, so chunk metadata, locks and groups carry over. ` +
+      `Searches use the backend selected in settings, so switch it to the target afterwards to use the migrated copy.`,
+  );
+  $("#vecthare_migrate_target").html(
+    getAvailableBackends()
+      .filter((name) => name !== collection.backend)
+      .map(
+        (name) =>
+          `<option value="${name}">${BACKEND_DISPLAY_NAMES[name] || name}</option>`,
+      )
+      .join(""),
+  );
+  $("#vecthare_migrate_delete_source").prop("checked", false);
+  $("#vecthare_migrate_delete_label").text(
+    `Delete from ${sourceName} after verifying`,
+  );
+  $("#vecthare_migrate_report").empty();
+
+  $("#vecthare_migrate_modal").fadeIn(200);
+}
+
+/**
+ * Closes the migration dialog
+ */
+function closeMigrationDialog() {
+  $("#vecthare_migrate_modal").fadeOut(200);
+}
+
+/**
+ * Runs (or dry-runs) the migration chosen in the dialog and shows the report
+ * @param {boolean} dryRun - Only count, don't write
+ */
+async function runMigration(dryRun) {
+  const collection = $("#vecthare_migrate_modal").data("collection");
+  const target = String($("#vecthare_migrate_target").val());
+  const deleteSource = $("#vecthare_migrate_delete_source").prop("checked");
+  if (!collection || !target) return;
+
+  if (
+    !dryRun &&
+    deleteSource &&
+    !confirm(
+      `Delete "${collection.name}" from ${collection.backend} once every chunk is verified in ${target}?`,
+    )
+  ) {
+    return;
+  }
+
+  const $buttons = $("#vecthare_migrate_dry_run, #vecthare_migrate_run");
+  $buttons.prop("disabled", true);
+
+  try {
+    const report = await migrateCollection(
+      collection.id,
+      {
+        backend: collection.backend,
+        source: collection.source,
+        model: collection.model,
+        registryKey: collection.registryKey,
+        chunkCount: collection.chunkCount,
+      },
+      target,
+      browserState.settings,
+      { dryRun, deleteSource },
+    );
+
+    const lines = [
+      `${report.total} chunks in ${report.from}`,
+      `${report.migrated} ${dryRun ? "would be copied" : "copied"} with their vectors`,
+    ];
+    if (report.reembedded > 0) {
+      lines.push(
+        `${report.reembedded} ${dryRun ? "would be re-embedded" : "re-embedded"} (no stored vector)`,
+      );
+    }
+    if (report.skipped > 0) {
+      lines.push(`${report.skipped} already in ${report.to} (skipped)`);
+    }
+    if (!dryRun) {
+      lines.push(
+        report.verified
+          ? `Verified: ${report.targetCount} chunks in ${report.to}`
+          : `Verification failed: ${report.missingHashes.length} chunks missing in ${report.to}`,
+      );
+      if (deleteSource) {
+        lines.push(
+          report.sourceDeleted
+            ? `Deleted from ${report.from}`
+            : `Kept in ${report.from}`,
+        );
+      }
+      if (report.verified && browserState.settings.vector_backend !== report.to) {
+        lines.push(
+          `Searches still use ${browserState.settings.vector_backend || "standard"} - switch the vector backend in settings to ${report.to} to use this copy`,
+        );
+      }
+    }
+
+    $("#vecthare_migrate_report").html(
+      lines.map((line) => `<div>${escapeHtml(line)}</div>`).join(""),
+    );
+
+    if (!dryRun) {
+      if (report.verified) {
+        toastr.success(
+          `Migrated "${collection.name}" to ${report.to}`,
+          "VectHare",
+        );
+      } else {
+        toastr.warning(
+          `Migration incomplete: ${report.missingHashes.length} chunks missing`,
+          "VectHare",
+        );
+      }
+      await refreshCollections();
+    }
+  } catch (error) {
+    console.error("VectHare: Migration failed", error);
+    $("#vecthare_migrate_report").html(
+      `<div class="vecthare-error">${escapeHtml(error.message)}</div>`,
+    );
+    toastr.error(`Migration failed: ${error.message}`, "VectHare");
+  } finally {
+    $buttons.prop("disabled", false);
+  }
+}
+
 // ============================================================================
 // CONDITIONS EDITOR
 // ============================================================================
 
-// Collection-level condition types (11 types)
+// Collection-level condition types (12 types)
 // Note: "keyword" renamed to "pattern" - triggers handle simple keywords,
 // this is for advanced regex/pattern matching with custom scan depth
 const CONDITION_TYPES = [
@@ -1654,6 +2050,11 @@ const CONDITION_TYPES = [
     label: "🎲 Random",
     desc: "Probabilistic activation",
   },
+  {
+    value: "variable",
+    label: "🧮 Variable",
+    desc: "Chat or global variable (/setvar)",
+  },
 ];
 
 // ============================================================================
@@ -1680,18 +2081,38 @@ let activationEditorState = {
     minRelevance: 0.3,
     maxBoost: 1.2,
     sceneAware: false,
+    reinforcement: "off", // 'off', 'reset' or 'strengthen'
+    reinforcementGrowth: 1.5,
+    clock: "messages", // 'messages', 'time' or 'both'
+    timeHalfLife: 3,
+    timeUnit: "days", // 'hours' or 'days'
   },
   // Injection settings (position/depth)
   position: null, // null = use global default
   depth: null, // null = use global default
+  tokenBudget: null, // null = use global default, 0 = unlimited
+  // Hybrid search overrides (null = use global default)
+  hybridSearch: {
+    enabled: null,
+    fusionMethod: null,
+    vectorWeight: null,
+  },
+  // World Info sync (per_entry lorebook collections only)
+  lorebookSync: {
+    available: false,
+    enabled: false,
+    pushKeywords: false,
+    backendSettings: null,
+  },
 };
 
 /**
  * Opens the collection settings editor
  * @param {string} collectionId Collection ID
  * @param {string} collectionName Display name
+ * @param {object} [collection] Collection from loadAllCollections (for its backend)
  */
-function openActivationEditor(collectionId, collectionName) {
+function openActivationEditor(collectionId, collectionName, collection = null) {
   const meta = getCollectionMeta(collectionId);
   const triggerSettings = getCollectionTriggers(collectionId);
   const conditions = getCollectionConditions(collectionId);
@@ -1720,6 +2141,11 @@ function openActivationEditor(collectionId, collectionName) {
       minRelevance: decaySettings.minRelevance,
       maxBoost: decaySettings.maxBoost || 1.2,
       sceneAware: decaySettings.sceneAware,
+      reinforcement: decaySettings.reinforcement || "off",
+      reinforcementGrowth: decaySettings.reinforcementGrowth || 1.5,
+      clock: decaySettings.clock || "messages",
+      timeHalfLife: decaySettings.timeHalfLife || 3,
+      timeUnit: decaySettings.timeUnit || "days",
     },
     // Prompt context
     context: meta.context || "",
@@ -1727,6 +2153,20 @@ function openActivationEditor(collectionId, collectionName) {
     // Injection position/depth (null = use global default)
     position: meta.position ?? null,
     depth: meta.depth ?? null,
+    tokenBudget: meta.tokenBudget ?? null,
+    hybridSearch: {
+      enabled: meta.hybridSearch?.enabled ?? null,
+      fusionMethod: meta.hybridSearch?.fusionMethod ?? null,
+      vectorWeight: meta.hybridSearch?.vectorWeight ?? null,
+    },
+    lorebookSync: {
+      available: isLorebookSyncable(collectionId),
+      enabled: meta.lorebookSync?.enabled || false,
+      pushKeywords: meta.lorebookSync?.pushKeywords || false,
+      backendSettings: collection
+        ? getBackendSettings(getCollectionSettings(collection))
+        : meta.lorebookSync?.backendSettings || null,
+    },
   };
 
   // Create modal if needed
@@ -1847,7 +2287,10 @@ function createActivationEditorModal() {
                         <div class="vecthare-conditions-rules">
                             <div class="vecthare-conditions-rules-header">
                                 <span>Conditions</span>
-                                <button class="vecthare-btn-sm" id="vecthare_add_condition">+ Add</button>
+                                <span>
+                                    <button class="vecthare-btn-sm" id="vecthare_add_condition">+ Add</button>
+                                    <button class="vecthare-btn-sm" id="vecthare_add_condition_group" title="Add a nested AND/OR group">+ Group</button>
+                                </span>
                             </div>
                             <div id="vecthare_conditions_list"></div>
                         </div>
@@ -1949,6 +2392,116 @@ function createActivationEditorModal() {
                                     </label>
                                     <small>Reset weighting at scene boundaries</small>
                                 </div>
+
+                                <div class="vecthare-option-row vecthare-decay-reinforcement">
+                                    <label>Reinforcement:</label>
+                                    <select id="vecthare_decay_reinforcement">
+                                        <option value="off">Off</option>
+                                        <option value="reset">Recall resets age</option>
+                                        <option value="strengthen">Recall strengthens</option>
+                                    </select>
+                                    <small>chunks injected again or mentioned by keyword fade slower</small>
+                                </div>
+
+                                <div class="vecthare-option-row vecthare-decay-reinforcement-growth" style="display: none;">
+                                    <label>Growth:</label>
+                                    <input type="number" id="vecthare_decay_reinforcement_growth" min="1" max="5" step="0.1" value="1.5">
+                                    <small>half-life multiplier per recall (chunk importance scales it too)</small>
+                                </div>
+
+                                <div class="vecthare-option-row vecthare-decay-clock">
+                                    <label>Age by:</label>
+                                    <select id="vecthare_decay_clock">
+                                        <option value="messages">Messages</option>
+                                        <option value="time">Real time</option>
+                                        <option value="both">Both</option>
+                                    </select>
+                                    <small>real time counts from each message's send date</small>
+                                </div>
+
+                                <div class="vecthare-option-row vecthare-decay-time" style="display: none;">
+                                    <label>Time half-life:</label>
+                                    <input type="number" id="vecthare_decay_time_halflife" min="0.1" max="365" step="0.5" value="3">
+                                    <select id="vecthare_decay_time_unit">
+                                        <option value="hours">hours</option>
+                                        <option value="days">days</option>
+                                    </select>
+                                    <small>time until 50% relevance</small>
+                                </div>
+
+                                <div class="vecthare-decay-preview">
+                                    <div class="vecthare-curve-label">Preview</div>
+                                    <div class="vecthare-option-row vecthare-decay-preview-pace" style="display: none;">
+                                        <label>Chat pace:</label>
+                                        <input type="number" id="vecthare_decay_preview_pace" min="0" max="1000" value="20">
+                                        <small id="vecthare_decay_preview_pace_hint">messages per day (preview only)</small>
+                                    </div>
+                                    <div id="vecthare_decay_preview" class="vecthare-decay-preview-bars"></div>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+
+                    <!-- ========================================== -->
+                    <!-- HYBRID SEARCH (Per-Collection) -->
+                    <!-- ========================================== -->
+                    <div class="vecthare-activation-section vecthare-hybrid-section">
+                        <div class="vecthare-section-header">
+                            <h4>🔤 Hybrid Search</h4>
+                            <small>Fuse BM25 exact-term matches with vector results for this collection</small>
+                        </div>
+
+                        <div class="vecthare-hybrid-settings">
+                            <div class="vecthare-option-row">
+                                <label>Lexical search:</label>
+                                <select id="vecthare_collection_hybrid_enabled">
+                                    <option value="">Use global default</option>
+                                    <option value="true">Enabled</option>
+                                    <option value="false">Disabled</option>
+                                </select>
+                            </div>
+
+                            <div class="vecthare-option-row">
+                                <label>Fusion method:</label>
+                                <select id="vecthare_collection_hybrid_fusion">
+                                    <option value="">Use global default</option>
+                                    <option value="rrf">Reciprocal Rank Fusion</option>
+                                    <option value="weighted">Weighted Score</option>
+                                </select>
+                            </div>
+
+                            <div class="vecthare-option-row" id="vecthare_collection_hybrid_weight_row" style="display: none;">
+                                <label>Vector weight: <span id="vecthare_collection_hybrid_weight_value">0.60</span></label>
+                                <input type="range" id="vecthare_collection_hybrid_weight" min="0" max="1" step="0.05" value="0.6">
+                                <small>Share of the fused score from vector similarity (BM25 gets the rest)</small>
+                            </div>
+                        </div>
+                    </div>
+
+                    <!-- ========================================== -->
+                    <!-- WORLD INFO SYNC (Lorebook collections) -->
+                    <!-- ========================================== -->
+                    <div class="vecthare-activation-section vecthare-lorebook-sync-section" style="display: none;">
+                        <div class="vecthare-section-header">
+                            <h4>📚 World Info Sync</h4>
+                            <small>Keep this collection in step with its lorebook</small>
+                        </div>
+
+                        <div class="vecthare-lorebook-sync-settings">
+                            <div class="vecthare-option-row">
+                                <label class="vecthare-checkbox-label">
+                                    <input type="checkbox" id="vecthare_lorebook_sync_enabled">
+                                    Sync on save
+                                </label>
+                                <small>Re-embed changed entries and remove deleted ones whenever the lorebook is saved</small>
+                            </div>
+
+                            <div class="vecthare-option-row">
+                                <label class="vecthare-checkbox-label">
+                                    <input type="checkbox" id="vecthare_lorebook_sync_push_keywords">
+                                    Push keyword edits
+                                </label>
+                                <small>Keywords added or removed in the chunk visualizer are added to or removed from the entry's keys</small>
                             </div>
                         </div>
                     </div>
@@ -1993,6 +2546,12 @@ function createActivationEditorModal() {
                                 <input type="range" id="vecthare_collection_depth" min="0" max="50" step="1" value="2">
                                 <small>Messages from end of chat to insert at</small>
                             </div>
+
+                            <div class="vecthare-option-row">
+                                <label>Token budget:</label>
+                                <input type="number" id="vecthare_collection_token_budget" min="0" step="50" placeholder="Use global default">
+                                <small>Max tokens injected at this collection's position (0 = unlimited)</small>
+                            </div>
                         </div>
                     </div>
 
@@ -2020,6 +2579,88 @@ function createActivationEditorModal() {
   bindActivationEditorEvents();
 }
 
+/**
+ * Reads the temporal weighting fields of the activation editor
+ * @returns {object} Temporal decay settings
+ */
+function readDecayForm() {
+  return {
+    enabled: $("#vecthare_decay_enabled").prop("checked"),
+    type: $('input[name="vecthare_decay_type"]:checked').val() || "decay",
+    mode: $('input[name="vecthare_decay_mode"]:checked').val() || "exponential",
+    halfLife: parseInt($("#vecthare_decay_halflife").val()) || 50,
+    linearRate: parseFloat($("#vecthare_decay_rate").val()) || 0.01,
+    minRelevance: parseFloat($("#vecthare_decay_min").val()) || 0.3,
+    maxBoost: parseFloat($("#vecthare_decay_max_boost").val()) || 1.2,
+    sceneAware: $("#vecthare_decay_scene_aware").prop("checked"),
+    reinforcement: $("#vecthare_decay_reinforcement").val() || "off",
+    reinforcementGrowth:
+      parseFloat($("#vecthare_decay_reinforcement_growth").val()) || 1.5,
+    clock: $("#vecthare_decay_clock").val() || "messages",
+    timeHalfLife: parseFloat($("#vecthare_decay_time_halflife").val()) || 3,
+    timeUnit: $("#vecthare_decay_time_unit").val() || "days",
+  };
+}
+
+/**
+ * Shows/hides the fields that depend on the weighting type and clock
+ */
+function updateDecayFieldVisibility() {
+  const decay = readDecayForm();
+  const isNostalgia = decay.type === "nostalgia";
+  const usesTime = !isNostalgia && decay.clock !== "messages";
+  $(".vecthare-decay-floor").toggle(!isNostalgia);
+  $(".vecthare-nostalgia-ceiling").toggle(isNostalgia);
+  $(".vecthare-decay-reinforcement").toggle(!isNostalgia);
+  $(".vecthare-decay-reinforcement-growth").toggle(
+    !isNostalgia && decay.reinforcement === "strengthen",
+  );
+  $(".vecthare-decay-clock").toggle(!isNostalgia);
+  $(".vecthare-decay-time").toggle(usesTime);
+  // Time-only decay ignores the message half-life and rate
+  $(".vecthare-decay-exponential").toggle(
+    decay.mode === "exponential" && (!usesTime || decay.clock === "both"),
+  );
+  $(".vecthare-decay-linear").toggle(
+    decay.mode === "linear" && (!usesTime || decay.clock === "both"),
+  );
+  $(".vecthare-decay-preview-pace").toggle(!isNostalgia && decay.clock === "both");
+  $("#vecthare_decay_preview_pace_hint").text(
+    `messages per ${decay.timeUnit === "hours" ? "hour" : "day"} (preview only)`,
+  );
+}
+
+/**
+ * Renders the projected score of a chunk (base score 1.0) at a few ages
+ */
+function renderDecayPreview() {
+  const decay = { ...readDecayForm(), enabled: true };
+  const messagesPerUnit = parseFloat($("#vecthare_decay_preview_pace").val()) || 0;
+  const points = projectDecayCurve(1, decay, null, { messagesPerUnit });
+  const maxScore = Math.max(1, ...points.map((p) => p.score));
+  const unitLabel = { messages: "msg", hours: "h", days: "d" };
+
+  const bars = points
+    .map((point) => {
+      const height = Math.round((point.score / maxScore) * 100);
+      const title =
+        point.unit === "messages" || decay.clock !== "both"
+          ? `${point.age} ${point.unit}`
+          : `${point.age} ${point.unit}, ~${point.messageAge} messages`;
+      return `
+        <div class="vecthare-decay-preview-point" title="${title}">
+          <span class="vecthare-decay-preview-value">${Math.round(point.score * 100)}%</span>
+          <div class="vecthare-decay-preview-track">
+            <div class="vecthare-decay-preview-fill" style="height: ${height}%"></div>
+          </div>
+          <span class="vecthare-decay-preview-age">${point.age}${unitLabel[point.unit]}</span>
+        </div>`;
+    })
+    .join("");
+
+  $("#vecthare_decay_preview").html(bars);
+}
+
 /**
  * Updates hint text based on decay vs nostalgia mode
  * @param {boolean} isNostalgia True if nostalgia mode
@@ -2059,6 +2700,12 @@ function bindActivationEditorEvents() {
     addConditionRule();
   });
 
+  $("#vecthare_add_condition_group").on("click", function (e) {
+    e.preventDefault();
+    e.stopPropagation();
+    addConditionGroup();
+  });
+
   // Stop mousedown propagation (ST closes drawers on mousedown/touchstart)
   $("#vecthare_activation_editor_modal").on("mousedown touchstart", function (e) {
     e.stopPropagation();
@@ -2089,9 +2736,7 @@ function bindActivationEditorEvents() {
   // Decay mode toggle shows/hides exponential vs linear settings
   $('input[name="vecthare_decay_mode"]').on("change", function (e) {
     e.stopPropagation();
-    const mode = $(this).val();
-    $(".vecthare-decay-exponential").toggle(mode === "exponential");
-    $(".vecthare-decay-linear").toggle(mode === "linear");
+    updateDecayFieldVisibility();
     // Update visual selection state
     $(".vecthare-curve-toggle .vecthare-type-option").removeClass("selected");
     $(this).closest(".vecthare-type-option").addClass("selected");
@@ -2100,15 +2745,28 @@ function bindActivationEditorEvents() {
   // Decay type toggle shows/hides decay-specific vs nostalgia-specific fields
   $('input[name="vecthare_decay_type"]').on("change", function (e) {
     e.stopPropagation();
-    const isNostalgia = $(this).val() === "nostalgia";
-    $(".vecthare-decay-floor").toggle(!isNostalgia);
-    $(".vecthare-nostalgia-ceiling").toggle(isNostalgia);
-    updateTemporalWeightingHints(isNostalgia);
+    updateDecayFieldVisibility();
+    updateTemporalWeightingHints($(this).val() === "nostalgia");
     // Update visual selection state
     $(".vecthare-type-option").removeClass("selected");
     $(this).closest(".vecthare-type-option").addClass("selected");
   });
 
+  // Reinforcement growth only applies when recalls strengthen the half-life,
+  // and the time half-life only when age is measured in real time
+  $("#vecthare_decay_reinforcement, #vecthare_decay_clock, #vecthare_decay_time_unit").on(
+    "change",
+    function (e) {
+      e.stopPropagation();
+      updateDecayFieldVisibility();
+    },
+  );
+
+  // Any temporal weighting edit refreshes the preview
+  $("#vecthare_decay_advanced").on("input change", function () {
+    renderDecayPreview();
+  });
+
   // Activation editor: Lock-to-chat button - opens dialog to manage multiple locks
   $("#vecthare_activation_lock_collection").off("click").on("click", async function (e) {
     e.stopPropagation();
@@ -2145,6 +2803,20 @@ function bindActivationEditorEvents() {
     e.stopPropagation();
     $("#vecthare_collection_depth_value").text($(this).val());
   });
+
+  // Hybrid fusion method toggle shows/hides vector weight row
+  $("#vecthare_collection_hybrid_fusion").on("change", function (e) {
+    e.stopPropagation();
+    $("#vecthare_collection_hybrid_weight_row").toggle($(this).val() === "weighted");
+  });
+
+  // Hybrid vector weight slider updates label
+  $("#vecthare_collection_hybrid_weight").on("input", function (e) {
+    e.stopPropagation();
+    $("#vecthare_collection_hybrid_weight_value").text(
+      parseFloat($(this).val()).toFixed(2),
+    );
+  });
 }
 
 /**
@@ -2191,19 +2863,19 @@ function renderActivationEditor() {
   $("#vecthare_decay_min").val(decay.minRelevance);
   $("#vecthare_decay_max_boost").val(decay.maxBoost || 1.2);
   $("#vecthare_decay_scene_aware").prop("checked", decay.sceneAware);
+  $("#vecthare_decay_reinforcement").val(decay.reinforcement || "off");
+  $("#vecthare_decay_reinforcement_growth").val(decay.reinforcementGrowth || 1.5);
+  $("#vecthare_decay_clock").val(decay.clock || "messages");
+  $("#vecthare_decay_time_halflife").val(decay.timeHalfLife || 3);
+  $("#vecthare_decay_time_unit").val(decay.timeUnit || "days");
 
   // Show/hide advanced decay settings based on enabled
   $("#vecthare_decay_advanced").toggle(decay.enabled);
 
-  // Show correct decay mode fields
-  $(".vecthare-decay-exponential").toggle(decay.mode === "exponential");
-  $(".vecthare-decay-linear").toggle(decay.mode === "linear");
-
-  // Show/hide type-specific fields and update hints
-  const isNostalgia = decayType === "nostalgia";
-  $(".vecthare-decay-floor").toggle(!isNostalgia);
-  $(".vecthare-nostalgia-ceiling").toggle(isNostalgia);
-  updateTemporalWeightingHints(isNostalgia);
+  // Show mode, type and clock specific fields, update hints and preview
+  updateDecayFieldVisibility();
+  updateTemporalWeightingHints(decayType === "nostalgia");
+  renderDecayPreview();
 
   // Prompt Context
   $("#vecthare_collection_context").val(state.context || "");
@@ -2216,6 +2888,29 @@ function renderActivationEditor() {
   $("#vecthare_collection_depth_value").text(state.depth ?? 2);
   // Show depth row only if position is "In-Chat @ Depth" (value 1)
   $("#vecthare_collection_depth_row").toggle(state.position === 1);
+  $("#vecthare_collection_token_budget").val(state.tokenBudget ?? "");
+
+  // Hybrid search overrides
+  const hybrid = state.hybridSearch;
+  $("#vecthare_collection_hybrid_enabled").val(
+    hybrid.enabled === null ? "" : String(hybrid.enabled),
+  );
+  $("#vecthare_collection_hybrid_fusion").val(hybrid.fusionMethod || "");
+  const hybridWeight = hybrid.vectorWeight ?? 0.6;
+  $("#vecthare_collection_hybrid_weight").val(hybridWeight);
+  $("#vecthare_collection_hybrid_weight_value").text(hybridWeight.toFixed(2));
+  $("#vecthare_collection_hybrid_weight_row").toggle(
+    hybrid.fusionMethod === "weighted",
+  );
+
+  // World Info sync
+  const lorebookSync = state.lorebookSync;
+  $(".vecthare-lorebook-sync-section").toggle(lorebookSync.available);
+  $("#vecthare_lorebook_sync_enabled").prop("checked", lorebookSync.enabled);
+  $("#vecthare_lorebook_sync_push_keywords").prop(
+    "checked",
+    lorebookSync.pushKeywords,
+  );
 
   // Disable sections if always active
   const isAlwaysActive = state.alwaysActive;
@@ -2288,16 +2983,7 @@ function saveActivation() {
     .filter((t) => t.length > 0);
 
   // Build temporal weighting settings (decay or nostalgia)
-  const temporalDecay = {
-    enabled: $("#vecthare_decay_enabled").prop("checked"),
-    type: $('input[name="vecthare_decay_type"]:checked').val() || "decay",
-    mode: $('input[name="vecthare_decay_mode"]:checked').val() || "exponential",
-    halfLife: parseInt($("#vecthare_decay_halflife").val()) || 50,
-    linearRate: parseFloat($("#vecthare_decay_rate").val()) || 0.01,
-    minRelevance: parseFloat($("#vecthare_decay_min").val()) || 0.3,
-    maxBoost: parseFloat($("#vecthare_decay_max_boost").val()) || 1.2,
-    sceneAware: $("#vecthare_decay_scene_aware").prop("checked"),
-  };
+  const temporalDecay = readDecayForm();
 
   // Get prompt context values (sanitize xml tag)
   const contextPrompt = $("#vecthare_collection_context").val() || "";
@@ -2312,6 +2998,23 @@ function saveActivation() {
       ? parseInt($("#vecthare_collection_depth").val()) || 2
       : null;
 
+  // Get token budget override (empty = use global default = null)
+  const tokenBudgetRaw = $("#vecthare_collection_token_budget").val();
+  const tokenBudget =
+    tokenBudgetRaw === "" ? null : Math.max(0, parseInt(tokenBudgetRaw) || 0);
+
+  // Get hybrid search overrides (empty string = use global default = null)
+  const hybridEnabledRaw = $("#vecthare_collection_hybrid_enabled").val();
+  const hybridFusion = $("#vecthare_collection_hybrid_fusion").val() || null;
+  const hybridSearch = {
+    enabled: hybridEnabledRaw === "" ? null : hybridEnabledRaw === "true",
+    fusionMethod: hybridFusion,
+    vectorWeight:
+      hybridFusion === "weighted"
+        ? parseFloat($("#vecthare_collection_hybrid_weight").val())
+        : null,
+  };
+
   // Update metadata (all in one call)
   setCollectionMeta(state.collectionId, {
     alwaysActive: $("#vecthare_always_active").prop("checked"),
@@ -2324,6 +3027,8 @@ function saveActivation() {
     xmlTag: xmlTag,
     position: position,
     depth: depth,
+    tokenBudget: tokenBudget,
+    hybridSearch: hybridSearch,
   });
 
   // Save conditions
@@ -2334,11 +3039,52 @@ function saveActivation() {
   };
   setCollectionConditions(state.collectionId, conditions);
 
+  if (state.lorebookSync.available) {
+    setLorebookSyncSettings(state.collectionId, {
+      enabled: $("#vecthare_lorebook_sync_enabled").prop("checked"),
+      pushKeywords: $("#vecthare_lorebook_sync_push_keywords").prop("checked"),
+      backendSettings: state.lorebookSync.backendSettings,
+    });
+  }
+
+  const validation = validateConditions(conditions);
+  if (!validation.valid) {
+    toastr.warning(validation.errors.join("<br>"), "Conditions saved with problems", {
+      escapeHtml: false,
+    });
+  }
+
   closeActivationEditor();
   refreshCollections();
   toastr.success("Collection settings saved", "VectHare");
 }
 
+/**
+ * Condition rules are addressed by their path through nested groups:
+ * "2" is the third top-level rule, "2-0" the first rule inside it.
+ * The path is stored in data-rule-index (dashes keep jQuery from reading it as a number).
+ * @param {string|number} path Rule path
+ * @returns {{list: object[], index: number}} The rules list holding the rule, and its position
+ */
+function resolveConditionPath(path) {
+  const indexes = String(path).split("-").map(Number);
+  let list = activationEditorState.conditions.rules;
+  for (const index of indexes.slice(0, -1)) {
+    list = list[index].rules;
+  }
+  return { list, index: indexes[indexes.length - 1] };
+}
+
+/**
+ * Gets the rule or group at a path
+ * @param {string|number} path Rule path
+ * @returns {object}
+ */
+function getConditionNode(path) {
+  const { list, index } = resolveConditionPath(path);
+  return list[index];
+}
+
 /**
  * Renders the list of condition rules
  */
@@ -2353,15 +3099,66 @@ function renderConditionRules() {
     return;
   }
 
-  const rulesHtml = rules
-    .map((rule, idx) => renderConditionRule(rule, idx))
-    .join("");
-  container.html(rulesHtml);
+  container.html(renderConditionList(rules, "", 0));
 
   // Bind rule events
   bindConditionRuleEvents();
 }
 
+/**
+ * Renders the rules of one group (or the top level)
+ * @param {object[]} rules Rules and nested groups
+ * @param {string} parentPath Path of the group ("" for the top level)
+ * @param {number} depth Nesting depth of the group
+ */
+function renderConditionList(rules, parentPath, depth) {
+  return rules
+    .map((rule, idx) => {
+      const path = parentPath === "" ? String(idx) : `${parentPath}-${idx}`;
+      return isConditionGroup(rule)
+        ? renderConditionGroup(rule, path, depth + 1)
+        : renderConditionRule(rule, path);
+    })
+    .join("");
+}
+
+/**
+ * Renders a nested AND/OR group with its own rules
+ */
+function renderConditionGroup(group, path, depth) {
+  const rules = group.rules || [];
+  const logic = group.logic || "AND";
+
+  return `
+        <div class="vecthare-condition-rule vecthare-condition-group" data-rule-index="${path}">
+            <div class="vecthare-condition-row">
+                <select class="vecthare-condition-group-logic" data-rule-index="${path}">
+                    <option value="AND" ${logic === "AND" ? "selected" : ""}>ALL of (AND)</option>
+                    <option value="OR" ${logic === "OR" ? "selected" : ""}>ANY of (OR)</option>
+                </select>
+                <label class="vecthare-condition-negate">
+                    <input type="checkbox" ${group.negate ? "checked" : ""} data-rule-index="${path}">
+                    NOT
+                </label>
+                <button class="vecthare-btn-sm vecthare-condition-group-add" data-rule-index="${path}" type="button">+ Rule</button>
+                ${
+                  depth < MAX_CONDITION_DEPTH
+                    ? `<button class="vecthare-btn-sm vecthare-condition-group-add-group" data-rule-index="${path}" type="button">+ Group</button>`
+                    : ""
+                }
+                <button class="vecthare-btn-icon vecthare-condition-remove" data-rule-index="${path}">🗑️</button>
+            </div>
+            <div class="vecthare-condition-group-rules">
+                ${
+                  rules.length > 0
+                    ? renderConditionList(rules, path, depth)
+                    : '<div class="vecthare-empty-rules">Empty group - add a rule.</div>'
+                }
+            </div>
+        </div>
+    `;
+}
+
 /**
  * Renders a single condition rule
  */
@@ -2559,6 +3356,44 @@ function renderConditionSettings(rule, index) {
                 <span>%</span>
             `;
 
+    case "variable":
+      const variableOperator = settings.operator || "equals";
+      const operatorLabels = {
+        equals: "equals",
+        notEquals: "does not equal",
+        contains: "contains",
+        gt: ">",
+        gte: "≥",
+        lt: "<",
+        lte: "≤",
+        exists: "is set",
+      };
+      return `
+                <select data-field="scope" data-rule-index="${index}">
+                    <option value="any" ${!settings.scope || settings.scope === "any" ? "selected" : ""}>Chat, then global</option>
+                    <option value="local" ${settings.scope === "local" ? "selected" : ""}>Chat variable</option>
+                    <option value="global" ${settings.scope === "global" ? "selected" : ""}>Global variable</option>
+                </select>
+                <input type="text" placeholder="Variable name"
+                       value="${escapeHtml(settings.name || "").replace(/"/g, "&quot;")}"
+                       data-field="name" data-rule-index="${index}">
+                <select data-field="operator" data-rule-index="${index}">
+                    ${VARIABLE_OPERATORS.map(
+                      (op) =>
+                        `<option value="${op}" ${variableOperator === op ? "selected" : ""}>${operatorLabels[op]}</option>`,
+                    ).join("")}
+                </select>
+                <input type="text" placeholder="Value"
+                       value="${escapeHtml(settings.value ?? "").replace(/"/g, "&quot;")}"
+                       data-field="value" data-rule-index="${index}"
+                       ${variableOperator === "exists" ? "disabled" : ""}>
+                <label class="vecthare-checkbox-label">
+                    <input type="checkbox" data-field="caseSensitive" data-rule-index="${index}"
+                           ${settings.caseSensitive ? "checked" : ""}>
+                    Case sensitive
+                </label>
+            `;
+
     default:
       return '<span class="vecthare-unknown-type">Unknown condition type</span>';
   }
@@ -2573,33 +3408,56 @@ function bindConditionRuleEvents() {
     .off("change")
     .on("change", function (e) {
       e.stopPropagation();
-      const idx = $(this).data("rule-index");
-      activationEditorState.conditions.rules[idx].type = $(this).val();
-      activationEditorState.conditions.rules[idx].settings = {};
+      const rule = getConditionNode($(this).data("rule-index"));
+      rule.type = $(this).val();
+      rule.settings = {};
       renderConditionRules();
     });
 
-  // Negate toggle
+  // Negate toggle (rules and groups)
   $(".vecthare-condition-negate input")
     .off("change")
     .on("change", function (e) {
       e.stopPropagation();
-      const idx = $(this).data("rule-index");
-      activationEditorState.conditions.rules[idx].negate =
+      getConditionNode($(this).data("rule-index")).negate =
         $(this).prop("checked");
     });
 
-  // Remove rule
+  // Remove rule or group
   $(".vecthare-condition-remove")
     .off("click")
     .on("click", function (e) {
       e.preventDefault();
       e.stopPropagation();
-      const idx = $(this).data("rule-index");
-      activationEditorState.conditions.rules.splice(idx, 1);
+      const { list, index } = resolveConditionPath($(this).data("rule-index"));
+      list.splice(index, 1);
       renderConditionRules();
     });
 
+  // Group logic
+  $(".vecthare-condition-group-logic")
+    .off("change")
+    .on("change", function (e) {
+      e.stopPropagation();
+      getConditionNode($(this).data("rule-index")).logic = $(this).val();
+    });
+
+  // Add rule / nested group inside a group
+  $(".vecthare-condition-group-add")
+    .off("click")
+    .on("click", function (e) {
+      e.preventDefault();
+      e.stopPropagation();
+      addConditionRule($(this).data("rule-index"));
+    });
+  $(".vecthare-condition-group-add-group")
+    .off("click")
+    .on("click", function (e) {
+      e.preventDefault();
+      e.stopPropagation();
+      addConditionGroup($(this).data("rule-index"));
+    });
+
   // Settings fields (inputs, selects, and textareas)
   $(
     ".vecthare-condition-settings input, .vecthare-condition-settings select, .vecthare-condition-settings textarea",
@@ -2647,10 +3505,16 @@ function bindConditionRuleEvents() {
         value = parseInt(value) || 0;
       }
 
-      if (!activationEditorState.conditions.rules[idx].settings) {
-        activationEditorState.conditions.rules[idx].settings = {};
+      const rule = getConditionNode(idx);
+      if (!rule.settings) {
+        rule.settings = {};
+      }
+      rule.settings[field] = value;
+
+      // "is set" takes no value - re-render to disable the value box
+      if (rule.type === "variable" && field === "operator") {
+        renderConditionRules();
       }
-      activationEditorState.conditions.rules[idx].settings[field] = value;
     });
 
   // Lorebook picker: world select change - load entries
@@ -2762,11 +3626,11 @@ function bindConditionRuleEvents() {
         `);
 
       // Update state
-      if (!activationEditorState.conditions.rules[idx].settings) {
-        activationEditorState.conditions.rules[idx].settings = {};
+      const rule = getConditionNode(idx);
+      if (!rule.settings) {
+        rule.settings = {};
       }
-      activationEditorState.conditions.rules[idx].settings.values =
-        currentValues;
+      rule.settings.values = currentValues;
 
       // Rebind remove buttons
       bindLorebookRemoveButtons();
@@ -2807,9 +3671,9 @@ function bindLorebookRemoveButtons() {
       hiddenInput.val(currentValues.join(","));
 
       // Update state
-      if (activationEditorState.conditions.rules[idx]?.settings) {
-        activationEditorState.conditions.rules[idx].settings.values =
-          currentValues;
+      const rule = getConditionNode(idx);
+      if (rule?.settings) {
+        rule.settings.values = currentValues;
       }
 
       // Remove the tag
@@ -2818,14 +3682,30 @@ function bindLorebookRemoveButtons() {
 }
 
 /**
- * Adds a new condition rule
+ * Gets the rules list of a group, or the top-level list
+ * @param {string} [groupPath] Path of the group (omit for the top level)
+ * @returns {object[]}
  */
-function addConditionRule() {
+function getConditionList(groupPath) {
   if (!activationEditorState.conditions.rules) {
     activationEditorState.conditions.rules = [];
   }
+  if (groupPath === undefined) {
+    return activationEditorState.conditions.rules;
+  }
+  const group = getConditionNode(groupPath);
+  if (!group.rules) {
+    group.rules = [];
+  }
+  return group.rules;
+}
 
-  activationEditorState.conditions.rules.push({
+/**
+ * Adds a new condition rule
+ * @param {string} [groupPath] Group to add it to (omit for the top level)
+ */
+function addConditionRule(groupPath) {
+  getConditionList(groupPath).push({
     type: "pattern",
     negate: false,
     settings: {},
@@ -2834,6 +3714,21 @@ function addConditionRule() {
   renderConditionRules();
 }
 
+/**
+ * Adds a new nested group, starting with one rule
+ * @param {string} [groupPath] Group to add it to (omit for the top level)
+ */
+function addConditionGroup(groupPath) {
+  getConditionList(groupPath).push({
+    type: "group",
+    logic: "OR",
+    negate: false,
+    rules: [{ type: "pattern", negate: false, settings: {} }],
+  });
+
+  renderConditionRules();
+}
+
 // ============================================================================
 // SEARCH TAB FUNCTIONS
 // ============================================================================
@@ -3027,30 +3922,14 @@ function renderSearchResults(results, query) {
           return;
         }
 
-        const collectionSettings = {
-          ...browserState.settings,
-          vector_backend: collection.backend,
-        };
-
-        // Use unified plugin endpoint
-        const response = await fetch("/api/plugins/similharity/chunks/list", {
-          method: "POST",
-          headers: getRequestHeaders(),
-          body: JSON.stringify({
-            backend: collection.backend || "vectra",
-            collectionId: collection.id,
-            source: collection.source || "transformers",
-            model: collection.model || "",
-            limit: 1000, // Get first 1000 chunks
-          }),
-        });
-
-        if (!response.ok) {
-          throw new Error(`Failed to list chunks: ${response.statusText}`);
-        }
+        const collectionSettings = getCollectionSettings(collection);
 
-        const data = await response.json();
-        const results = data.items || [];
+        // Get first 1000 chunks
+        const results = await listCollectionChunks(
+          collection,
+          collectionSettings,
+          1000,
+        );
 
         if (!results || results.length === 0) {
           toastr.warning("No chunks found in this collection", "VectHare");
@@ -3317,8 +4196,7 @@ function bindBulkEvents() {
 
         try {
           const collectionSettings = {
-            ...browserState.settings,
-            vector_backend: collection.backend,
+            ...getCollectionSettings(collection),
             source: collection.source,
           };
           const result = await deleteCollection(
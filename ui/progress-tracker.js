@@ -3,7 +3,8 @@
  * VECTHARE PROGRESS TRACKER
  * ============================================================================
  * Real-time progress panel for vectorization operations
- * Shows detailed status, progress bars, and live updates
+ * Shows detailed status, progress bars, and live updates, plus the
+ * persistent job list (see core/job-queue.js) with per-job controls
  *
  * @author VectHare
  * @version 2.0.0-alpha
@@ -20,9 +21,12 @@ export class ProgressTracker {
         this.currentOperation = null;
         this.timeIntervalId = null;
         this.isComplete = false;
+        this.jobs = [];
+        this.jobActions = null;
         this.stats = {
             totalItems: 0,
             processedItems: 0,
+            startItems: 0,
             currentBatch: 0,
             totalBatches: 0,
             totalChunks: 0,
@@ -36,13 +40,15 @@ export class ProgressTracker {
      * @param {string} operation - Operation name (e.g., "Vectorizing Chat", "Purging Index")
      * @param {number} totalItems - Total number of items to process
      * @param {string} itemLabel - Label for items (e.g., "Messages", "Steps", "Entries")
+     * @param {number} processedItems - Items already done (resumed jobs)
      */
-    show(operation, totalItems = 0, itemLabel = 'Progress') {
+    show(operation, totalItems = 0, itemLabel = 'Progress', processedItems = 0) {
         this.currentOperation = operation;
         this.isComplete = false;
         this.stats = {
             totalItems: totalItems,
-            processedItems: 0,
+            processedItems: processedItems,
+            startItems: processedItems,
             currentBatch: 0,
             totalBatches: 0,
             totalChunks: 0,
@@ -61,9 +67,28 @@ export class ProgressTracker {
         // Start/restart time updater
         this.startTimeUpdater();
 
+        document.getElementById('vecthare_progress_main').style.display = 'block';
+        this.panel.style.display = 'block';
+        this.isVisible = true;
         this.updateDisplay();
+    }
+
+    /**
+     * Show the panel with just the job list (no operation running)
+     */
+    showJobs() {
+        if (!this.panel) {
+            this.createPanel();
+        }
+
+        if (!this.currentOperation) {
+            document.getElementById('vecthare_progress_main').style.display = 'none';
+            document.getElementById('vecthare_progress_title').textContent = 'Vectorization Jobs';
+        }
+
         this.panel.style.display = 'block';
         this.isVisible = true;
+        this.renderJobs();
     }
 
     /**
@@ -162,6 +187,97 @@ export class ProgressTracker {
         // Don't auto-hide - let user close manually
     }
 
+    /**
+     * Set the handlers behind the job buttons
+     * @param {{pause: Function, resume: Function, cancel: Function, retryFailed: Function, remove: Function}} actions
+     */
+    setJobActions(actions) {
+        this.jobActions = actions;
+    }
+
+    /**
+     * Update the job list
+     * @param {object[]} jobs - Jobs from the job queue (with eta in ms or null)
+     */
+    updateJobs(jobs) {
+        this.jobs = jobs;
+        this.renderJobs();
+    }
+
+    /**
+     * Render the job list
+     */
+    renderJobs() {
+        const section = document.getElementById('vecthare_progress_jobs');
+        if (!section) return;
+
+        section.style.display = this.jobs.length > 0 ? 'block' : 'none';
+        document.getElementById('vecthare_progress_jobs_list').innerHTML = [...this.jobs]
+            .reverse()
+            .map(job => this.renderJob(job))
+            .join('');
+    }
+
+    /**
+     * Build the HTML for one job row
+     * @param {object} job - Job from the job queue
+     * @returns {string}
+     */
+    renderJob(job) {
+        const percent = job.total > 0 ? Math.min(100, Math.round((job.processed / job.total) * 100)) : 0;
+        const details = [`${job.processed} / ${job.total}`];
+        if (job.eta !== null && job.eta !== undefined) {
+            details.push(`ETA ${formatDuration(job.eta)}`);
+        }
+        if (job.note) {
+            details.push(escapeHtml(job.note));
+        }
+
+        const buttons = [];
+        if (job.status === 'running' || job.status === 'queued') {
+            buttons.push(jobButton('pause', 'fa-pause', 'Pause'));
+        }
+        if (job.status === 'paused' || job.status === 'failed') {
+            buttons.push(jobButton('resume', 'fa-play', 'Resume'));
+        }
+        if (job.failedItems.length > 0 && job.status !== 'running') {
+            buttons.push(jobButton('retryFailed', 'fa-rotate-right', 'Retry failed items'));
+        }
+        if (!['completed', 'cancelled'].includes(job.status)) {
+            buttons.push(jobButton('cancel', 'fa-ban', 'Cancel'));
+        }
+        if (job.status !== 'running') {
+            buttons.push(jobButton('remove', 'fa-trash', 'Remove from list'));
+        }
+
+        const failed = job.failedItems.length > 0 ? `
+            <details class="vecthare-progress-job-failures">
+                <summary>${job.failedItems.length} failed</summary>
+                ${job.failedItems.map(item => `
+                    <div class="vecthare-progress-error-item">
+                        <strong>${escapeHtml(item.label || String(item.hash))}</strong>: ${escapeHtml(item.error)}
+                    </div>
+                `).join('')}
+            </details>` : '';
+
+        return `
+            <div class="vecthare-progress-job vecthare-progress-job-${job.status}" data-job-id="${escapeHtml(job.id)}">
+                <div class="vecthare-progress-label">
+                    <span>${escapeHtml(job.label)}</span>
+                    <span class="vecthare-progress-job-status">${job.status}</span>
+                </div>
+                <div class="vecthare-progress-bar-container">
+                    <div class="vecthare-progress-bar" style="width: ${percent}%"></div>
+                </div>
+                <div class="vecthare-progress-job-footer">
+                    <small>${details.join(' · ')}</small>
+                    <span class="vecthare-progress-job-actions">${buttons.join('')}</span>
+                </div>
+                ${failed}
+            </div>
+        `;
+    }
+
     /**
      * Create progress panel HTML
      */
@@ -175,6 +291,7 @@ export class ProgressTracker {
                     </button>
                 </div>
                 <div class="vecthare-progress-body">
+                    <div id="vecthare_progress_main">
                     <!-- Main Progress Bar -->
                     <div class="vecthare-progress-section">
                         <div class="vecthare-progress-label">
@@ -219,6 +336,16 @@ export class ProgressTracker {
                         </div>
                         <div id="vecthare_progress_errors_list" class="vecthare-progress-errors-list"></div>
                     </div>
+                    </div>
+
+                    <!-- Jobs (persisted, survive reloads) -->
+                    <div id="vecthare_progress_jobs" class="vecthare-progress-jobs" style="display: none;">
+                        <div class="vecthare-progress-jobs-header">
+                            <i class="fa-solid fa-list-check"></i>
+                            <span>Jobs</span>
+                        </div>
+                        <div id="vecthare_progress_jobs_list" class="vecthare-progress-jobs-list"></div>
+                    </div>
                 </div>
             </div>
         `;
@@ -235,6 +362,14 @@ export class ProgressTracker {
             this.hide();
         });
 
+        // Bind job buttons (rows are re-rendered, so delegate)
+        document.getElementById('vecthare_progress_jobs_list').addEventListener('click', (event) => {
+            const button = event.target.closest('[data-job-action]');
+            if (!button || !this.jobActions) return;
+            const jobId = button.closest('[data-job-id]').dataset.jobId;
+            this.jobActions[button.dataset.jobAction]?.(jobId);
+        });
+
         // Start time update interval
         this.startTimeUpdater();
     }
@@ -277,9 +412,9 @@ export class ProgressTracker {
             }
         }
 
-        // Calculate speed
+        // Calculate speed (resumed jobs only count this run's items)
         const elapsed = (Date.now() - this.stats.startTime) / 1000;
-        const speed = elapsed > 0 ? (this.stats.processedItems / elapsed).toFixed(1) : '0.0';
+        const speed = elapsed > 0 ? ((this.stats.processedItems - this.stats.startItems) / elapsed).toFixed(1) : '0.0';
         document.getElementById('vecthare_progress_speed').textContent = `${speed}/s`;
 
         // Show/hide errors
@@ -310,7 +445,7 @@ export class ProgressTracker {
     updateErrorsList() {
         const errorsList = document.getElementById('vecthare_progress_errors_list');
         errorsList.innerHTML = this.stats.errors
-            .map(err => `<div class="vecthare-progress-error-item">${err.message}</div>`)
+            .map(err => `<div class="vecthare-progress-error-item">${escapeHtml(err.message)}</div>`)
             .join('');
     }
 
@@ -336,5 +471,42 @@ export class ProgressTracker {
     }
 }
 
+/**
+ * Escapes HTML entities
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML;
+}
+
+/**
+ * Formats milliseconds as a short duration (e.g. "4m 10s")
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    const totalSeconds = Math.round(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m ${seconds}s`;
+    return `${seconds}s`;
+}
+
+/**
+ * Builds a job action button
+ * @param {string} action - Key in the job actions object
+ * @param {string} icon - Font Awesome icon class
+ * @param {string} title - Tooltip
+ * @returns {string}
+ */
+function jobButton(action, icon, title) {
+    return `<button class="vecthare-progress-job-btn" data-job-action="${action}" title="${title}"><i class="fa-solid ${icon}"></i></button>`;
+}
+
 // Export singleton instance
 export const progressTracker = new ProgressTracker();
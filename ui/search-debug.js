@@ -30,6 +30,7 @@ const MAX_QUERY_HISTORY = 13;
  * Structure for debug data - populated during RAG pipeline
  * @typedef {Object} SearchDebugData
  * @property {string} query - The query text used
+ * @property {Object} [queryPlan] - Query mode and the queries actually searched (see core/query-builder.js)
  * @property {number} timestamp - When the search was performed
  * @property {string} collectionId - Collection that was searched
  * @property {Object} settings - Settings used for the search
@@ -37,6 +38,7 @@ const MAX_QUERY_HISTORY = 13;
  * @property {Array} stages.initial - Chunks from initial vector query
  * @property {Array} stages.afterDecay - Chunks after temporal decay
  * @property {Array} stages.afterConditions - Chunks after condition filtering
+ * @property {Array} [stages.afterDiversity] - Chunks kept by MMR diversity re-selection (only when enabled)
  * @property {Array} stages.injected - Chunks that were actually injected
  * @property {Object} stats - Summary statistics
  */
@@ -268,11 +270,13 @@ function createModalHtml(data, historyIndex = 0) {
                         <div class="vecthare-debug-card-body">
                             <div class="vecthare-debug-query-preview">${escapeHtml(queryPreview)}</div>
                             <div class="vecthare-debug-query-full" style="display: none;">
-                                <pre>${escapeHtml(data.query)}</pre>
+                                <pre>${highlightKeywordSpans(data.query, data.stages.initial)}</pre>
                             </div>
                         </div>
                     </div>
 
+                    ${renderQueryPlan(data)}
+
                     <!-- Pipeline Overview -->
                     <div class="vecthare-debug-pipeline">
                         <div class="vecthare-debug-pipeline-title">
@@ -290,7 +294,9 @@ function createModalHtml(data, historyIndex = 0) {
                             <div class="vecthare-debug-pipeline-arrow">→</div>
                             ${createPipelineStage('Conditions', data.stages.afterConditions.length, data.stages.afterDecay.length, 'fa-code-branch', 'secondary', false)}
                             <div class="vecthare-debug-pipeline-arrow">→</div>
-                            ${createPipelineStage('Injected', data.stages.injected.length, data.stages.afterConditions.length, 'fa-syringe', 'success', false)}
+                            ${createPipelineStage('Diversity', data.stages.afterDiversity?.length ?? data.stages.afterConditions.length, data.stages.afterGroups?.length ?? data.stages.afterConditions.length, 'fa-shuffle', 'info', !data.stages.afterDiversity)}
+                            <div class="vecthare-debug-pipeline-arrow">→</div>
+                            ${createPipelineStage('Injected', data.stages.injected.length, data.stages.afterDiversity?.length ?? data.stages.afterConditions.length, 'fa-syringe', 'success', false)}
                         </div>
                     </div>
 
@@ -314,6 +320,14 @@ function createModalHtml(data, historyIndex = 0) {
                                     <span class="vecthare-debug-setting-label">Temporal Decay</span>
                                     <span class="vecthare-debug-setting-value">${data.settings.temporal_decay?.enabled ? 'On' : 'Off'}</span>
                                 </div>
+                                <div class="vecthare-debug-setting">
+                                    <span class="vecthare-debug-setting-label">Diversity (MMR)</span>
+                                    <span class="vecthare-debug-setting-value">${data.settings.mmr ? `λ ${data.settings.mmr.lambda}` : 'Off'}</span>
+                                </div>
+                                <div class="vecthare-debug-setting">
+                                    <span class="vecthare-debug-setting-label">Contradictions</span>
+                                    <span class="vecthare-debug-setting-value">${data.settings.conflicts ? (data.settings.conflicts === 'prefer_newer' ? 'Prefer newer' : 'Label') : 'Off'}</span>
+                                </div>
                                 <div class="vecthare-debug-setting">
                                     <span class="vecthare-debug-setting-label">Collection</span>
                                     <span class="vecthare-debug-setting-value vecthare-debug-setting-mono">${data.collectionId || 'Unknown'}</span>
@@ -340,6 +354,11 @@ function createModalHtml(data, historyIndex = 0) {
                                 <button class="vecthare-debug-stage-tab" data-stage="afterConditions">
                                     After Conditions (${data.stages.afterConditions.length})
                                 </button>
+                                ${data.stages.afterDiversity ? `
+                                <button class="vecthare-debug-stage-tab" data-stage="afterDiversity">
+                                    After Diversity (${data.stages.afterDiversity.length})
+                                </button>
+                                ` : ''}
                                 <button class="vecthare-debug-stage-tab" data-stage="injected">
                                     Injected (${data.stages.injected.length})
                                 </button>
@@ -352,6 +371,9 @@ function createModalHtml(data, historyIndex = 0) {
                         </div>
                     </div>
 
+                    <!-- Contradicting chunk pairs -->
+                    ${renderConflicts(data)}
+
                     <!-- Critical Failure Alert (0 injected) -->
                     ${renderCriticalFailure(data)}
 
@@ -528,6 +550,7 @@ function renderStageChunks(chunks, stageName, data) {
                 <div class="vecthare-debug-chunk-meta">
                     <span>Hash: ${String(chunk.hash).substring(0, 12)}...</span>
                     ${chunk.index !== undefined ? `<span>Msg #${chunk.index}</span>` : ''}
+                    ${chunk.queryHits?.length ? `<span title="${escapeHtml(chunk.queryHits.map(h => `${h.query}: rank ${h.rank}, score ${h.score?.toFixed(3)}`).join('\n'))}">Found by: ${escapeHtml(chunk.queryHits.map(h => h.query).join(', '))}</span>` : ''}
                     ${hasMoreText ? `<span class="vecthare-debug-click-hint">Click to expand</span>` : ''}
                 </div>
             </div>
@@ -571,6 +594,11 @@ function getExclusionStatus(chunk, currentStage, data) {
             return 'Failed conditions';
         }
 
+        // Check if dropped by diversity re-selection
+        if (data.stages.afterDiversity && !data.stages.afterDiversity.some(c => c.hash === chunk.hash)) {
+            return 'Redundant (MMR)';
+        }
+
         // Check if injected
         const inInjected = data.stages.injected?.some(c => c.hash === chunk.hash);
         if (!inInjected) {
@@ -584,6 +612,9 @@ function getExclusionStatus(chunk, currentStage, data) {
         if (!inAfterConditions) {
             return 'Failed conditions';
         }
+        if (data.stages.afterDiversity && !data.stages.afterDiversity.some(c => c.hash === chunk.hash)) {
+            return 'Redundant (MMR)';
+        }
         const inInjected = data.stages.injected?.some(c => c.hash === chunk.hash);
         if (!inInjected) {
             return 'Not injected';
@@ -591,6 +622,9 @@ function getExclusionStatus(chunk, currentStage, data) {
     }
 
     if (currentStage === 'afterConditions') {
+        if (data.stages.afterDiversity && !data.stages.afterDiversity.some(c => c.hash === chunk.hash)) {
+            return 'Redundant (MMR)';
+        }
         const inInjected = data.stages.injected?.some(c => c.hash === chunk.hash);
         if (!inInjected) {
             return 'Not injected';
@@ -611,6 +645,51 @@ function buildScoreBreakdown(chunk) {
     const decayMultiplier = chunk.decayMultiplier ?? 1.0;
     const finalScore = chunk.score;
 
+    // Rerankers replace the retrieval score with their own
+    if (chunk.rerankedBy) {
+        const delta = chunk.rerankDelta ?? 0;
+        const rerankParts = [
+            `<span class="vecthare-score-vector" title="Score before reranking">${chunk.preRerankScore?.toFixed(3) ?? '?'}</span>`,
+            `<span class="vecthare-score-operator">→ ${escapeHtml(chunk.rerankedBy)}</span>`,
+            `<span class="vecthare-score-boost" title="Reranker score (${delta >= 0 ? '+' : ''}${delta.toFixed(3)})">${chunk.rerankScore.toFixed(3)}</span>`,
+        ];
+        if (chunk.decayApplied && decayMultiplier !== 1.0) {
+            rerankParts.push(`<span class="vecthare-score-operator">×</span>`);
+            rerankParts.push(`<span class="vecthare-score-decay" title="Age: ${chunk.messageAge || '?'} msgs">${decayMultiplier.toFixed(2)}↓</span>`);
+        }
+        rerankParts.push(`<span class="vecthare-score-operator">=</span>`);
+        rerankParts.push(`<span class="vecthare-score-final">${finalScore?.toFixed(3) || '?'}</span>`);
+
+        return `<div class="vecthare-debug-score-breakdown">
+            <div class="vecthare-score-math">${rerankParts.join(' ')}</div>
+        </div>`;
+    }
+
+    // Hybrid search replaces the score with a fused vector + BM25 score
+    if (chunk.fusionMethod) {
+        const fusedParts = [
+            `<span class="vecthare-score-vector" title="Vector similarity">${chunk.vectorScore !== null && chunk.vectorScore !== undefined ? chunk.vectorScore.toFixed(3) : '—'}</span>`,
+            `<span class="vecthare-score-operator">+</span>`,
+            `<span class="vecthare-score-boost" title="BM25 lexical score">${chunk.lexicalScore !== null && chunk.lexicalScore !== undefined ? `BM25 ${chunk.lexicalScore.toFixed(2)}` : '—'}</span>`,
+            `<span class="vecthare-score-operator">→ ${chunk.fusionMethod.toUpperCase()}</span>`,
+        ];
+        if (chunk.decayApplied && decayMultiplier !== 1.0) {
+            fusedParts.push(`<span class="vecthare-score-operator">×</span>`);
+            fusedParts.push(`<span class="vecthare-score-decay" title="Age: ${chunk.messageAge || '?'} msgs">${decayMultiplier.toFixed(2)}↓</span>`);
+        }
+        fusedParts.push(`<span class="vecthare-score-operator">=</span>`);
+        fusedParts.push(`<span class="vecthare-score-final">${finalScore?.toFixed(3) || '?'}</span>`);
+
+        const termInfo = chunk.matchedTerms?.length > 0
+            ? `<div class="vecthare-score-keywords">Lexical terms: ${chunk.matchedTerms.join(', ')}${chunk.thresholdExempt ? ' (threshold bypass)' : ''}</div>`
+            : '';
+
+        return `<div class="vecthare-debug-score-breakdown">
+            <div class="vecthare-score-math">${fusedParts.join(' ')}</div>
+            ${termInfo}
+        </div>`;
+    }
+
     // Only show breakdown if there's something to break down
     const hasKeywordBoost = keywordBoost && keywordBoost !== 1.0;
     const hasDecay = chunk.decayApplied && decayMultiplier !== 1.0;
@@ -631,7 +710,7 @@ function buildScoreBreakdown(chunk) {
         let boostTitle = 'Keyword boost';
         if (chunk.matchedKeywordsWithWeights?.length > 0) {
             const kwDetails = chunk.matchedKeywordsWithWeights.map(k =>
-                `${k.text}: +${((k.weight - 1) * 100).toFixed(0)}%`
+                `${k.text}${formatKeywordHit(k)}: +${((k.weight - 1) * 100).toFixed(0)}%`
             ).join(', ');
             boostTitle = `Additive boost: ${kwDetails}`;
         } else if (chunk.matchedKeywords?.length > 0) {
@@ -653,9 +732,9 @@ function buildScoreBreakdown(chunk) {
     let keywordInfo = '';
     if (chunk.matchedKeywordsWithWeights?.length > 0) {
         const kwStr = chunk.matchedKeywordsWithWeights.map(k =>
-            k.weight !== 1.5 ? `${k.text} (${k.weight}x)` : k.text
+            (k.weight !== 1.5 ? `${k.text} (${k.weight}x)` : k.text) + formatKeywordHit(k)
         ).join(', ');
-        keywordInfo = `<div class="vecthare-score-keywords">Keywords: ${kwStr}</div>`;
+        keywordInfo = `<div class="vecthare-score-keywords">Keywords: ${escapeHtml(kwStr)}</div>`;
     } else if (chunk.matchedKeywords?.length > 0) {
         keywordInfo = `<div class="vecthare-score-keywords">Keywords: ${chunk.matchedKeywords.join(', ')}</div>`;
     }
@@ -670,6 +749,99 @@ function buildScoreBreakdown(chunk) {
  * Renders critical failure alert when 0 chunks were injected
  * Diagnoses the pipeline and provides actionable fixes
  */
+/**
+ * Renders the query construction card - which queries were actually searched
+ */
+function renderQueryPlan(data) {
+    const plan = data.queryPlan;
+    if (!plan) {
+        return '';
+    }
+
+    const modeLabel = plan.error
+        ? `${escapeHtml(plan.requestedMode)} → ${escapeHtml(plan.mode)} (fallback)`
+        : escapeHtml(plan.mode);
+
+    const queries = plan.queries.map(q => `
+        <div class="vecthare-debug-query-plan-item">
+            <div class="vecthare-debug-query-plan-label">
+                ${escapeHtml(q.label)}
+                ${plan.queries.length > 1 ? `<span class="vecthare-debug-query-plan-weight">weight ${q.weight.toFixed(2)}</span>` : ''}
+            </div>
+            <div class="vecthare-debug-query-preview">${escapeHtml(q.text)}</div>
+        </div>
+    `).join('');
+
+    return `
+        <div class="vecthare-debug-card vecthare-debug-query-plan">
+            <div class="vecthare-debug-card-header">
+                <i class="fa-solid fa-wand-magic-sparkles"></i>
+                <span>Query Construction</span>
+                <span class="vecthare-debug-timestamp">${modeLabel}</span>
+            </div>
+            <div class="vecthare-debug-card-body">
+                ${plan.error ? `<div class="vecthare-debug-query-plan-error">Mode failed: ${escapeHtml(plan.error)}</div>` : ''}
+                ${queries}
+                ${plan.queries.length > 1 ? '<div class="vecthare-debug-query-plan-note">Each query was searched separately; results were fused with RRF.</div>' : ''}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Renders the pairs flagged by contradiction detection and what was done with them
+ */
+function renderConflicts(data) {
+    if (!data.conflicts) {
+        return '';
+    }
+
+    const verdictLabels = {
+        conflict: 'Model: conflict',
+        consistent: 'Model: consistent',
+        unverified: 'Similarity only',
+    };
+    const actionLabels = {
+        dropped_older: 'Older dropped',
+        labeled: 'Labeled earlier / later',
+        ignored: 'Left alone',
+        resolved: 'Already resolved by another pair',
+    };
+
+    const pairs = data.conflicts.map(pair => `
+        <div class="vecthare-debug-conflict-pair vecthare-debug-conflict-${escapeHtml(pair.action)}">
+            <div class="vecthare-debug-conflict-meta">
+                <span>similarity ${pair.similarity.toFixed(3)}</span>
+                <span>${pair.distance} messages apart</span>
+                <span>${escapeHtml(verdictLabels[pair.verdict] || pair.verdict)}</span>
+                <span class="vecthare-debug-conflict-action">${escapeHtml(actionLabels[pair.action] || pair.action)}</span>
+            </div>
+            <div class="vecthare-debug-conflict-side">
+                <div class="vecthare-debug-query-plan-label">Earlier · message #${pair.olderMessage} · [${escapeHtml(String(pair.olderHash).substring(0, 8))}]</div>
+                <div class="vecthare-debug-query-preview">${escapeHtml(pair.olderText || '')}</div>
+            </div>
+            <div class="vecthare-debug-conflict-side">
+                <div class="vecthare-debug-query-plan-label">Later · message #${pair.newerMessage} · [${escapeHtml(String(pair.newerHash).substring(0, 8))}]</div>
+                <div class="vecthare-debug-query-preview">${escapeHtml(pair.newerText || '')}</div>
+            </div>
+            ${pair.reason ? `<div class="vecthare-debug-query-plan-note">${escapeHtml(pair.reason)}</div>` : ''}
+        </div>
+    `).join('');
+
+    return `
+        <div class="vecthare-debug-card vecthare-debug-conflicts">
+            <div class="vecthare-debug-card-header">
+                <i class="fa-solid fa-code-compare"></i>
+                <span>Contradicting Chunks</span>
+                <span class="vecthare-debug-timestamp">${data.conflicts.length} flagged</span>
+            </div>
+            <div class="vecthare-debug-card-body">
+                ${pairs || '<div class="vecthare-debug-query-plan-note">No retrieved chunks looked like stale versions of each other.</div>'}
+            </div>
+        </div>
+    `;
+}
+
 /**
  * Renders injection verification card - proof that injection actually happened
  */
@@ -679,7 +851,7 @@ function renderInjectionVerification(data) {
         return '';
     }
 
-    const { verified, text, position, depth, charCount } = data.injection;
+    const { verified, text, position, depth, charCount, tokenCount, tokenBudget } = data.injection;
     const statusClass = verified ? 'vecthare-verification-success' : 'vecthare-verification-failed';
     const statusIcon = verified ? 'fa-circle-check' : 'fa-circle-xmark';
     const statusText = verified ? 'VERIFIED' : 'VERIFICATION FAILED';
@@ -718,6 +890,12 @@ function renderInjectionVerification(data) {
                         <span class="stat-label">Characters</span>
                         <span class="stat-value">${charCount.toLocaleString()}</span>
                     </div>
+                    ${tokenCount !== undefined ? `
+                    <div class="vecthare-verification-stat">
+                        <span class="stat-label">Tokens</span>
+                        <span class="stat-value">${tokenCount.toLocaleString()}${tokenBudget ? ` / ${tokenBudget.toLocaleString()}` : ''}</span>
+                    </div>
+                    ` : ''}
                 </div>
                 <div class="vecthare-verification-text-wrapper" style="display: none;">
                     <div class="vecthare-verification-text-label">Actual Injected Text:</div>
@@ -1099,10 +1277,20 @@ function renderExcludedAnalysis(data) {
         const inConditions = data.stages.afterConditions.some(d => d.hash === c.hash);
         return inDecay && !inConditions;
     });
+    const droppedByDiversity = excluded.filter(c => {
+        const inConditions = data.stages.afterConditions.some(d => d.hash === c.hash);
+        return inConditions && data.stages.afterDiversity && !data.stages.afterDiversity.some(d => d.hash === c.hash);
+    });
+    const droppedByConflicts = excluded.filter(c => {
+        return data.chunkFates?.[c.hash]?.droppedAt === 'conflicts';
+    });
+    const onCooldown = excluded.filter(c => {
+        return data.chunkFates?.[c.hash]?.droppedAt === 'timed';
+    });
     const limitExceeded = excluded.filter(c => {
         const inConditions = data.stages.afterConditions.some(d => d.hash === c.hash);
         const inInjected = data.stages.injected.some(d => d.hash === c.hash);
-        return inConditions && !inInjected;
+        return inConditions && !inInjected && !droppedByDiversity.includes(c) && !droppedByConflicts.includes(c) && !onCooldown.includes(c);
     });
 
     return `
@@ -1147,6 +1335,39 @@ function renderExcludedAnalysis(data) {
                             </div>
                         </div>
                     ` : ''}
+                    ${droppedByDiversity.length > 0 ? `
+                        <div class="vecthare-debug-exclusion-category">
+                            <div class="vecthare-debug-exclusion-icon vecthare-debug-exclusion-limit">
+                                <i class="fa-solid fa-shuffle"></i>
+                            </div>
+                            <div class="vecthare-debug-exclusion-info">
+                                <strong>${droppedByDiversity.length}</strong> dropped by diversity (MMR)
+                                <small>Too similar to a chunk already selected</small>
+                            </div>
+                        </div>
+                    ` : ''}
+                    ${droppedByConflicts.length > 0 ? `
+                        <div class="vecthare-debug-exclusion-category">
+                            <div class="vecthare-debug-exclusion-icon vecthare-debug-exclusion-limit">
+                                <i class="fa-solid fa-code-compare"></i>
+                            </div>
+                            <div class="vecthare-debug-exclusion-info">
+                                <strong>${droppedByConflicts.length}</strong> superseded by newer chunks
+                                <small>Older side of a contradicting pair</small>
+                            </div>
+                        </div>
+                    ` : ''}
+                    ${onCooldown.length > 0 ? `
+                        <div class="vecthare-debug-exclusion-category">
+                            <div class="vecthare-debug-exclusion-icon vecthare-debug-exclusion-conditions">
+                                <i class="fa-solid fa-hourglass-half"></i>
+                            </div>
+                            <div class="vecthare-debug-exclusion-info">
+                                <strong>${onCooldown.length}</strong> on cooldown
+                                <small>Injected too recently in this chat</small>
+                            </div>
+                        </div>
+                    ` : ''}
                     ${limitExceeded.length > 0 ? `
                         <div class="vecthare-debug-exclusion-category">
                             <div class="vecthare-debug-exclusion-icon vecthare-debug-exclusion-limit">
@@ -1154,7 +1375,7 @@ function renderExcludedAnalysis(data) {
                             </div>
                             <div class="vecthare-debug-exclusion-info">
                                 <strong>${limitExceeded.length}</strong> hit injection limit
-                                <small>Top K limit reached</small>
+                                <small>${data.stats.droppedByBudget ? `Top K or token budget (${data.stats.tokensBudget} tokens) reached` : 'Top K limit reached'}</small>
                             </div>
                         </div>
                     ` : ''}
@@ -1185,6 +1406,67 @@ function getTimeAgo(timestamp) {
     return new Date(timestamp).toLocaleString();
 }
 
+/**
+ * Describes where a keyword matched when it wasn't a literal hit,
+ * e.g. ' ← “swords” (stem)'
+ * @param {object} keyword Entry of matchedKeywordsWithWeights
+ * @returns {string}
+ */
+function formatKeywordHit(keyword) {
+    const hits = [...new Set((keyword.spans || []).map(span => span.text))];
+    if (hits.length === 0 || (hits.length === 1 && hits[0].toLowerCase() === keyword.text)) {
+        return '';
+    }
+    return ` ← “${hits.join('”, “')}”${keyword.match ? ` (${keyword.match})` : ''}`;
+}
+
+/**
+ * Renders the query with matched keyword spans highlighted.
+ * Only spans that still line up with this query text are used - with
+ * multiple queries, a chunk may have matched a different one.
+ * @param {string} query Query text
+ * @param {object[]} chunks Chunks carrying matchedKeywordsWithWeights
+ * @returns {string} HTML
+ */
+function highlightKeywordSpans(query, chunks) {
+    const text = query || '';
+    const spans = [];
+    for (const chunk of chunks || []) {
+        for (const keyword of chunk.matchedKeywordsWithWeights || []) {
+            for (const span of keyword.spans || []) {
+                if (text.slice(span.start, span.end) === span.text) {
+                    spans.push({ ...span, keyword: keyword.text });
+                }
+            }
+        }
+    }
+    if (spans.length === 0) {
+        return escapeHtml(text);
+    }
+
+    // Merge overlapping spans so each character is wrapped at most once
+    spans.sort((a, b) => a.start - b.start || b.end - a.end);
+    const merged = [];
+    for (const span of spans) {
+        const last = merged[merged.length - 1];
+        if (last && span.start < last.end) {
+            last.end = Math.max(last.end, span.end);
+            last.keywords.add(span.keyword);
+        } else {
+            merged.push({ start: span.start, end: span.end, keywords: new Set([span.keyword]) });
+        }
+    }
+
+    let html = '';
+    let cursor = 0;
+    for (const span of merged) {
+        html += escapeHtml(text.slice(cursor, span.start));
+        html += `<mark class="vecthare-debug-keyword-hit" title="${escapeHtml([...span.keywords].join(', ')).replace(/"/g, '&quot;')}">${escapeHtml(text.slice(span.start, span.end))}</mark>`;
+        cursor = span.end;
+    }
+    return html + escapeHtml(text.slice(cursor));
+}
+
 /**
  * Escapes HTML special characters
  */
@@ -1312,6 +1594,13 @@ function getStageClass(stage) {
     const stageClasses = {
         'init': 'trace-init',
         'vector_search': 'trace-search',
+        'lexical_search': 'trace-search',
+        'query': 'trace-init',
+        'rerank': 'trace-search',
+        'diversity': 'trace-conditions',
+        'conflicts': 'trace-conditions',
+        'timed': 'trace-conditions',
+        'budget': 'trace-injection',
         'threshold': 'trace-threshold',
         'decay': 'trace-decay',
         'conditions': 'trace-conditions',
@@ -1370,6 +1659,7 @@ SETTINGS
   Top K: ${s.topK}
   Protect Messages: ${s.protect} (last ${s.protect} of ${s.chatLength} total)
   Temporal Decay: ${s.temporal_decay?.enabled ? `ON (half-life: ${s.temporal_decay.halfLife || s.temporal_decay.half_life})` : 'OFF'}
+  Contradictions: ${s.conflicts || 'OFF'}
 
 PIPELINE RESULTS
   Vector Search: ${st.initial?.length || 0} chunks retrieved
@@ -1416,6 +1706,12 @@ ${traceLines.join('\n') || '  none'}
 
 QUERY (full)
   ${d.query?.replace(/\n/g, '\n  ') || 'empty'}
+${d.queryPlan ? `
+QUERY PLAN (${d.queryPlan.mode}${d.queryPlan.error ? `, fallback from ${d.queryPlan.requestedMode}: ${d.queryPlan.error}` : ''})
+${d.queryPlan.queries.map(q => `  [${q.label} ×${q.weight.toFixed(2)}] ${q.text.replace(/\n/g, ' ')}`).join('\n')}` : ''}
+${d.conflicts?.length ? `
+CONTRADICTIONS (${d.conflicts.length} flagged)
+${d.conflicts.map(p => `  [${String(p.olderHash).slice(0, 8)}] #${p.olderMessage} vs [${String(p.newerHash).slice(0, 8)}] #${p.newerMessage}: sim ${p.similarity.toFixed(3)}, ${p.verdict}, ${p.action}`).join('\n')}` : ''}
 ${'='.repeat(50)}`;
 
     return dump;
@@ -10,7 +10,7 @@
  * ============================================================================
  */
 
-import { saveSettingsDebounced, getCurrentChatId, eventSource, event_types } from '../../../../../script.js';
+import { saveSettingsDebounced, getCurrentChatId, eventSource, event_types, getRequestHeaders } from '../../../../../script.js';
 import { extension_settings, openThirdPartyExtensionMenu } from '../../../../extensions.js';
 import { writeSecret, SECRET_KEYS, secret_state, readSecretState } from '../../../../secrets.js';
 import { getWebLlmProvider as getSharedWebLlmProvider } from '../providers/webllm.js';
@@ -18,12 +18,21 @@ import { openVisualizer } from './chunk-visualizer.js';
 import { openDatabaseBrowser } from './database-browser.js';
 import { openContentVectorizer } from './content-vectorizer.js';
 import { openSearchDebugModal, getLastSearchDebug } from './search-debug.js';
+import { openConditionSimulator } from './condition-simulator.js';
 import { openTextCleaningManager } from './text-cleaning-manager.js';
+import { progressTracker } from './progress-tracker.js';
 import { resetBackendHealth } from '../backends/backend-manager.js';
 import { getChatCollectionId } from '../core/chat-vectorization.js';
 import { doesChatHaveVectors } from '../core/collection-loader.js';
 import { getModelField } from '../core/providers.js';
+import { CLIENT_SIDE_EMBEDDING_SOURCES } from '../core/core-vector-api.js';
+import { RERANKERS, getRerankerConfig } from '../core/rerankers.js';
+import { QUERY_MODES } from '../core/query-builder.js';
+import { getEmbeddingCacheStats, clearEmbeddingCache } from '../core/embedding-cache.js';
 import { getChunkingStrategies } from '../core/content-types.js';
+import { summarizeCollection } from '../core/summarization.js';
+import { consolidateChat } from '../core/consolidation.js';
+import { extractChatIntoGraph } from '../core/knowledge-graph.js';
 
 /**
  * Renders the VectHare settings UI
@@ -67,12 +76,14 @@ export function renderSettings(containerId, settings, callbacks) {
                                 <option value="lancedb">LanceDB (disk-based, scalable)</option>
                                 <option value="qdrant">Qdrant (production vector search)</option>
                                 <option value="milvus">Milvus (popular open source engine)</option>
+                                <option value="indexeddb">IndexedDB (browser-local, no server)</option>
                             </select>
                             <small class="vecthare-help-text" style="display: block; margin-top: -8px; margin-bottom: 16px; opacity: 0.7; font-size: 0.85em; line-height: 1.5;">
                                 • Standard: ST's built-in Vectra (best for <100k vectors)<br>
                                 • LanceDB: Disk-based, handles millions of vectors (requires plugin)<br>
                                 • Qdrant: Production-grade with HNSW, filtering, cloud support<br>
-                                • Milvus: High-performance, scalable vector database
+                                • Milvus: High-performance, scalable vector database<br>
+                                • IndexedDB: Stored in this browser, no plugin needed (server-side embedding sources still need the plugin)
                             </small>
 
                             <!-- Qdrant Settings (shown only when Qdrant backend is selected) -->
@@ -149,6 +160,16 @@ export function renderSettings(containerId, settings, callbacks) {
                                 <small class="vecthare_hint">Manually set dimension size if auto-detection fails (e.g. 1536, 4096). Required for some models on first run.</small>
                             </div>
 
+                            <!-- IndexedDB Settings (shown only when IndexedDB backend is selected) -->
+                            <div id="vecthare_indexeddb_settings" style="display: none;">
+                                <label class="checkbox_label">
+                                    <input type="checkbox" id="vecthare_indexeddb_hnsw" />
+                                    <span>Approximate search (HNSW) for large collections</span>
+                                </label>
+                                <small class="vecthare_hint">Collections with 1000+ chunks search an in-memory HNSW graph instead of comparing every vector. Faster, may miss a few matches.</small>
+                                <small class="vecthare_hint">Without the Similharity plugin, only WebLLM, KoboldCpp and BananaBread can embed for this backend - every other provider (Transformers included) embeds through the plugin.</small>
+                            </div>
+
                             <label for="vecthare_source">
                                 <small>Embedding Provider</small>
                             </label>
@@ -194,17 +215,12 @@ export function renderSettings(containerId, settings, callbacks) {
                                 <small class="vecthare_hint">Override default API URL for this provider</small>
                             </div>
 
-                            <!-- BananaBread Info & Reranking -->
+                            <!-- BananaBread Info -->
                             <div class="vecthare_provider_setting" data-provider="bananabread">
                                 <small class="vecthare_info">
                                     <i class="fa-solid fa-info-circle"></i>
-                                    BananaBread default: http://localhost:8008. Supports MixedBread AI and Qwen3 embedding models.
+                                    BananaBread default: http://localhost:8008. Supports MixedBread AI and Qwen3 embedding models. Its reranker can be picked under Reranking.
                                 </small>
-                                <label class="checkbox_label" style="margin-top: 8px;">
-                                    <input type="checkbox" id="vecthare_bananabread_rerank" />
-                                    <span>Enable Reranking</span>
-                                </label>
-                                <small class="vecthare_hint">Re-score results using BananaBread's reranker for better relevance</small>
                                 <label for="vecthare_bananabread_apikey" style="margin-top: 8px;">
                                     <small>BananaBread API Key:</small>
                                 </label>
@@ -375,6 +391,21 @@ export function renderSettings(containerId, settings, callbacks) {
                                 <small class="vecthare_hint">Limit the number of API requests per time interval</small>
                             </div>
 
+                            <!-- Embedding Cache -->
+                            <div class="vecthare-setting-group" style="margin-bottom: 16px; padding-bottom: 16px; border-bottom: 1px solid var(--grey30);">
+                                <label class="checkbox_label" for="vecthare_embedding_cache_enabled">
+                                    <input type="checkbox" id="vecthare_embedding_cache_enabled" />
+                                    <span>Embedding Cache</span>
+                                </label>
+                                <small class="vecthare_hint">Reuses embeddings for text that was already embedded with the same model. Applies when VectHare supplies the vectors (client-side providers, every backend except Standard, and analysis such as semantic chunking). The Standard backend embeds server-side providers on the server.</small>
+                                <div style="display: flex; gap: 10px; align-items: center; margin-top: 6px;">
+                                    <small id="vecthare_embedding_cache_stats" class="vecthare_hint" style="flex: 1; margin: 0;"></small>
+                                    <button id="vecthare_clear_embedding_cache" class="menu_button" title="Delete all cached embeddings">
+                                        <i class="fa-solid fa-broom"></i> Clear
+                                    </button>
+                                </div>
+                            </div>
+
                             <label for="vecthare_score_threshold">
                                 <small>Similarity Threshold: <span id="vecthare_threshold_value">0.25</span></small>
                             </label>
@@ -392,6 +423,141 @@ export function renderSettings(containerId, settings, callbacks) {
                             </div>
                             <small class="vecthare_hint">How many recent messages to include in search query</small>
 
+                            <label for="vecthare_query_mode" style="margin-top: 12px;">
+                                <small>Query Mode</small>
+                            </label>
+                            <select id="vecthare_query_mode" class="vecthare-select">
+                                ${Object.values(QUERY_MODES).map(m => `<option value="${m.id}">${m.name}${m.usesLlm ? ' (LLM)' : ''}</option>`).join('')}
+                            </select>
+                            <small class="vecthare_hint" id="vecthare_query_mode_hint"></small>
+
+                            <div id="vecthare_query_weight_row" style="display: none;">
+                                <label for="vecthare_query_weight_decay">
+                                    <small>Recency Weight Decay: <span id="vecthare_query_weight_decay_value">0.60</span></small>
+                                </label>
+                                <input type="range" id="vecthare_query_weight_decay" class="vecthare-slider" min="0.1" max="1" step="0.05" />
+                                <small class="vecthare_hint">Each older message counts this much of the next newer one</small>
+                            </div>
+
+                            <div id="vecthare_query_multi_row" style="display: none; margin-top: 8px;">
+                                <label for="vecthare_query_multi_count"><small>Sub-queries</small></label>
+                                <input type="number" id="vecthare_query_multi_count" class="vecthare-input" min="2" max="6" style="width:90px;" />
+                            </div>
+
+                            <!-- Hybrid Search (BM25 + vector) -->
+                            <div class="vecthare-setting-group" style="margin-top: 16px; padding-top: 16px; border-top: 1px solid var(--grey30);">
+                                <label class="checkbox_label" for="vecthare_hybrid_enabled">
+                                    <input type="checkbox" id="vecthare_hybrid_enabled" />
+                                    <span>Hybrid Search (BM25 + Vector)</span>
+                                </label>
+                                <small class="vecthare_hint">Adds exact-term lexical search so names and invented words aren't missed by embeddings. Collections can override this.</small>
+
+                                <div id="vecthare_hybrid_settings" style="display: none; margin-top: 8px;">
+                                    <label for="vecthare_hybrid_fusion">
+                                        <small>Fusion Method</small>
+                                    </label>
+                                    <select id="vecthare_hybrid_fusion" class="vecthare-select">
+                                        <option value="rrf">Reciprocal Rank Fusion</option>
+                                        <option value="weighted">Weighted Score</option>
+                                    </select>
+
+                                    <div id="vecthare_hybrid_weight_row">
+                                        <label for="vecthare_hybrid_vector_weight">
+                                            <small>Vector Weight: <span id="vecthare_hybrid_vector_weight_value">0.60</span></small>
+                                        </label>
+                                        <input type="range" id="vecthare_hybrid_vector_weight" class="vecthare-slider" min="0" max="1" step="0.05" />
+                                        <small class="vecthare_hint">Share of the fused score from vector similarity (BM25 gets the rest)</small>
+                                    </div>
+
+                                    <label class="checkbox_label" for="vecthare_hybrid_bypass_threshold">
+                                        <input type="checkbox" id="vecthare_hybrid_bypass_threshold" />
+                                        <span>Lexical matches bypass threshold</span>
+                                    </label>
+                                    <small class="vecthare_hint">Exact-term matches are kept even when their score is below the similarity threshold</small>
+                                </div>
+                            </div>
+
+                            <!-- Reranking -->
+                            <div class="vecthare-setting-group" style="margin-top: 16px; padding-top: 16px; border-top: 1px solid var(--grey30);">
+                                <label for="vecthare_reranker">
+                                    <small>Reranker</small>
+                                </label>
+                                <select id="vecthare_reranker" class="vecthare-select">
+                                    ${Object.entries(RERANKERS).map(([id, r]) => `<option value="${id}">${r.name}</option>`).join('')}
+                                </select>
+                                <small class="vecthare_hint">Re-scores retrieved chunks with a stronger model. Works with any embedding provider.</small>
+
+                                <div id="vecthare_reranker_settings" style="display: none; margin-top: 8px;">
+                                    <div id="vecthare_reranker_url_row">
+                                        <label for="vecthare_reranker_url">
+                                            <small>Endpoint URL</small>
+                                        </label>
+                                        <input type="text" id="vecthare_reranker_url" class="vecthare-input" />
+                                    </div>
+                                    <div id="vecthare_reranker_model_row">
+                                        <label for="vecthare_reranker_model">
+                                            <small>Model</small>
+                                        </label>
+                                        <input type="text" id="vecthare_reranker_model" class="vecthare-input" />
+                                    </div>
+                                    <div id="vecthare_reranker_key_row">
+                                        <label for="vecthare_reranker_apikey">
+                                            <small>API Key</small>
+                                        </label>
+                                        <input type="password" id="vecthare_reranker_apikey" class="vecthare-input" placeholder="Paste key here to save..." autocomplete="off" />
+                                    </div>
+                                    <small class="vecthare_hint" id="vecthare_reranker_hint"></small>
+                                </div>
+                            </div>
+
+                            <!-- Diversity (MMR) -->
+                            <div class="vecthare-setting-group" style="margin-top: 16px; padding-top: 16px; border-top: 1px solid var(--grey30);">
+                                <label class="checkbox_label" for="vecthare_mmr_enabled">
+                                    <input type="checkbox" id="vecthare_mmr_enabled" />
+                                    <span>Diversity Re-selection (MMR)</span>
+                                </label>
+                                <small class="vecthare_hint">Skips near-duplicate chunks so Top K covers more than one event. Fetches extra candidates to choose from.</small>
+
+                                <div id="vecthare_mmr_settings" style="display: none; margin-top: 8px;">
+                                    <label for="vecthare_mmr_lambda">
+                                        <small>Relevance vs Diversity (λ): <span id="vecthare_mmr_lambda_value">0.70</span></small>
+                                    </label>
+                                    <input type="range" id="vecthare_mmr_lambda" class="vecthare-slider" min="0" max="1" step="0.05" />
+                                    <small class="vecthare_hint">1.0 = pure relevance, lower values favor variety</small>
+                                </div>
+                            </div>
+
+                            <!-- Contradictions -->
+                            <div class="vecthare-setting-group" style="margin-top: 16px; padding-top: 16px; border-top: 1px solid var(--grey30);">
+                                <label for="vecthare_conflict_detection">
+                                    <small>Contradicting Chunks</small>
+                                </label>
+                                <select id="vecthare_conflict_detection" class="vecthare-select">
+                                    <option value="off">Off</option>
+                                    <option value="label">Label as earlier / later</option>
+                                    <option value="prefer_newer">Keep only the newer chunk</option>
+                                </select>
+                                <small class="vecthare_hint">Catches retrieved chunks that describe the same thing far apart in the chat (alive → dead) so the model knows which one is current. Keeping only the newer chunk needs "Confirm with Summaries model": pairs the model hasn't confirmed are labeled instead.</small>
+
+                                <div id="vecthare_conflict_settings" style="display: none; margin-top: 8px;">
+                                    <label for="vecthare_conflict_similarity">
+                                        <small>Similarity: <span id="vecthare_conflict_similarity_value">0.85</span></small>
+                                    </label>
+                                    <input type="range" id="vecthare_conflict_similarity" class="vecthare-slider" min="0.5" max="1" step="0.01" />
+
+                                    <label for="vecthare_conflict_min_distance">
+                                        <small>Minimum Distance (messages)</small>
+                                    </label>
+                                    <input type="number" id="vecthare_conflict_min_distance" class="vecthare-input" min="1" max="10000" />
+
+                                    <label class="checkbox_label" for="vecthare_conflict_llm_check" style="margin-top: 8px;">
+                                        <input type="checkbox" id="vecthare_conflict_llm_check" />
+                                        <span>Confirm with Summaries model</span>
+                                    </label>
+                                    <small class="vecthare_hint">Asks the model whether each flagged pair really conflicts (up to 5 new pairs per search, checked in parallel; verdicts are remembered for the session). Pairs it calls consistent are left alone; pairs past the limit or whose check fails are labeled.</small>
+                                </div>
+                            </div>
+
                             <label style="margin-top: 16px;">
                                 <small>Injection Position</small>
                             </label>
@@ -410,6 +576,25 @@ export function renderSettings(containerId, settings, callbacks) {
                                 <small class="vecthare_hint">Messages from end of chat to insert at</small>
                             </div>
 
+                            <!-- Token Budget -->
+                            <div class="vecthare-setting-group" style="margin-top: 16px; padding-top: 16px; border-top: 1px solid var(--grey30);">
+                                <label for="vecthare_token_budget">
+                                    <small>Token Budget per Position</small>
+                                </label>
+                                <input id="vecthare_token_budget" type="number" class="vecthare-input" min="0" step="50" style="width:90px;" />
+                                <small class="vecthare_hint">Max tokens injected at each position (0 = unlimited). Collections and chunks can override.</small>
+
+                                <label for="vecthare_token_budget_strategy" style="margin-top: 8px;">
+                                    <small>When Over Budget</small>
+                                </label>
+                                <select id="vecthare_token_budget_strategy" class="vecthare-select">
+                                    <option value="drop_lowest">Drop lowest-scoring chunks</option>
+                                    <option value="truncate">Truncate chunks at a sentence</option>
+                                    <option value="summary">Use chunk summaries</option>
+                                </select>
+                                <small class="vecthare_hint">Applied to the lowest-scoring chunks first; chunks that still don't fit are dropped</small>
+                            </div>
+
                         </div>
                     </div>
 
@@ -532,6 +717,188 @@ export function renderSettings(containerId, settings, callbacks) {
                         </div>
                     </div>
 
+                    <!-- Summaries Card -->
+                    <div class="vecthare-card">
+                        <div class="vecthare-card-header">
+                            <h3 class="vecthare-card-title">
+                                <span class="vecthare-icon">
+                                    <i class="fa-solid fa-file-lines"></i>
+                                </span>
+                                Summaries
+                            </h3>
+                            <p class="vecthare-card-subtitle">Generate short summary vectors that point back at the full text</p>
+                        </div>
+                        <div class="vecthare-card-body">
+
+                            <label for="vecthare_summary_source">
+                                <small>Summarize With</small>
+                            </label>
+                            <select id="vecthare_summary_source" class="vecthare-select">
+                                <option value="main">Connected chat model</option>
+                                <option value="endpoint">Custom endpoint (OpenAI-compatible)</option>
+                            </select>
+
+                            <div id="vecthare_summary_endpoint_settings" style="display: none; margin-top: 8px;">
+                                <label for="vecthare_summary_endpoint_url">
+                                    <small>Endpoint URL</small>
+                                </label>
+                                <input type="text" id="vecthare_summary_endpoint_url" class="vecthare-input" placeholder="http://localhost:5001/v1" />
+                                <label for="vecthare_summary_endpoint_model">
+                                    <small>Model</small>
+                                </label>
+                                <input type="text" id="vecthare_summary_endpoint_model" class="vecthare-input" />
+                                <label for="vecthare_summary_endpoint_apikey">
+                                    <small>API Key</small>
+                                </label>
+                                <input type="password" id="vecthare_summary_endpoint_apikey" class="vecthare-input" placeholder="Paste key here to save..." autocomplete="off" />
+                                <small class="vecthare_hint">/chat/completions is added to the URL if it's missing</small>
+                            </div>
+
+                            <label for="vecthare_summary_max_tokens" style="margin-top: 12px;">
+                                <small>Max Summary Tokens</small>
+                            </label>
+                            <input id="vecthare_summary_max_tokens" type="number" class="vecthare-input" min="32" max="1000" step="10" style="width:90px;" />
+
+                            <label class="checkbox_label" for="vecthare_summary_scenes" style="margin-top: 12px;">
+                                <input type="checkbox" id="vecthare_summary_scenes" />
+                                <span>Scenes</span>
+                            </label>
+                            <label class="checkbox_label" for="vecthare_summary_batches">
+                                <input type="checkbox" id="vecthare_summary_batches" />
+                                <span>Message batches and turns</span>
+                            </label>
+                            <label class="checkbox_label" for="vecthare_summary_long_chunks">
+                                <input type="checkbox" id="vecthare_summary_long_chunks" />
+                                <span>Chunks longer than</span>
+                                <input id="vecthare_summary_min_length" type="number" class="vecthare-input" min="200" step="100" style="width:80px;" />
+                                <span>characters</span>
+                            </label>
+
+                            <label class="checkbox_label" for="vecthare_summary_auto_scenes" style="margin-top: 12px;">
+                                <input type="checkbox" id="vecthare_summary_auto_scenes" />
+                                <span>Keep scene summaries current</span>
+                            </label>
+                            <small class="vecthare_hint">Summarizes new scenes, and rebuilds and re-summarizes scenes whose messages are edited or deleted</small>
+
+                            <button id="vecthare_summarize_chat" class="vecthare-action-btn vecthare-btn-secondary" style="margin-top: 12px;">
+                                <i class="fa-solid fa-file-lines"></i>
+                                <span>Summarize Current Chat</span>
+                            </button>
+                            <small class="vecthare_hint">Runs in the jobs panel. Up-to-date summaries are skipped. Other collections can be summarized from the Database Browser.</small>
+
+                        </div>
+                    </div>
+
+                    <!-- Long-Term Memory Card -->
+                    <div class="vecthare-card">
+                        <div class="vecthare-card-header">
+                            <h3 class="vecthare-card-title">
+                                <span class="vecthare-icon">
+                                    <i class="fa-solid fa-layer-group"></i>
+                                </span>
+                                Long-Term Memory
+                            </h3>
+                            <p class="vecthare-card-subtitle">Roll old chat chunks up into batch, chapter and arc summaries</p>
+                        </div>
+                        <div class="vecthare-card-body">
+
+                            <label for="vecthare_consolidation_min_age">
+                                <small>Consolidate chunks older than (messages)</small>
+                            </label>
+                            <input id="vecthare_consolidation_min_age" type="number" class="vecthare-input" min="10" step="10" style="width:90px;" />
+
+                            <div style="display: flex; gap: 12px; margin-top: 8px;">
+                                <div>
+                                    <label for="vecthare_consolidation_batch_size"><small>Chunks per batch</small></label>
+                                    <input id="vecthare_consolidation_batch_size" type="number" class="vecthare-input" min="2" max="50" style="width:70px;" />
+                                </div>
+                                <div>
+                                    <label for="vecthare_consolidation_chapter_size"><small>Batches per chapter</small></label>
+                                    <input id="vecthare_consolidation_chapter_size" type="number" class="vecthare-input" min="2" max="50" style="width:70px;" />
+                                </div>
+                                <div>
+                                    <label for="vecthare_consolidation_arc_size"><small>Chapters per arc</small></label>
+                                    <input id="vecthare_consolidation_arc_size" type="number" class="vecthare-input" min="2" max="50" style="width:70px;" />
+                                </div>
+                            </div>
+
+                            <label for="vecthare_consolidation_descend_count" style="margin-top: 12px;">
+                                <small>Chunks pulled in per matched summary</small>
+                            </label>
+                            <input id="vecthare_consolidation_descend_count" type="number" class="vecthare-input" min="0" max="10" style="width:70px;" />
+                            <small class="vecthare_hint">When a summary matches, retrieval follows it down to the original chunks that best match the query. 0 = inject the summary only.</small>
+
+                            <label class="checkbox_label" for="vecthare_consolidation_hide_children" style="margin-top: 12px;">
+                                <input type="checkbox" id="vecthare_consolidation_hide_children" />
+                                <span>Only reach consolidated chunks through their summary</span>
+                            </label>
+                            <label class="checkbox_label" for="vecthare_consolidation_auto">
+                                <input type="checkbox" id="vecthare_consolidation_auto" />
+                                <span>Consolidate automatically as the chat grows</span>
+                            </label>
+
+                            <button id="vecthare_consolidate_chat" class="vecthare-action-btn vecthare-btn-secondary" style="margin-top: 12px;">
+                                <i class="fa-solid fa-layer-group"></i>
+                                <span>Consolidate Current Chat</span>
+                            </button>
+                            <small class="vecthare_hint">Runs in the jobs panel using the Summaries model. Only full groups are rolled up; the rest waits until enough chunks have aged.</small>
+
+                        </div>
+                    </div>
+
+                    <!-- Knowledge Graph Card -->
+                    <div class="vecthare-card">
+                        <div class="vecthare-card-header">
+                            <h3 class="vecthare-card-title">
+                                <span class="vecthare-icon">
+                                    <i class="fa-solid fa-diagram-project"></i>
+                                </span>
+                                Knowledge Graph
+                            </h3>
+                            <p class="vecthare-card-subtitle">Track characters, places and items, and inject what's known about them when they come up</p>
+                        </div>
+                        <div class="vecthare-card-body">
+
+                            <label class="checkbox_label" for="vecthare_graph_enabled">
+                                <input type="checkbox" id="vecthare_graph_enabled" />
+                                <span>Build a knowledge graph for chats</span>
+                            </label>
+                            <small class="vecthare_hint">New messages are extracted as they are vectorized</small>
+
+                            <label for="vecthare_graph_extraction" style="margin-top: 12px;">
+                                <small>Extract With</small>
+                            </label>
+                            <select id="vecthare_graph_extraction" class="vecthare-select">
+                                <option value="llm">Summaries model (entities and facts)</option>
+                                <option value="patterns">Proper nouns only (no model calls, no facts)</option>
+                            </select>
+
+                            <div style="display: flex; gap: 12px; margin-top: 8px;">
+                                <div>
+                                    <label for="vecthare_graph_scan_depth"><small>Messages scanned</small></label>
+                                    <input id="vecthare_graph_scan_depth" type="number" class="vecthare-input" min="1" max="50" style="width:70px;" />
+                                </div>
+                                <div>
+                                    <label for="vecthare_graph_max_facts"><small>Max facts injected</small></label>
+                                    <input id="vecthare_graph_max_facts" type="number" class="vecthare-input" min="1" max="100" style="width:70px;" />
+                                </div>
+                            </div>
+
+                            <label for="vecthare_graph_template" style="margin-top: 12px;">
+                                <small>Facts Template</small>
+                            </label>
+                            <textarea id="vecthare_graph_template" class="vecthare-textarea" rows="2"></textarea>
+                            <small class="vecthare_hint">{{facts}} is replaced with the facts list. Injected at the same position and depth as chunks.</small>
+
+                            <button id="vecthare_graph_extract_chat" class="vecthare-action-btn vecthare-btn-secondary" style="margin-top: 12px;">
+                                <i class="fa-solid fa-diagram-project"></i>
+                                <span>Extract From Whole Chat</span>
+                            </button>
+                            <small class="vecthare_hint">Runs in the jobs panel; messages already extracted are skipped. Browse and edit facts in the chunk visualizer's Graph tab.</small>
+
+                        </div>
+                    </div>
+
                     <!-- Actions Card -->
                     <div class="vecthare-card">
                         <div class="vecthare-card-header">
@@ -566,6 +933,10 @@ export function renderSettings(containerId, settings, callbacks) {
                                     <i class="fa-solid fa-bug"></i>
                                     <span>Debug Query</span>
                                 </button>
+                                <button id="vecthare_condition_simulator" class="vecthare-action-btn vecthare-btn-secondary">
+                                    <i class="fa-solid fa-flask"></i>
+                                    <span>Condition Simulator</span>
+                                </button>
                                 <button id="vecthare_purge" class="vecthare-action-btn vecthare-btn-danger-outline">
                                     <i class="fa-solid fa-trash"></i>
                                     <span>Purge</span>
@@ -574,6 +945,10 @@ export function renderSettings(containerId, settings, callbacks) {
                                     <i class="fa-solid fa-broom"></i>
                                     <span>Text Cleaning</span>
                                 </button>
+                                <button id="vecthare_show_jobs" class="vecthare-action-btn vecthare-btn-secondary">
+                                    <i class="fa-solid fa-list-check"></i>
+                                    <span>Jobs</span>
+                                </button>
                             </div>
 
                             <label class="checkbox_label" for="vecthare_include_production_tests" style="margin-top: 20px;">
@@ -1218,6 +1593,25 @@ function toggleProviderSettings(selectedProvider, settings) {
     }
 }
 
+/**
+ * Whether the IndexedDB backend can get vectors from a provider.
+ * It can't embed on its own: client-side providers embed in the browser,
+ * every other provider needs the Similharity plugin.
+ * @param {string} source - Embedding provider
+ * @returns {Promise<boolean>}
+ */
+async function canEmbedForIndexedDb(source) {
+    if (CLIENT_SIDE_EMBEDDING_SOURCES.includes(source)) {
+        return true;
+    }
+    try {
+        const response = await fetch('/api/plugins/similharity/health', { method: 'GET', headers: getRequestHeaders() });
+        return response.ok;
+    } catch {
+        return false;
+    }
+}
+
 /**
  * Shows a confirmation modal when enabling auto-sync on a chat with existing vectors
  * If multiple collections match, lets user pick which one to use
@@ -1536,8 +1930,15 @@ function bindSettingsEvents(settings, callbacks) {
     // Vector backend selection
     $('#vecthare_vector_backend')
         .val(settings.vector_backend || 'standard')
-        .on('change', function() {
-            settings.vector_backend = String($(this).val());
+        .on('change', async function() {
+            const backend = String($(this).val());
+            if (backend === 'indexeddb' && !(await canEmbedForIndexedDb(settings.source))) {
+                $(this).val(settings.vector_backend || 'standard');
+                toastr.error(`"${settings.source}" embeds on the server through the Similharity plugin, which isn't installed. Pick WebLLM, KoboldCpp or BananaBread first, or install the plugin.`, 'IndexedDB backend unavailable');
+                return;
+            }
+
+            settings.vector_backend = backend;
             Object.assign(extension_settings.vecthare, settings);
             saveSettingsDebounced();
 
@@ -1552,6 +1953,11 @@ function bindSettingsEvents(settings, callbacks) {
             } else {
                 $('#vecthare_milvus_settings').hide();
             }
+            if (settings.vector_backend === 'indexeddb') {
+                $('#vecthare_indexeddb_settings').show();
+            } else {
+                $('#vecthare_indexeddb_settings').hide();
+            }
 
             console.log(`VectHare: Vector backend changed to ${settings.vector_backend}`);
             // Reset health cache so new backend gets properly initialized
@@ -1680,11 +2086,31 @@ function bindSettingsEvents(settings, callbacks) {
         $('#vecthare_milvus_settings').show();
     }
 
+    // IndexedDB settings
+    $('#vecthare_indexeddb_hnsw')
+        .prop('checked', settings.indexeddb_hnsw || false)
+        .on('change', function() {
+            settings.indexeddb_hnsw = $(this).prop('checked');
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+        });
+
+    if (settings.vector_backend === 'indexeddb') {
+        $('#vecthare_indexeddb_settings').show();
+    }
+
     // Embedding provider
     $('#vecthare_source')
         .val(settings.source)
-        .on('change', function() {
-            settings.source = String($(this).val());
+        .on('change', async function() {
+            const source = String($(this).val());
+            if (settings.vector_backend === 'indexeddb' && !(await canEmbedForIndexedDb(source))) {
+                $(this).val(settings.source);
+                toastr.error(`"${source}" embeds on the server through the Similharity plugin, which isn't installed. The IndexedDB backend can only use WebLLM, KoboldCpp or BananaBread without it.`, 'Provider unavailable');
+                return;
+            }
+
+            settings.source = source;
             Object.assign(extension_settings.vecthare, settings);
             saveSettingsDebounced();
             toggleProviderSettings(settings.source, settings);
@@ -1719,6 +2145,48 @@ function bindSettingsEvents(settings, callbacks) {
         });
     $('#vecthare_query_depth_value').text(settings.query || 2);
 
+    // Query mode (how the search query is built from recent messages)
+    const updateQueryModeFields = () => {
+        const mode = QUERY_MODES[settings.query_mode] || QUERY_MODES.recent;
+        $('#vecthare_query_mode_hint').text(mode.usesLlm
+            ? `${mode.description}. Costs one chat model call per generation.`
+            : mode.description);
+        $('#vecthare_query_weight_row').toggle(mode.id === 'weighted');
+        $('#vecthare_query_multi_row').toggle(mode.id === 'multi');
+    };
+
+    $('#vecthare_query_mode')
+        .val(settings.query_mode || 'recent')
+        .on('change', function() {
+            settings.query_mode = String($(this).val());
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+            updateQueryModeFields();
+        });
+
+    $('#vecthare_query_weight_decay')
+        .val(settings.query_weight_decay ?? 0.6)
+        .on('input', function() {
+            const value = parseFloat($(this).val());
+            const safeValue = isNaN(value) ? 0.6 : value;
+            $('#vecthare_query_weight_decay_value').text(safeValue.toFixed(2));
+            settings.query_weight_decay = safeValue;
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+        });
+    $('#vecthare_query_weight_decay_value').text((settings.query_weight_decay ?? 0.6).toFixed(2));
+
+    $('#vecthare_query_multi_count')
+        .val(settings.query_multi_count || 3)
+        .on('input', function() {
+            const value = parseInt($(this).val());
+            settings.query_multi_count = isNaN(value) ? 3 : Math.min(6, Math.max(2, value));
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+        });
+
+    updateQueryModeFields();
+
     // Top K - number of results retrieved per collection (top-K)
     $('#vecthare_topk')
         .val((settings.top_k ?? settings.insert) || 3)
@@ -1730,6 +2198,182 @@ function bindSettingsEvents(settings, callbacks) {
             saveSettingsDebounced();
         });
 
+    // Hybrid search (BM25 lexical + vector fusion)
+    const updateHybridVisibility = () => {
+        $('#vecthare_hybrid_settings').toggle(!!settings.hybrid_search_enabled);
+        $('#vecthare_hybrid_weight_row').toggle(settings.hybrid_fusion_method === 'weighted');
+    };
+
+    $('#vecthare_hybrid_enabled')
+        .prop('checked', settings.hybrid_search_enabled || false)
+        .on('change', function() {
+            settings.hybrid_search_enabled = $(this).prop('checked');
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+            updateHybridVisibility();
+        });
+
+    $('#vecthare_hybrid_fusion')
+        .val(settings.hybrid_fusion_method || 'rrf')
+        .on('change', function() {
+            settings.hybrid_fusion_method = String($(this).val());
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+            updateHybridVisibility();
+        });
+
+    $('#vecthare_hybrid_vector_weight')
+        .val(settings.hybrid_vector_weight ?? 0.6)
+        .on('input', function() {
+            const value = parseFloat($(this).val());
+            const safeValue = isNaN(value) ? 0.6 : value;
+            $('#vecthare_hybrid_vector_weight_value').text(safeValue.toFixed(2));
+            settings.hybrid_vector_weight = safeValue;
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+        });
+    $('#vecthare_hybrid_vector_weight_value').text((settings.hybrid_vector_weight ?? 0.6).toFixed(2));
+
+    $('#vecthare_hybrid_bypass_threshold')
+        .prop('checked', settings.hybrid_bypass_threshold ?? true)
+        .on('change', function() {
+            settings.hybrid_bypass_threshold = $(this).prop('checked');
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+        });
+
+    updateHybridVisibility();
+
+    // Reranker (independent of embedding provider)
+    const updateRerankerFields = () => {
+        const config = getRerankerConfig(settings.reranker);
+        const active = !!config?.rerank;
+        $('#vecthare_reranker_settings').toggle(active);
+        if (!active) return;
+
+        $('#vecthare_reranker_url_row').toggle(!!(config.requiresUrl || config.defaultUrl));
+        $('#vecthare_reranker_url').attr('placeholder', config.defaultUrl || '');
+        $('#vecthare_reranker_model_row').toggle(!!config.requiresModel);
+        $('#vecthare_reranker_model').attr('placeholder', config.defaultModel || '');
+        $('#vecthare_reranker_key_row').toggle(!!config.requiresApiKey);
+
+        const savedKey = settings.reranker_api_key;
+        $('#vecthare_reranker_apikey').attr('placeholder', savedKey
+            ? `Key saved: ${'*'.repeat(Math.min(Math.max(savedKey.length - 4, 0), 8))}${savedKey.slice(-4)}`
+            : 'Paste key here to save...');
+
+        const hints = {
+            llm_judge: 'Uses your connected chat model - adds a generation call before every reply.',
+            bananabread: 'Leave URL and key empty to reuse your BananaBread embedding settings.',
+        };
+        $('#vecthare_reranker_hint').text(hints[settings.reranker] || 'Leave empty to use the defaults shown.');
+    };
+
+    $('#vecthare_reranker')
+        .val(getRerankerConfig(settings.reranker) ? settings.reranker : 'none')
+        .on('change', function() {
+            settings.reranker = String($(this).val());
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+            updateRerankerFields();
+        });
+
+    $('#vecthare_reranker_url')
+        .val(settings.reranker_url || '')
+        .on('change', function() {
+            settings.reranker_url = String($(this).val()).trim();
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+        });
+
+    $('#vecthare_reranker_model')
+        .val(settings.reranker_model || '')
+        .on('change', function() {
+            settings.reranker_model = String($(this).val()).trim();
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+        });
+
+    // Stored in extension settings for the same reason as the BananaBread key
+    $('#vecthare_reranker_apikey')
+        .on('change', function() {
+            const value = String($(this).val()).trim();
+            if (value) {
+                settings.reranker_api_key = value;
+                Object.assign(extension_settings.vecthare, settings);
+                saveSettingsDebounced();
+                toastr.success('Reranker API key saved');
+                $(this).val('');
+                updateRerankerFields();
+            }
+        });
+
+    updateRerankerFields();
+
+    // Diversity (MMR re-selection)
+    $('#vecthare_mmr_enabled')
+        .prop('checked', settings.mmr_enabled || false)
+        .on('change', function() {
+            settings.mmr_enabled = $(this).prop('checked');
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+            $('#vecthare_mmr_settings').toggle(settings.mmr_enabled);
+        });
+    $('#vecthare_mmr_settings').toggle(!!settings.mmr_enabled);
+
+    $('#vecthare_mmr_lambda')
+        .val(settings.mmr_lambda ?? 0.7)
+        .on('input', function() {
+            const value = parseFloat($(this).val());
+            const safeValue = isNaN(value) ? 0.7 : value;
+            $('#vecthare_mmr_lambda_value').text(safeValue.toFixed(2));
+            settings.mmr_lambda = safeValue;
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+        });
+    $('#vecthare_mmr_lambda_value').text((settings.mmr_lambda ?? 0.7).toFixed(2));
+
+    // Contradicting chunks
+    $('#vecthare_conflict_detection')
+        .val(settings.conflict_detection || 'off')
+        .on('change', function() {
+            settings.conflict_detection = String($(this).val());
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+            $('#vecthare_conflict_settings').toggle(settings.conflict_detection !== 'off');
+        });
+    $('#vecthare_conflict_settings').toggle((settings.conflict_detection || 'off') !== 'off');
+
+    $('#vecthare_conflict_similarity')
+        .val(settings.conflict_similarity ?? 0.85)
+        .on('input', function() {
+            const value = parseFloat($(this).val());
+            const safeValue = isNaN(value) ? 0.85 : value;
+            $('#vecthare_conflict_similarity_value').text(safeValue.toFixed(2));
+            settings.conflict_similarity = safeValue;
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+        });
+    $('#vecthare_conflict_similarity_value').text((settings.conflict_similarity ?? 0.85).toFixed(2));
+
+    $('#vecthare_conflict_min_distance')
+        .val(settings.conflict_min_distance ?? 20)
+        .on('change', function() {
+            const value = parseInt($(this).val());
+            settings.conflict_min_distance = isNaN(value) ? 20 : Math.min(10000, Math.max(1, value));
+            $(this).val(settings.conflict_min_distance);
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+        });
+
+    $('#vecthare_conflict_llm_check')
+        .prop('checked', settings.conflict_llm_check || false)
+        .on('change', function() {
+            settings.conflict_llm_check = $(this).prop('checked');
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+        });
+
     // Injection position (where chunks appear in prompt)
     $('#vecthare_injection_position')
         .val(settings.position ?? 0)
@@ -1757,6 +2401,233 @@ function bindSettingsEvents(settings, callbacks) {
         });
     $('#vecthare_injection_depth_value').text(settings.depth ?? 2);
 
+    // Token budget per injection position
+    $('#vecthare_token_budget')
+        .val(settings.token_budget ?? 0)
+        .on('input', function() {
+            const value = parseInt($(this).val());
+            settings.token_budget = isNaN(value) || value < 0 ? 0 : value;
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+        });
+
+    $('#vecthare_token_budget_strategy')
+        .val(settings.token_budget_strategy || 'drop_lowest')
+        .on('change', function() {
+            settings.token_budget_strategy = String($(this).val());
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+        });
+
+    // Generated summaries
+    const updateSummaryFields = () => {
+        $('#vecthare_summary_endpoint_settings').toggle(settings.summary_source === 'endpoint');
+        const savedKey = settings.summary_endpoint_api_key;
+        $('#vecthare_summary_endpoint_apikey').attr('placeholder', savedKey
+            ? `Key saved: ${'*'.repeat(Math.min(Math.max(savedKey.length - 4, 0), 8))}${savedKey.slice(-4)}`
+            : 'Paste key here to save...');
+    };
+
+    $('#vecthare_summary_source')
+        .val(settings.summary_source || 'main')
+        .on('change', function() {
+            settings.summary_source = String($(this).val());
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+            updateSummaryFields();
+        });
+
+    $('#vecthare_summary_endpoint_url')
+        .val(settings.summary_endpoint_url || '')
+        .on('change', function() {
+            settings.summary_endpoint_url = String($(this).val()).trim();
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+        });
+
+    $('#vecthare_summary_endpoint_model')
+        .val(settings.summary_endpoint_model || '')
+        .on('change', function() {
+            settings.summary_endpoint_model = String($(this).val()).trim();
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+        });
+
+    $('#vecthare_summary_endpoint_apikey')
+        .on('change', function() {
+            const value = String($(this).val()).trim();
+            if (value) {
+                settings.summary_endpoint_api_key = value;
+                Object.assign(extension_settings.vecthare, settings);
+                saveSettingsDebounced();
+                toastr.success('Summary endpoint API key saved');
+                $(this).val('');
+                updateSummaryFields();
+            }
+        });
+
+    $('#vecthare_summary_max_tokens')
+        .val(settings.summary_max_tokens ?? 150)
+        .on('change', function() {
+            const value = parseInt($(this).val());
+            settings.summary_max_tokens = isNaN(value) ? 150 : Math.min(Math.max(value, 32), 1000);
+            $(this).val(settings.summary_max_tokens);
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+        });
+
+    ['summary_scenes', 'summary_batches', 'summary_long_chunks', 'summary_auto_scenes'].forEach(key => {
+        $(`#vecthare_${key}`)
+            .prop('checked', settings[key] === true)
+            .on('change', function() {
+                settings[key] = $(this).prop('checked');
+                Object.assign(extension_settings.vecthare, settings);
+                saveSettingsDebounced();
+            });
+    });
+
+    $('#vecthare_summary_min_length')
+        .val(settings.summary_min_length ?? 1200)
+        .on('change', function() {
+            const value = parseInt($(this).val());
+            settings.summary_min_length = isNaN(value) ? 1200 : Math.max(value, 200);
+            $(this).val(settings.summary_min_length);
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+        });
+
+    $('#vecthare_summarize_chat').on('click', async function() {
+        const collectionId = getChatCollectionId();
+        if (!collectionId) {
+            toastr.warning('Open a chat first', 'VectHare');
+            return;
+        }
+
+        try {
+            const result = await summarizeCollection(collectionId, settings, { label: 'Current chat' });
+            if (!result.jobId) {
+                toastr.info('Nothing to summarize - summaries are up to date', 'VectHare');
+            } else if (result.success) {
+                toastr.success(`Generated ${result.summarized} summaries${result.failedCount ? `, ${result.failedCount} failed` : ''}`, 'VectHare');
+            }
+        } catch (error) {
+            console.error('VectHare: Summarization failed', error);
+            toastr.error(`Summarization failed: ${error.message}`, 'VectHare');
+        }
+    });
+
+    updateSummaryFields();
+
+    // Long-term memory (consolidation)
+    [
+        ['consolidation_min_age', 200, 10, 100000],
+        ['consolidation_batch_size', 10, 2, 50],
+        ['consolidation_chapter_size', 5, 2, 50],
+        ['consolidation_arc_size', 4, 2, 50],
+        ['consolidation_descend_count', 2, 0, 10],
+    ].forEach(([key, fallback, min, max]) => {
+        $(`#vecthare_${key}`)
+            .val(settings[key] ?? fallback)
+            .on('change', function() {
+                const value = parseInt($(this).val());
+                settings[key] = isNaN(value) ? fallback : Math.min(Math.max(value, min), max);
+                $(this).val(settings[key]);
+                Object.assign(extension_settings.vecthare, settings);
+                saveSettingsDebounced();
+            });
+    });
+
+    ['consolidation_hide_children', 'consolidation_auto'].forEach(key => {
+        $(`#vecthare_${key}`)
+            .prop('checked', settings[key] === true)
+            .on('change', function() {
+                settings[key] = $(this).prop('checked');
+                Object.assign(extension_settings.vecthare, settings);
+                saveSettingsDebounced();
+            });
+    });
+
+    $('#vecthare_consolidate_chat').on('click', async function() {
+        if (!getChatCollectionId()) {
+            toastr.warning('Open a chat first', 'VectHare');
+            return;
+        }
+
+        try {
+            const result = await consolidateChat(settings);
+            if (!result) {
+                toastr.info('A consolidation job for this chat is already running', 'VectHare');
+            } else if (!result.jobId) {
+                toastr.info('Nothing to consolidate yet - not enough aged chunks for a full batch', 'VectHare');
+            } else if (result.success) {
+                toastr.success(`Created ${result.created} memory summaries${result.failedCount ? `, ${result.failedCount} failed` : ''}`, 'VectHare');
+            }
+        } catch (error) {
+            console.error('VectHare: Consolidation failed', error);
+            toastr.error(`Consolidation failed: ${error.message}`, 'VectHare');
+        }
+    });
+
+    // Knowledge graph
+    $('#vecthare_graph_enabled')
+        .prop('checked', settings.graph_enabled === true)
+        .on('change', function() {
+            settings.graph_enabled = $(this).prop('checked');
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+        });
+
+    $('#vecthare_graph_extraction')
+        .val(settings.graph_extraction || 'llm')
+        .on('change', function() {
+            settings.graph_extraction = String($(this).val());
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+        });
+
+    [
+        ['graph_scan_depth', 4, 1, 50],
+        ['graph_max_facts', 12, 1, 100],
+    ].forEach(([key, fallback, min, max]) => {
+        $(`#vecthare_${key}`)
+            .val(settings[key] ?? fallback)
+            .on('change', function() {
+                const value = parseInt($(this).val());
+                settings[key] = isNaN(value) ? fallback : Math.min(Math.max(value, min), max);
+                $(this).val(settings[key]);
+                Object.assign(extension_settings.vecthare, settings);
+                saveSettingsDebounced();
+            });
+    });
+
+    $('#vecthare_graph_template')
+        .val(settings.graph_template || '')
+        .on('input', function() {
+            settings.graph_template = $(this).val();
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+        });
+
+    $('#vecthare_graph_extract_chat').on('click', async function() {
+        const collectionId = getChatCollectionId();
+        if (!collectionId) {
+            toastr.warning('Open a chat first', 'VectHare');
+            return;
+        }
+
+        try {
+            const result = await extractChatIntoGraph(collectionId, settings);
+            if (!result.jobId) {
+                toastr.info('Every message is already in the knowledge graph', 'VectHare');
+            } else if (result.success) {
+                toastr.success(`Extracted ${result.facts} facts${result.failedCount ? `, ${result.failedCount} batches failed` : ''}`, 'VectHare');
+            }
+        } catch (error) {
+            console.error('VectHare: Knowledge graph extraction failed', error);
+            toastr.error(`Extraction failed: ${error.message}`, 'VectHare');
+        }
+    });
+
     // RAG Context settings
     $('#vecthare_rag_context')
         .val(settings.rag_context || '')
@@ -1908,15 +2779,6 @@ function bindSettingsEvents(settings, callbacks) {
             saveSettingsDebounced();
         });
 
-    // BananaBread reranking
-    $('#vecthare_bananabread_rerank')
-        .prop('checked', settings.bananabread_rerank)
-        .on('input', function() {
-            settings.bananabread_rerank = $(this).prop('checked');
-            Object.assign(extension_settings.vecthare, settings);
-            saveSettingsDebounced();
-        });
-
     // BananaBread API key
     // Note: We store in extension settings because custom keys aren't returned by ST's readSecretState()
     const updateBananaBreadKeyDisplay = () => {
@@ -2049,6 +2911,27 @@ function bindSettingsEvents(settings, callbacks) {
             saveSettingsDebounced();
         });
 
+    // Embedding cache
+    $('#vecthare_embedding_cache_enabled')
+        .prop('checked', settings.embedding_cache_enabled !== false)
+        .on('change', function() {
+            settings.embedding_cache_enabled = $(this).prop('checked');
+            Object.assign(extension_settings.vecthare, settings);
+            saveSettingsDebounced();
+        });
+
+    $('#vecthare_clear_embedding_cache').on('click', async () => {
+        try {
+            await clearEmbeddingCache();
+            toastr.success('Embedding cache cleared');
+        } catch (error) {
+            toastr.error('Failed to clear embedding cache: ' + error.message);
+        }
+        updateEmbeddingCacheStats();
+    });
+
+    updateEmbeddingCacheStats();
+
     // Action buttons
     $('#vecthare_vectorize_content').on('click', () => {
         openContentVectorizer();
@@ -2062,6 +2945,12 @@ function bindSettingsEvents(settings, callbacks) {
     $('#vecthare_view_results').on('click', () => {
         openSearchDebugModal();
     });
+    $('#vecthare_condition_simulator').on('click', () => {
+        openConditionSimulator();
+    });
+    $('#vecthare_show_jobs').on('click', () => {
+        progressTracker.showJobs();
+    });
     $('#vecthare_text_cleaning').on('click', () => {
         openTextCleaningManager();
     });
@@ -2548,6 +3437,7 @@ ${isFiltered ? `🔍 Filter: ${filterNames[filter]} (${filteredCount} of ${total
   Chunk Size:        ${settings.chunk_size || 500} chars (adaptive only)
   Score Threshold:   ${settings.score_threshold || 0.5}
   Query Depth:       ${settings.query || 3}
+  Query Mode:        ${settings.query_mode || 'recent'}
   Chat Auto-Sync:    ${settings.enabled_chats ? 'enabled' : 'disabled'}
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -2733,6 +3623,15 @@ function handleDiagnosticFix(action, silent = false) {
             if (!silent) toastr.success('Chunk size reset to 500');
             break;
 
+        case 'clear_embedding_cache':
+            clearEmbeddingCache()
+                .then(() => {
+                    updateEmbeddingCacheStats();
+                    if (!silent) toastr.success('Embedding cache cleared');
+                })
+                .catch(error => toastr.error('Failed to clear embedding cache: ' + error.message));
+            break;
+
         case 'fix_qdrant_dimension':
             // This needs a dialog - don't auto-fix, show options
             if (!silent) {
@@ -2752,6 +3651,16 @@ function handleDiagnosticFix(action, silent = false) {
     }
 }
 
+/**
+ * Refreshes the embedding cache stats line in the settings panel
+ */
+async function updateEmbeddingCacheStats() {
+    const stats = await getEmbeddingCacheStats();
+    const hitRate = stats.hitRate === null ? 'no lookups yet' : `${Math.round(stats.hitRate * 100)}% hit rate`;
+    const stored = stats.persistent ? `${stats.diskEntries.toLocaleString()} stored` : `${stats.memoryEntries.toLocaleString()} in memory (IndexedDB unavailable)`;
+    $('#vecthare_embedding_cache_stats').text(`${stored} · ${hitRate}`);
+}
+
 /**
  * Shows a dialog with options to fix Qdrant dimension mismatch
  */
@@ -0,0 +1,213 @@
+/**
+ * HNSW Module
+ * Small in-memory Hierarchical Navigable Small World graph for approximate
+ * nearest-neighbor search by cosine similarity.
+ * Pure JavaScript implementation - no external dependencies
+ *
+ * Vectors are normalized on insert, so similarity is a dot product.
+ * The index is append-only; rebuild it after deletions.
+ *
+ * @module hnsw
+ */
+
+/**
+ * HNSW index over cosine similarity
+ */
+class HNSWIndex {
+  /**
+   * Create a new index
+   *
+   * @param {Object} options - Graph parameters
+   * @param {number} options.m - Links per node on upper layers (layer 0 gets 2×m) (default: 16)
+   * @param {number} options.efConstruction - Candidate list size while building (default: 100)
+   */
+  constructor(options = {}) {
+    this.m = options.m || 16;
+    this.mMax0 = this.m * 2;
+    this.efConstruction = options.efConstruction || 100;
+    this.levelMultiplier = 1 / Math.log(this.m);
+
+    this.vectors = [];
+    this.links = [];
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+  }
+
+  /**
+   * Number of vectors in the index
+   * @returns {number}
+   */
+  get size() {
+    return this.vectors.length;
+  }
+
+  /**
+   * Normalize a vector to unit length (zero vectors stay zero)
+   *
+   * @param {ArrayLike<number>} vec - Vector
+   * @returns {Float32Array} Normalized copy
+   */
+  static normalize(vec) {
+    let sum = 0;
+    for (let i = 0; i < vec.length; i++) {
+      sum += vec[i] * vec[i];
+    }
+    const magnitude = Math.sqrt(sum) || 1;
+    const result = new Float32Array(vec.length);
+    for (let i = 0; i < vec.length; i++) {
+      result[i] = vec[i] / magnitude;
+    }
+    return result;
+  }
+
+  /**
+   * Dot product of two normalized vectors
+   *
+   * @private
+   */
+  _similarity(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+      sum += a[i] * b[i];
+    }
+    return sum;
+  }
+
+  /**
+   * Greedy beam search on one layer
+   *
+   * @private
+   * @param {Float32Array} query - Normalized query
+   * @param {number[]} entryIds - Starting nodes
+   * @param {number} ef - Beam width
+   * @param {number} level - Layer
+   * @returns {Array<{id: number, similarity: number}>} Best nodes, most similar first
+   */
+  _searchLayer(query, entryIds, ef, level) {
+    const visited = new Set(entryIds);
+    const candidates = entryIds.map(id => ({ id, similarity: this._similarity(query, this.vectors[id]) }));
+    const results = [...candidates].sort((a, b) => b.similarity - a.similarity).slice(0, ef);
+
+    while (candidates.length > 0) {
+      // Explore the most similar unexplored candidate
+      let bestIdx = 0;
+      for (let i = 1; i < candidates.length; i++) {
+        if (candidates[i].similarity > candidates[bestIdx].similarity) bestIdx = i;
+      }
+      const current = candidates.splice(bestIdx, 1)[0];
+
+      if (results.length >= ef && current.similarity < results[results.length - 1].similarity) {
+        break;
+      }
+
+      for (const neighbor of this.links[current.id][level] || []) {
+        if (visited.has(neighbor)) continue;
+        visited.add(neighbor);
+
+        const similarity = this._similarity(query, this.vectors[neighbor]);
+        if (results.length < ef || similarity > results[results.length - 1].similarity) {
+          const entry = { id: neighbor, similarity };
+          candidates.push(entry);
+
+          let pos = results.length;
+          while (pos > 0 && results[pos - 1].similarity < similarity) pos--;
+          results.splice(pos, 0, entry);
+          if (results.length > ef) results.pop();
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Trim a node's links on a layer to the most similar ones
+   *
+   * @private
+   */
+  _pruneLinks(id, level) {
+    const max = level === 0 ? this.mMax0 : this.m;
+    const list = this.links[id][level];
+    if (list.length <= max) return;
+
+    this.links[id][level] = list
+      .map(other => ({ other, similarity: this._similarity(this.vectors[id], this.vectors[other]) }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, max)
+      .map(entry => entry.other);
+  }
+
+  /**
+   * Add a vector
+   *
+   * @param {ArrayLike<number>} vector - Vector to add
+   * @returns {number} Its index (insertion order)
+   */
+  add(vector) {
+    const id = this.vectors.length;
+    const normalized = HNSWIndex.normalize(vector);
+    const level = Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMultiplier);
+
+    this.vectors.push(normalized);
+    this.links.push(Array.from({ length: level + 1 }, () => []));
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = id;
+      this.maxLevel = level;
+      return id;
+    }
+
+    let entryIds = [this.entryPoint];
+    for (let l = this.maxLevel; l > level; l--) {
+      entryIds = [this._searchLayer(normalized, entryIds, 1, l)[0].id];
+    }
+
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const found = this._searchLayer(normalized, entryIds, this.efConstruction, l);
+      const selected = found.slice(0, this.m).map(entry => entry.id);
+
+      this.links[id][l] = selected;
+      for (const neighbor of selected) {
+        this.links[neighbor][l].push(id);
+        this._pruneLinks(neighbor, l);
+      }
+
+      entryIds = found.map(entry => entry.id);
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = id;
+    }
+
+    return id;
+  }
+
+  /**
+   * Find the approximate k nearest neighbors
+   *
+   * @param {ArrayLike<number>} query - Query vector
+   * @param {number} k - Number of results
+   * @param {number} ef - Beam width; higher is slower but more accurate (default: max(k, 50))
+   * @returns {Array<{index: number, similarity: number}>} Most similar first
+   */
+  search(query, k, ef = Math.max(k, 50)) {
+    if (this.entryPoint === -1) {
+      return [];
+    }
+
+    const normalized = HNSWIndex.normalize(query);
+    let entryIds = [this.entryPoint];
+    for (let l = this.maxLevel; l > 0; l--) {
+      entryIds = [this._searchLayer(normalized, entryIds, 1, l)[0].id];
+    }
+
+    return this._searchLayer(normalized, entryIds, Math.max(ef, k), 0)
+      .slice(0, k)
+      .map(entry => ({ index: entry.id, similarity: entry.similarity }));
+  }
+}
+
+export { HNSWIndex };
+
+export default HNSWIndex;
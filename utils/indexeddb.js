@@ -0,0 +1,63 @@
+/**
+ * IndexedDB Module
+ * Promise wrappers around the IndexedDB request/transaction callbacks.
+ * Pure JavaScript implementation - no external dependencies
+ *
+ * Callers open their database once and keep the promise; whether a failed
+ * open is retried or means "run memory-only" is up to them.
+ *
+ * @module indexeddb
+ */
+
+/**
+ * Wraps an IDBRequest in a promise
+ *
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} The request's result
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Waits for a transaction to commit
+ *
+ * @param {IDBTransaction} transaction - Transaction to wait for
+ * @returns {Promise<void>} Resolves on commit, rejects on error or abort
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Opens a database, creating its stores on first use
+ *
+ * @param {string} name - Database name
+ * @param {function(IDBDatabase): void} upgrade - Creates the object stores and indexes
+ * @param {number} version - Schema version (default: 1)
+ * @returns {Promise<IDBDatabase>} Rejects if IndexedDB is unavailable or the open fails
+ */
+function openDatabase(name, upgrade, version = 1) {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+
+    const request = indexedDB.open(name, version);
+    request.onupgradeneeded = () => upgrade(request.result);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export { openDatabase, requestToPromise, transactionDone };
+
+export default { openDatabase, requestToPromise, transactionDone };